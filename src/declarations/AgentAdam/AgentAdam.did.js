@@ -0,0 +1,132 @@
+// Candid interface of the AgentAdam canister, written by hand to match src/AgentAdam/Types.mo and main.mo.
+// Keep it in step with them; `npm run generate` (needs dfx) replaces it with the generated version.
+// tests/unit/InterfaceCheck.test.js compares it with the deployed interface.
+export const idlFactory = ({ IDL }) => {
+  const Time = IDL.Int;
+  const CommandSource = IDL.Variant({
+    'GHLChatAgent' : IDL.Record({
+      'conversationId' : IDL.Text,
+      'contactId' : IDL.Text,
+    }),
+    'GHLWebhook' : IDL.Record({ 'webhookId' : IDL.Text, 'eventType' : IDL.Text }),
+    'AdminInterface' : IDL.Record({
+      'userId' : IDL.Text,
+      'locationId' : IDL.Text,
+    }),
+    'GHLVoiceAgent' : IDL.Record({
+      'callerId' : IDL.Text,
+      'sessionId' : IDL.Text,
+    }),
+  });
+  const CommandContext = IDL.Record({
+    'retryCount' : IDL.Nat,
+    'sourceMetadata' : IDL.Opt(IDL.Text),
+    'priority' : IDL.Nat,
+    'locationId' : IDL.Text,
+  });
+  const Command = IDL.Record({
+    'id' : IDL.Text,
+    'source' : CommandSource,
+    'context' : CommandContext,
+    'timestamp' : Time,
+    'instruction' : IDL.Text,
+  });
+  const SourceKind = IDL.Variant({
+    'Chat' : IDL.Null,
+    'Voice' : IDL.Null,
+    'Admin' : IDL.Null,
+    'Webhook' : IDL.Null,
+  });
+  const HistoryFilter = IDL.Record({
+    'toTime' : IDL.Opt(Time),
+    'sources' : IDL.Vec(SourceKind),
+    'fromTime' : IDL.Opt(Time),
+    'locationId' : IDL.Opt(IDL.Text),
+  });
+  const HistoryCursor = IDL.Record({ 'id' : IDL.Text, 'timestamp' : Time });
+  const HistoryPage = IDL.Record({
+    'nextCursor' : IDL.Opt(HistoryCursor),
+    'commands' : IDL.Vec(Command),
+  });
+  const ExecutionStatus = IDL.Variant({
+    'Failed' : IDL.Record({ 'reason' : IDL.Text }),
+    'PartialSuccess' : IDL.Record({ 'warnings' : IDL.Vec(IDL.Text) }),
+    'Processing' : IDL.Null,
+    'Completed' : IDL.Null,
+    'Pending' : IDL.Null,
+  });
+  const ExecutedAction = IDL.Record({
+    'result' : IDL.Text,
+    'description' : IDL.Text,
+    'timestamp' : Time,
+    'actionType' : IDL.Text,
+  });
+  const ExecutionResult = IDL.Record({
+    'status' : ExecutionStatus,
+    'duration' : IDL.Nat,
+    'insights' : IDL.Vec(IDL.Text),
+    'actions' : IDL.Vec(ExecutedAction),
+    'nextSteps' : IDL.Vec(IDL.Text),
+    'commandId' : IDL.Text,
+  });
+  const AdminResponse = IDL.Record({
+    'alerts' : IDL.Vec(IDL.Text),
+    'recommendedActions' : IDL.Vec(IDL.Text),
+    'details' : ExecutionResult,
+    'summary' : IDL.Text,
+  });
+  const Result_4 = IDL.Variant({ 'ok' : AdminResponse, 'err' : IDL.Text });
+  const ChatResponse = IDL.Record({
+    'quickReplies' : IDL.Vec(IDL.Text),
+    'message' : IDL.Text,
+    'shouldClose' : IDL.Bool,
+    'attachments' : IDL.Vec(IDL.Text),
+  });
+  const Result_3 = IDL.Variant({ 'ok' : ChatResponse, 'err' : IDL.Text });
+  const Result_2 = IDL.Variant({ 'ok' : ExecutionResult, 'err' : IDL.Text });
+  const VoiceResponse = IDL.Record({
+    'shouldEndCall' : IDL.Bool,
+    'actions' : IDL.Vec(IDL.Text),
+    'spokenText' : IDL.Text,
+    'transferNumber' : IDL.Opt(IDL.Text),
+  });
+  const Result_1 = IDL.Variant({ 'ok' : VoiceResponse, 'err' : IDL.Text });
+  const Result = IDL.Variant({ 'ok' : IDL.Text, 'err' : IDL.Text });
+  return IDL.Service({
+    'getCanisterStatus' : IDL.Func([], [IDL.Text], ['query']),
+    'getCommandHistory' : IDL.Func([IDL.Nat], [IDL.Vec(Command)], ['query']),
+    'getCommandPage' : IDL.Func(
+        [HistoryFilter, IDL.Opt(HistoryCursor), IDL.Nat],
+        [HistoryPage],
+        ['query'],
+      ),
+    'getExecutionResult' : IDL.Func(
+        [IDL.Text],
+        [IDL.Opt(ExecutionResult)],
+        ['query'],
+      ),
+    'getTotalCommands' : IDL.Func([], [IDL.Nat], ['query']),
+    'handleWebhook' : IDL.Func(
+        [IDL.Text, IDL.Text, IDL.Text, IDL.Text],
+        [Result],
+        [],
+      ),
+    'processAdminCommand' : IDL.Func(
+        [IDL.Text, IDL.Text, IDL.Text, IDL.Opt(IDL.Text)],
+        [Result_4],
+        [],
+      ),
+    'processChatCommand' : IDL.Func(
+        [IDL.Text, IDL.Text, IDL.Text, IDL.Text],
+        [Result_3],
+        [],
+      ),
+    'processCommand' : IDL.Func([Command], [Result_2], []),
+    'processVoiceCommand' : IDL.Func(
+        [IDL.Text, IDL.Text, IDL.Text, IDL.Text],
+        [Result_1],
+        [],
+      ),
+  });
+};
+export const init = ({ IDL }) => { return []; };
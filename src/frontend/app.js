@@ -4,17 +4,69 @@
  */
 
 import icpService from './services/ICPService.js';
+import { CancelledError, CircuitOpenError, RetryExhaustedError } from './services/ServiceErrors.js';
 import demoICPService from './services/DemoICPService.js';
+import recordingService from './services/RecordingService.js';
+import { ReplayService } from './services/ReplayService.js';
+import identityService from './services/IdentityService.js';
+import offlineQueue from './services/OfflineQueue.js';
+import conversationStore, { getScopeKey } from './services/ConversationStore.js';
+import { createTranscript, exportTranscript } from './services/TranscriptExporter.js';
+import metricsRegistry from './services/MetricsRegistry.js';
+import healthMonitor from './services/HealthMonitor.js';
+import configLoader from './services/ConfigLoader.js';
+import { formatFaultProfile } from './services/FaultInjector.js';
 import Chat from './components/Chat.js';
+import DiagnosticsPanel from './components/DiagnosticsPanel.js';
+import DemoDataPanel from './components/DemoDataPanel.js';
+import FaultPanel from './components/FaultPanel.js';
+import SessionPanel from './components/SessionPanel.js';
+import ThreadsPanel from './components/ThreadsPanel.js';
+
+// Give up waiting on a command (including retries) after this long; it is then queued for later
+const COMMAND_TIMEOUT = 60000;
+
+// Instructions of a batch sent to the backend at the same time
+const BATCH_CONCURRENCY = 3;
+
+// Typed in demo mode to wipe simulated history and CRM records
+const RESET_DEMO_PATTERN = /^reset demo( data)?$/i;
 
 class AgentAdamApp {
   constructor() {
     this.chat = null;
-    this.icpService = icpService;
+    // Live calls go through the recorder so a session can be downloaded and replayed
+    this.icpService = recordingService;
+    this.identityService = identityService;
+    this.offlineQueue = offlineQueue;
+    this.conversations = conversationStore;
+    this.metricsRegistry = metricsRegistry;
+    this.healthMonitor = healthMonitor;
+    this.modePrompt = null;
+    this.unsubscribeCircuit = null;
+    this.diagnosticsPanel = null;
+    this.demoDataPanel = null;
+    this.faultPanel = null;
+    this.sessionPanel = null;
+    this.threadsPanel = null;
+    // Thread shown in the chat; null until the first message of a new conversation is saved
+    this.threadId = null;
+    this.conversationScope = null;
+    this.replayService = null;
+    this.modeBeforeReplay = null;
     this.demoMode = false;
+    this.mode = 'live';
     this.isInitialized = false;
     this.locationId = 'default';
-    this.userId = 'web-user';
+    this.timeZone = null;
+    this.userId = null;
+    this.ghlUserId = null;
+    // Set while the GHL user could not be bound to an identity; commands are refused meanwhile
+    this.identityError = null;
+    // bindUser() of the latest ghl-context while it runs; nothing is signed until it settles
+    this.identityBinding = null;
+    this.unsubscribeStats = null;
+    this.activeCommand = null;
     
     this.init();
   }
@@ -24,9 +76,20 @@ class AgentAdamApp {
       // Initialize UI components
       this.initializeUI();
       
+      // Show the last conversation; it is reloaded if ghl-context names another location or user
+      await this.restoreConversation();
+      
+      // Resolve the identity that signs canister calls
+      await this.initializeIdentity();
+      
       // Initialize ICP service
       await this.initializeICP();
       
+      // Keep checking the live canister unless it was deliberately left out
+      if (this.mode !== 'demo') {
+        this.startHealthMonitor();
+      }
+      
       // Set up event listeners
       this.setupEventListeners();
       
@@ -39,6 +102,9 @@ class AgentAdamApp {
       // Show welcome message
       this.showWelcomeMessage();
       
+      // Deliver anything left in the outbox from a previous session
+      this.replayOutbox();
+      
     } catch (error) {
       console.error('Failed to initialize Agent Adam:', error);
       this.showErrorMessage('Failed to initialize. Please refresh the page.');
@@ -62,42 +128,233 @@ class AgentAdamApp {
     this.updateStatus('initializing', 'Initializing...');
   }
 
+  /**
+   * Connect to the backend selected by the `mode` config value
+   * Only `auto` falls back to demo; in `live` a failed connection is reported and nothing is simulated.
+   */
   async initializeICP() {
+    const { mode, faults } = await configLoader.load();
+    this.mode = mode;
+    
+    // A bad value falls back to its default; say so rather than fail to start
+    configLoader.warnings.forEach(warning => {
+      if (this.chat) {
+        this.chat.addSystemMessage(`Configuration: ${warning}`, 'warning');
+      }
+    });
+    
+    if (faults) {
+      this.setFaultProfile(faults);
+    }
+    
+    if (mode === 'demo') {
+      await this.startDemoMode('Agent Adam is running in demo mode. Commands are simulated and never reach GoHighLevel.');
+      return;
+    }
+    
+    let failure;
     try {
-      // Try to initialize real ICP service first
-      const success = await this.icpService.init();
-      if (success) {
-        this.updateStatus('online', 'Connected to ICP');
+      if (await this.icpService.init()) {
+        this.updateStatus('online', this.getOnlineStatusText());
+        this.watchLiveService();
+        this.updateConnectionInfo();
         await this.loadInitialData();
         this.demoMode = false;
-      } else {
-        throw new Error('ICP service initialization failed');
+        return;
       }
+      failure = new Error('ICP service initialization failed');
     } catch (error) {
-      console.warn('ICP service failed, switching to demo mode:', error);
-      
-      // Fall back to demo mode
+      failure = error;
+    }
+    
+    if (mode === 'live') {
+      console.error('ICP service failed:', failure);
+      this.updateStatus('offline', 'Canister unreachable');
+      this.updateConnectionInfo();
+      this.showErrorMessage(`Could not connect to the Agent Adam canister (${failure.message}). ` +
+        'Commands will not be simulated; they are queued until the canister is reachable.');
+      return;
+    }
+    
+    console.warn('ICP service failed, switching to demo mode:', failure);
+    await this.startDemoMode('Could not reach the Agent Adam canister, so Agent Adam is running in demo mode. ' +
+      'Commands are simulated and never reach GoHighLevel.');
+  }
+
+  async startDemoMode(message) {
+    this.icpService = demoICPService;
+    await this.icpService.init();
+    this.demoMode = true;
+    this.updateDemoTools();
+    this.updateStatus('online', this.getOnlineStatusText());
+    this.updateConnectionInfo();
+    await this.loadInitialData();
+    
+    if (this.chat) {
+      this.chat.addSystemMessage(message, 'warning');
+    }
+  }
+
+  /**
+   * Follow the live service's circuit breaker; safe to call more than once
+   */
+  watchLiveService() {
+    if (this.unsubscribeCircuit) return;
+    
+    this.unsubscribeCircuit = icpService.onCircuitStateChange((state) => {
+      if (!this.demoMode) {
+        this.handleCircuitState(state);
+      }
+    });
+    this.checkInterfaceReport();
+  }
+
+  startHealthMonitor() {
+    this.healthMonitor.subscribe((health, previous) => {
+      this.handleHealth(health, previous);
+    });
+    this.healthMonitor.start();
+  }
+
+  /**
+   * React to a health check of the live canister
+   * Live mode shows the result in the status indicator. In `auto` mode either side offers a switch, never makes one.
+   * @param {Object} health - { state: 'online'|'degraded'|'offline', latency, message }
+   * @param {string} previous - State of the previous check
+   */
+  handleHealth(health, previous) {
+    if (this.replayService) return;
+    
+    const reachable = health.state !== 'offline';
+    const canSwitch = this.mode === 'auto';
+    
+    if (this.demoMode) {
+      if (reachable && canSwitch && !this.modePrompt) {
+        this.offerModeSwitch('live', 'The Agent Adam canister is reachable again. ' +
+          'Commands sent in demo mode were simulated and did not reach GoHighLevel.');
+      } else if (!reachable) {
+        this.closeModePrompt();
+      }
+      return;
+    }
+    
+    if (health.state === 'online' && previous !== 'online') {
+      this.updateStatus('online', this.getOnlineStatusText());
+    } else if (health.state === 'degraded') {
+      this.updateStatus('degraded', `Degraded - slow responses (${health.latency}ms)`);
+    } else if (health.state === 'offline') {
+      this.updateStatus('offline', 'Canister unreachable - commands will be queued');
+    }
+    
+    if (!reachable && canSwitch && !this.modePrompt) {
+      this.offerModeSwitch('demo', 'The Agent Adam canister is not responding. Commands will be queued until it is back. ' +
+        'You can switch to demo mode meanwhile, but demo commands are simulated and never reach GoHighLevel.');
+    } else if (reachable) {
+      this.closeModePrompt();
+    }
+  }
+
+  offerModeSwitch(mode, message) {
+    if (!this.chat) return;
+    
+    this.modePrompt = this.chat.addActionPrompt(message, [
+      { label: mode === 'live' ? 'Switch to live mode' : 'Switch to demo mode', action: `switch-${mode}` }
+    ], mode === 'live' ? 'info' : 'warning');
+  }
+
+  closeModePrompt() {
+    if (this.modePrompt) {
+      this.chat.closePrompt(this.modePrompt);
+      this.modePrompt = null;
+    }
+  }
+
+  /**
+   * Switch between the live canister and the demo service at the user's request
+   * @param {string} mode - 'live' or 'demo'
+   */
+  async switchMode(mode) {
+    this.closeModePrompt();
+    
+    if (mode === 'live') {
+      if (!icpService.isInitialized && !(await icpService.init())) {
+        this.showErrorMessage('Could not connect to the Agent Adam canister. Staying in demo mode.');
+        return;
+      }
+      this.icpService = recordingService;
+      this.demoMode = false;
+      this.updateDemoTools();
+      this.watchLiveService();
+      this.updateStatus('online', this.getOnlineStatusText());
+      this.chat.addSystemMessage('Switched to live mode. Commands now reach GoHighLevel through the Agent Adam canister.', 'success');
+    } else {
+      if (!demoICPService.isInitialized) {
+        await demoICPService.init();
+      }
       this.icpService = demoICPService;
-      await this.icpService.init();
       this.demoMode = true;
-      this.updateStatus('online', 'Demo Mode');
-      await this.loadInitialData();
-      
-      // Show demo mode message
-      if (this.chat) {
-        this.chat.addSystemMessage(
-          '🚀 Agent Adam is running in Demo Mode. All features are functional for testing!', 
-          'info'
-        );
+      this.updateDemoTools();
+      this.updateStatus('online', this.getOnlineStatusText());
+      this.chat.addSystemMessage('Switched to demo mode. Commands are simulated and will not reach GoHighLevel.', 'warning');
+    }
+    
+    this.updateConnectionInfo();
+    this.addActivityItem(`Switched to ${mode} mode`, 'Just now');
+    this.sendToParent({
+      type: 'adam-mode',
+      mode: mode,
+      timestamp: Date.now()
+    });
+    
+    await this.loadInitialData();
+    this.replayOutbox();
+  }
+
+  async initializeIdentity() {
+    this.identityService.subscribe((state) => {
+      this.userId = state.principal;
+      this.updateIdentityUI(state);
+    });
+    
+    await this.identityService.init();
+    this.userId = this.identityService.getPrincipal();
+    this.updateIdentityUI({
+      principal: this.userId,
+      isAuthenticated: this.identityService.isAuthenticated()
+    });
+  }
+
+  async toggleLogin() {
+    try {
+      if (this.identityService.isAuthenticated()) {
+        await this.identityService.logout();
+        if (this.chat) {
+          this.chat.addSystemMessage('Logged out. Commands are now signed by this browser\'s local identity.', 'info');
+        }
+      } else {
+        await this.identityService.login();
+        if (this.chat) {
+          this.chat.addSystemMessage(`Logged in as ${this.userId}`, 'success');
+        }
       }
+    } catch (error) {
+      console.error('Authentication error:', error);
+      this.showErrorMessage(`Login failed: ${error.message}`);
     }
   }
 
   async loadInitialData() {
+    // Keep the sidebar in sync with the service's cached status; it is refetched after each command
+    if (this.unsubscribeStats) {
+      this.unsubscribeStats();
+    }
+    this.unsubscribeStats = this.icpService.onQueryChange('getStatus', [], (status) => {
+      this.updateSidebarStats(status);
+    });
+    
     try {
       // Get canister status
-      const status = await this.icpService.getStatus();
-      this.updateSidebarStats(status);
+      await this.icpService.getStatus();
       
       // Load recent command history
       const history = await this.icpService.getHistory(5);
@@ -133,13 +390,49 @@ class AgentAdamApp {
       });
     }
     
+    // Login/logout handling
+    const authButton = document.getElementById('authButton');
+    if (authButton) {
+      authButton.addEventListener('click', () => {
+        this.toggleLogin();
+      });
+    }
+    
     // Quick reply handling
     if (this.chat && this.chat.container) {
       this.chat.container.addEventListener('quickReply', (e) => {
         this.handleQuickReply(e.detail.reply);
       });
+      
+      // Stop button on the typing indicator
+      this.chat.container.addEventListener('stopRequested', () => {
+        this.stopCommand();
+      });
+      
+      // Buttons on system prompts
+      this.chat.container.addEventListener('promptAction', (e) => {
+        this.handlePromptAction(e.detail.action);
+      });
+      
+      // Save the conversation as it happens
+      this.chat.container.addEventListener('messageAdded', (e) => {
+        this.saveMessage(e.detail);
+      });
+      this.chat.container.addEventListener('messageUpdated', (e) => {
+        this.saveMessageUpdate(e.detail);
+      });
     }
     
+    // Connectivity events
+    window.addEventListener('offline', () => {
+      this.updateStatus('offline', 'Offline - commands will be queued');
+    });
+    
+    window.addEventListener('online', () => {
+      this.updateStatus('online', this.getOnlineStatusText());
+      this.replayOutbox();
+    });
+    
     // Window events
     window.addEventListener('beforeunload', () => {
       this.cleanup();
@@ -167,6 +460,356 @@ class AgentAdamApp {
     
     // Add activity
     this.addActivityItem('System initialized', 'Just now');
+    
+    // Canister call metrics
+    const diagnostics = document.getElementById('diagnostics');
+    if (diagnostics) {
+      this.diagnosticsPanel = new DiagnosticsPanel(diagnostics, this.metricsRegistry);
+    }
+    
+    // Demo fault injection for exercising error handling
+    const faultInjection = document.getElementById('faultInjection');
+    if (faultInjection) {
+      this.faultPanel = new FaultPanel(faultInjection, demoICPService.faults);
+      demoICPService.faults.subscribe(() => {
+        if (this.demoMode) {
+          this.updateStatus('online', this.getOnlineStatusText());
+        }
+      });
+    }
+    
+    // Saved conversations
+    const conversations = document.getElementById('conversations');
+    if (conversations) {
+      this.threadsPanel = new ThreadsPanel(conversations);
+      conversations.addEventListener('threadSelected', (e) => this.openThread(e.detail.threadId));
+      conversations.addEventListener('threadCreateRequested', () => this.startNewThread());
+      conversations.addEventListener('transcriptExportRequested', (e) => {
+        this.exportConversation(e.detail.format, e.detail.destination);
+      });
+      this.threadsPanel.setEmbedded(window.parent !== window);
+    }
+    
+    // Session recording download and replay
+    const sessionRecording = document.getElementById('sessionRecording');
+    if (sessionRecording) {
+      this.sessionPanel = new SessionPanel(sessionRecording, recordingService);
+      sessionRecording.addEventListener('sessionReplayRequested', (e) => this.startReplay(e.detail.session, e.detail.fileName));
+      sessionRecording.addEventListener('sessionReplayFailed', (e) => {
+        this.showErrorMessage(`Could not replay ${e.detail.fileName}: ${e.detail.error.message}`);
+      });
+      sessionRecording.addEventListener('sessionReplayStopped', () => this.stopReplay());
+    }
+    
+    // Demo data export, import and reset
+    const demoData = document.getElementById('demoData');
+    if (demoData) {
+      this.demoDataPanel = new DemoDataPanel(demoData, demoICPService);
+      demoData.addEventListener('demoResetRequested', () => this.confirmDemoReset());
+      demoData.addEventListener('demoImported', (e) => this.handleDemoImported(e.detail));
+      demoData.addEventListener('demoImportFailed', (e) => {
+        this.showErrorMessage(`Could not import ${e.detail.fileName}: ${e.detail.error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Show the demo data and fault panels only while demo mode is active
+   */
+  updateDemoTools() {
+    const demoActive = this.icpService === demoICPService;
+    if (this.demoDataPanel) {
+      this.demoDataPanel.setVisible(demoActive);
+    }
+    if (this.faultPanel) {
+      this.faultPanel.setVisible(demoActive);
+    }
+    if (this.sessionPanel) {
+      this.sessionPanel.setReplaying(Boolean(this.replayService));
+    }
+  }
+
+  /**
+   * Apply a demo fault profile from config or the URL (?faults=flaky)
+   * @param {string} spec - Preset name or spec (see FaultInjector.js)
+   */
+  setFaultProfile(spec) {
+    try {
+      demoICPService.faults.setProfile(spec);
+    } catch (error) {
+      this.showErrorMessage(`Ignoring fault profile "${spec}": ${error.message}`);
+    }
+  }
+
+  confirmDemoReset() {
+    if (!this.chat) return;
+    
+    this.chat.addActionPrompt(
+      'Reset demo data? This deletes the simulated command history and CRM records and restores the sample data. ' +
+      'Export it first if you want to keep it.',
+      [{ label: 'Reset demo data', action: 'reset-demo' }, { label: 'Keep data', action: 'dismiss' }],
+      'warning'
+    );
+  }
+
+  async resetDemo() {
+    await demoICPService.resetState();
+    this.chat.addSystemMessage('Demo data reset. History is empty and the sample CRM records are back.', 'success');
+    this.addActivityItem('Demo data reset', 'Just now');
+    await this.loadInitialData();
+  }
+
+  async handleDemoImported({ status, fileName }) {
+    this.chat.addSystemMessage(
+      `Imported demo data from ${fileName}: ${status.totalContacts} contacts and ${status.totalCommands} commands.`,
+      'success'
+    );
+    this.addActivityItem('Demo data imported', 'Just now');
+    await this.loadInitialData();
+  }
+
+  /**
+   * Replay a recorded session: its commands are sent again in order and get their recorded responses
+   * Nothing reaches the canister or the outbox while replaying.
+   * @param {Object} session - Parsed session file
+   * @param {string} fileName - Shown in the status and messages
+   */
+  async startReplay(session, fileName) {
+    if (this.replayService) {
+      this.showErrorMessage('A session is already replaying. Stop it first.');
+      return;
+    }
+    
+    this.closeModePrompt();
+    this.modeBeforeReplay = this.demoMode ? 'demo' : 'live';
+    this.replayService = new ReplayService(session);
+    this.replayService.fileName = fileName;
+    await this.replayService.init();
+    
+    this.icpService = this.replayService;
+    this.demoMode = true;
+    this.updateDemoTools();
+    this.updateStatus('online', this.getOnlineStatusText());
+    this.updateConnectionInfo();
+    this.chat.addSystemMessage(`Replaying ${fileName}. Responses come from the recording and nothing is sent to GoHighLevel.`, 'info');
+    this.sendToParent({
+      type: 'adam-mode',
+      mode: 'replay',
+      timestamp: Date.now()
+    });
+    
+    await this.loadInitialData();
+    await this.playReplay(this.replayService);
+  }
+
+  /**
+   * Send the recorded commands through the normal command path, one at a time
+   * @param {ReplayService} replay - Stops early when the user stops this replay
+   */
+  async playReplay(replay) {
+    for (const { method, args } of replay.getRecordedCommands()) {
+      if (this.replayService !== replay) return;
+      
+      if (method === 'processCommand' || method === 'processAdminCommand') {
+        const { commandId, ...context } = args[1] || {};
+        await this.processCommand(args[0], context);
+      } else if (method === 'handleWebhook') {
+        await this.handleWebhook(args[0], args[1], args[2]);
+      } else {
+        // Voice and chat agent calls have no place in this UI; play them so later commands still line up
+        await replay[method](...args).catch(() => {});
+      }
+      this.updateStatus('online', this.getOnlineStatusText());
+    }
+    
+    if (this.replayService === replay) {
+      const { played, total } = replay.getProgress();
+      this.chat.addSystemMessage(`Replay finished: ${played} of ${total} recorded commands played. Stop the replay to continue.`, 'success');
+    }
+  }
+
+  /**
+   * Leave replay and return to the mode used before it
+   */
+  async stopReplay() {
+    if (!this.replayService) return;
+    
+    this.replayService = null;
+    await this.switchMode(this.modeBeforeReplay);
+    
+    // The canister could not be reached; demo is better than answering from a finished recording
+    if (this.icpService !== recordingService && this.icpService !== demoICPService) {
+      await this.switchMode('demo');
+    }
+  }
+
+  /**
+   * Location and user whose conversations are shown
+   * @returns {Object} { locationId, userId }
+   */
+  getConversationScope() {
+    return { locationId: this.locationId, userId: this.ghlUserId };
+  }
+
+  /**
+   * Show the most recent conversation of the current location and user
+   * Does nothing when their conversations are already shown.
+   */
+  async restoreConversation() {
+    const scope = this.getConversationScope();
+    const scopeKey = getScopeKey(scope);
+    if (!this.chat || this.conversationScope === scopeKey) return;
+    this.conversationScope = scopeKey;
+    
+    try {
+      const [latest] = await this.conversations.listThreads(scope);
+      // Another location or user may have taken over while the threads were read
+      if (this.conversationScope !== scopeKey) return;
+      
+      if (latest) {
+        await this.openThread(latest.id);
+      } else {
+        this.startNewThread();
+      }
+    } catch (error) {
+      console.warn('Could not restore the conversation:', error);
+    }
+  }
+
+  /**
+   * Show a saved conversation in the chat
+   * @param {string} threadId - Thread from ConversationStore
+   */
+  async openThread(threadId) {
+    if (this.activeCommand) {
+      this.showErrorMessage('Wait for the current command to finish before switching conversations.');
+      return;
+    }
+    
+    try {
+      const messages = await this.conversations.getMessages(threadId);
+      this.threadId = threadId;
+      this.chat.clearMessages({ keepStatic: true });
+      this.chat.restoreMessages(messages);
+    } catch (error) {
+      console.error('Failed to load conversation:', error);
+      this.showErrorMessage('Could not load that conversation.');
+    }
+    
+    this.refreshThreads();
+  }
+
+  /**
+   * Clear the chat for a new conversation; it is saved with its first message
+   */
+  startNewThread() {
+    if (this.activeCommand) {
+      this.showErrorMessage('Wait for the current command to finish before starting a new conversation.');
+      return;
+    }
+    
+    this.threadId = null;
+    this.chat.clearMessages({ keepStatic: true });
+    this.refreshThreads();
+  }
+
+  async refreshThreads() {
+    if (!this.threadsPanel) return;
+    
+    try {
+      const threads = await this.conversations.listThreads(this.getConversationScope());
+      this.threadsPanel.render(threads, this.threadId);
+    } catch (error) {
+      console.warn('Could not list conversations:', error);
+    }
+  }
+
+  /**
+   * Save a message the chat just rendered to the open thread, starting one if needed
+   * Replayed sessions are not saved.
+   * @param {Object} message - 'messageAdded' detail
+   */
+  saveMessage(message) {
+    if (this.replayService) return;
+    
+    if (!this.threadId) {
+      this.threadId = this.conversations.startThread(this.getConversationScope()).id;
+    }
+    
+    this.conversations.addMessage(this.threadId, message)
+      .then(() => this.refreshThreads())
+      .catch(error => console.warn('Could not save chat message:', error));
+  }
+
+  /**
+   * Save a status change of a message in the open thread
+   * @param {Object} update - 'messageUpdated' detail: { id, status, detail, simulated }
+   */
+  saveMessageUpdate({ id, ...changes }) {
+    if (this.replayService || !this.threadId) return;
+    
+    this.conversations.updateMessage(this.threadId, id, changes)
+      .catch(error => console.warn('Could not save chat message:', error));
+  }
+
+  /**
+   * Export the conversation shown in the chat, with the results of its commands
+   * @param {string} format - 'markdown', 'json' or 'csv'
+   * @param {string} destination - 'download', or 'parent' to post it to the GHL window as 'adam-transcript'
+   */
+  async exportConversation(format, destination = 'download') {
+    let file;
+    try {
+      const thread = this.threadId ? await this.conversations.getThread(this.threadId) : null;
+      const transcript = createTranscript(this.chat.getTranscript(), {
+        title: thread ? thread.title : null,
+        locationId: this.locationId,
+        userId: this.ghlUserId
+      });
+      file = exportTranscript(transcript, format);
+    } catch (error) {
+      console.error('Failed to export transcript:', error);
+      if (destination === 'parent') {
+        this.sendToParent({ type: 'adam-transcript', format, error: error.message, timestamp: Date.now() });
+      } else {
+        this.showErrorMessage('Could not export the conversation.');
+      }
+      return;
+    }
+    
+    if (destination === 'parent') {
+      this.sendToParent({
+        type: 'adam-transcript',
+        format,
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        content: file.content,
+        threadId: this.threadId,
+        timestamp: Date.now()
+      });
+    } else if (this.threadsPanel) {
+      this.threadsPanel.download(file);
+    }
+    
+    this.addActivityItem(`Exported the conversation (${format})`, 'Just now');
+  }
+
+  /**
+   * Show a command's delivery status on its message
+   * When another conversation is open, the status is saved to the command's own thread instead.
+   * @param {Object} entry - Command entry with messageId and threadId
+   * @param {string} status - Message status
+   */
+  setEntryStatus(entry, status) {
+    if (entry.threadId && entry.threadId !== this.threadId) {
+      if (!this.replayService) {
+        this.conversations.updateMessage(entry.threadId, entry.messageId, { status })
+          .catch(error => console.warn('Could not save chat message:', error));
+      }
+      return;
+    }
+    
+    this.chat.updateMessageStatus(entry.messageId, status);
   }
 
   setupGHLBridge() {
@@ -193,8 +836,35 @@ class AgentAdamApp {
     switch (data.type) {
       case 'ghl-context':
         this.locationId = data.locationId || 'default';
-        this.userId = data.userId || 'web-user';
-        console.log('Received GHL context:', { locationId: this.locationId, userId: this.userId });
+        // IANA time zone of the GHL location; dates in commands are read in it
+        this.timeZone = data.timeZone || data.timezone || null;
+        this.ghlUserId = data.userId || null;
+        // Conversations are kept per location and user
+        this.restoreConversation();
+        // Bind the GHL user to the principal that signs their commands. Until the bind settles the
+        // previous user's identity is active, so commands wait for it (see identityReady)
+        const binding = this.identityService.bindUser(this.ghlUserId).then((principal) => {
+          if (this.identityBinding !== binding) return;
+          this.userId = principal;
+          this.identityError = null;
+          console.log('Received GHL context:', {
+            locationId: this.locationId,
+            ghlUserId: this.ghlUserId,
+            principal: principal
+          });
+        }).catch((error) => {
+          if (this.identityBinding !== binding) return;
+          // The previous user's identity may still be active, so nothing is sent until a bind succeeds
+          console.error('Failed to bind GHL user identity:', error);
+          this.userId = null;
+          this.identityError = 'Could not set up your identity for this GoHighLevel user, so commands are paused. Please reload the page.';
+          this.showErrorMessage(this.identityError);
+        }).finally(() => {
+          if (this.identityBinding === binding) {
+            this.identityBinding = null;
+          }
+        });
+        this.identityBinding = binding;
         break;
         
       case 'ghl-command':
@@ -205,6 +875,10 @@ class AgentAdamApp {
         this.handleWebhook(data.webhookId, data.eventType, data.payload);
         break;
         
+      case 'ghl-export-transcript':
+        this.exportConversation(data.format || 'markdown', 'parent');
+        break;
+        
       default:
         console.log('Unknown GHL message type:', data.type);
     }
@@ -225,6 +899,19 @@ class AgentAdamApp {
     
     // Clear input
     commandInput.value = '';
+    this.autoResizeInput(commandInput);
+    
+    if (this.icpService === demoICPService && RESET_DEMO_PATTERN.test(command)) {
+      this.confirmDemoReset();
+      return;
+    }
+    
+    // Several lines are a batch, one instruction per line
+    const lines = command.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length > 1) {
+      await this.processBatch(lines);
+      return;
+    }
     
     // Process command
     await this.processCommand(command);
@@ -233,57 +920,359 @@ class AgentAdamApp {
   async processCommand(command, context = {}) {
     if (!this.chat) return;
     
+    if (!(await this.identityReady())) {
+      this.chat.addErrorMessage(this.identityError);
+      return;
+    }
+    
+    const commandId = this.icpService.generateCommandId();
+    
+    // Show user message
+    const messageElement = this.chat.renderMessage(command, 'user', new Date(), {
+      status: 'sending',
+      commandId
+    });
+    
+    const executionContext = {
+      locationId: this.locationId,
+      timeZone: this.timeZone,
+      source: 'web-interface',
+      ...context,
+      commandId
+    };
+    
+    const entry = {
+      id: commandId,
+      instruction: command,
+      context: executionContext,
+      messageId: messageElement.id,
+      threadId: this.threadId
+    };
+    
+    // Queue behind older undelivered commands so delivery order is preserved;
+    // the outbox only ever holds commands for the live canister
+    if (!this.demoMode && (!navigator.onLine || await this.offlineQueue.size() > 0)) {
+      await this.queueCommand(entry);
+      this.replayOutbox();
+      return;
+    }
+    
+    const controller = new AbortController();
+    this.activeCommand = { entry, controller };
+    
     try {
-      // Show user message
-      this.chat.renderMessage(command, 'user', new Date());
-      
-      // Show typing indicator
-      this.chat.showTypingIndicator('adam');
+      // Show typing indicator with a Stop control
+      this.chat.showTypingIndicator('adam', { stoppable: true });
       
       // Process command through ICP
+      await this.deliverCommand(entry, { signal: controller.signal, timeout: COMMAND_TIMEOUT });
+      this.setEntryStatus(entry, 'delivered');
+      
+      // Update activity
+      this.addActivityItem(`Processed: ${command.substring(0, 30)}...`, 'Just now');
+      
+    } catch (error) {
+      this.chat.hideTypingIndicator();
+      
+      if (error instanceof CancelledError) {
+        this.setEntryStatus(entry, 'cancelled');
+        this.addActivityItem(`Cancelled: ${command.substring(0, 30)}...`, 'Just now');
+        return;
+      }
+      
+      console.error('Command processing error:', error);
+      
+      // The outbox is for the live canister; demo failures are final
+      if (!this.demoMode && this.isRetryableError(error)) {
+        await this.queueCommand(entry);
+      } else {
+        this.setEntryStatus(entry, 'error');
+        this.chat.addErrorMessage(error.message || 'Failed to process command');
+      }
+    } finally {
+      if (this.activeCommand && this.activeCommand.entry === entry) {
+        this.activeCommand = null;
+      }
+    }
+  }
+
+  /**
+   * Run several instructions as one batch with a grouped progress message
+   * Items that fail for connectivity reasons are queued in the outbox like single commands.
+   * Other failures are reported in the chat, so the returned promise never rejects.
+   * @param {Array<string>} instructions - One instruction per item
+   * @param {Object} context - Shared command context
+   */
+  async processBatch(instructions, context = {}) {
+    if (!this.chat) return;
+    
+    if (!(await this.identityReady())) {
+      this.chat.addErrorMessage(this.identityError);
+      return;
+    }
+    
+    let batchElement = null;
+    let entries = null;
+    // Items with a final or queued status; if the batch breaks off, the others are marked failed
+    const settled = new Set();
+    
+    try {
+      const commandIds = instructions.map(() => this.icpService.generateCommandId());
+      batchElement = this.chat.renderBatch(instructions, new Date(), { commandIds });
       const executionContext = {
         locationId: this.locationId,
+        timeZone: this.timeZone,
         source: 'web-interface',
         ...context
       };
       
-      const result = await this.icpService.processCommand(command, executionContext);
+      entries = instructions.map((instruction, index) => ({
+        id: commandIds[index],
+        instruction,
+        context: { ...executionContext, commandId: commandIds[index] },
+        messageId: this.chat.getBatchItemId(batchElement.id, index),
+        threadId: this.threadId
+      }));
       
-      // Hide typing indicator
-      this.chat.hideTypingIndicator();
+      // Queue behind older undelivered commands so delivery order is preserved;
+      // the outbox only ever holds commands for the live canister
+      if (!this.demoMode && (!navigator.onLine || await this.offlineQueue.size() > 0)) {
+        for (const [index, entry] of entries.entries()) {
+          await this.queueCommand(entry);
+          settled.add(index);
+        }
+        this.replayOutbox();
+        return;
+      }
       
-      // Show response
-      this.handleCommandResult(result);
+      if (this.icpService.mode !== 'live') {
+        this.chat.markSimulated(batchElement);
+      }
       
-      // Update activity
-      this.addActivityItem(`Processed: ${command.substring(0, 30)}...`, 'Just now');
+      const controller = new AbortController();
+      this.activeCommand = { entry: entries, controller };
+      this.chat.showTypingIndicator('adam', { stoppable: true });
+      
+      const batch = await this.icpService.processCommands(
+        entries.map(entry => ({ instruction: entry.instruction, commandId: entry.id })),
+        executionContext,
+        {
+          concurrency: BATCH_CONCURRENCY,
+          // Same path as a single command from this source (see deliverCommand)
+          admin: this.isAdminSource(executionContext.source),
+          signal: controller.signal,
+          timeout: COMMAND_TIMEOUT,
+          onProgress: (item) => {
+            if (item.status !== 'running') {
+              settled.add(item.index);
+            }
+            this.updateBatchItem(batchElement.id, item);
+          }
+        }
+      );
       
-      // Update stats
-      this.refreshStats();
+      // Connectivity failures go to the outbox; everything else is final
+      for (const item of batch.items) {
+        if (item.status === 'failed' && !this.demoMode && this.isRetryableError(item.error)) {
+          await this.queueCommand(entries[item.index]);
+        }
+      }
       
+      this.addActivityItem(`Batch: ${batch.succeeded} of ${entries.length} processed`, 'Just now');
     } catch (error) {
-      console.error('Command processing error:', error);
+      console.error('Batch processing error:', error);
+      
+      if (batchElement) {
+        instructions.forEach((instruction, index) => {
+          if (!settled.has(index)) {
+            this.chat.updateBatchItem(batchElement.id, index, 'error', error.message || 'Failed');
+          }
+        });
+      }
+      this.chat.addErrorMessage(error.message || 'Failed to process batch');
+    } finally {
       this.chat.hideTypingIndicator();
-      this.chat.addErrorMessage(error.message || 'Failed to process command');
+      if (this.activeCommand && entries && this.activeCommand.entry === entries) {
+        this.activeCommand = null;
+      }
     }
   }
 
-  handleCommandResult(result) {
-    if (!this.chat || !result) return;
+  /**
+   * Show the progress of one batch item
+   * @param {string} batchId - Batch message ID
+   * @param {Object} item - Item reported by processCommands
+   */
+  updateBatchItem(batchId, item) {
+    switch (item.status) {
+      case 'running':
+        this.chat.updateBatchItem(batchId, item.index, 'sending');
+        break;
+      case 'succeeded':
+        this.chat.updateBatchItem(batchId, item.index, 'delivered', this.summarizeResult(item.result), item.result);
+        break;
+      case 'cancelled':
+        this.chat.updateBatchItem(batchId, item.index, 'cancelled');
+        break;
+      default:
+        this.chat.updateBatchItem(batchId, item.index, 'error', item.error ? item.error.message : 'Failed');
+    }
+  }
+
+  summarizeResult(result) {
+    if (result.status.type === 'Failed') {
+      return `Failed: ${result.status.reason}`;
+    }
     
-    // Format response message
-    let message = result.insights && result.insights.length > 0 
-      ? result.insights.join('\n') 
-      : 'Command processed successfully.';
-    
-    // Add action summary if available
-    if (result.actions && result.actions.length > 0) {
-      message += '\n\n**Actions taken:**\n';
-      result.actions.forEach(action => {
-        message += `• ${action.description}\n`;
+    const actions = result.actions.length;
+    return actions > 0 ? `${result.status.type} · ${actions} action${actions === 1 ? '' : 's'}` : result.status.type;
+  }
+
+  /**
+   * Stop waiting for the command in progress
+   * An update call that already reached the canister may still complete there.
+   */
+  stopCommand() {
+    if (this.activeCommand) {
+      this.activeCommand.controller.abort();
+    }
+  }
+
+  /**
+   * Wait until the GHL user of the latest ghl-context is bound to the identity that signs commands
+   * @returns {Promise<boolean>} False when the bind failed; `identityError` says why
+   */
+  async identityReady() {
+    // A ghl-context arriving meanwhile starts another bind, which is waited for in turn
+    while (this.identityBinding) {
+      await this.identityBinding;
+    }
+    return !this.identityError;
+  }
+
+  /**
+   * Send a command to the active service and render its result
+   * @param {Object} entry - { id, instruction, context }
+   * @param {Object} options - Call options: { signal, timeout }
+   */
+  async deliverCommand(entry, options = {}) {
+    // Decided before the call so a mode switch while it runs cannot relabel the result
+    const service = this.icpService;
+    const simulated = service.mode !== 'live';
+    
+    // Both paths send entry.id, so the canister skips a command it already ran when a retry or the
+    // outbox sends it again. Admin-source commands use the admin path for summaries and alerts.
+    const context = { ...entry.context, commandId: entry.id };
+    if (this.isAdminSource(context.source)) {
+      const response = await service.processAdminCommand(entry.instruction, context, options);
+      this.chat.hideTypingIndicator();
+      this.handleAdminResult(response, simulated, entry.id);
+      return response;
+    }
+    
+    const result = await service.processCommand(entry.instruction, context, options);
+    this.chat.hideTypingIndicator();
+    this.handleCommandResult(result, simulated);
+    return result;
+  }
+
+  async queueCommand(entry) {
+    try {
+      await this.offlineQueue.enqueue(entry);
+      this.setEntryStatus(entry, 'queued');
+      this.addActivityItem(`Queued: ${entry.instruction.substring(0, 30)}...`, 'Just now');
+    } catch (error) {
+      console.error('Failed to queue command:', error);
+      this.setEntryStatus(entry, 'error');
+      this.chat.addErrorMessage('Could not reach Agent Adam and the command could not be saved for later.');
+    }
+  }
+
+  /**
+   * Replay queued commands in order once the canister is reachable again
+   */
+  async replayOutbox() {
+    if (!this.chat || !navigator.onLine || this.demoMode) return;
+    if (!(await this.identityReady())) return;
+    
+    await this.offlineQueue.replay(
+      (entry) => this.deliverCommand(entry),
+      {
+        onSending: (entry) => {
+          this.setEntryStatus(entry, 'sending');
+        },
+        onDelivered: (entry) => {
+          this.setEntryStatus(entry, 'delivered');
+          this.addActivityItem(`Processed: ${entry.instruction.substring(0, 30)}...`, 'Just now');
+        },
+        onFailed: (entry, error, dropped) => {
+          if (dropped) {
+            this.setEntryStatus(entry, 'error');
+            this.chat.addErrorMessage(`Queued command failed: ${error.message}`);
+          } else {
+            this.setEntryStatus(entry, 'queued');
+          }
+        },
+        isRetryable: (error) => this.isRetryableError(error)
+      }
+    );
+  }
+
+  /**
+   * Whether a failed command may wait in the outbox and be sent again
+   * Only failures that prove the request never reached the replica qualify: an open circuit refuses
+   * the call before anything is sent, and RetryExhaustedError.unsent means every attempt failed in
+   * fetch before sending. Everything else (HTTP errors, timeouts, unknown failures) is final, since the
+   * canister may already have run the command.
+   * @param {Error} error - Error from deliverCommand
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    if (error instanceof CircuitOpenError) return true;
+    return error instanceof RetryExhaustedError && error.unsent;
+  }
+
+  isAdminSource(source) {
+    return source === 'web-interface' || source === 'admin';
+  }
+
+  formatResultMessage(result) {
+    const status = result.status || { type: 'Completed' };
+    let message;
+    
+    if (status.type === 'Failed') {
+      message = `**Command failed:** ${status.reason}`;
+      if (result.insights && result.insights.length > 0) {
+        message += '\n' + result.insights.join('\n');
+      }
+    } else {
+      message = result.insights && result.insights.length > 0 
+        ? result.insights.join('\n') 
+        : 'Command processed successfully.';
+    }
+    
+    if (status.type === 'PartialSuccess' && status.warnings.length > 0) {
+      message += '\n\n**Completed with warnings:**\n';
+      status.warnings.forEach(warning => {
+        message += `• ${warning}\n`;
       });
     }
     
+    // Actions are not listed here: Chat renders them as cards from the result passed with the message
+    return message;
+  }
+
+  /**
+   * Render a command result and forward it to the parent window
+   * @param {Object} result - Normalized ExecutionResult
+   * @param {boolean} simulated - True when the demo service produced the result
+   */
+  handleCommandResult(result, simulated = false) {
+    if (!this.chat || !result) return;
+    
+    // Format response message
+    const message = this.formatResultMessage(result);
+    
     // Prepare quick replies from next steps
     const quickReplies = result.nextSteps && result.nextSteps.length > 0 
       ? result.nextSteps.slice(0, 3)  // Limit to 3 quick replies
@@ -291,22 +1280,86 @@ class AgentAdamApp {
     
     // Render response
     this.chat.renderMessage(message, 'adam', new Date(), {
-      quickReplies: quickReplies
+      quickReplies: quickReplies,
+      simulated: simulated,
+      commandId: result.commandId,
+      result: result
     });
     
     // Send result to parent window if in iframe
     this.sendToParent({
       type: 'adam-response',
       result: result,
+      simulated: simulated,
       timestamp: Date.now()
     });
   }
 
+  handleAdminResult(response, simulated = false, commandId = null) {
+    if (!this.chat || !response) return;
+    
+    const details = response.details || {};
+    
+    // Summary first, then the execution details
+    let message = `**${response.summary || 'Command processed.'}**\n\n`;
+    message += this.formatResultMessage(details);
+    
+    if (response.recommendedActions && response.recommendedActions.length > 0) {
+      message += '\n\n**Recommended actions:**\n';
+      response.recommendedActions.forEach(action => {
+        message += `• ${action}\n`;
+      });
+    }
+    
+    const quickReplies = response.recommendedActions && response.recommendedActions.length > 0
+      ? response.recommendedActions.slice(0, 3)
+      : ['Got it!', 'What else can you do?'];
+    
+    this.chat.renderMessage(message, 'adam', new Date(), {
+      quickReplies: quickReplies,
+      simulated: simulated,
+      commandId: commandId || details.commandId,
+      result: response.details || null
+    });
+    
+    // Alerts are surfaced as their own warnings so they are not lost in the summary
+    (response.alerts || []).forEach(alert => {
+      this.chat.addSystemMessage(alert, 'warning');
+    });
+    
+    this.sendToParent({
+      type: 'adam-response',
+      result: details,
+      simulated: simulated,
+      admin: {
+        summary: response.summary,
+        recommendedActions: response.recommendedActions,
+        alerts: response.alerts
+      },
+      timestamp: Date.now()
+    });
+  }
+
+  handlePromptAction(action) {
+    if (action === 'switch-live') {
+      this.switchMode('live');
+    } else if (action === 'switch-demo') {
+      this.switchMode('demo');
+    } else if (action === 'reset-demo') {
+      this.resetDemo();
+    }
+  }
+
   async handleQuickReply(reply) {
     await this.processCommand(reply);
   }
 
   async handleWebhook(webhookId, eventType, payload) {
+    if (!(await this.identityReady())) {
+      this.chat.addErrorMessage(this.identityError);
+      return;
+    }
+    
     try {
       const result = await this.icpService.handleWebhook(
         webhookId, 
@@ -329,6 +1382,46 @@ class AgentAdamApp {
     }
   }
 
+  checkInterfaceReport() {
+    const report = icpService.getInterfaceReport();
+    if (!report || report.compatible) return;
+    
+    this.updateStatus('degraded', 'Version mismatch');
+    if (this.chat) {
+      this.chat.addSystemMessage(
+        `Agent Adam's canister interface has changed since this page was built. ` +
+        `These features are disabled until the frontend is updated: ${report.incompatibleMethods.join(', ')}.`,
+        'warning'
+      );
+    }
+  }
+
+  handleCircuitState(circuit) {
+    if (circuit.state === 'open') {
+      this.updateStatus('degraded', 'Degraded - canister unreachable, retrying soon');
+    } else if (circuit.state === 'half-open') {
+      this.updateStatus('degraded', 'Degraded - reconnecting...');
+    } else {
+      this.updateStatus('online', this.getOnlineStatusText());
+      this.replayOutbox();
+    }
+  }
+
+  getOnlineStatusText() {
+    if (this.replayService) {
+      const { played, total } = this.replayService.getProgress();
+      return `Replaying ${this.replayService.fileName} - ${played}/${total} commands`;
+    }
+    if (this.demoMode) {
+      return demoICPService.faults.isActive()
+        ? `Demo Mode - simulated, faults: ${formatFaultProfile(demoICPService.faults.getProfile())}`
+        : 'Demo Mode - responses are simulated';
+    }
+    
+    const { network } = this.icpService.getConnectionInfo();
+    return `Connected to ICP (${network})`;
+  }
+
   updateStatus(status, message) {
     const statusElement = document.getElementById('statusText');
     const indicator = document.querySelector('.status-indicator');
@@ -342,6 +1435,33 @@ class AgentAdamApp {
     }
   }
 
+  updateIdentityUI(state) {
+    const principalElement = document.getElementById('identityPrincipal');
+    const authButton = document.getElementById('authButton');
+    
+    if (principalElement) {
+      const principal = state.principal || '';
+      principalElement.textContent = principal.length > 16
+        ? `${principal.slice(0, 5)}…${principal.slice(-3)}`
+        : principal;
+      principalElement.title = principal;
+      principalElement.className = state.isAuthenticated ? 'identity-authenticated' : 'identity-local';
+    }
+    
+    if (authButton) {
+      authButton.textContent = state.isAuthenticated ? 'Log out' : 'Log in';
+    }
+  }
+
+  updateConnectionInfo() {
+    const element = document.getElementById('connectionInfo');
+    if (!element) return;
+    
+    const { network, host, canisterId } = this.icpService.getConnectionInfo();
+    element.textContent = canisterId ? `${network} · ${canisterId}` : network;
+    element.title = host ? `${canisterId} @ ${host}` : '';
+  }
+
   updateSidebarStats(stats) {
     const elements = {
       totalCommands: document.getElementById('recentCommands'),
@@ -354,11 +1474,11 @@ class AgentAdamApp {
     }
     
     if (elements.activeWorkflows) {
-      elements.activeWorkflows.textContent = stats.activeWorkflows || '-';
+      elements.activeWorkflows.textContent = typeof stats.activeWorkflows === 'number' ? String(stats.activeWorkflows) : '-';
     }
     
     if (elements.totalContacts) {
-      elements.totalContacts.textContent = stats.totalContacts || '-';
+      elements.totalContacts.textContent = typeof stats.totalContacts === 'number' ? String(stats.totalContacts) : '-';
     }
   }
 
@@ -388,10 +1508,14 @@ class AgentAdamApp {
     
     const item = document.createElement('div');
     item.className = 'activity-item';
-    item.innerHTML = `
-      <span>${description}</span>
-      <small>${time}</small>
-    `;
+    
+    // Descriptions quote instructions and webhook event types, so they are set as text
+    const descriptionElement = document.createElement('span');
+    descriptionElement.textContent = description;
+    const timeElement = document.createElement('small');
+    timeElement.textContent = time;
+    item.appendChild(descriptionElement);
+    item.appendChild(timeElement);
     
     // Add to top of list
     activityList.insertBefore(item, activityList.firstChild);
@@ -403,15 +1527,6 @@ class AgentAdamApp {
     }
   }
 
-  async refreshStats() {
-    try {
-      const status = await this.icpService.getStatus();
-      this.updateSidebarStats(status);
-    } catch (error) {
-      console.error('Failed to refresh stats:', error);
-    }
-  }
-
   showWelcomeMessage() {
     if (!this.chat) return;
     
@@ -1,15 +1,58 @@
 /**
  * Chat Component - Handles the chat interface for Agent Adam
  * Manages message display, user input, and real-time communication
+ *
+ * The message list is windowed: every message (with its quick replies) lives in a row that is
+ * only attached to #messages while it is near the viewport. Spacers stand in for the rows above
+ * and below, so the scrollbar still covers the whole conversation. Detached rows keep their
+ * elements, so references returned by renderMessage stay valid and can still be updated.
+ *
+ * New messages dispatch 'messageAdded' and status changes 'messageUpdated' so the conversation
+ * can be saved; restoreMessages renders saved messages without dispatching either. Each row keeps
+ * the message as data too, which getTranscript returns for exports.
+ *
+ * Messages that report an ExecutionResult list its actions as cards, built by the renderer registered
+ * for each actionType (see ActionCards.js and registerActionRenderer).
  */
 
+import { renderMarkdown } from '../services/MarkdownRenderer.js';
+import { ACTION_RENDERERS, extractResultId } from '../services/ActionCards.js';
+
+// Height assumed for rows that have not been laid out yet
+const ESTIMATED_ROW_HEIGHT = 96;
+
+// Viewport assumed while #messages has no height (hidden or not laid out)
+const FALLBACK_VIEWPORT_HEIGHT = 600;
+
+const RESULT_STATUS_TEXT = {
+  Completed: 'Completed',
+  PartialSuccess: 'Partial success',
+  Failed: 'Failed',
+  Pending: 'Pending',
+  Processing: 'Processing'
+};
+
 class Chat {
-  constructor(containerElement) {
+  /**
+   * @param {HTMLElement} containerElement - Element holding #messages
+   * @param {Object} options - { overscan: viewport heights rendered above and below the visible area (default 1),
+   *   actionRenderers: action card renderers by actionType, added to the built-in ones }
+   */
+  constructor(containerElement, options = {}) {
     this.container = containerElement;
     this.messagesContainer = containerElement.querySelector('#messages');
     this.isAtBottom = true;
     this.messageIdCounter = 0;
+    // Message IDs are unique across page loads, so saved messages never collide with new ones
+    this.messageIdPrefix = createMessageIdPrefix();
     this.typingIndicatorId = null;
+    this.overscan = options.overscan ?? 1;
+    this.rows = [];
+    this.rowsById = new Map();
+    this.resetRowOffsets();
+    this.actionRenderers = new Map(Object.entries({ ...ACTION_RENDERERS, ...options.actionRenderers }));
+    this.windowFrame = null;
+    this.muted = false;
     
     this.init();
   }
@@ -23,9 +66,14 @@ class Chat {
       return;
     }
 
-    // Listen for scroll events to track position
+    // Messages from the page markup (the welcome message) are kept when a conversation is reset
+    this.staticNodes = Array.from(this.messagesContainer.childNodes);
+    this.createSpacers();
+
+    // Listen for scroll events to track position and move the rendered window
     this.messagesContainer.addEventListener('scroll', () => {
       this.updateScrollPosition();
+      this.scheduleWindowUpdate();
     });
 
     // Add resize observer to handle container changes
@@ -33,23 +81,45 @@ class Chat {
       const resizeObserver = new ResizeObserver(() => {
         if (this.isAtBottom) {
           this.scrollToBottom();
+        } else {
+          this.scheduleWindowUpdate();
         }
       });
       resizeObserver.observe(this.messagesContainer);
+      
+      // Attached rows are observed so content that changes size (images loading, cards) is re-measured
+      this.rowObserver = new ResizeObserver(entries => this.handleRowResize(entries));
     }
   }
 
+  /**
+   * Add the spacers that stand in for detached rows
+   * Messages already in the markup (the welcome message) stay above them and are never detached.
+   */
+  createSpacers() {
+    this.staticMessageCount = this.messagesContainer.querySelectorAll('.message').length;
+    
+    this.topSpacer = document.createElement('div');
+    this.topSpacer.className = 'message-spacer';
+    this.topSpacer.hidden = true;
+    this.bottomSpacer = this.topSpacer.cloneNode();
+    
+    this.messagesContainer.appendChild(this.topSpacer);
+    this.messagesContainer.appendChild(this.bottomSpacer);
+  }
+
   /**
    * Render a new message in the chat
    * @param {string} message - The message content
    * @param {string} sender - The sender ('user' or 'adam')
    * @param {Date|string} timestamp - Message timestamp
-   * @param {Object} options - Additional options
+   * @param {Object} options - { status, quickReplies, simulated, commandId, result: ExecutionResult the message reports,
+   *   id: reuse a saved message's ID }
    * @returns {HTMLElement} The created message element
    */
   renderMessage(message, sender = 'adam', timestamp = new Date(), options = {}) {
     const messageElement = document.createElement('div');
-    const messageId = `msg-${++this.messageIdCounter}`;
+    const messageId = options.id || `msg-${this.messageIdPrefix}-${++this.messageIdCounter}`;
     
     messageElement.id = messageId;
     messageElement.className = `message message-${sender}`;
@@ -58,19 +128,27 @@ class Chat {
     const contentElement = document.createElement('div');
     contentElement.className = 'message-content';
     
-    // Support markdown-like formatting
-    const formattedMessage = this.formatMessage(message);
-    contentElement.innerHTML = formattedMessage;
+    // Markdown is rendered to sanitized HTML: message text is never trusted markup
+    contentElement.innerHTML = this.formatMessage(message);
     
     // Create timestamp
     const timeElement = document.createElement('div');
     timeElement.className = 'message-time';
     timeElement.textContent = this.formatTimestamp(timestamp);
     
+    // Actions of a reported result follow the text, where the "Actions taken" list used to be
+    if (options.result && options.result.actions && options.result.actions.length > 0) {
+      contentElement.appendChild(this.renderActions(options.result));
+    }
+    
     // Assemble message
     messageElement.appendChild(contentElement);
     messageElement.appendChild(timeElement);
     
+    if (options.simulated) {
+      this.markSimulated(messageElement);
+    }
+    
     // Add delivery status if specified
     if (options.status) {
       const statusElement = document.createElement('div');
@@ -79,8 +157,27 @@ class Chat {
       messageElement.appendChild(statusElement);
     }
     
-    // Add to messages container
-    this.messagesContainer.appendChild(messageElement);
+    // Add a row for the message; it is attached if it lands in the rendered window
+    const row = document.createElement('div');
+    row.className = 'message-row';
+    row.dataset.messageId = messageId;
+    row.appendChild(messageElement);
+    
+    const data = {
+      id: messageId,
+      sender,
+      text: message,
+      timestamp,
+      status: options.status || null,
+      quickReplies: options.quickReplies || [],
+      simulated: Boolean(options.simulated),
+      commandId: options.commandId || null,
+      result: options.result || null
+    };
+    
+    const record = { id: messageId, index: this.rows.length, row, message: messageElement, height: null, data };
+    this.rows.push(record);
+    this.rowsById.set(messageId, record);
     
     // Handle quick replies
     if (options.quickReplies && options.quickReplies.length > 0) {
@@ -90,35 +187,342 @@ class Chat {
     // Auto-scroll if at bottom
     if (this.isAtBottom) {
       this.scrollToBottom();
+    } else {
+      this.updateWindow();
     }
     
     // Add entrance animation
     this.animateMessageEntrance(messageElement);
     
+    this.emit('messageAdded', { ...data });
+    
     return messageElement;
   }
 
   /**
-   * Format message content with basic markdown support
+   * Render saved messages, oldest first, without dispatching 'messageAdded' or 'messageUpdated'
+   * @param {Array<Object>} messages - ConversationMessage records
+   */
+  restoreMessages(messages) {
+    const wasMuted = this.muted;
+    this.muted = true;
+    
+    try {
+      messages.forEach(message => {
+        if (message.items) {
+          const batchElement = this.renderBatch(message.items.map(item => item.instruction), message.timestamp, {
+            id: message.id,
+            commandIds: message.items.map(item => item.commandId)
+          });
+          if (message.simulated) {
+            this.markSimulated(batchElement);
+          }
+          message.items.forEach((item, index) => {
+            if (item.status && item.status !== 'pending') {
+              this.updateBatchItem(batchElement.id, index, item.status, item.detail || '', item.result);
+            }
+          });
+          return;
+        }
+        
+        this.renderMessage(message.text, message.sender, message.timestamp, {
+          id: message.id,
+          status: message.status,
+          quickReplies: message.quickReplies,
+          simulated: message.simulated,
+          commandId: message.commandId,
+          result: message.result
+        });
+      });
+    } finally {
+      this.muted = wasMuted;
+    }
+    
+    this.scrollToBottom(false);
+  }
+
+  /**
+   * Dispatch a conversation event from the chat container, unless restoring
+   */
+  emit(type, detail) {
+    if (this.muted) return;
+    this.container.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Label a message as a simulated demo response
+   * @param {HTMLElement} messageElement - Message to label
+   */
+  markSimulated(messageElement) {
+    if (messageElement.querySelector('.simulated-badge')) return;
+    
+    const badge = document.createElement('div');
+    badge.className = 'simulated-badge';
+    badge.textContent = 'Simulated - not sent to GoHighLevel';
+    
+    messageElement.classList.add('message-simulated');
+    messageElement.insertBefore(badge, messageElement.firstChild);
+    
+    // Messages still being rendered report it with 'messageAdded'
+    const record = this.rowsById.get(messageElement.id);
+    if (record) {
+      this.invalidateRowHeight(record.id);
+      record.data.simulated = true;
+      this.emit('messageUpdated', { id: messageElement.id, simulated: true });
+    }
+  }
+
+  /**
+   * Render a batch of user instructions as one message with a status per item
+   * Each item row has its own ID (see getBatchItemId) so updateMessageStatus works on it.
+   * @param {Array<string>} instructions - Instructions in the batch
+   * @param {Date|string} timestamp - Message timestamp
+   * @param {Object} options - { commandIds: one per instruction, id: reuse a saved message's ID }
+   * @returns {HTMLElement} The created message element
+   */
+  renderBatch(instructions, timestamp = new Date(), options = {}) {
+    // Reported below with its items rather than as an empty message
+    const wasMuted = this.muted;
+    this.muted = true;
+    const messageElement = this.renderMessage('', 'user', timestamp, { id: options.id });
+    this.muted = wasMuted;
+    messageElement.classList.add('message-batch');
+    
+    const contentElement = messageElement.querySelector('.message-content');
+    
+    const summaryElement = document.createElement('div');
+    summaryElement.className = 'batch-summary';
+    contentElement.appendChild(summaryElement);
+    
+    const listElement = document.createElement('ol');
+    listElement.className = 'batch-items';
+    
+    instructions.forEach((instruction, index) => {
+      const itemElement = document.createElement('li');
+      itemElement.id = this.getBatchItemId(messageElement.id, index);
+      itemElement.className = 'batch-item';
+      
+      const instructionElement = document.createElement('span');
+      instructionElement.className = 'batch-instruction';
+      instructionElement.textContent = instruction;
+      
+      const statusElement = document.createElement('span');
+      statusElement.className = 'message-status status-pending';
+      statusElement.textContent = this.getStatusText('pending');
+      
+      const detailElement = document.createElement('div');
+      detailElement.className = 'batch-detail';
+      
+      itemElement.appendChild(instructionElement);
+      itemElement.appendChild(statusElement);
+      itemElement.appendChild(detailElement);
+      listElement.appendChild(itemElement);
+    });
+    
+    contentElement.appendChild(listElement);
+    this.updateBatchSummary(messageElement.id);
+    this.invalidateRowHeight(messageElement.id);
+    
+    const commandIds = options.commandIds || [];
+    const { data } = this.rowsById.get(messageElement.id);
+    data.items = instructions.map((instruction, index) => ({
+      instruction,
+      status: 'pending',
+      detail: '',
+      commandId: commandIds[index] || null,
+      result: null
+    }));
+    this.emit('messageAdded', { ...data, items: data.items.map(item => ({ ...item })) });
+    
+    return messageElement;
+  }
+
+  /**
+   * Get the element ID of one item in a batch message
+   * @param {string} messageId - Batch message ID
+   * @param {number} index - Item index
+   * @returns {string}
+   */
+  getBatchItemId(messageId, index) {
+    return `${messageId}-item-${index}`;
+  }
+
+  /**
+   * Update the status and detail line of one batch item
+   * @param {string} messageId - Batch message ID
+   * @param {number} index - Item index
+   * @param {string} status - 'pending', 'sending', 'delivered', 'queued', 'cancelled' or 'error'
+   * @param {string} detail - Optional result or error text
+   * @param {Object|null} result - ExecutionResult of the item's command, if it completed
+   */
+  updateBatchItem(messageId, index, status, detail = '', result = null) {
+    const itemId = this.getBatchItemId(messageId, index);
+    
+    const itemElement = this.findElement(itemId);
+    const detailElement = itemElement && itemElement.querySelector('.batch-detail');
+    if (detailElement) {
+      detailElement.textContent = detail;
+    }
+    
+    this.updateMessageStatus(itemId, status, result ? { detail, result } : { detail });
+  }
+
+  /**
+   * Refresh the "n of m done" line of a batch message
+   * @param {string} messageId - Batch message ID
+   */
+  updateBatchSummary(messageId) {
+    const messageElement = this.findElement(messageId);
+    if (!messageElement) return;
+    
+    const statuses = Array.from(messageElement.querySelectorAll('.batch-item .message-status'))
+      .map(element => element.className.replace('message-status status-', ''));
+    const count = (status) => statuses.filter(candidate => candidate === status).length;
+    const done = count('delivered') + count('error') + count('cancelled');
+    
+    const parts = [`Batch: ${done} of ${statuses.length} done`];
+    if (count('error') > 0) parts.push(`${count('error')} failed`);
+    if (count('cancelled') > 0) parts.push(`${count('cancelled')} cancelled`);
+    if (count('queued') > 0) parts.push(`${count('queued')} queued`);
+    
+    messageElement.querySelector('.batch-summary').textContent = parts.join(' · ');
+  }
+
+  /**
+   * Format message content as Markdown
+   * Raw HTML in the message is escaped, so canister, webhook and user text cannot inject markup.
    * @param {string} message - Raw message
-   * @returns {string} Formatted HTML
+   * @returns {string} Sanitized HTML
    */
   formatMessage(message) {
-    return message
-      // Bold text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      // Italic text
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      // Code blocks
-      .replace(/```(.*?)```/gs, '<pre><code>$1</code></pre>')
-      // Inline code
-      .replace(/`(.*?)`/g, '<code>$1</code>')
-      // Line breaks
-      .replace(/\n/g, '<br>')
-      // Links
-      .replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" rel="noopener">$1</a>')
-      // Email addresses
-      .replace(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g, '<a href="mailto:$1">$1</a>');
+    return renderMarkdown(message);
+  }
+
+  /**
+   * Register the card renderer of an action type, replacing any earlier one
+   * @param {string} actionType - ExecutedAction.actionType, e.g. 'create_contact'
+   * @param {Function} renderer - (action) => ActionCard ({ icon, title, fields }), or null to show the action as text
+   */
+  registerActionRenderer(actionType, renderer) {
+    this.actionRenderers.set(actionType, renderer);
+  }
+
+  /**
+   * Render the actions of a result: a card per action with a renderer, "• description" text for the rest
+   * @param {Object} result - Normalized ExecutionResult
+   * @returns {HTMLElement} The actions element
+   */
+  renderActions(result) {
+    const actionsElement = document.createElement('div');
+    actionsElement.className = 'message-actions';
+    
+    const titleElement = document.createElement('div');
+    titleElement.className = 'message-actions-title';
+    titleElement.textContent = 'Actions taken';
+    actionsElement.appendChild(titleElement);
+    
+    const status = (result.status && result.status.type) || 'Completed';
+    let fallbackLines = [];
+    
+    const flushFallback = () => {
+      if (fallbackLines.length === 0) return;
+      const fallbackElement = document.createElement('div');
+      fallbackElement.className = 'action-fallback';
+      fallbackElement.innerHTML = this.formatMessage(fallbackLines.join('\n'));
+      actionsElement.appendChild(fallbackElement);
+      fallbackLines = [];
+    };
+    
+    result.actions.forEach(action => {
+      const renderer = this.actionRenderers.get(action.actionType);
+      let card = null;
+      try {
+        card = renderer ? renderer(action) : null;
+      } catch (error) {
+        console.warn(`Action renderer for ${action.actionType} failed:`, error);
+      }
+      
+      if (!card) {
+        fallbackLines.push(`• ${action.description}`);
+        return;
+      }
+      
+      flushFallback();
+      actionsElement.appendChild(this.createActionCard(action, card, status));
+    });
+    flushFallback();
+    
+    return actionsElement;
+  }
+
+  /**
+   * Build an action card; every value is set as text
+   * @param {Object} action - ExecutedAction
+   * @param {Object} card - { icon, title, fields } from the action's renderer
+   * @param {string} status - ExecutionStatus type of the result
+   * @returns {HTMLElement}
+   */
+  createActionCard(action, card, status) {
+    const cardElement = document.createElement('div');
+    cardElement.className = 'action-card';
+    cardElement.setAttribute('data-action-type', action.actionType);
+    
+    const header = document.createElement('div');
+    header.className = 'action-card-header';
+    
+    const icon = document.createElement('span');
+    icon.className = 'action-card-icon';
+    icon.textContent = card.icon || '⚡';
+    
+    const title = document.createElement('span');
+    title.className = 'action-card-title';
+    title.textContent = card.title;
+    
+    const statusElement = document.createElement('span');
+    statusElement.className = `action-card-status action-status-${status.toLowerCase()}`;
+    statusElement.textContent = RESULT_STATUS_TEXT[status] || status;
+    
+    header.appendChild(icon);
+    header.appendChild(title);
+    header.appendChild(statusElement);
+    cardElement.appendChild(header);
+    
+    const fields = [...(card.fields || [])];
+    const resultId = extractResultId(action.result);
+    if (resultId) {
+      fields.push({ ...resultId, id: true });
+    }
+    
+    if (fields.length > 0) {
+      const list = document.createElement('dl');
+      list.className = 'action-card-fields';
+      fields.forEach(field => {
+        const label = document.createElement('dt');
+        label.textContent = field.label;
+        const value = document.createElement('dd');
+        if (field.id) {
+          const code = document.createElement('code');
+          code.textContent = field.value;
+          value.appendChild(code);
+        } else {
+          value.textContent = field.value;
+        }
+        list.appendChild(label);
+        list.appendChild(value);
+      });
+      cardElement.appendChild(list);
+    }
+    
+    const date = action.timestamp instanceof Date ? action.timestamp : new Date(action.timestamp);
+    if (!isNaN(date.getTime())) {
+      const time = document.createElement('time');
+      time.className = 'action-card-time';
+      time.setAttribute('datetime', date.toISOString());
+      time.textContent = date.toLocaleString();
+      cardElement.appendChild(time);
+    }
+    
+    return cardElement;
   }
 
   /**
@@ -145,7 +549,14 @@ class Chat {
       quickRepliesContainer.appendChild(button);
     });
     
-    this.messagesContainer.appendChild(quickRepliesContainer);
+    // Quick replies share their message's row so they are windowed with it
+    const record = this.rowsById.get(messageId);
+    if (record) {
+      record.row.appendChild(quickRepliesContainer);
+      this.invalidateRowHeight(messageId);
+    } else {
+      this.messagesContainer.insertBefore(quickRepliesContainer, this.topSpacer);
+    }
     
     if (this.isAtBottom) {
       this.scrollToBottom();
@@ -177,11 +588,23 @@ class Chat {
 
   /**
    * Clear all messages from the chat
+   * @param {Object} options - { keepStatic: keep the messages from the page markup, such as the welcome message }
    */
-  clearMessages() {
+  clearMessages(options = {}) {
     this.messagesContainer.innerHTML = '';
     this.messageIdCounter = 0;
-    this.hideTypingIndicator();
+    this.messageIdPrefix = createMessageIdPrefix();
+    this.rows.forEach(record => this.unobserveRow(record.row));
+    this.rows = [];
+    this.rowsById.clear();
+    this.resetRowOffsets();
+    this.typingIndicatorId = null;
+    this.isAtBottom = true;
+    
+    if (options.keepStatic) {
+      this.staticNodes.forEach(node => this.messagesContainer.appendChild(node));
+    }
+    this.createSpacers();
   }
 
   /**
@@ -189,6 +612,9 @@ class Chat {
    * @param {boolean} smooth - Use smooth scrolling
    */
   scrollToBottom(smooth = true) {
+    // Render the newest rows first so scrollHeight ends with them
+    this.updateWindow({ atBottom: true });
+    
     const scrollOptions = {
       top: this.messagesContainer.scrollHeight,
       behavior: smooth ? 'smooth' : 'auto'
@@ -201,8 +627,9 @@ class Chat {
   /**
    * Show typing indicator
    * @param {string} sender - Who is typing (default: 'adam')
+   * @param {Object} options - { stoppable: show a Stop button that dispatches 'stopRequested' }
    */
-  showTypingIndicator(sender = 'adam') {
+  showTypingIndicator(sender = 'adam', options = {}) {
     this.hideTypingIndicator(); // Remove existing indicator
     
     const indicator = document.createElement('div');
@@ -220,6 +647,18 @@ class Chat {
     indicator.appendChild(dots);
     indicator.appendChild(label);
     
+    if (options.stoppable) {
+      const stopButton = document.createElement('button');
+      stopButton.className = 'typing-stop';
+      stopButton.type = 'button';
+      stopButton.textContent = 'Stop';
+      stopButton.addEventListener('click', () => {
+        stopButton.disabled = true;
+        this.container.dispatchEvent(new CustomEvent('stopRequested'));
+      });
+      indicator.appendChild(stopButton);
+    }
+    
     this.messagesContainer.appendChild(indicator);
     this.typingIndicatorId = indicator.id;
     
@@ -244,10 +683,11 @@ class Chat {
   /**
    * Update message status
    * @param {string} messageId - Message ID
-   * @param {string} status - New status ('sending', 'delivered', 'error')
+   * @param {string} status - New status ('pending', 'queued', 'sending', 'delivered', 'cancelled', 'error')
+   * @param {Object} changes - Other fields reported with 'messageUpdated' (the detail of a batch item)
    */
-  updateMessageStatus(messageId, status) {
-    const messageElement = document.getElementById(messageId);
+  updateMessageStatus(messageId, status, changes = {}) {
+    const messageElement = this.findElement(messageId);
     if (!messageElement) return;
     
     let statusElement = messageElement.querySelector('.message-status');
@@ -259,6 +699,35 @@ class Chat {
     
     statusElement.className = `message-status status-${status}`;
     statusElement.textContent = this.getStatusText(status);
+    
+    // Items of a batch message also refresh the batch summary
+    const batchElement = messageElement.closest('.message-batch');
+    if (batchElement && batchElement !== messageElement) {
+      this.updateBatchSummary(batchElement.id);
+    }
+    
+    this.invalidateRowHeight(messageId);
+    this.updateData(messageId, { status, ...changes });
+    this.emit('messageUpdated', { id: messageId, status, ...changes });
+  }
+
+  /**
+   * Apply changes to the data of a message, or of one batch item
+   * @param {string} id - Message ID or batch item ID
+   * @param {Object} changes - Fields to change
+   */
+  updateData(id, changes) {
+    const record = this.rowsById.get(id);
+    if (record) {
+      Object.assign(record.data, changes);
+      return;
+    }
+    
+    const item = /^(.+)-item-(\d+)$/.exec(id);
+    const owner = item && this.rowsById.get(item[1]);
+    if (owner && owner.data.items && owner.data.items[item[2]]) {
+      Object.assign(owner.data.items[item[2]], changes);
+    }
   }
 
   /**
@@ -290,21 +759,315 @@ class Chat {
     this.renderMessage(systemMessage, 'system', new Date());
   }
 
+  /**
+   * Add a system message with action buttons
+   * Clicking a button dispatches 'promptAction' with { action } and disables the prompt.
+   * @param {string} message - Prompt text
+   * @param {Array<Object>} actions - [{ label, action }]
+   * @param {string} type - Message type ('info', 'warning', 'success')
+   * @returns {HTMLElement} The prompt message element
+   */
+  addActionPrompt(message, actions, type = 'info') {
+    this.addSystemMessage(message, type);
+    const messageElement = this.getLastMessage();
+    
+    const actionsElement = document.createElement('div');
+    actionsElement.className = 'prompt-actions';
+    
+    actions.forEach(({ label, action }) => {
+      const button = document.createElement('button');
+      button.className = 'prompt-action-button';
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.closePrompt(messageElement);
+        this.container.dispatchEvent(new CustomEvent('promptAction', {
+          detail: { action, messageId: messageElement.id }
+        }));
+      });
+      actionsElement.appendChild(button);
+    });
+    
+    messageElement.appendChild(actionsElement);
+    return messageElement;
+  }
+
+  /**
+   * Disable the buttons of a prompt that no longer applies
+   * @param {HTMLElement} messageElement - Element returned by addActionPrompt
+   */
+  closePrompt(messageElement) {
+    if (!messageElement) return;
+    
+    messageElement.querySelectorAll('.prompt-action-button').forEach(button => {
+      button.disabled = true;
+    });
+    messageElement.classList.add('prompt-closed');
+  }
+
   /**
    * Get the last message element
    * @returns {HTMLElement|null} Last message element
    */
   getLastMessage() {
+    if (this.rows.length > 0) {
+      return this.rows[this.rows.length - 1].message;
+    }
     const messages = this.messagesContainer.querySelectorAll('.message');
     return messages[messages.length - 1] || null;
   }
 
   /**
-   * Get message count
+   * Get message count, including messages outside the rendered window
    * @returns {number} Number of messages
    */
   getMessageCount() {
-    return this.messagesContainer.querySelectorAll('.message').length;
+    return this.staticMessageCount + this.rows.length;
+  }
+
+  /**
+   * Get the conversation as data, oldest message first
+   * Messages from the page markup (the welcome message) are not included.
+   * @returns {Array<Object>} Copies of the message data: { id, sender, text, timestamp, status, quickReplies,
+   *   simulated, commandId, result, items }
+   */
+  getTranscript() {
+    return this.rows.map(({ data }) => ({
+      ...data,
+      quickReplies: [...data.quickReplies],
+      ...(data.items ? { items: data.items.map(item => ({ ...item })) } : {})
+    }));
+  }
+
+  /**
+   * Find a message, or an element inside one (such as a batch item), whether or not it is rendered
+   * @param {string} id - Element ID
+   * @returns {HTMLElement|null}
+   */
+  findElement(id) {
+    const record = this.rowsById.get(id);
+    if (record) return record.message;
+    
+    // IDs of elements inside a message start with the message ID (see getBatchItemId)
+    const ownerRecord = this.rowsById.get(id.replace(/-item-\d+$/, ''));
+    if (ownerRecord) {
+      return ownerRecord.row.querySelector(`[id="${id}"]`);
+    }
+    return document.getElementById(id);
+  }
+
+  /**
+   * Update the rendered window on the next frame
+   */
+  scheduleWindowUpdate() {
+    if (this.windowFrame) return;
+    
+    this.windowFrame = requestAnimationFrame(() => {
+      this.windowFrame = null;
+      this.updateWindow();
+    });
+  }
+
+  /**
+   * Attach the rows near the viewport and size the spacers for the rest
+   * @param {Object} options - { atBottom: render the newest rows whatever the scroll position }
+   */
+  updateWindow(options = {}) {
+    if (!this.messagesContainer || this.rows.length === 0) return;
+    
+    const container = this.messagesContainer;
+    if (this.rowGap === undefined) {
+      this.rowGap = parseFloat(window.getComputedStyle(container).rowGap) || 0;
+    }
+    const gap = this.rowGap;
+    
+    // Measure attached rows; the others keep their last measurement or the estimate
+    for (let index = this.windowStart; index < this.windowEnd; index++) {
+      this.measureRow(this.rows[index]);
+    }
+    this.updateRowOffsets();
+    
+    const viewport = container.clientHeight || FALLBACK_VIEWPORT_HEIGHT;
+    const margin = viewport * this.overscan;
+    const listTop = this.topSpacer.offsetTop;
+    const total = this.getRowBottom(this.rows.length - 1);
+    
+    // Pinned to the bottom, the viewport shows the end of the list wherever scrollTop is right now
+    const pinned = options.atBottom || this.isAtBottom;
+    const viewTop = pinned ? Math.max(0, total - viewport) : container.scrollTop - listTop;
+    const top = viewTop - margin;
+    const bottom = pinned ? Infinity : viewTop + viewport + margin;
+    
+    // First row reaching below `top` (offsets only grow, so binary search)
+    let low = 0;
+    let high = this.rows.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.getRowBottom(middle) < top) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    const start = low;
+    let end = start + 1;
+    while (end < this.rows.length && this.rowOffsets[end] < bottom) {
+      end++;
+    }
+    
+    this.renderRange(start, end);
+    this.setSpacerHeight(this.topSpacer, start, this.rowOffsets[start], gap);
+    this.setSpacerHeight(this.bottomSpacer, this.rows.length - end, total - this.getRowBottom(end - 1), gap);
+  }
+
+  /**
+   * Attach rows [start, end) in order and detach the rows of the previous window outside it
+   */
+  renderRange(start, end) {
+    const container = this.messagesContainer;
+    
+    for (let index = this.windowStart; index < this.windowEnd; index++) {
+      const { row } = this.rows[index];
+      if ((index < start || index >= end) && row.parentNode === container) {
+        row.remove();
+        this.unobserveRow(row);
+      }
+    }
+    
+    for (let index = end - 1; index >= start; index--) {
+      const { row } = this.rows[index];
+      const next = index + 1 < end ? this.rows[index + 1].row : this.bottomSpacer;
+      if (row.parentNode !== container || row.nextSibling !== next) {
+        // Rows coming back into view do not replay their entrance animation
+        if (row.dataset.rendered) {
+          row.classList.add('message-row-restored');
+        }
+        row.dataset.rendered = 'true';
+        container.insertBefore(row, next);
+        if (this.rowObserver) {
+          this.rowObserver.observe(row);
+        }
+      }
+    }
+    
+    this.windowStart = start;
+    this.windowEnd = end;
+  }
+
+  /**
+   * Size a spacer to cover detached rows (row heights include the gap after them)
+   * @param {HTMLElement} spacer
+   * @param {number} count - Rows it stands in for
+   * @param {number} height - Their total height
+   * @param {number} gap - Gap between rows
+   */
+  setSpacerHeight(spacer, count, height, gap) {
+    spacer.hidden = count === 0;
+    spacer.style.height = `${Math.max(0, height - gap)}px`;
+  }
+
+  /**
+   * Forget row offsets and the rendered window, for an empty list
+   */
+  resetRowOffsets() {
+    // rowOffsets[i] is the top of row i in the list; entries from validOffsets on are out of date
+    this.rowOffsets = [];
+    this.validOffsets = 0;
+    this.windowStart = 0;
+    this.windowEnd = 0;
+  }
+
+  /**
+   * Bring row offsets up to date from the first row whose height changed
+   * Appending a message only adds its own offset, so long conversations stay cheap to extend.
+   */
+  updateRowOffsets() {
+    for (let index = this.validOffsets; index < this.rows.length; index++) {
+      this.rowOffsets[index] = index === 0 ? 0 : this.getRowBottom(index - 1);
+    }
+    this.rowOffsets.length = this.rows.length;
+    this.validOffsets = this.rows.length;
+  }
+
+  /**
+   * Bottom of a row in the list (including the gap after it), from up-to-date offsets
+   */
+  getRowBottom(index) {
+    const record = this.rows[index];
+    return this.rowOffsets[index] + (record.height || ESTIMATED_ROW_HEIGHT);
+  }
+
+  /**
+   * Set a row's height and mark the offsets of the rows below it out of date
+   * @param {Object} record - Row record
+   * @param {number|null} height - Measured height including the gap, or null to use the estimate
+   */
+  setRowHeight(record, height) {
+    if (record.height === height) return;
+    record.height = height;
+    this.validOffsets = Math.min(this.validOffsets, record.index + 1);
+  }
+
+  /**
+   * Measure an attached row
+   * @returns {boolean} Whether its height changed
+   */
+  measureRow(record) {
+    const { row } = record;
+    if (row.parentNode !== this.messagesContainer || row.offsetHeight === 0) return false;
+    
+    const height = row.offsetHeight + (this.rowGap || 0);
+    const changed = record.height !== height;
+    this.setRowHeight(record, height);
+    return changed;
+  }
+
+  /**
+   * Drop the measured height of a message whose content changed, and re-render the window
+   * A detached row is measured again when it comes back into view; until then it uses the estimate.
+   * @param {string} id - Message ID or batch item ID
+   */
+  invalidateRowHeight(id) {
+    const record = this.rowsById.get(id) || this.rowsById.get(id.replace(/-item-\d+$/, ''));
+    if (!record || record.height === null) return;
+    
+    this.setRowHeight(record, null);
+    this.scheduleWindowUpdate();
+  }
+
+  /**
+   * Re-measure attached rows that changed size
+   * @param {Array<ResizeObserverEntry>} entries
+   */
+  handleRowResize(entries) {
+    let changed = false;
+    entries.forEach(entry => {
+      const record = this.rowsById.get(entry.target.dataset.messageId);
+      if (record && this.measureRow(record)) {
+        changed = true;
+      }
+    });
+    if (!changed) return;
+    
+    if (this.isAtBottom) {
+      this.scrollToBottom(false);
+    } else {
+      this.scheduleWindowUpdate();
+    }
+  }
+
+  unobserveRow(row) {
+    if (this.rowObserver) {
+      this.rowObserver.unobserve(row);
+    }
+  }
+
+  /**
+   * Get the number of messages attached to the DOM
+   * @returns {number}
+   */
+  getRenderedMessageCount() {
+    return this.rows.filter(record => record.row.parentNode === this.messagesContainer).length;
   }
 
   // Private helper methods
@@ -360,8 +1123,11 @@ class Chat {
    */
   getStatusText(status) {
     const statusTexts = {
+      pending: 'Pending',
+      queued: 'Queued - will send when back online',
       sending: 'Sending...',
       delivered: 'Delivered',
+      cancelled: 'Cancelled',
       error: 'Failed to send',
       processing: 'Processing...'
     };
@@ -386,4 +1152,12 @@ class Chat {
   }
 }
 
+/**
+ * Prefix for the message IDs of one chat session
+ * @returns {string}
+ */
+function createMessageIdPrefix() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`;
+}
+
 export default Chat;
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * DemoDataPanel Component - Export, import and reset controls for demo-mode data
+ * Only shown in demo mode. Resetting is confirmed by the app, so the reset button just dispatches
+ * 'demoResetRequested'; imports dispatch 'demoImported' or 'demoImportFailed'.
+ */
+
+class DemoDataPanel {
+  /**
+   * @param {HTMLElement} containerElement - Element holding the panel buttons and #importDemoFile
+   * @param {DemoICPService} service - Demo service whose state is exported and imported
+   */
+  constructor(containerElement, service) {
+    this.container = containerElement;
+    this.service = service;
+    this.fileInput = containerElement.querySelector('#importDemoFile');
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel buttons
+   */
+  init() {
+    const exportButton = this.container.querySelector('#exportDemo');
+    if (exportButton) {
+      exportButton.addEventListener('click', () => this.exportState());
+    }
+
+    const importButton = this.container.querySelector('#importDemo');
+    if (importButton && this.fileInput) {
+      importButton.addEventListener('click', () => this.fileInput.click());
+      this.fileInput.addEventListener('change', () => {
+        const [file] = this.fileInput.files;
+        if (file) {
+          this.importFile(file);
+        }
+        this.fileInput.value = '';
+      });
+    }
+
+    const resetButton = this.container.querySelector('#resetDemo');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.container.dispatchEvent(new CustomEvent('demoResetRequested'));
+      });
+    }
+  }
+
+  /**
+   * Show the panel in demo mode only
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.container.hidden = !visible;
+  }
+
+  /**
+   * Download the demo state as a JSON file
+   */
+  exportState() {
+    const blob = new Blob([this.service.exportState()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `agent-adam-demo-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import a snapshot file chosen by the user
+   * @param {File} file - Exported demo snapshot
+   */
+  async importFile(file) {
+    try {
+      const status = await this.service.importState(await file.text());
+      this.container.dispatchEvent(new CustomEvent('demoImported', {
+        detail: { status, fileName: file.name }
+      }));
+    } catch (error) {
+      this.container.dispatchEvent(new CustomEvent('demoImportFailed', {
+        detail: { error, fileName: file.name }
+      }));
+    }
+  }
+}
+
+export default DemoDataPanel;
@@ -0,0 +1,135 @@
+/**
+ * DiagnosticsPanel Component - Shows per-method canister call metrics from the MetricsRegistry
+ * Client latency includes the network; canister time is the duration reported by the canister.
+ */
+
+class DiagnosticsPanel {
+  /**
+   * @param {HTMLElement} containerElement - Element holding #diagnosticsMetrics and the panel buttons
+   * @param {MetricsRegistry} registry - Metrics source
+   */
+  constructor(containerElement, registry) {
+    this.container = containerElement;
+    this.registry = registry;
+    this.metricsElement = containerElement.querySelector('#diagnosticsMetrics');
+    this.unsubscribe = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the diagnostics panel
+   */
+  init() {
+    if (!this.metricsElement) {
+      console.error('Diagnostics metrics container not found');
+      return;
+    }
+
+    const exportButton = this.container.querySelector('#exportMetrics');
+    if (exportButton) {
+      exportButton.addEventListener('click', () => this.exportMetrics());
+    }
+
+    const resetButton = this.container.querySelector('#resetMetrics');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => this.registry.reset());
+    }
+
+    this.unsubscribe = this.registry.subscribe(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Render one row per method
+   */
+  render() {
+    if (!this.metricsElement) return;
+
+    const { methods } = this.registry.snapshot();
+    const names = Object.keys(methods).sort();
+
+    if (names.length === 0) {
+      this.metricsElement.innerHTML = '<div class="diagnostics-empty">No canister calls recorded yet</div>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'diagnostics-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Method</th>
+          <th title="Calls">Calls</th>
+          <th title="Share of calls that failed">Errors</th>
+          <th title="Extra attempts made by the retry policy">Retries</th>
+          <th title="Client latency p50 / p95 (network + canister)">Latency</th>
+          <th title="Mean processing time reported by the canister">Canister</th>
+        </tr>
+      </thead>
+    `;
+
+    const body = document.createElement('tbody');
+    names.forEach(name => {
+      const metrics = methods[name];
+      const row = document.createElement('tr');
+      row.title = this.formatCategories(metrics.errorCategories);
+
+      [
+        name,
+        String(metrics.calls),
+        `${Math.round(metrics.errorRate * 100)}%`,
+        String(metrics.retries),
+        `${this.formatMs(metrics.latency.p50)} / ${this.formatMs(metrics.latency.p95)}`,
+        this.formatMs(metrics.canisterDuration.mean)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    this.metricsElement.innerHTML = '';
+    this.metricsElement.appendChild(table);
+  }
+
+  /**
+   * Download the metrics snapshot as a JSON file
+   */
+  exportMetrics() {
+    const blob = new Blob([this.registry.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `agent-adam-metrics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+
+  formatMs(value) {
+    if (value === null || value === undefined) return '-';
+    return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`;
+  }
+
+  formatCategories(categories) {
+    const entries = Object.entries(categories);
+    if (entries.length === 0) return 'No errors';
+    return entries.map(([category, count]) => `${category}: ${count}`).join(', ');
+  }
+
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+export default DiagnosticsPanel;
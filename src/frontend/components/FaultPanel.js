@@ -0,0 +1,95 @@
+/**
+ * FaultPanel Component - Dev controls for the demo service's fault injection
+ * Presets fill in the spec field; Apply switches the profile at runtime. Only shown in demo mode.
+ */
+
+import { FAULT_PROFILES, formatFaultProfile } from '../services/FaultInjector.js';
+
+class FaultPanel {
+  /**
+   * @param {HTMLElement} containerElement - Element holding #faultPreset, #faultSpec, #applyFaults and #faultStatus
+   * @param {FaultInjector} injector - Injector of the demo service
+   */
+  constructor(containerElement, injector) {
+    this.container = containerElement;
+    this.injector = injector;
+    this.presetSelect = containerElement.querySelector('#faultPreset');
+    this.specInput = containerElement.querySelector('#faultSpec');
+    this.statusElement = containerElement.querySelector('#faultStatus');
+    this.unsubscribe = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the fault injection panel
+   */
+  init() {
+    if (!this.presetSelect || !this.specInput) {
+      console.error('Fault injection controls not found');
+      return;
+    }
+
+    Object.keys(FAULT_PROFILES).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.presetSelect.appendChild(option);
+    });
+
+    this.presetSelect.addEventListener('change', () => {
+      this.specInput.value = this.presetSelect.value;
+    });
+
+    const applyButton = this.container.querySelector('#applyFaults');
+    if (applyButton) {
+      applyButton.addEventListener('click', () => this.apply());
+    }
+
+    this.unsubscribe = this.injector.subscribe(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Apply the spec typed in the panel
+   */
+  apply() {
+    try {
+      this.injector.setProfile(this.specInput.value.trim() || null);
+    } catch (error) {
+      this.showStatus(error.message, true);
+    }
+  }
+
+  /**
+   * Show the active profile
+   */
+  render() {
+    const profile = this.injector.getProfile();
+    const spec = formatFaultProfile(profile);
+
+    this.presetSelect.value = FAULT_PROFILES[profile.name] ? profile.name : '';
+    this.specInput.value = spec;
+    this.showStatus(this.injector.isActive() ? `Active: ${spec}` : 'No faults injected', false);
+  }
+
+  showStatus(text, isError) {
+    if (!this.statusElement) return;
+
+    this.statusElement.textContent = text;
+    this.statusElement.classList.toggle('fault-status-error', isError);
+  }
+
+  setVisible(visible) {
+    this.container.hidden = !visible;
+  }
+
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+export default FaultPanel;
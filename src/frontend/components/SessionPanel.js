@@ -0,0 +1,121 @@
+/**
+ * SessionPanel Component - Download the recorded backend session and replay session files
+ * Loading a file dispatches 'sessionReplayRequested' with the parsed session (or 'sessionReplayFailed');
+ * the app decides how to replay it and dispatches nothing back.
+ */
+
+import { parseSession } from '../services/SessionFile.js';
+
+class SessionPanel {
+  /**
+   * @param {HTMLElement} containerElement - Element holding #sessionSummary, the panel buttons and #replaySessionFile
+   * @param {RecordingService} recorder - Recorder whose session is downloaded
+   */
+  constructor(containerElement, recorder) {
+    this.container = containerElement;
+    this.recorder = recorder;
+    this.summaryElement = containerElement.querySelector('#sessionSummary');
+    this.fileInput = containerElement.querySelector('#replaySessionFile');
+    this.stopButton = containerElement.querySelector('#stopReplay');
+    this.unsubscribe = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel buttons
+   */
+  init() {
+    const downloadButton = this.container.querySelector('#downloadSession');
+    if (downloadButton) {
+      downloadButton.addEventListener('click', () => this.downloadSession());
+    }
+
+    const clearButton = this.container.querySelector('#clearSession');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => this.recorder.clear());
+    }
+
+    const replayButton = this.container.querySelector('#replaySession');
+    if (replayButton && this.fileInput) {
+      replayButton.addEventListener('click', () => this.fileInput.click());
+      this.fileInput.addEventListener('change', () => {
+        const [file] = this.fileInput.files;
+        if (file) {
+          this.loadFile(file);
+        }
+        this.fileInput.value = '';
+      });
+    }
+
+    if (this.stopButton) {
+      this.stopButton.addEventListener('click', () => {
+        this.container.dispatchEvent(new CustomEvent('sessionReplayStopped'));
+      });
+    }
+
+    this.unsubscribe = this.recorder.subscribe(() => this.render());
+    this.render();
+  }
+
+  render() {
+    if (!this.summaryElement) return;
+
+    const calls = this.recorder.entries.length;
+    this.summaryElement.textContent = `${calls} call${calls === 1 ? '' : 's'} recorded since ${this.recorder.recordedAt.toLocaleTimeString()}` +
+      (this.recorder.dropped > 0 ? ` (${this.recorder.dropped} oldest dropped)` : '');
+  }
+
+  /**
+   * Show the stop button while a session is replaying
+   * @param {boolean} replaying
+   */
+  setReplaying(replaying) {
+    if (this.stopButton) {
+      this.stopButton.hidden = !replaying;
+    }
+  }
+
+  /**
+   * Download the recorded session as a JSON file
+   */
+  downloadSession() {
+    const blob = new Blob([this.recorder.exportSession()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `agent-adam-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read a session file chosen by the user
+   * @param {File} file - Downloaded session file
+   */
+  async loadFile(file) {
+    try {
+      const session = parseSession(await file.text());
+      this.container.dispatchEvent(new CustomEvent('sessionReplayRequested', {
+        detail: { session, fileName: file.name }
+      }));
+    } catch (error) {
+      this.container.dispatchEvent(new CustomEvent('sessionReplayFailed', {
+        detail: { error, fileName: file.name }
+      }));
+    }
+  }
+
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+export default SessionPanel;
@@ -0,0 +1,118 @@
+/**
+ * ThreadsPanel Component - Lists saved conversations, starts new ones and exports transcripts
+ * Picking a thread dispatches 'threadSelected' with { threadId }; the New button dispatches
+ * 'threadCreateRequested'. The app loads the thread and calls render with the new list.
+ * The export buttons dispatch 'transcriptExportRequested' with { format, destination: 'download' | 'parent' }.
+ */
+
+class ThreadsPanel {
+  /**
+   * @param {HTMLElement} containerElement - Element holding #threadList, #newThread and the transcript controls
+   */
+  constructor(containerElement) {
+    this.container = containerElement;
+    this.listElement = containerElement.querySelector('#threadList');
+    this.formatSelect = containerElement.querySelector('#transcriptFormat');
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel buttons
+   */
+  init() {
+    const newButton = this.container.querySelector('#newThread');
+    if (newButton) {
+      newButton.addEventListener('click', () => {
+        this.container.dispatchEvent(new CustomEvent('threadCreateRequested'));
+      });
+    }
+
+    const exportButtons = { '#downloadTranscript': 'download', '#sendTranscript': 'parent' };
+    Object.entries(exportButtons).forEach(([selector, destination]) => {
+      const button = this.container.querySelector(selector);
+      if (button) {
+        button.addEventListener('click', () => {
+          this.container.dispatchEvent(new CustomEvent('transcriptExportRequested', {
+            detail: { format: this.formatSelect ? this.formatSelect.value : 'markdown', destination }
+          }));
+        });
+      }
+    });
+  }
+
+  /**
+   * Show the "Send to GHL" button only when there is a parent window to send to
+   * @param {boolean} embedded
+   */
+  setEmbedded(embedded) {
+    const sendButton = this.container.querySelector('#sendTranscript');
+    if (sendButton) {
+      sendButton.hidden = !embedded;
+    }
+  }
+
+  /**
+   * Show the threads of the current location and user
+   * @param {Array<Object>} threads - Threads from ConversationStore.listThreads, newest first
+   * @param {string|null} activeThreadId - Thread shown in the chat (null for a new, unsaved one)
+   */
+  render(threads, activeThreadId) {
+    if (!this.listElement) return;
+
+    this.listElement.innerHTML = '';
+
+    if (threads.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'diagnostics-empty';
+      empty.textContent = 'No saved conversations yet';
+      this.listElement.appendChild(empty);
+      return;
+    }
+
+    threads.forEach(thread => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'thread-item';
+      button.classList.toggle('active', thread.id === activeThreadId);
+      button.setAttribute('data-thread-id', thread.id);
+
+      const title = document.createElement('span');
+      title.className = 'thread-title';
+      title.textContent = thread.title;
+
+      const meta = document.createElement('small');
+      meta.textContent = `${thread.messageCount} message${thread.messageCount === 1 ? '' : 's'} · ${new Date(thread.updatedAt).toLocaleString()}`;
+
+      button.appendChild(title);
+      button.appendChild(meta);
+      button.addEventListener('click', () => {
+        this.container.dispatchEvent(new CustomEvent('threadSelected', {
+          detail: { threadId: thread.id }
+        }));
+      });
+
+      this.listElement.appendChild(button);
+    });
+  }
+
+  /**
+   * Download an exported transcript
+   * @param {Object} file - { fileName, mimeType, content } from exportTranscript
+   */
+  download(file) {
+    const blob = new Blob([file.content], { type: file.mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+export default ThreadsPanel;
@@ -0,0 +1,98 @@
+/**
+ * ActionCards - Card contents for ExecutedAction results, keyed by actionType
+ * A renderer turns an action into { icon, title, fields: [{ label, value }] } and Chat builds the card
+ * from it with text nodes only, adding the result ID, status and timestamp itself. Renderers are plain
+ * data so they never produce markup, and read the action's key fields (action.details) rather than
+ * parsing its description.
+ * Actions without a renderer (or whose renderer returns null) are shown as the "• description" text of
+ * older versions.
+ */
+
+// Record IDs in action results, such as "Contact ID: contact_1" or "Appointment ID: apt_2, starts ..."
+const RESULT_ID = /\b([A-Z][A-Za-z]*(?: [A-Z][A-Za-z]*)* ID): ([^\s,;]+)/;
+
+/**
+ * @typedef {Object} ActionCard
+ * @property {string} icon - Emoji shown before the title
+ * @property {string} title - What happened, e.g. 'Contact created'
+ * @property {Array<{label: string, value: string}>} fields - Key fields; empty values are left out
+ */
+
+/**
+ * Find the record ID in an action result
+ * @param {string} result - ExecutedAction.result
+ * @returns {Object|null} { label, value }, e.g. { label: 'Contact ID', value: 'contact_1' }
+ */
+function extractResultId(result) {
+  const match = RESULT_ID.exec(result || "");
+  return match ? { label: match[1], value: match[2] } : null;
+}
+
+function card(icon, title, fields = []) {
+  return {
+    icon,
+    title,
+    fields: fields
+      .filter(([, value]) => value)
+      .map(([label, value]) => ({ label, value }))
+  };
+}
+
+/**
+ * Card for an action type from its key fields
+ * Each field is a [label, key] pair read from action.details. The description is free text whose
+ * wording differs between the canister and demo mode, so it is never parsed: actions without any of
+ * the type's key fields (the canister reports none yet) show it as written instead. A result that is
+ * not a record ID (which Chat shows itself) is shown as the outcome.
+ * @param {string} icon - Emoji shown before the title
+ * @param {string} title - What happened
+ * @param {Array<Array<string>>} [keyFields] - [label, key] pairs in display order
+ * @returns {Function} action => ActionCard
+ */
+function actionCard(icon, title, keyFields = []) {
+  return action => {
+    const details = action.details || {};
+    const fields = keyFields.filter(([, key]) => details[key]).map(([label, key]) => [label, details[key]]);
+    return card(icon, title, [
+      ...(fields.length > 0 ? fields : [["Details", action.description]]),
+      ["Outcome", extractResultId(action.result) ? "" : action.result]
+    ]);
+  };
+}
+
+const CONTACT = ["Contact", "contact"];
+const EMAIL = ["Email", "email"];
+const PHONE = ["Phone", "phone"];
+const APPOINTMENT = [["Title", "title"], ["When", "startTime"], ["With", "contact"]];
+const MESSAGE = [["To", "recipient"], ["Subject", "subject"]];
+const CAMPAIGN = ["Campaign", "campaign"];
+const WORKFLOW = ["Workflow", "workflow"];
+
+// The canister's actionTypes (GHLIntegration.mo), then the ones demo mode adds
+const ACTION_RENDERERS = {
+  create_contact: actionCard("👤", "Contact created", [["Name", "name"], EMAIL, PHONE]),
+  send_email: actionCard("✉️", "Email sent", MESSAGE),
+  schedule_appointment: actionCard("📅", "Appointment booked", APPOINTMENT),
+  update_opportunity: actionCard("💼", "Opportunity updated", [["Opportunity", "opportunity"], ["Stage", "stage"]]),
+  transfer_to_human: actionCard("🙋", "Transferred to a person", [["Reason", "reason"]]),
+
+  update_contact: actionCard("✏️", "Contact updated", [CONTACT, ["Field", "field"], ["New value", "value"]]),
+  delete_contact: actionCard("🗑️", "Contact deleted", [CONTACT]),
+  get_contact: actionCard("🔎", "Contact found", [CONTACT, EMAIL, PHONE]),
+  add_contact_info: actionCard("📇", "Contact details added", [CONTACT, EMAIL, PHONE]),
+  add_tag: actionCard("🏷️", "Tag added", [CONTACT, ["Tag", "tag"]]),
+  remove_tag: actionCard("🏷️", "Tag removed", [CONTACT, ["Tag", "tag"]]),
+  create_appointment: actionCard("📅", "Appointment booked", APPOINTMENT),
+  cancel_appointment: actionCard("❌", "Appointment cancelled", [["Title", "title"], ["Was", "startTime"], ["With", "contact"]]),
+  send_notification: actionCard("✉️", "Notification sent", MESSAGE),
+  send_lead_magnet: actionCard("🎁", "Lead magnet sent", [["Lead magnet", "leadMagnet"], ["Channel", "channel"]]),
+  add_to_sequence: actionCard("🔄", "Added to sequence", [["Sequence", "sequence"], ["Length", "length"]]),
+  create_workflow: actionCard("⚙️", "Workflow created", [WORKFLOW, ["Trigger", "trigger"], ["Status", "status"]]),
+  delete_workflow: actionCard("🗑️", "Workflow deleted", [WORKFLOW]),
+  create_campaign: actionCard("📣", "Campaign created", [CAMPAIGN]),
+  add_to_campaign: actionCard("📣", "Added to campaign", [CONTACT, CAMPAIGN]),
+  remove_from_campaign: actionCard("📣", "Removed from campaign", [CONTACT, CAMPAIGN]),
+  delete_campaign: actionCard("🗑️", "Campaign deleted", [CAMPAIGN])
+};
+
+export { ACTION_RENDERERS, extractResultId };
@@ -0,0 +1,226 @@
+/**
+ * BackendAdapter - Contract shared by every Agent Adam backend (live canister, demo)
+ * AgentAdamApp only talks to adapters, so services can be swapped at runtime.
+ * All results use the normalized shapes from DomainModel.js.
+ * Backend calls take a trailing `options` argument: { signal: AbortSignal, timeout: ms }.
+ * Aborting rejects with CancelledError; running out of time rejects with TimeoutError.
+ */
+
+import { runBatch, summarizeBatch } from "./BatchRunner.js";
+
+const ADAPTER_METHODS = [
+  "init",
+  "getConnectionInfo",
+  "generateCommandId",
+  "processCommand",
+  "processCommands",
+  "processAdminCommand",
+  "getExecutionResult",
+  "getHistory",
+  "getHistoryPage",
+  "getStatus",
+  "handleWebhook",
+  "processVoiceCommand",
+  "processChatCommand",
+  "onQueryChange",
+  "invalidateQueries"
+];
+
+class BackendAdapter {
+  /**
+   * @param {string} mode - 'live' or 'demo'
+   */
+  constructor(mode) {
+    if (new.target === BackendAdapter) {
+      throw new Error("BackendAdapter is abstract; extend it instead");
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Verify that an object implements every adapter method
+   * @param {Object} service - Candidate adapter
+   * @returns {Array<string>} Names of missing methods (empty when conformant)
+   */
+  static missingMethods(service) {
+    return ADAPTER_METHODS.filter(method => !service || typeof service[method] !== "function");
+  }
+
+  /**
+   * Initialize the backend
+   * @returns {Promise<boolean>} Success status
+   */
+  async init() {
+    throw this.notImplemented("init");
+  }
+
+  /**
+   * Describe the backend connection
+   * @returns {Object} { network, host, canisterId }
+   */
+  getConnectionInfo() {
+    throw this.notImplemented("getConnectionInfo");
+  }
+
+  /**
+   * Generate a unique command ID
+   * @returns {string}
+   */
+  generateCommandId() {
+    throw this.notImplemented("generateCommandId");
+  }
+
+  /**
+   * Process a natural language command
+   * @param {string} instruction - The instruction
+   * @param {Object} context - { locationId, source, priority, commandId }
+   * @returns {Promise<Object>} Normalized Result
+   */
+  async processCommand(instruction, context, options) {
+    throw this.notImplemented("processCommand");
+  }
+
+  /**
+   * Process many instructions with bounded concurrency, built on processCommand
+   * One failed item doesn't stop the others; aborting `options.signal` cancels the items not yet finished.
+   * With `options.admin` every item goes through processAdminCommand instead, the way single commands
+   * from the admin interface do, and each item's result is the response's details.
+   * @param {Array<string|Object>} instructions - Instructions, or { instruction, commandId } to reuse IDs
+   * @param {Object} context - Shared command context (locationId, source, priority)
+   * @param {Object} options - { concurrency, signal, timeout (per item), onProgress(item), admin }
+   * @returns {Promise<Object>} { items: [{ index, instruction, commandId, status, result, error }], succeeded, failed, cancelled }
+   */
+  async processCommands(instructions, context = {}, options = {}) {
+    const { concurrency, signal, timeout, onProgress, admin } = options;
+    const items = instructions.map((item, index) => {
+      const { instruction, commandId } = typeof item === "string" ? { instruction: item } : item;
+      return { index, instruction, commandId: commandId || this.generateCommandId() };
+    });
+
+    const describe = (outcome) => ({
+      ...items[outcome.index],
+      status: outcome.status,
+      result: outcome.value,
+      error: outcome.error
+    });
+
+    const run = async (item) => {
+      const itemContext = { ...context, commandId: item.commandId };
+      if (admin) {
+        const response = await this.processAdminCommand(item.instruction, itemContext, { signal, timeout });
+        return response.details;
+      }
+      return this.processCommand(item.instruction, itemContext, { signal, timeout });
+    };
+
+    const outcomes = await runBatch(
+      items,
+      run,
+      {
+        concurrency,
+        signal,
+        onProgress: onProgress ? (outcome) => onProgress(describe(outcome)) : undefined
+      }
+    );
+
+    return {
+      items: outcomes.map(describe),
+      ...summarizeBatch(outcomes)
+    };
+  }
+
+  /**
+   * Process an admin interface command
+   * @param {string} instruction - The instruction
+   * @param {Object} context - { locationId }
+   * @returns {Promise<Object>} { summary, details: Result, recommendedActions, alerts }
+   */
+  async processAdminCommand(instruction, context, options) {
+    throw this.notImplemented("processAdminCommand");
+  }
+
+  /**
+   * Look up the result of a command
+   * @param {string} commandId - Command identifier
+   * @returns {Promise<Object|null>} Normalized Result or null
+   */
+  async getExecutionResult(commandId, options) {
+    throw this.notImplemented("getExecutionResult");
+  }
+
+  /**
+   * Get recent commands, newest first
+   * @param {number} limit - Maximum number of commands
+   * @returns {Promise<Array<Object>>} Normalized Commands
+   */
+  async getHistory(limit, options) {
+    throw this.notImplemented("getHistory");
+  }
+
+  /**
+   * Get one page of filtered command history
+   * @param {Object} query - { limit, cursor, sources, locationId, from, to } (see HistoryQuery.js)
+   * @returns {Promise<Object>} { commands: normalized Commands newest first, nextCursor }
+   */
+  async getHistoryPage(query, options) {
+    throw this.notImplemented("getHistoryPage");
+  }
+
+  /**
+   * Get backend status
+   * @returns {Promise<Object>} { status, totalCommands, isOnline, mode, lastCheck }
+   */
+  async getStatus(options) {
+    throw this.notImplemented("getStatus");
+  }
+
+  /**
+   * Process a GoHighLevel webhook
+   * @returns {Promise<string>} Confirmation message
+   */
+  async handleWebhook(webhookId, eventType, payload, locationId, options) {
+    throw this.notImplemented("handleWebhook");
+  }
+
+  /**
+   * Process a voice agent transcript
+   * @returns {Promise<Object>} { spokenText, actions, shouldEndCall, transferNumber }
+   */
+  async processVoiceCommand(sessionId, callerId, transcript, locationId, options) {
+    throw this.notImplemented("processVoiceCommand");
+  }
+
+  /**
+   * Process a chat agent message
+   * @returns {Promise<Object>} { message, quickReplies, attachments, shouldClose }
+   */
+  async processChatCommand(conversationId, contactId, message, locationId, options) {
+    throw this.notImplemented("processChatCommand");
+  }
+
+  /**
+   * Subscribe to cached results of a read-only call (getStatus, getHistory)
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments of the watched call
+   * @param {Function} listener - Called with each new result
+   * @returns {Function} Unsubscribe function
+   */
+  onQueryChange(method, args, listener) {
+    throw this.notImplemented("onQueryChange");
+  }
+
+  /**
+   * Drop cached results so the next read fetches fresh data
+   * @param {string} [method] - Only invalidate this method's results
+   */
+  invalidateQueries(method) {
+    throw this.notImplemented("invalidateQueries");
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+export { ADAPTER_METHODS };
+export default BackendAdapter;
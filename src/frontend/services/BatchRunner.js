@@ -0,0 +1,67 @@
+/**
+ * BatchRunner - Runs many backend calls with bounded concurrency
+ * Items are started in order; the batch never rejects, each item reports its own outcome.
+ */
+
+import { CancelledError } from "./ServiceErrors.js";
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Run a worker over every item with at most `concurrency` items in flight
+ * Items not yet started when the signal aborts are reported as cancelled without running.
+ * @param {Array} items - Work items
+ * @param {Function} worker - async (item, index) => value
+ * @param {Object} options - { concurrency, signal, onProgress({ index, status, value, error }) }
+ * @returns {Promise<Array<Object>>} Per item, in input order: { index, status: 'succeeded'|'failed'|'cancelled', value, error }
+ */
+async function runBatch(items, worker, options = {}) {
+  const { signal, onProgress } = options;
+  const concurrency = Math.max(1, Math.min(options.concurrency || DEFAULT_CONCURRENCY, MAX_CONCURRENCY));
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  const report = (outcome) => {
+    if (onProgress) {
+      onProgress(outcome);
+    }
+  };
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+
+      if (signal && signal.aborted) {
+        outcomes[index] = { index, status: "cancelled", error: new CancelledError() };
+        report(outcomes[index]);
+        continue;
+      }
+
+      report({ index, status: "running" });
+      try {
+        outcomes[index] = { index, status: "succeeded", value: await worker(items[index], index) };
+      } catch (error) {
+        outcomes[index] = { index, status: error instanceof CancelledError ? "cancelled" : "failed", error };
+      }
+      report(outcomes[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+  return outcomes;
+}
+
+/**
+ * Count outcomes by status
+ * @param {Array<Object>} outcomes - Items with a `status`
+ * @returns {Object} { succeeded, failed, cancelled }
+ */
+function summarizeBatch(outcomes) {
+  return outcomes.reduce((counts, outcome) => {
+    counts[outcome.status] = (counts[outcome.status] || 0) + 1;
+    return counts;
+  }, { succeeded: 0, failed: 0, cancelled: 0 });
+}
+
+export { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, runBatch, summarizeBatch };
@@ -0,0 +1,103 @@
+/**
+ * Cancellation - AbortSignal and timeout handling shared by the backend adapters
+ * The agent can't abort a request already on the wire, so aborting stops waiting for it:
+ * the call rejects right away and no further retries are made.
+ */
+
+import { CancelledError, TimeoutError } from "./ServiceErrors.js";
+
+/**
+ * Run an async operation that rejects when the caller's signal aborts or the timeout passes
+ * @param {Function} run - Called with the combined AbortSignal; returns a Promise
+ * @param {Object} options - { signal, timeout } where timeout is in milliseconds
+ * @param {string} label - Method name used in timeout errors
+ * @returns {Promise<any>}
+ */
+async function runCancellable(run, options = {}, label = "call") {
+  const { signal, timeout } = options;
+  const controller = new AbortController();
+
+  const onAbort = () => controller.abort(toCancelledError(signal.reason));
+  if (signal) {
+    if (signal.aborted) {
+      throw toCancelledError(signal.reason);
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  const timer = timeout > 0
+    ? setTimeout(() => controller.abort(new TimeoutError(label, timeout)), timeout)
+    : null;
+
+  try {
+    return await raceSignal(run(controller.signal), controller.signal);
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+/**
+ * Reject as soon as the signal aborts, otherwise settle with the promise
+ * @param {Promise} promise - Operation to wait for
+ * @param {AbortSignal} signal - Signal whose reason becomes the rejection
+ * @returns {Promise<any>}
+ */
+function raceSignal(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Throw the signal's reason if it has already aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+}
+
+/**
+ * Wait for a delay that ends early, with the signal's reason, when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  let timer;
+  const wait = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return raceSignal(wait, signal).finally(() => clearTimeout(timer));
+}
+
+function toCancelledError(reason) {
+  if (reason instanceof CancelledError || reason instanceof TimeoutError) {
+    return reason;
+  }
+  return new CancelledError(typeof reason === "string" ? reason : undefined);
+}
+
+export { runCancellable, raceSignal, throwIfAborted, abortableDelay };
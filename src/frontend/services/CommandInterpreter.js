@@ -0,0 +1,190 @@
+/**
+ * CommandInterpreter - JavaScript port of the canister's CommandProcessor.interpretCommand
+ * Keep it in step with src/AgentAdam/CommandProcessor.mo: tests/fixtures/intents.json holds the
+ * instructions and interpretations both are expected to agree on.
+ */
+
+const STOP_WORDS = [
+  "the", "a", "an", "and", "or", "but", "in", "on", "at", "to", "for",
+  "of", "with", "by", "from", "up", "about", "into", "through", "during",
+  "before", "after", "above", "below", "between", "among", "is", "are",
+  "was", "were", "be", "been", "being", "have", "has", "had", "do", "does",
+  "did", "will", "would", "could", "should", "may", "might", "must", "can"
+];
+
+const GHL_ENTITIES = [
+  "contact", "lead", "opportunity", "pipeline", "workflow", "campaign",
+  "appointment", "calendar", "form", "funnel", "website", "automation",
+  "tag", "trigger", "action", "email", "sms", "call", "task", "note",
+  "invoice", "payment", "subscription", "location", "user", "agency"
+];
+
+// Checked in this order; the first list with a matching word decides the intent
+const INTENT_KEYWORDS = {
+  Create: ["create", "build", "make", "add", "new", "generate", "setup", "start"],
+  Update: ["update", "modify", "change", "edit", "revise", "alter", "adjust"],
+  Delete: ["delete", "remove", "cancel", "stop", "end", "terminate", "clear"],
+  Query: ["show", "get", "list", "find", "search", "view", "display", "check"],
+  Automation: ["automate", "trigger", "activate", "schedule", "set", "configure"]
+};
+
+const FILTER_WORDS = ["today", "yesterday", "week", "month", "active", "inactive", "new", "old"];
+const TRIGGER_TYPES = ["email", "form", "webhook", "schedule", "tag", "status"];
+const TIME_WORDS = ["today", "tomorrow", "yesterday", "week", "month", "year"];
+const NUMBER_WORDS = ["1", "2", "5", "10"];
+
+// Create intents for these object types need approval
+const CRITICAL_OBJECT_TYPES = ["workflow", "campaign", "automation"];
+
+/**
+ * @typedef {Object} Intent
+ * @property {string} type - 'Create'|'Update'|'Delete'|'Query'|'Automation'|'Unknown'
+ * @property {string} [objectType] - GHL entity word, or 'unknown' (Create, Update, Delete, Query)
+ * @property {string} [identifier] - 'quoted_identifier'|'extracted_id'|'auto_detected' (Update, Delete)
+ * @property {Array<string>} [filters] - Filter words (Query)
+ * @property {string} [triggerType] - Trigger word, or 'manual' (Automation)
+ * @property {Array<string>} [conditions] - 'conditional'|'temporal', repeats included (Automation)
+ */
+
+/**
+ * @typedef {Object} CommandInterpretation
+ * @property {Intent} intent
+ * @property {Array<Object>} entities - { entityType: 'ghl_object'|'time_reference'|'number', value, confidence }
+ * @property {number} confidence - Between 0.1 and 1
+ * @property {boolean} requiresApproval
+ */
+
+/**
+ * Interpret a natural language instruction the way the canister does
+ * @param {string} instruction - Natural language instruction
+ * @param {Object} context - Command context; only `priority` is read
+ * @returns {CommandInterpretation}
+ */
+function interpretCommand(instruction, context = {}) {
+  const words = extractKeywords(instruction);
+  const intent = detectIntent(words, instruction);
+  const entities = extractEntities(words);
+
+  return {
+    intent,
+    entities,
+    confidence: calculateConfidence(intent, entities, words),
+    requiresApproval: shouldRequireApproval(intent, context)
+  };
+}
+
+/**
+ * Lowercase words longer than two characters that are not stop words
+ * Words are split on single spaces only, so punctuation stays attached ("contact," is not "contact").
+ */
+function extractKeywords(instruction) {
+  return String(instruction)
+    .toLowerCase()
+    .split(" ")
+    .map(word => word.trim())
+    .filter(word => [...word].length > 2 && !STOP_WORDS.includes(word));
+}
+
+function detectIntent(words, instruction) {
+  const lower = String(instruction).toLowerCase();
+
+  if (hasAnyKeyword(words, INTENT_KEYWORDS.Create)) {
+    return { type: "Create", objectType: findGHLEntity(words) };
+  }
+  if (hasAnyKeyword(words, INTENT_KEYWORDS.Update)) {
+    return { type: "Update", objectType: findGHLEntity(words), identifier: extractIdentifier(lower) };
+  }
+  if (hasAnyKeyword(words, INTENT_KEYWORDS.Delete)) {
+    return { type: "Delete", objectType: findGHLEntity(words), identifier: extractIdentifier(lower) };
+  }
+  if (hasAnyKeyword(words, INTENT_KEYWORDS.Query)) {
+    return { type: "Query", objectType: findGHLEntity(words), filters: words.filter(word => FILTER_WORDS.includes(word)) };
+  }
+  if (hasAnyKeyword(words, INTENT_KEYWORDS.Automation)) {
+    return { type: "Automation", triggerType: findTriggerType(words), conditions: extractConditions(lower) };
+  }
+  return { type: "Unknown" };
+}
+
+function hasAnyKeyword(words, keywords) {
+  return words.some(word => keywords.includes(word));
+}
+
+function findGHLEntity(words) {
+  return words.find(word => GHL_ENTITIES.includes(word)) || "unknown";
+}
+
+function extractIdentifier(lowerInstruction) {
+  if (lowerInstruction.includes("\"")) return "quoted_identifier";
+  if (lowerInstruction.includes("id:")) return "extracted_id";
+  return "auto_detected";
+}
+
+function findTriggerType(words) {
+  return words.find(word => TRIGGER_TYPES.includes(word)) || "manual";
+}
+
+/**
+ * Substring checks, as in the canister: "notify" counts as "if"
+ */
+function extractConditions(lowerInstruction) {
+  const conditions = [];
+  if (lowerInstruction.includes("when")) conditions.push("conditional");
+  if (lowerInstruction.includes("if")) conditions.push("conditional");
+  if (lowerInstruction.includes("after")) conditions.push("temporal");
+  if (lowerInstruction.includes("before")) conditions.push("temporal");
+  return conditions;
+}
+
+/**
+ * GHL objects first, then time references, then numbers, each in word order
+ * Number words are at most two characters, so extractKeywords has already dropped them;
+ * the check is kept to match the canister.
+ */
+function extractEntities(words) {
+  return [
+    ...words.filter(word => GHL_ENTITIES.includes(word))
+      .map(value => ({ entityType: "ghl_object", value, confidence: 0.9 })),
+    ...words.filter(word => TIME_WORDS.includes(word))
+      .map(value => ({ entityType: "time_reference", value, confidence: 0.8 })),
+    ...words.filter(word => NUMBER_WORDS.includes(word))
+      .map(value => ({ entityType: "number", value, confidence: 0.7 }))
+  ];
+}
+
+function calculateConfidence(intent, entities, words) {
+  let confidence = intent.type === "Unknown" ? 0.1 : 0.6;
+  confidence += entities.length * 0.1;
+
+  if (words.length > 0) {
+    const ghlObjects = entities.filter(entity => entity.entityType === "ghl_object").length;
+    confidence += (ghlObjects / words.length) * 0.2;
+  }
+
+  return confidence > 1.0 ? 1.0 : confidence;
+}
+
+function shouldRequireApproval(intent, context = {}) {
+  switch (intent.type) {
+    case "Delete":
+    case "Automation":
+      return true;
+    case "Create":
+      return CRITICAL_OBJECT_TYPES.includes(intent.objectType);
+    default:
+      return Number(context.priority) >= 3;
+  }
+}
+
+export {
+  STOP_WORDS,
+  GHL_ENTITIES,
+  INTENT_KEYWORDS,
+  TRIGGER_TYPES,
+  interpretCommand,
+  extractKeywords,
+  detectIntent,
+  extractEntities,
+  calculateConfidence,
+  shouldRequireApproval
+};
@@ -0,0 +1,193 @@
+/**
+ * ConfigLoader - Resolves runtime configuration for the Agent Adam frontend
+ * Merges network defaults, a served config.json, window.__ADAM_CONFIG__ and URL parameters
+ */
+
+// Default hosts per network
+const NETWORKS = {
+  local: { host: "http://127.0.0.1:4943" },
+  staging: { host: "https://icp-api.io" },
+  ic: { host: "https://ic0.app" }
+};
+
+const DEFAULT_NETWORK = "ic";
+
+// Backend modes: `live` never simulates, `demo` always does, `auto` falls back to demo when the canister is unreachable
+const MODES = ["live", "demo", "auto"];
+
+const DEFAULT_MODE = "live";
+
+// Keys accepted from any configuration source
+const CONFIG_KEYS = ["canisterId", "host", "network", "mode", "faults"];
+
+// Hosts a URL parameter may point at. Anyone can craft the iframe URL, and the agent trusts the root key
+// served by a local host or network, so the URL may only pick a replica on the user's own machine.
+const URL_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Whether a host URL points at this machine
+ * @param {string} host - Host URL, e.g. "http://127.0.0.1:4943"
+ * @returns {boolean}
+ */
+function isLocalHost(host) {
+  try {
+    const url = new URL(host);
+    return ["http:", "https:"].includes(url.protocol) && URL_HOSTNAMES.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+class ConfigLoader {
+  constructor(options = {}) {
+    this.configUrl = options.configUrl || "config.json";
+    this.config = null;
+    // Problems found while resolving the config, for the app to show
+    this.warnings = [];
+  }
+
+  /**
+   * Load and cache the runtime configuration
+   * Later sources win: config.json, then window.__ADAM_CONFIG__, then URL parameters
+   * @returns {Promise<Object>} Resolved config ({ canisterId, host, network, mode, faults })
+   */
+  async load() {
+    if (this.config) {
+      return this.config;
+    }
+
+    const merged = {
+      ...(await this.fromFile()),
+      ...this.fromWindow(),
+      ...this.fromUrl()
+    };
+
+    this.config = this.resolve(merged);
+    return this.config;
+  }
+
+  /**
+   * Fill in network defaults and validate a raw config object
+   * Unknown networks and modes fall back to the defaults and are reported in `warnings`.
+   * @param {Object} raw - Raw configuration values
+   * @returns {Object} Resolved config
+   */
+  resolve(raw = {}) {
+    let network = raw.network || DEFAULT_NETWORK;
+    if (!NETWORKS[network]) {
+      this.warn(`Unknown network "${network}" (expected one of: ${Object.keys(NETWORKS).join(", ")}); using "${DEFAULT_NETWORK}".`);
+      network = DEFAULT_NETWORK;
+    }
+
+    let mode = raw.mode || DEFAULT_MODE;
+    if (!MODES.includes(mode)) {
+      this.warn(`Unknown mode "${mode}" (expected one of: ${MODES.join(", ")}); using "${DEFAULT_MODE}".`);
+      mode = DEFAULT_MODE;
+    }
+
+    return {
+      network,
+      host: raw.host || NETWORKS[network].host,
+      canisterId: raw.canisterId || null,
+      mode,
+      // Demo fault profile, parsed by the demo service (see FaultInjector.js)
+      faults: raw.faults || null
+    };
+  }
+
+  /**
+   * Read the served config.json, ignoring it when missing or invalid
+   * @returns {Promise<Object>} Config values from the file
+   */
+  async fromFile() {
+    if (typeof fetch !== "function") {
+      return {};
+    }
+
+    try {
+      const response = await fetch(this.configUrl, { cache: "no-store" });
+      if (!response.ok) {
+        return {};
+      }
+      return this.pick(await response.json());
+    } catch (error) {
+      console.warn(`Could not load ${this.configUrl}, using defaults:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Read config injected by the host page
+   * @returns {Object} Config values from window.__ADAM_CONFIG__
+   */
+  fromWindow() {
+    if (typeof window === "undefined" || !window.__ADAM_CONFIG__) {
+      return {};
+    }
+    return this.pick(window.__ADAM_CONFIG__);
+  }
+
+  /**
+   * Read config from URL parameters (?canisterId=...&host=...&network=...&mode=...&faults=...)
+   * A `host` that is not on this machine (see URL_HOSTNAMES) is ignored with a warning; set it in
+   * config.json or window.__ADAM_CONFIG__ instead.
+   * @returns {Object} Config values from the query string
+   */
+  fromUrl() {
+    if (typeof window === "undefined" || !window.location) {
+      return {};
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const values = {};
+    CONFIG_KEYS.forEach(key => {
+      if (params.has(key)) {
+        values[key] = params.get(key);
+      }
+    });
+
+    if (values.host && !isLocalHost(values.host)) {
+      this.warn(`The "host" URL parameter must be a local address (${URL_HOSTNAMES.join(", ")}); set other hosts in config.json or window.__ADAM_CONFIG__.`);
+      delete values.host;
+    }
+    return values;
+  }
+
+  warn(message) {
+    console.warn(message);
+    this.warnings.push(message);
+  }
+
+  /**
+   * Keep only known, non-empty config keys
+   * @param {Object} source - Arbitrary object
+   * @returns {Object} Filtered config values
+   */
+  pick(source) {
+    const values = {};
+    if (!source || typeof source !== "object") {
+      return values;
+    }
+
+    CONFIG_KEYS.forEach(key => {
+      if (source[key]) {
+        values[key] = String(source[key]);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Drop the cached config so the next load() re-reads all sources
+   */
+  reset() {
+    this.config = null;
+    this.warnings = [];
+  }
+}
+
+// Create and export singleton instance
+const configLoader = new ConfigLoader();
+
+export { ConfigLoader, NETWORKS, MODES };
+export default configLoader;
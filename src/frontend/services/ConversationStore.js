@@ -0,0 +1,246 @@
+/**
+ * ConversationStore - Chat conversations kept in IndexedDB as threads of structured messages
+ * Threads belong to a scope (GHL location and user) so each user of a location sees only their own.
+ * Writes are applied in the order they are made and reads wait for earlier writes, so a status
+ * update can never land before the message it updates.
+ */
+
+import IndexedDBStore from "./IndexedDBStore.js";
+
+// Threads kept per scope; the least recently used are deleted with their messages
+const MAX_THREADS = 50;
+
+const DEFAULT_TITLE = "New conversation";
+const TITLE_LENGTH = 60;
+
+// Element IDs of batch items inside a message (see Chat.getBatchItemId)
+const BATCH_ITEM_ID = /^(.+)-item-(\d+)$/;
+
+/**
+ * @typedef {Object} ConversationMessage
+ * @property {string} id - Chat element ID of the message
+ * @property {string} sender - 'user', 'adam' or 'system'
+ * @property {string} text - Markdown text
+ * @property {string} timestamp - ISO timestamp
+ * @property {string|null} status - Delivery status of user messages
+ * @property {Array<string>} quickReplies
+ * @property {boolean} simulated - Produced by the demo service
+ * @property {string|null} commandId - Command the message sent or answered
+ * @property {Object|null} result - ExecutionResult the message reports
+ * @property {Array<Object>|null} items - Batch items: [{ instruction, status, detail, commandId, result }]
+ */
+
+/**
+ * Key identifying whose threads these are
+ * @param {Object} scope - { locationId, userId }
+ * @returns {string}
+ */
+function getScopeKey(scope = {}) {
+  return `${scope.locationId || "default"}|${scope.userId || "anonymous"}`;
+}
+
+class ConversationStore {
+  /**
+   * @param {Object} options - { threads, messages: IndexedDBStore instances, maxThreads }
+   */
+  constructor(options = {}) {
+    this.threads = options.threads || new IndexedDBStore("agent-adam-threads", "threads");
+    this.messages = options.messages || new IndexedDBStore("agent-adam-messages", "messages", { keyPath: "key" });
+    this.maxThreads = options.maxThreads || MAX_THREADS;
+    this.queue = Promise.resolve();
+    this.sequence = 0;
+  }
+
+  /**
+   * Run an operation after every earlier one
+   * @param {Function} operation - async () => result
+   * @returns {Promise<any>}
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    // A failed write must not block the ones after it; its caller still sees the error
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Threads of a scope, most recently active first
+   * @param {Object} scope - { locationId, userId }
+   * @returns {Promise<Array<Object>>}
+   */
+  listThreads(scope) {
+    const key = getScopeKey(scope);
+    return this.enqueue(async () => {
+      const threads = await this.threads.getAll();
+      return threads
+        .filter(thread => thread.scope === key)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    });
+  }
+
+  /**
+   * Get a thread by ID
+   * @param {string} threadId
+   * @returns {Promise<Object|null>}
+   */
+  getThread(threadId) {
+    return this.enqueue(() => this.threads.get(threadId));
+  }
+
+  /**
+   * Start an empty thread
+   * The record is returned at once so messages can be linked to it; saving it is queued.
+   * @param {Object} scope - { locationId, userId }
+   * @returns {Object} { id, scope, locationId, userId, title, createdAt, updatedAt, messageCount }
+   */
+  startThread(scope = {}) {
+    const now = new Date().toISOString();
+    const thread = {
+      id: `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      scope: getScopeKey(scope),
+      locationId: scope.locationId || "default",
+      userId: scope.userId || null,
+      title: DEFAULT_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0
+    };
+
+    this.enqueue(async () => {
+      await this.threads.put(thread);
+      await this.prune(thread.scope);
+    }).catch(error => console.warn("Could not save conversation thread:", error));
+
+    return { ...thread };
+  }
+
+  /**
+   * Messages of a thread in the order they were added
+   * @param {string} threadId
+   * @returns {Promise<Array<ConversationMessage>>}
+   */
+  getMessages(threadId) {
+    return this.enqueue(async () => {
+      const messages = await this.messages.getAllWithPrefix(`${threadId}/`);
+      return messages.sort((a, b) => a.seq - b.seq);
+    });
+  }
+
+  /**
+   * Append a message to a thread
+   * The first user message names the thread.
+   * @param {string} threadId
+   * @param {Object} message - ConversationMessage fields; `id` is required
+   * @returns {Promise<Object|null>} Stored record, or null if the thread no longer exists
+   */
+  addMessage(threadId, message) {
+    const record = {
+      key: `${threadId}/${message.id}`,
+      threadId,
+      seq: Date.now() * 1000 + (this.sequence++ % 1000),
+      id: message.id,
+      sender: message.sender || "adam",
+      text: message.text || "",
+      timestamp: new Date(message.timestamp || Date.now()).toISOString(),
+      status: message.status || null,
+      quickReplies: message.quickReplies || [],
+      simulated: Boolean(message.simulated),
+      commandId: message.commandId || null,
+      result: message.result || null,
+      items: message.items || null
+    };
+
+    return this.enqueue(async () => {
+      // The thread may have been pruned or deleted meanwhile
+      const thread = await this.threads.get(threadId);
+      if (!thread) return null;
+
+      await this.messages.put(record);
+
+      const titled = thread.title === DEFAULT_TITLE && record.sender === "user";
+      await this.threads.put({
+        ...thread,
+        title: titled ? createTitle(record) : thread.title,
+        updatedAt: record.timestamp > thread.updatedAt ? record.timestamp : thread.updatedAt,
+        messageCount: thread.messageCount + 1
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Change a stored message, or one item of a stored batch message
+   * @param {string} threadId
+   * @param {string} elementId - Message ID, or batch item ID from Chat.getBatchItemId
+   * @param {Object} changes - { status, detail, simulated, result }
+   * @returns {Promise<Object|null>} Updated record, or null if the message was never stored
+   */
+  updateMessage(threadId, elementId, changes) {
+    const item = BATCH_ITEM_ID.exec(elementId);
+    const messageId = item ? item[1] : elementId;
+
+    return this.enqueue(async () => {
+      const record = await this.messages.get(`${threadId}/${messageId}`);
+      if (!record) return null;
+
+      let updated;
+      if (item && record.items && record.items[item[2]]) {
+        const index = Number(item[2]);
+        const items = record.items.map((entry, position) => (position === index ? { ...entry, ...changes } : entry));
+        updated = { ...record, items };
+      } else {
+        updated = { ...record, ...changes };
+      }
+
+      await this.messages.put(updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a thread and its messages
+   * @param {string} threadId
+   */
+  deleteThread(threadId) {
+    return this.enqueue(() => this.removeThread(threadId));
+  }
+
+  async removeThread(threadId) {
+    const messages = await this.messages.getAllWithPrefix(`${threadId}/`);
+    for (const message of messages) {
+      await this.messages.delete(message.key);
+    }
+    await this.threads.delete(threadId);
+  }
+
+  /**
+   * Delete the least recently used threads of a scope beyond the limit
+   */
+  async prune(scopeKey) {
+    const threads = (await this.threads.getAll())
+      .filter(thread => thread.scope === scopeKey)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    for (const thread of threads.slice(this.maxThreads)) {
+      await this.removeThread(thread.id);
+    }
+  }
+}
+
+/**
+ * Title a thread after its first user message
+ */
+function createTitle(record) {
+  const text = record.items
+    ? record.items.map(entry => entry.instruction).join(", ")
+    : record.text.split("\n")[0];
+  const title = text.trim().replace(/\s+/g, " ");
+  if (!title) return DEFAULT_TITLE;
+  return title.length > TITLE_LENGTH ? `${title.slice(0, TITLE_LENGTH - 1)}…` : title;
+}
+
+// Create and export singleton instance
+const conversationStore = new ConversationStore();
+
+export { ConversationStore, getScopeKey, MAX_THREADS, DEFAULT_TITLE };
+export default conversationStore;
@@ -0,0 +1,391 @@
+/**
+ * DateTimeExtractor - Turns date and time phrases in scheduling instructions into timestamps
+ * Phrases are read as wall-clock time in the location's time zone ("tomorrow at 3pm", "next Tuesday
+ * morning", "in two hours"). When a phrase has more than one sensible reading, the result asks which
+ * one was meant instead of guessing.
+ */
+
+const MINUTE_MS = 60000;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, "forty-five": 45
+};
+
+// Start of each part of the day, and which half of the clock a bare hour in it belongs to
+const PARTS_OF_DAY = {
+  morning: { hour: 9, pm: false },
+  afternoon: { hour: 14, pm: true },
+  evening: { hour: 18, pm: true },
+  tonight: { hour: 19, pm: true },
+  night: { hour: 19, pm: true }
+};
+
+// Used when a date is given without a time
+const DEFAULT_TIME = { hour: 10, minute: 0 };
+
+const AMOUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join("|")})`;
+const MONTH_NAME = "(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?";
+const WEEKDAY_NAME = `(${WEEKDAYS.join("|")})`;
+
+/**
+ * @typedef {Object} DateTimeCandidate
+ * @property {Date} date - Timestamp of this reading
+ * @property {string} label - How the reading reads to a person, e.g. "3:00 PM"
+ * @property {string} phrase - Replacement for the matched text that makes the instruction unambiguous
+ */
+
+/**
+ * @typedef {Object} DateTimeExtraction
+ * @property {'resolved'|'ambiguous'|'missing'} status
+ * @property {string} timeZone - IANA time zone the phrase was read in
+ * @property {Date} [date] - Resolved timestamp (resolved)
+ * @property {Array<string>} [assumed] - Parts filled in with defaults, e.g. ['time'] (resolved)
+ * @property {string} [question] - What to ask the user (ambiguous)
+ * @property {string|null} [match] - Matched text the candidates replace (ambiguous)
+ * @property {Array<DateTimeCandidate>} [candidates] - Possible readings; may be empty (ambiguous)
+ */
+
+/**
+ * Extract the date and time an instruction refers to
+ * @param {string} text - Natural language instruction
+ * @param {Object} options - { now: Date, timeZone: IANA name (defaults to the browser's), defaultTime: { hour, minute } }
+ * @returns {DateTimeExtraction}
+ */
+function extractDateTime(text, options = {}) {
+  const timeZone = resolveTimeZone(options.timeZone);
+  const now = options.now ? new Date(options.now) : new Date();
+  const lower = String(text).toLowerCase();
+
+  const offset = parseTimeOffset(lower);
+  if (offset) {
+    const date = new Date(Math.ceil((now.getTime() + offset.minutes * MINUTE_MS) / MINUTE_MS) * MINUTE_MS);
+    return { status: "resolved", date, timeZone, assumed: [] };
+  }
+
+  const today = civilDate(now, timeZone);
+  const day = parseDate(lower, today);
+  const time = parseTime(lower);
+
+  if (!day && !time) {
+    return { status: "missing", timeZone };
+  }
+  if (day && day.question) {
+    return { status: "ambiguous", question: day.question, match: day.match, candidates: [], timeZone };
+  }
+
+  // A time without a date means its next occurrence
+  const at = (clock) => {
+    if (day) return zonedTime(day.date, clock, timeZone);
+    const sameDay = zonedTime(today, clock, timeZone);
+    return sameDay > now ? sameDay : zonedTime(addDays(today, 1), clock, timeZone);
+  };
+
+  if (time && time.options) {
+    const candidates = time.options.map(clock => ({
+      date: at(clock),
+      label: formatClock(clock),
+      phrase: time.match.replace(/\d{1,2}(:\d{2})?$/, formatClock(clock, true))
+    }));
+    return {
+      status: "ambiguous",
+      question: `Did you mean ${candidates.map(candidate => candidate.label).join(" or ")}?`,
+      match: time.match,
+      candidates,
+      timeZone
+    };
+  }
+
+  const clock = time ? time.clock : (options.defaultTime || DEFAULT_TIME);
+  const date = at(clock);
+
+  if (date <= now) {
+    return { status: "ambiguous", ...passedQuestion(date, day, time, today, clock, timeZone), timeZone };
+  }
+
+  return { status: "resolved", date, timeZone, assumed: time ? [] : ["time"] };
+}
+
+/**
+ * Question for a date and time that has already passed; a time later than now on the same day offers tomorrow
+ */
+function passedQuestion(date, day, time, today, clock, timeZone) {
+  const tomorrow = { today: "tomorrow", tonight: "tomorrow night" }[day.match];
+
+  if (!time) {
+    return { question: `What time ${day.match}?`, match: day.match, candidates: [] };
+  }
+  if (!tomorrow) {
+    return { question: `${formatDateTime(date, timeZone)} has already passed. When should it be?`, match: day.match, candidates: [] };
+  }
+  return {
+    question: `${formatDateTime(date, timeZone)} has already passed. Did you mean ${tomorrow}?`,
+    match: day.match,
+    candidates: [{ date: zonedTime(addDays(today, 1), clock, timeZone), label: tomorrow, phrase: tomorrow }]
+  };
+}
+
+/**
+ * "in two hours", "in 30 minutes"; days and weeks are handled as dates so a time can follow
+ * @returns {Object|null} { minutes }
+ */
+function parseTimeOffset(lower) {
+  const match = new RegExp(`\\bin\\s+${AMOUNT}\\s+(minute|min|hour|hr)s?\\b`).exec(lower)
+    || /\bin\s+(half)\s+an?\s+(hour)\b/.exec(lower);
+  if (!match) return null;
+
+  const amount = match[1] === "half" ? 0.5 : toNumber(match[1]);
+  return { minutes: match[2].startsWith("h") ? amount * 60 : amount };
+}
+
+/**
+ * @returns {Object|null} { date: civil date, match } or { question, match } when the day is unclear
+ */
+function parseDate(lower, today) {
+  let match = new RegExp(`\\bin\\s+${AMOUNT}\\s+(day|week)s?\\b`).exec(lower);
+  if (match) {
+    return { date: addDays(today, toNumber(match[1]) * (match[2] === "week" ? 7 : 1)), match: match[0] };
+  }
+
+  match = /\b(day after tomorrow|tomorrow|today|tonight)\b/.exec(lower);
+  if (match) {
+    const days = { "day after tomorrow": 2, tomorrow: 1 }[match[1]] || 0;
+    return { date: addDays(today, days), match: match[1] };
+  }
+
+  match = new RegExp(`\\b(?:(next|this|on)\\s+)?${WEEKDAY_NAME}\\b`).exec(lower);
+  if (match) {
+    return { date: addDays(today, daysUntilWeekday(today, WEEKDAYS.indexOf(match[2]), match[1] === "next")), match: match[0] };
+  }
+
+  match = /\b(next|this)\s+week\b/.exec(lower);
+  if (match) {
+    return { question: `Which day ${match[0]}?`, match: match[0] };
+  }
+
+  match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(lower);
+  if (match) {
+    return calendarDate(Number(match[1]), Number(match[2]), Number(match[3]), match[0]);
+  }
+
+  match = new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`).exec(lower);
+  if (match) {
+    return upcomingDate(today, MONTHS.indexOf(match[1].slice(0, 3)) + 1, Number(match[2]), match[3], match[0]);
+  }
+
+  match = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}(?:,?\\s+(\\d{4}))?`).exec(lower);
+  if (match) {
+    return upcomingDate(today, MONTHS.indexOf(match[2].slice(0, 3)) + 1, Number(match[1]), match[3], match[0]);
+  }
+
+  // Month first, as GoHighLevel writes dates
+  match = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\b/.exec(lower);
+  if (match) {
+    return upcomingDate(today, Number(match[1]), Number(match[2]), match[3], match[0]);
+  }
+
+  return null;
+}
+
+/**
+ * "next" means that weekday in the following Monday-to-Sunday week; otherwise the coming one, never today
+ */
+function daysUntilWeekday(today, weekday, next) {
+  const current = weekdayOf(today);
+  if (!next) {
+    return (weekday - current + 7) % 7 || 7;
+  }
+  const untilMonday = (1 - current + 7) % 7 || 7;
+  return untilMonday + (weekday + 6) % 7;
+}
+
+/**
+ * A month and day without a year means the next time that date comes round
+ */
+function upcomingDate(today, month, day, year, match) {
+  if (year) {
+    return calendarDate(Number(year), month, day, match);
+  }
+
+  const thisYear = calendarDate(today.year, month, day, match);
+  if (thisYear && compareCivil(thisYear.date, today) < 0) {
+    return calendarDate(today.year + 1, month, day, match);
+  }
+  return thisYear;
+}
+
+function calendarDate(year, month, day, match) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || month > 12 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { date: { year, month, day }, match };
+}
+
+/**
+ * @returns {Object|null} { clock: { hour, minute }, match } or { options: [clock, clock], match } for a bare hour
+ */
+function parseTime(lower) {
+  let match = /\b(noon|midday|midnight)\b/.exec(lower);
+  if (match) {
+    return { clock: { hour: match[1] === "midnight" ? 0 : 12, minute: 0 }, match: match[0] };
+  }
+
+  match = /\b(\d{1,2})(?::([0-5]\d))?\s*([ap])\.?m\b\.?/.exec(lower);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    const hour = Number(match[1]) % 12 + (match[3] === "p" ? 12 : 0);
+    return { clock: { hour, minute: Number(match[2] || 0) }, match: match[0] };
+  }
+
+  const partOfDay = Object.keys(PARTS_OF_DAY).find(part => new RegExp(`\\b${part}\\b`).test(lower));
+
+  match = /(?:\bat|@)\s*(\d{1,2})(?::([0-5]\d))?\b/.exec(lower) || /\b(\d{1,2}):([0-5]\d)\b/.exec(lower);
+  if (match && Number(match[1]) <= 23) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+
+    // 24-hour clock: "15:30", "09:00", "at 0:30"
+    if (hour > 12 || hour === 0 || /^0\d/.test(match[1])) {
+      return { clock: { hour, minute }, match: match[0] };
+    }
+
+    const morning = { hour: hour % 12, minute };
+    const afternoon = { hour: hour % 12 + 12, minute };
+    if (partOfDay) {
+      return { clock: PARTS_OF_DAY[partOfDay].pm ? afternoon : morning, match: match[0] };
+    }
+    return { options: [morning, afternoon], match: match[0] };
+  }
+
+  if (partOfDay) {
+    return { clock: { hour: PARTS_OF_DAY[partOfDay].hour, minute: 0 }, match: partOfDay };
+  }
+
+  return null;
+}
+
+function toNumber(word) {
+  return /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word];
+}
+
+/**
+ * IANA time zone to read phrases in; unknown or missing zones fall back to the browser's
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function resolveTimeZone(timeZone) {
+  if (timeZone) {
+    try {
+      return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+      console.warn(`Unknown time zone ${timeZone}, using the browser's`);
+    }
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric"
+  }).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = Number(value);
+  });
+  parts.hour %= 24;
+  return parts;
+}
+
+function civilDate(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return { year, month, day };
+}
+
+function addDays(civil, days) {
+  const date = new Date(Date.UTC(civil.year, civil.month - 1, civil.day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf(civil) {
+  return new Date(Date.UTC(civil.year, civil.month - 1, civil.day)).getUTCDay();
+}
+
+function compareCivil(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+/**
+ * Milliseconds the time zone is ahead of UTC at an instant
+ */
+function zoneOffset(instant, timeZone) {
+  const whole = Math.floor(instant / 1000) * 1000;
+  const parts = zonedParts(new Date(whole), timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - whole;
+}
+
+/**
+ * Instant at which a time zone's clocks show a date and time
+ * Times skipped by a daylight saving change land just after it.
+ */
+function zonedTime(civil, clock, timeZone) {
+  const wallClock = Date.UTC(civil.year, civil.month - 1, civil.day, clock.hour, clock.minute);
+  let instant = wallClock - zoneOffset(wallClock, timeZone);
+  const offset = zoneOffset(instant, timeZone);
+  if (wallClock - offset !== instant) {
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * "3:00 PM", or "3pm" / "3:30pm" when compact
+ */
+function formatClock(clock, compact = false) {
+  const hour = clock.hour % 12 || 12;
+  const meridiem = clock.hour < 12 ? "am" : "pm";
+  const minutes = String(clock.minute).padStart(2, "0");
+
+  if (compact) {
+    return `${hour}${clock.minute ? `:${minutes}` : ""}${meridiem}`;
+  }
+  return `${hour}:${minutes} ${meridiem.toUpperCase()}`;
+}
+
+/**
+ * Date and time as shown to the location, e.g. "Tue, Oct 20, 3:00 PM EDT"
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA time zone; defaults to the browser's
+ * @param {string|Array<string>} [locales] - Defaults to US English, matching the extracted phrases
+ * @returns {string}
+ */
+function formatDateTime(date, timeZone, locales = "en-US") {
+  return date.toLocaleString(locales, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: resolveTimeZone(timeZone),
+    timeZoneName: "short"
+  });
+}
+
+export {
+  DEFAULT_TIME,
+  extractDateTime,
+  resolveTimeZone,
+  zonedTime,
+  formatDateTime
+};
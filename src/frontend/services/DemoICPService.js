@@ -1,12 +1,236 @@
 /**
  * Demo ICP Service - Simulates ICP responses for testing without canister
+ * History and mock CRM records are saved to IndexedDB and can be exported, imported and reset.
  */
 
-class DemoICPService {
-  constructor() {
+import BackendAdapter from './BackendAdapter.js';
+import { normalizeCommand, normalizeResult } from './DomainModel.js';
+import { QueryCache } from './QueryCache.js';
+import { normalizeHistoryQuery, paginateCommands } from './HistoryQuery.js';
+import { runCancellable, abortableDelay } from './Cancellation.js';
+import { MockCRM } from './MockCRM.js';
+import IndexedDBStore from './IndexedDBStore.js';
+import { FaultInjector } from './FaultInjector.js';
+import { interpretCommand, TRIGGER_TYPES } from './CommandInterpreter.js';
+import { extractDateTime, resolveTimeZone, formatDateTime } from './DateTimeExtractor.js';
+
+// Commands kept for the demo history; older ones are dropped
+const MAX_HISTORY = 1000;
+
+// Identifies exported demo snapshots; bump the version when the layout changes
+const SNAPSHOT_FORMAT = 'agent-adam-demo';
+const SNAPSHOT_VERSION = 1;
+
+// Key of the single saved-state record
+const STATE_KEY = 'current';
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w.-]+\.\w+/g;
+const PHONE_PATTERN = /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/;
+const QUOTED_PATTERN = /["“]([^"”]+)["”]/;
+const PERSON_NAME_PATTERN = /\b([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)+)/;
+
+// Sub-actions the canister's intents do not tell apart; checked before the interpreted intent
+const DEMO_ACTIONS = [
+  ['untag', /\b(untag|remove (?:the |a )?tag)\b/],
+  ['tag', /^\s*tag\b|\badd (?:the |a )?tag\b/],
+  ['pause', /\b(pause|deactivate|disable)\b/]
+];
+
+// What each intent from the interpreter does to the mock CRM; Unknown does nothing
+const INTENT_VERBS = {
+  Create: 'create',
+  Update: 'update',
+  Delete: 'delete',
+  Query: 'query',
+  Automation: 'activate'
+};
+
+// GHL object types the interpreter reports that the mock CRM holds
+const OBJECT_ENTITIES = {
+  contact: 'contact',
+  lead: 'contact',
+  workflow: 'workflow',
+  automation: 'workflow',
+  campaign: 'campaign',
+  appointment: 'appointment',
+  calendar: 'appointment',
+  call: 'appointment',
+  tag: 'tag'
+};
+
+const ENTITY_PATTERNS = [
+  ['campaign', /\bcampaigns?\b/],
+  ['workflow', /\b(workflows?|automations?)\b/],
+  ['appointment', /\b(appointments?|meetings?|calls?|schedule|book)\b/],
+  ['contact', /\b(contacts?|leads?)\b(?! magnet)/],
+  ['tag', /\btags?\b/]
+];
+
+/**
+ * Demo verb for an instruction: a demo sub-action, else the verb of the canister's intent
+ */
+function detectVerb(lowerInstruction, intent) {
+  const match = DEMO_ACTIONS.find(([, pattern]) => pattern.test(lowerInstruction));
+  return match ? match[0] : (INTENT_VERBS[intent.type] || null);
+}
+
+/**
+ * CRM record type: the intent's object type when the mock CRM holds it, else the first entity word
+ * The interpreter only knows singular words, so "Show contacts" is resolved here.
+ */
+function detectEntity(lowerInstruction, intent) {
+  if (OBJECT_ENTITIES[intent.objectType]) return OBJECT_ENTITIES[intent.objectType];
+  
+  const match = ENTITY_PATTERNS.find(([, pattern]) => pattern.test(lowerInstruction));
+  return match ? match[0] : null;
+}
+
+function detectTrigger(instruction) {
+  const lower = instruction.toLowerCase();
+  return TRIGGER_TYPES.find(trigger => new RegExp(`\\b${trigger}\\b`).test(lower)) || 'manual';
+}
+
+function matchFirst(text, pattern, group = 0) {
+  const match = new RegExp(pattern.source, pattern.flags.replace('g', '')).exec(text);
+  return match ? match[group].trim() : null;
+}
+
+/**
+ * Full name of a new contact: quoted text, else the first capitalized name after "contact"/"lead"
+ */
+function extractPersonName(instruction) {
+  const quoted = matchFirst(instruction, QUOTED_PATTERN, 1);
+  if (quoted) return quoted;
+  
+  const entityMatch = /\b(contact|lead)s?\b:?/i.exec(instruction);
+  const rest = entityMatch ? instruction.slice(entityMatch.index + entityMatch[0].length) : instruction;
+  return matchFirst(rest, PERSON_NAME_PATTERN, 1)
+    || matchFirst(rest, /\b(?:named|called)\s+([a-z'-]+(?:\s+[a-z'-]+)?)/i, 1);
+}
+
+/**
+ * Tag named in "tag X as VIP", "tagged VIP", "add tag VIP to X" or "with tag VIP"
+ */
+function extractTag(instruction) {
+  const patterns = [
+    /\b(?:add|remove)\s+(?:the\s+|a\s+)?tag\s+["“]?(.+?)["”]?\s+(?:to|from)\b/i,
+    /\btagged\s+(?:as\s+|with\s+)?["“]?(.+?)["”]?\s*(?:[,.;]|\band\b|$)/i,
+    /\btag\b.*?\s(?:as|with)\s+["“]?(.+?)["”]?\s*(?:[,.;]|\band\b|$)/i,
+    /\btag\s+["“]?([^\s"”,.;]+)/i
+  ];
+  
+  for (const pattern of patterns) {
+    const tag = matchFirst(instruction, pattern, 1);
+    if (tag) return tag;
+  }
+  return null;
+}
+
+/**
+ * Name of a new workflow or campaign: quoted text, else whatever follows the entity word
+ */
+function extractRecordName(instruction, entityWords) {
+  const quoted = matchFirst(instruction, QUOTED_PATTERN, 1);
+  if (quoted) return quoted;
+  
+  const pattern = new RegExp(`\\b(?:${entityWords})\\s+(?:called\\s+|named\\s+|for\\s+)?(.+?)\\s*(?:[,.;]|$)`, 'i');
+  const name = matchFirst(instruction, pattern, 1);
+  return name ? capitalize(name) : null;
+}
+
+/**
+ * Changed fields in "change Mike Chen's email to ...", "update phone ..." or "rename ... to ..."
+ */
+function extractContactChanges(instruction, contact) {
+  const changes = {};
+  
+  const email = (instruction.match(EMAIL_PATTERN) || []).find(candidate => candidate !== contact.email);
+  if (email) changes.email = email;
+  
+  const phone = matchFirst(instruction, PHONE_PATTERN);
+  if (phone && phone !== contact.phone) changes.phone = phone;
+  
+  const name = matchFirst(instruction, /\b(?:rename\b.*?\bto|name\s+to)\s+["“]?([^"”,.;]+?)["”]?\s*(?:[,.;]|$)/i, 1);
+  if (name && name.toLowerCase() !== contact.name.toLowerCase()) changes.name = name;
+  
+  return changes;
+}
+
+function formatAppointment(appointment, timeZone) {
+  return `${appointment.title} - ${formatDateTime(appointment.startTime, timeZone)}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function action(actionType, description, result, details = {}) {
+  return { actionType, description, result, timestamp: Date.now(), details };
+}
+
+function completedResponse(actions, insights, nextSteps) {
+  return { status: 'Completed', actions, insights, nextSteps, duration: 400 };
+}
+
+/**
+ * Ask when an appointment should be; each candidate reading becomes a ready-to-send next step
+ */
+function clarificationResponse(instruction, extraction) {
+  const matched = new RegExp(escapeRegExp(extraction.match), 'i');
+  return completedResponse(
+    [],
+    [`❓ **When?** ${extraction.question}`, 'Nothing was scheduled yet.'],
+    extraction.candidates.length > 0
+      ? extraction.candidates.map(candidate => instruction.replace(matched, candidate.phrase))
+      : ['Show upcoming appointments']
+  );
+}
+
+function failedResponse(reason) {
+  return {
+    status: { type: 'Failed', reason },
+    actions: [],
+    insights: [],
+    nextSteps: ['Show recent contacts', 'What else can you do?'],
+    duration: 150
+  };
+}
+
+class DemoICPService extends BackendAdapter {
+  /**
+   * @param {Object} options - { crm: MockCRM holding the demo records, store: IndexedDBStore for saved state,
+   *   faults: FaultInjector deciding simulated latency and failures,
+   *   timeZone: IANA time zone for locations whose context has none (defaults to the browser's) }
+   */
+  constructor(options = {}) {
+    super('demo');
+    this.crm = options.crm || new MockCRM();
+    this.faults = options.faults || new FaultInjector();
+    this.store = options.store || new IndexedDBStore('agent-adam-demo', 'state');
+    this.timeZone = resolveTimeZone(options.timeZone);
     this.isInitialized = false;
     this.commandHistory = [];
     this.totalCommands = 0;
+    this.executionResults = new Map();
+    this.queryCache = new QueryCache({ getStatus: 15000, getHistory: 30000, getHistoryPage: 30000 });
+  }
+
+  /**
+   * Subscribe to cached query results
+   */
+  onQueryChange(method, args, listener) {
+    return this.queryCache.subscribe(method, args, listener);
+  }
+
+  /**
+   * Drop cached query results
+   */
+  invalidateQueries(method) {
+    this.queryCache.invalidate(method);
   }
 
   /**
@@ -15,55 +239,336 @@ class DemoICPService {
   async init() {
     // Simulate initialization delay
     await this.delay(1000);
+    await this.restoreState();
     this.isInitialized = true;
     console.log('Demo ICP Service initialized successfully');
     return true;
   }
 
+  /**
+   * Describe the simulated connection
+   */
+  getConnectionInfo() {
+    return {
+      network: 'demo',
+      host: null,
+      canisterId: null
+    };
+  }
+
   /**
    * Process a natural language command (Demo version)
    */
-  async processCommand(instruction, context = {}) {
-    console.log('Demo: Processing command:', instruction);
-    
-    // Simulate processing delay
-    await this.delay(1500);
+  async processCommand(instruction, context = {}, options = {}) {
+    const source = { AdminInterface: { userId: 'demo-user', locationId: context.locationId || 'default' } };
+    return this.runCommand(instruction, source, context, options, 'processCommand');
+  }
+
+  /**
+   * Process an admin interface command (Demo version)
+   */
+  async processAdminCommand(instruction, context = {}, options = {}) {
+    const source = { AdminInterface: { userId: 'demo-user', locationId: context.locationId || 'default' } };
+    const details = await this.runCommand(instruction, source, context, options, 'processAdminCommand');
+
+    const summaries = {
+      Failed: 'Command could not be completed',
+      PartialSuccess: 'Command completed with warnings'
+    };
     
+    return {
+      summary: summaries[details.status.type] || 'Command executed successfully',
+      details: details,
+      recommendedActions: details.nextSteps,
+      alerts: []
+    };
+  }
+
+  /**
+   * Process a GoHighLevel webhook (Demo version)
+   */
+  async handleWebhook(webhookId, eventType, payload, locationId, options = {}) {
+    const source = { GHLWebhook: { webhookId, eventType } };
+    await this.runCommand(payload, source, { locationId, source: eventType }, options, 'handleWebhook');
+    return 'Webhook processed successfully';
+  }
+
+  /**
+   * Process a voice agent transcript (Demo version)
+   */
+  async processVoiceCommand(sessionId, callerId, transcript, locationId, options = {}) {
+    const source = { GHLVoiceAgent: { sessionId, callerId } };
+    const context = { locationId, source: callerId, priority: 2 };
+    const result = await this.runCommand(transcript, source, context, options, 'processVoiceCommand');
+
+    return {
+      spokenText: result.actions.length > 0
+        ? `Done. ${result.actions[0].description}.`
+        : "I've processed your request successfully.",
+      actions: result.actions.map(action => action.actionType),
+      shouldEndCall: false,
+      transferNumber: null
+    };
+  }
+
+  /**
+   * Process a chat agent message (Demo version)
+   */
+  async processChatCommand(conversationId, contactId, message, locationId, options = {}) {
+    const source = { GHLChatAgent: { conversationId, contactId } };
+    const context = { locationId, source: contactId, priority: 2 };
+    const result = await this.runCommand(message, source, context, options, 'processChatCommand');
+
+    return {
+      message: result.insights.join('\n'),
+      quickReplies: result.nextSteps.slice(0, 3),
+      attachments: [],
+      shouldClose: false
+    };
+  }
+
+  /**
+   * Simulate processing a command, then record it
+   * Nothing is recorded when the call is cancelled or times out during the simulated delay.
+   * The fault profile decides the delay and whether the result fails, partially succeeds or is unreadable.
+   */
+  runCommand(instruction, source, context = {}, options = {}, method = 'processCommand') {
+    return runCancellable(async (signal) => {
+      console.log('Demo: Processing command:', instruction);
+      
+      const fault = this.faults.pickFault();
+      
+      // Simulate processing delay
+      await this.delay(this.faults.sampleLatency(1500), signal);
+      
+      const response = this.recordCommand(instruction, source, context, fault);
+      if (fault && fault.type === 'malformed') {
+        // The command ran, but the reply is unreadable - the error ICPService.handleResult raises
+        throw new Error('Failed to process command');
+      }
+      return response;
+    }, options, method);
+  }
+
+  /**
+   * Record a command and generate its simulated result
+   * An injected failure leaves the CRM untouched; an injected partial success adds warnings.
+   */
+  recordCommand(instruction, source, context, fault = null) {
     this.totalCommands++;
     
-    // Create demo command
-    const command = {
-      id: `demo_cmd_${Date.now()}`,
+    // Create demo command in the same shape the canister stores
+    const command = normalizeCommand({
+      id: context.commandId || this.generateCommandId(),
+      source: source,
       instruction: instruction,
-      timestamp: new Date(),
-      source: 'demo-interface'
-    };
+      context: {
+        locationId: context.locationId || 'default',
+        sourceMetadata: context.source || 'demo-interface',
+        priority: context.priority || 1,
+        retryCount: 0
+      },
+      timestamp: new Date()
+    });
     
     this.commandHistory.unshift(command);
-    if (this.commandHistory.length > 10) {
-      this.commandHistory.pop();
+    if (this.commandHistory.length > MAX_HISTORY) {
+      // Results are kept only for commands still in history, or they would grow without limit
+      const dropped = this.commandHistory.pop();
+      if (!this.commandHistory.some(kept => kept.id === dropped.id)) {
+        this.executionResults.delete(dropped.id);
+      }
     }
     
     // Generate intelligent demo response based on command content
-    const response = this.generateDemoResponse(instruction);
+    const simulated = fault && fault.type === 'failed'
+      ? failedResponse(fault.reason)
+      : this.generateDemoResponse(instruction, context);
+    if (fault && fault.type === 'partial' && simulated.status === 'Completed') {
+      simulated.status = { type: 'PartialSuccess', warnings: fault.warnings };
+    }
+    
+    const response = normalizeResult({
+      ...simulated,
+      commandId: command.id
+    });
+    this.executionResults.set(response.commandId, response);
+    this.queryCache.invalidate();
+    this.saveState();
     
     return response;
   }
 
   /**
-   * Generate intelligent demo responses based on command content
+   * Capture history and CRM records as a JSON-safe snapshot
+   * @returns {Object} { format, version, exportedAt, totalCommands, commandHistory, executionResults, crm }
+   */
+  createSnapshot() {
+    const commandIds = new Set(this.commandHistory.map(command => command.id));
+    
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      exportedAt: new Date().toISOString(),
+      totalCommands: this.totalCommands,
+      commandHistory: this.commandHistory.map(command => ({
+        ...command,
+        context: { ...command.context },
+        timestamp: command.timestamp.toISOString()
+      })),
+      executionResults: Array.from(this.executionResults.values())
+        .filter(result => commandIds.has(result.commandId))
+        .map(result => ({
+          ...result,
+          actions: result.actions.map(action => ({ ...action, timestamp: action.timestamp.toISOString() }))
+        })),
+      crm: this.crm.toJSON()
+    };
+  }
+
+  /**
+   * Replace all demo state with a snapshot
+   * Nothing changes if the snapshot is invalid.
+   * @param {Object} snapshot - Result of createSnapshot()
+   */
+  applySnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+      throw new Error('Not an Agent Adam demo snapshot');
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported demo snapshot version: ${snapshot.version}`);
+    }
+    if (!Array.isArray(snapshot.commandHistory) || !Array.isArray(snapshot.executionResults)) {
+      throw new Error('Demo snapshot is missing its command history');
+    }
+    
+    const commandHistory = snapshot.commandHistory
+      .map(command => ({ ...command, timestamp: new Date(command.timestamp) }))
+      .slice(0, MAX_HISTORY);
+    const commandIds = new Set(commandHistory.map(command => command.id));
+    const executionResults = new Map(snapshot.executionResults
+      .filter(result => commandIds.has(result.commandId))
+      .map(result => [result.commandId, normalizeResult(result)]));
+    
+    // Load the CRM into a scratch instance first so a bad snapshot leaves the current one intact
+    const crm = new MockCRM({ seed: false, now: this.crm.now });
+    crm.load(snapshot.crm || {});
+    
+    this.crm.load(crm.toJSON());
+    this.commandHistory = commandHistory;
+    this.executionResults = executionResults;
+    this.totalCommands = Number(snapshot.totalCommands) || commandHistory.length;
+    this.queryCache.invalidate();
+  }
+
+  /**
+   * Export demo state as JSON text
+   * @returns {string}
+   */
+  exportState() {
+    return JSON.stringify(this.createSnapshot(), null, 2);
+  }
+
+  /**
+   * Import demo state exported by exportState() and save it
+   * @param {string|Object} snapshot - JSON text or parsed snapshot
+   * @returns {Promise<Object>} Status with the imported counts
+   */
+  async importState(snapshot) {
+    let parsed = snapshot;
+    if (typeof snapshot === 'string') {
+      try {
+        parsed = JSON.parse(snapshot);
+      } catch (error) {
+        throw new Error(`Demo snapshot is not valid JSON: ${error.message}`);
+      }
+    }
+    
+    this.applySnapshot(parsed);
+    await this.saveState();
+    return this.getStatus();
+  }
+
+  /**
+   * Clear history and restore the seed CRM records
+   */
+  async resetState() {
+    this.commandHistory = [];
+    this.totalCommands = 0;
+    this.executionResults = new Map();
+    this.crm.reset();
+    this.queryCache.invalidate();
+    await this.store.clear();
+  }
+
+  /**
+   * Load saved state, keeping the fresh seed data when there is none or it is unreadable
+   */
+  async restoreState() {
+    try {
+      const saved = await this.store.get(STATE_KEY);
+      if (saved) {
+        this.applySnapshot(saved.snapshot);
+      }
+    } catch (error) {
+      console.warn('Could not restore saved demo state, starting fresh:', error.message);
+    }
+  }
+
+  /**
+   * Save the current state; failures are logged since demo state is a convenience
+   */
+  saveState() {
+    return this.store.put({ id: STATE_KEY, snapshot: this.createSnapshot() }).catch(error => {
+      console.warn('Could not save demo state:', error.message);
+    });
+  }
+
+  /**
+   * Get the execution result for a command (Demo version)
+   */
+  async getExecutionResult(commandId, options = {}) {
+    return runCancellable(async (signal) => {
+      await this.delay(100, signal);
+      return this.executionResults.get(commandId) || null;
+    }, options, 'getExecutionResult');
+  }
+
+  /**
+   * Generate demo responses by applying the instruction to the mock CRM
+   * The intent comes from the same interpretation the canister runs, so an instruction it cannot
+   * classify does nothing here either. Instructions that do not touch CRM records fall back to canned responses.
+   * Times are read and shown in the location's time zone (`context.timeZone`).
    */
-  generateDemoResponse(instruction) {
+  generateDemoResponse(instruction, context = {}) {
     const lowerInstruction = instruction.toLowerCase();
+    const timeZone = context.timeZone ? resolveTimeZone(context.timeZone) : this.timeZone;
+    const { intent } = interpretCommand(instruction);
+    const verb = detectVerb(lowerInstruction, intent);
+    const contact = this.crm.findContactIn(instruction);
+    
+    if (verb === 'tag' || verb === 'untag') {
+      return this.handleTagCommand(instruction, verb, contact);
+    }
     
-    // Contact creation pattern
-    if (lowerInstruction.includes('create') && lowerInstruction.includes('contact')) {
-      return this.generateContactResponse(instruction);
+    // Without a recognized intent an instruction about a record type only reads it
+    const recordVerb = verb || 'query';
+    switch (detectEntity(lowerInstruction, intent)) {
+      case 'campaign':
+        return this.handleCampaignCommand(instruction, recordVerb, contact);
+      case 'workflow':
+        return this.handleWorkflowCommand(instruction, recordVerb);
+      case 'appointment':
+        return this.handleAppointmentCommand(instruction, recordVerb, contact, timeZone);
+      case 'contact':
+        return this.handleContactCommand(instruction, recordVerb, contact, timeZone);
+      case 'tag':
+        return recordVerb === 'query' ? this.listTagsResponse() : this.handleTagCommand(instruction, 'tag', contact);
     }
     
-    // Appointment/call scheduling pattern
-    if (lowerInstruction.includes('appointment') || lowerInstruction.includes('discovery call') || lowerInstruction.includes('schedule')) {
-      return this.generateAppointmentResponse(instruction);
+    // A known contact named without an entity word, e.g. "Delete Mike Chen"
+    if (contact && verb) {
+      return this.handleContactCommand(instruction, verb, contact, timeZone);
     }
     
     // Lead magnet pattern
@@ -71,106 +576,339 @@ class DemoICPService {
       return this.generateLeadMagnetResponse(instruction);
     }
     
-    // Workflow/automation pattern
-    if (lowerInstruction.includes('workflow') || lowerInstruction.includes('automation')) {
-      return this.generateWorkflowResponse(instruction);
-    }
-    
     // Default response
     return this.generateDefaultResponse(instruction);
   }
 
-  generateContactResponse(instruction) {
-    // Extract contact details from instruction
-    const emailMatch = instruction.match(/[\w.-]+@[\w.-]+\.\w+/);
-    const phoneMatch = instruction.match(/\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/);
-    const nameMatch = instruction.match(/(?:create.*contact:?\s*-?\s*|name:?\s*)([A-Z][a-z]+\s+[A-Z][a-z]+)/i);
+  handleContactCommand(instruction, verb, contact, timeZone = this.timeZone) {
+    if (verb === 'create') {
+      return this.createContactResponse(instruction);
+    }
+    if (verb === 'query' || !verb) {
+      return contact ? this.contactDetailsResponse(contact, timeZone) : this.listContactsResponse(instruction);
+    }
+    if (!contact) {
+      return failedResponse('Contact not found. Mention the contact by full name or email.');
+    }
     
-    const email = emailMatch ? emailMatch[0] : 'email@example.com';
-    const phone = phoneMatch ? phoneMatch[0] : '555-000-0000';
-    const name = nameMatch ? nameMatch[1] : 'New Contact';
+    if (verb === 'delete') {
+      this.crm.deleteContact(contact.id);
+      return completedResponse(
+        [action('delete_contact', `Deleted contact: ${contact.name}`, `Contact ID: ${contact.id}`, { contact: contact.name })],
+        [`🗑️ **Contact Deleted**: ${contact.name}`, `📇 **Contacts Remaining**: ${this.crm.contacts.size}`],
+        ['Show recent contacts']
+      );
+    }
     
-    return {
-      commandId: `demo_${Date.now()}`,
-      status: 'Completed',
-      actions: [
-        {
-          actionType: 'create_contact',
-          description: `Created new contact: ${name}`,
-          result: `Contact ID: GHL_${Math.random().toString(36).substr(2, 9)}`,
-          timestamp: Date.now()
-        },
-        {
-          actionType: 'add_contact_info',
-          description: `Added email: ${email}`,
-          result: 'Email added successfully',
-          timestamp: Date.now()
-        },
-        {
-          actionType: 'add_contact_info', 
-          description: `Added phone: ${phone}`,
-          result: 'Phone added successfully',
-          timestamp: Date.now()
-        }
-      ],
-      insights: [
-        `✅ **Contact Created Successfully!**`,
-        `📧 **Email**: ${email}`,
-        `📞 **Phone**: ${phone}`,
-        `🏷️ **Tagged**: AI Consultation Interest`,
-        `🎯 **Source**: Direct Input`
-      ],
-      nextSteps: [
-        'Send lead magnet',
-        'Schedule discovery call',
-        'Add to nurture sequence'
-      ],
-      duration: 1200
-    };
+    const changes = extractContactChanges(instruction, contact);
+    if (Object.keys(changes).length === 0) {
+      return failedResponse(`Nothing to update for ${contact.name}. Include a new name, email or phone number.`);
+    }
+    
+    this.crm.updateContact(contact.id, changes);
+    return completedResponse(
+      Object.entries(changes).map(([field, value]) =>
+        action('update_contact', `Updated ${field} for ${contact.name}: ${value}`, `Contact ID: ${contact.id}`,
+          { contact: contact.name, field, value })),
+      [`✏️ **Contact Updated**: ${contact.name}`, ...Object.entries(changes).map(([field, value]) => `• **${capitalize(field)}**: ${value}`)],
+      [`Show ${contact.name}`, 'Show recent contacts']
+    );
   }
 
-  generateAppointmentResponse(instruction) {
-    const timeSlots = [
-      'Tomorrow at 2:00 PM',
-      'Tuesday at 10:00 AM', 
-      'Wednesday at 3:00 PM',
-      'Thursday at 11:00 AM',
-      'Friday at 1:00 PM'
-    ];
+  createContactResponse(instruction) {
+    const email = matchFirst(instruction, EMAIL_PATTERN);
+    const phone = matchFirst(instruction, PHONE_PATTERN);
+    const tag = extractTag(instruction);
     
-    const selectedTime = timeSlots[Math.floor(Math.random() * timeSlots.length)];
+    const existing = email ? this.crm.findContact(email) : null;
+    if (existing) {
+      return failedResponse(`A contact with email ${email} already exists: ${existing.name}`);
+    }
     
-    return {
-      commandId: `demo_${Date.now()}`,
-      status: 'Completed',
-      actions: [
-        {
-          actionType: 'create_appointment',
-          description: `Scheduled discovery call for ${selectedTime}`,
-          result: `Calendar link sent via email`,
-          timestamp: Date.now()
-        },
-        {
-          actionType: 'send_notification',
-          description: 'Sent confirmation email with calendar invite',
-          result: 'Email delivered successfully',
-          timestamp: Date.now()
-        }
-      ],
-      insights: [
-        `📅 **Discovery Call Scheduled**`,
-        `⏰ **Time**: ${selectedTime}`,
-        `📧 **Confirmation**: Email sent with calendar invite`,
-        `🔗 **Zoom Link**: Included in calendar invite`,
-        `⏰ **Reminder**: Set for 1 hour before`
-      ],
-      nextSteps: [
-        'Prepare discovery call agenda',
-        'Send pre-call questionnaire',
-        'Review prospect background'
+    const contact = this.crm.createContact({
+      name: extractPersonName(instruction) || 'New Contact',
+      email,
+      phone,
+      tags: tag ? [tag] : []
+    });
+    
+    const actions = [action('create_contact', `Created new contact: ${contact.name}`, `Contact ID: ${contact.id}`,
+      { name: contact.name, email, phone })];
+    if (email) actions.push(action('add_contact_info', `Added email: ${email}`, 'Email added successfully', { contact: contact.name, email }));
+    if (phone) actions.push(action('add_contact_info', `Added phone: ${phone}`, 'Phone added successfully', { contact: contact.name, phone }));
+    if (tag) actions.push(action('add_tag', `Tagged ${contact.name}: ${tag}`, 'Tag added successfully', { contact: contact.name, tag }));
+    
+    return completedResponse(actions, [
+      `✅ **Contact Created Successfully!**`,
+      `👤 **Name**: ${contact.name}`,
+      `📧 **Email**: ${email || 'not provided'}`,
+      `📞 **Phone**: ${phone || 'not provided'}`,
+      ...(tag ? [`🏷️ **Tagged**: ${tag}`] : []),
+      `📇 **Total Contacts**: ${this.crm.contacts.size}`
+    ], [
+      'Send lead magnet',
+      `Schedule discovery call with ${contact.name}`,
+      'Show recent contacts'
+    ]);
+  }
+
+  contactDetailsResponse(contact, timeZone = this.timeZone) {
+    const appointments = this.crm.listAppointments({ upcoming: true, contactId: contact.id });
+    const campaigns = this.crm.listCampaigns().filter(campaign => campaign.contactIds.includes(contact.id));
+    
+    return completedResponse(
+      [action('get_contact', `Looked up contact: ${contact.name}`, `Contact ID: ${contact.id}`,
+        { contact: contact.name, email: contact.email, phone: contact.phone })],
+      [
+        `👤 **${contact.name}**`,
+        `📧 **Email**: ${contact.email || 'not provided'}`,
+        `📞 **Phone**: ${contact.phone || 'not provided'}`,
+        `🏷️ **Tags**: ${contact.tags.length > 0 ? contact.tags.join(', ') : 'none'}`,
+        `📅 **Upcoming Appointments**: ${appointments.length > 0 ? appointments.map(appointment => formatAppointment(appointment, timeZone)).join('; ') : 'none'}`,
+        `📣 **Campaigns**: ${campaigns.length > 0 ? campaigns.map(campaign => campaign.name).join(', ') : 'none'}`
       ],
-      duration: 800
-    };
+      [`Schedule discovery call with ${contact.name}`, `Tag ${contact.name} as VIP`]
+    );
+  }
+
+  listContactsResponse(instruction) {
+    const tag = extractTag(instruction);
+    const limit = /\b(recent|latest|new)\b/i.test(instruction) ? 5 : 10;
+    const contacts = this.crm.listContacts({ tag, limit });
+    const total = this.crm.listContacts({ tag }).length;
+    
+    const heading = tag ? `Contacts tagged ${tag}` : 'Recent contacts';
+    return completedResponse(
+      [action('list_contacts', `Listed ${contacts.length} of ${total} contacts`, `${total} matching`)],
+      contacts.length > 0
+        ? [`📇 **${heading}** (${total})`, ...contacts.map(contact =>
+          `• ${contact.name}${contact.email ? ` - ${contact.email}` : ''}${contact.tags.length > 0 ? ` [${contact.tags.join(', ')}]` : ''}`)]
+        : [`📇 **${heading}**: none found`],
+      ['Create contact', 'Show tags']
+    );
+  }
+
+  handleTagCommand(instruction, verb, contact) {
+    const tag = extractTag(instruction);
+    if (!tag) {
+      return failedResponse('Which tag? Try "Tag Mike Chen as VIP".');
+    }
+    if (!contact) {
+      return failedResponse(`Contact not found for tag "${tag}". Mention the contact by full name or email.`);
+    }
+    
+    if (verb === 'untag') {
+      this.crm.removeTag(contact.id, tag);
+      return completedResponse(
+        [action('remove_tag', `Removed tag ${tag} from ${contact.name}`, 'Tag removed successfully', { contact: contact.name, tag })],
+        [`🏷️ **Tag Removed**: ${tag}`, `👤 **Contact**: ${contact.name}`],
+        [`Show ${contact.name}`]
+      );
+    }
+    
+    this.crm.addTag(contact.id, tag);
+    return completedResponse(
+      [action('add_tag', `Tagged ${contact.name}: ${tag}`, 'Tag added successfully', { contact: contact.name, tag })],
+      [`🏷️ **Tagged**: ${contact.name} as ${tag}`, `👥 **Contacts with this tag**: ${this.crm.listContacts({ tag }).length}`],
+      [`Show contacts tagged ${tag}`]
+    );
+  }
+
+  listTagsResponse() {
+    const tags = this.crm.listTags();
+    return completedResponse(
+      [action('list_tags', `Listed ${tags.length} tags`, `${tags.length} tags in use`)],
+      tags.length > 0
+        ? ['🏷️ **Tags in use**', ...tags.map(tag => `• ${tag.name} (${tag.count})`)]
+        : ['🏷️ **No tags in use**'],
+      tags.length > 0 ? [`Show contacts tagged ${tags[0].name}`] : ['Create contact']
+    );
+  }
+
+  handleAppointmentCommand(instruction, verb, contact, timeZone = this.timeZone) {
+    if (verb === 'query') {
+      const appointments = this.crm.listAppointments({ upcoming: true, contactId: contact ? contact.id : undefined });
+      return completedResponse(
+        [action('list_appointments', `Listed ${appointments.length} upcoming appointments`, `${appointments.length} scheduled`)],
+        appointments.length > 0
+          ? ['📅 **Upcoming Appointments**', ...appointments.map(appointment => `• ${formatAppointment(appointment, timeZone)}${this.describeAttendee(appointment)}`)]
+          : ['📅 **No upcoming appointments**'],
+        ['Schedule discovery call']
+      );
+    }
+    
+    if (verb === 'delete') {
+      if (!contact) {
+        return failedResponse('Which appointment? Mention the contact, e.g. "Cancel the appointment with Mike Chen".');
+      }
+      const cancelled = this.crm.cancelAppointment({ contactId: contact.id });
+      if (!cancelled) {
+        return failedResponse(`${contact.name} has no upcoming appointments.`);
+      }
+      return completedResponse(
+        [action('cancel_appointment', `Cancelled ${cancelled.title} with ${contact.name}`, `Appointment ID: ${cancelled.id}`,
+          { title: cancelled.title, contact: contact.name, startTime: formatDateTime(cancelled.startTime, timeZone) })],
+        [`❌ **Appointment Cancelled**`, `👤 **Contact**: ${contact.name}`, `⏰ **Was**: ${formatDateTime(cancelled.startTime, timeZone)}`],
+        [`Schedule discovery call with ${contact.name}`]
+      );
+    }
+    
+    const options = { now: this.crm.now(), timeZone };
+    let when = extractDateTime(instruction, options);
+    if (when.status === 'ambiguous') {
+      return clarificationResponse(instruction, when);
+    }
+    // Without any date or time the appointment goes to tomorrow morning
+    if (when.status === 'missing') {
+      when = extractDateTime('tomorrow', options);
+    }
+    
+    const startTime = when.date;
+    const title = /discovery/i.test(instruction) ? 'Discovery call' : (/meeting/i.test(instruction) ? 'Meeting' : 'Appointment');
+    const appointment = this.crm.createAppointment({ contactId: contact ? contact.id : null, title, startTime });
+    
+    const actions = [action(
+      'create_appointment',
+      `Scheduled ${title.toLowerCase()} for ${formatDateTime(startTime, timeZone)}`,
+      `Appointment ID: ${appointment.id}, starts ${startTime.toISOString()}`,
+      { title, startTime: formatDateTime(startTime, timeZone), contact: contact ? contact.name : '' }
+    )];
+    if (contact && contact.email) {
+      actions.push(action('send_notification', 'Sent confirmation email with calendar invite', 'Email delivered successfully',
+        { recipient: contact.email, subject: `${title} confirmation` }));
+    }
+    
+    return completedResponse(actions, [
+      `📅 **${title} Scheduled**`,
+      `⏰ **Time**: ${formatDateTime(startTime, timeZone)}${when.assumed.length > 0 ? ' (no time given)' : ''}`,
+      `👤 **With**: ${contact ? contact.name : 'no contact linked'}`,
+      ...(contact && contact.email ? [`📧 **Confirmation**: Email sent to ${contact.email}`] : [])
+    ], [
+      'Show upcoming appointments',
+      'Send pre-call questionnaire'
+    ]);
+  }
+
+  describeAttendee(appointment) {
+    const contact = appointment.contactId ? this.crm.findContact(appointment.contactId) : null;
+    return contact ? ` with ${contact.name}` : '';
+  }
+
+  handleWorkflowCommand(instruction, verb) {
+    if (verb === 'query' || !verb) {
+      const workflows = this.crm.listWorkflows();
+      return completedResponse(
+        [action('list_workflows', `Listed ${workflows.length} workflows`, `${this.crm.getStats().activeWorkflows} active`)],
+        workflows.length > 0
+          ? ['⚡ **Workflows**', ...workflows.map(workflow => `• ${workflow.name} - ${workflow.status} (trigger: ${workflow.trigger})`)]
+          : ['⚡ **No workflows yet**'],
+        ['Create workflow']
+      );
+    }
+    
+    if (verb === 'create') {
+      const name = extractRecordName(instruction, 'workflow|automation') || 'AI Consultation Pipeline';
+      if (this.crm.findWorkflow(name)) {
+        return failedResponse(`A workflow named "${name}" already exists.`);
+      }
+      const workflow = this.crm.createWorkflow({ name, trigger: detectTrigger(instruction) });
+      return completedResponse(
+        [action('create_workflow', `Created workflow: ${workflow.name}`, `Workflow ID: ${workflow.id}`,
+          { workflow: workflow.name, trigger: workflow.trigger, status: workflow.status })],
+        [`⚡ **Workflow Created**: ${workflow.name}`, `🎯 **Trigger**: ${workflow.trigger}`, `✅ **Status**: active`],
+        ['Show workflows', `Pause workflow ${workflow.name}`]
+      );
+    }
+    
+    const workflow = this.crm.findWorkflowIn(instruction) || this.crm.findWorkflow(matchFirst(instruction, QUOTED_PATTERN, 1));
+    if (!workflow) {
+      return failedResponse('Workflow not found. Mention it by name, e.g. "Pause workflow New Lead Welcome".');
+    }
+    
+    if (verb === 'delete') {
+      this.crm.deleteWorkflow(workflow.id);
+      return completedResponse(
+        [action('delete_workflow', `Deleted workflow: ${workflow.name}`, `Workflow ID: ${workflow.id}`, { workflow: workflow.name })],
+        [`🗑️ **Workflow Deleted**: ${workflow.name}`],
+        ['Show workflows']
+      );
+    }
+    
+    const status = verb === 'pause' ? 'paused' : 'active';
+    this.crm.setWorkflowStatus(workflow.id, status);
+    return completedResponse(
+      [action(status === 'paused' ? 'pause_workflow' : 'activate_workflow', `Set workflow ${workflow.name} to ${status}`, `Workflow ID: ${workflow.id}`)],
+      [`⚡ **Workflow ${capitalize(status)}**: ${workflow.name}`, `📊 **Active Workflows**: ${this.crm.getStats().activeWorkflows}`],
+      ['Show workflows']
+    );
+  }
+
+  handleCampaignCommand(instruction, verb, contact) {
+    if (verb === 'query' || !verb) {
+      const campaigns = this.crm.listCampaigns();
+      return completedResponse(
+        [action('list_campaigns', `Listed ${campaigns.length} campaigns`, `${campaigns.length} campaigns`)],
+        campaigns.length > 0
+          ? ['📣 **Campaigns**', ...campaigns.map(campaign => `• ${campaign.name} - ${campaign.contactIds.length} contacts`)]
+          : ['📣 **No campaigns yet**'],
+        ['Create campaign']
+      );
+    }
+    
+    const campaign = this.crm.findCampaignIn(instruction) || this.crm.findCampaign(matchFirst(instruction, QUOTED_PATTERN, 1));
+    
+    // "Add Mike Chen to campaign Spring Newsletter"
+    if (verb === 'create' && contact && campaign) {
+      this.crm.addToCampaign(campaign.id, contact.id);
+      return completedResponse(
+        [action('add_to_campaign', `Added ${contact.name} to campaign ${campaign.name}`, `Campaign ID: ${campaign.id}`,
+          { contact: contact.name, campaign: campaign.name })],
+        [`📣 **Enrolled**: ${contact.name} in ${campaign.name}`, `👥 **Campaign Contacts**: ${campaign.contactIds.length}`],
+        ['Show campaigns']
+      );
+    }
+    
+    if (verb === 'create') {
+      const name = extractRecordName(instruction, 'campaign');
+      if (!name) {
+        return failedResponse('What should the campaign be called? Try: Create campaign "Summer Promo".');
+      }
+      if (this.crm.findCampaign(name)) {
+        return failedResponse(`A campaign named "${name}" already exists.`);
+      }
+      const created = this.crm.createCampaign({ name });
+      return completedResponse(
+        [action('create_campaign', `Created campaign: ${created.name}`, `Campaign ID: ${created.id}`, { campaign: created.name })],
+        [`📣 **Campaign Created**: ${created.name}`],
+        [`Add a contact to campaign ${created.name}`, 'Show campaigns']
+      );
+    }
+    
+    if (!campaign) {
+      return failedResponse('Campaign not found. Mention it by name.');
+    }
+    
+    // "Remove Mike Chen from campaign Spring Newsletter" leaves the campaign in place
+    if (verb === 'delete' && contact) {
+      this.crm.removeFromCampaign(campaign.id, contact.id);
+      return completedResponse(
+        [action('remove_from_campaign', `Removed ${contact.name} from campaign ${campaign.name}`, `Campaign ID: ${campaign.id}`,
+          { contact: contact.name, campaign: campaign.name })],
+        [`📣 **Removed**: ${contact.name} from ${campaign.name}`, `👥 **Campaign Contacts**: ${campaign.contactIds.length}`],
+        ['Show campaigns']
+      );
+    }
+    
+    if (verb === 'delete') {
+      this.crm.deleteCampaign(campaign.id);
+      return completedResponse(
+        [action('delete_campaign', `Deleted campaign: ${campaign.name}`, `Campaign ID: ${campaign.id}`, { campaign: campaign.name })],
+        [`🗑️ **Campaign Deleted**: ${campaign.name}`],
+        ['Show campaigns']
+      );
+    }
+    
+    return failedResponse('Campaigns can be created, listed, deleted or given contacts in demo mode.');
   }
 
   generateLeadMagnetResponse(instruction) {
@@ -192,13 +930,15 @@ class DemoICPService {
           actionType: 'send_lead_magnet',
           description: `Sent "${selectedMagnet}" via email`,
           result: 'Lead magnet delivered successfully',
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          details: { leadMagnet: selectedMagnet, channel: 'Email' }
         },
         {
           actionType: 'add_to_sequence',
           description: 'Added to AI consultation nurture sequence',
           result: 'Contact enrolled in 7-day email sequence',
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          details: { sequence: 'AI consultation nurture', length: '7 days' }
         }
       ],
       insights: [
@@ -217,34 +957,6 @@ class DemoICPService {
     };
   }
 
-  generateWorkflowResponse(instruction) {
-    return {
-      commandId: `demo_${Date.now()}`,
-      status: 'Completed',
-      actions: [
-        {
-          actionType: 'create_workflow',
-          description: 'Created AI consultation workflow',
-          result: 'Workflow activated with 5 steps',
-          timestamp: Date.now()
-        }
-      ],
-      insights: [
-        `⚡ **Workflow Created**: AI Consultation Pipeline`,
-        `📋 **Steps**: 5-step automated sequence`,
-        `🎯 **Triggers**: New contact with AI interest tag`,
-        `📧 **Includes**: Welcome email, lead magnet, follow-ups`,
-        `📞 **Outcome**: Scheduled discovery call`
-      ],
-      nextSteps: [
-        'Test workflow with sample contact',
-        'Monitor automation performance',
-        'Optimize based on results'
-      ],
-      duration: 1100
-    };
-  }
-
   generateDefaultResponse(instruction) {
     return {
       commandId: `demo_${Date.now()}`,
@@ -275,30 +987,54 @@ class DemoICPService {
   /**
    * Get command history
    */
-  async getHistory(limit = 10) {
-    await this.delay(200);
-    return this.commandHistory.slice(0, limit);
+  async getHistory(limit = 10, options = {}) {
+    return runCancellable(() => this.queryCache.get('getHistory', [limit], async () => {
+      await this.delay(200);
+      return this.commandHistory.slice(0, limit);
+    }), options, 'getHistory');
+  }
+
+  /**
+   * Get one page of command history
+   */
+  async getHistoryPage(query = {}, options = {}) {
+    const historyQuery = normalizeHistoryQuery(query);
+
+    return runCancellable(() => this.queryCache.get('getHistoryPage', [historyQuery], async () => {
+      await this.delay(200);
+      return paginateCommands(this.commandHistory, historyQuery);
+    }), options, 'getHistoryPage');
   }
 
   /**
    * Get service status
    */
-  async getStatus() {
-    await this.delay(100);
-    return {
-      status: 'Agent Adam Demo Mode - Fully Operational',
-      totalCommands: this.totalCommands,
-      isOnline: true,
-      mode: 'demo',
-      lastCheck: new Date().toISOString()
-    };
+  async getStatus(options = {}) {
+    return runCancellable(() => this.queryCache.get('getStatus', [], async () => {
+      await this.delay(100);
+      return {
+        status: 'Agent Adam Demo Mode - Fully Operational',
+        totalCommands: this.totalCommands,
+        isOnline: true,
+        mode: this.mode,
+        ...this.crm.getStats(),
+        lastCheck: new Date().toISOString()
+      };
+    }), options, 'getStatus');
+  }
+
+  /**
+   * Generate unique command ID
+   */
+  generateCommandId() {
+    return `demo_cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
    * Utility function for delays
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return abortableDelay(ms, signal);
   }
 
   /**
@@ -312,4 +1048,5 @@ class DemoICPService {
 // Create and export singleton instance
 const demoICPService = new DemoICPService();
 
+export { DemoICPService };
 export default demoICPService;
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * DomainModel - Normalized shapes shared by every backend adapter
+ * Converts canister values (variants, optionals, bigint nanoseconds) and demo values into one model
+ */
+
+const STATUS_TYPES = ["Pending", "Processing", "Completed", "Failed", "PartialSuccess"];
+
+const SOURCE_TYPES = {
+  GHLWebhook: "Webhook",
+  GHLVoiceAgent: "Voice",
+  GHLChatAgent: "Chat",
+  AdminInterface: "Admin"
+};
+
+/**
+ * @typedef {Object} Status
+ * @property {'Pending'|'Processing'|'Completed'|'Failed'|'PartialSuccess'} type
+ * @property {string} [reason] - Failure reason (Failed)
+ * @property {Array<string>} [warnings] - Warnings (PartialSuccess)
+ */
+
+/**
+ * @typedef {Object} Action
+ * @property {string} actionType
+ * @property {string} description
+ * @property {string} result
+ * @property {Date} timestamp
+ * @property {Object<string, string>} details - Key fields by name, e.g. { name, email } of a created contact;
+ *   empty when the backend reports none (the canister's ExecutedAction has no such field yet)
+ */
+
+/**
+ * @typedef {Object} Result
+ * @property {string} commandId
+ * @property {Status} status
+ * @property {Array<Action>} actions
+ * @property {Array<string>} insights
+ * @property {Array<string>} nextSteps
+ * @property {number} duration - Canister processing time in milliseconds
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id
+ * @property {string} instruction
+ * @property {'Webhook'|'Voice'|'Chat'|'Admin'|'Unknown'} sourceType
+ * @property {string} source - Display label, e.g. "Webhook: contact.created"
+ * @property {Object} context - { locationId, sourceMetadata, priority, retryCount }
+ * @property {Date} timestamp
+ */
+
+/**
+ * Convert a time value to a Date
+ * Bigints are canister nanoseconds; numbers are JavaScript milliseconds
+ * @param {bigint|number|string|Date} value - Time value
+ * @returns {Date}
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === "bigint") return new Date(Number(value / 1000000n));
+  return new Date(value);
+}
+
+/**
+ * Unwrap a Candid optional ([] or [value]) or pass a plain value through
+ * @param {Array|any} value - Optional value
+ * @returns {any|null}
+ */
+function fromOptional(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value[0] : null;
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Normalize an ExecutionStatus variant ({ Completed: null }) or string ('Completed')
+ * @param {Object|string} status - Raw status
+ * @returns {Status}
+ */
+function normalizeStatus(status) {
+  if (status && typeof status === "object" && typeof status.type === "string") {
+    return status;
+  }
+
+  if (typeof status === "string") {
+    return STATUS_TYPES.includes(status) ? { type: status } : { type: "Failed", reason: `Unknown status: ${status}` };
+  }
+
+  if (status && typeof status === "object") {
+    if ("Failed" in status) return { type: "Failed", reason: status.Failed.reason };
+    if ("PartialSuccess" in status) return { type: "PartialSuccess", warnings: [...status.PartialSuccess.warnings] };
+
+    const type = STATUS_TYPES.find(candidate => candidate in status);
+    if (type) return { type };
+  }
+
+  return { type: "Failed", reason: "Missing status" };
+}
+
+/**
+ * Keep the text-valued key fields of an action
+ * @param {Object} [details] - Raw key fields
+ * @returns {Object<string, string>}
+ */
+function normalizeDetails(details) {
+  if (!details || typeof details !== "object") return {};
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => typeof value === "string" && value !== ""));
+}
+
+/**
+ * Normalize an ExecutedAction
+ * @param {Object} action - Raw action
+ * @returns {Action}
+ */
+function normalizeAction(action) {
+  return {
+    actionType: action.actionType,
+    description: action.description,
+    result: action.result,
+    timestamp: toDate(action.timestamp),
+    details: normalizeDetails(action.details)
+  };
+}
+
+/**
+ * Normalize an ExecutionResult
+ * @param {Object} result - Raw result
+ * @returns {Result}
+ */
+function normalizeResult(result) {
+  return {
+    commandId: result.commandId,
+    status: normalizeStatus(result.status),
+    actions: (result.actions || []).map(normalizeAction),
+    insights: [...(result.insights || [])],
+    nextSteps: [...(result.nextSteps || [])],
+    duration: Number(result.duration || 0)
+  };
+}
+
+/**
+ * Normalize an AdminResponse
+ * @param {Object} response - Raw admin response
+ * @returns {Object} { summary, details: Result, recommendedActions, alerts }
+ */
+function normalizeAdminResponse(response) {
+  return {
+    summary: response.summary,
+    details: normalizeResult(response.details),
+    recommendedActions: [...(response.recommendedActions || [])],
+    alerts: [...(response.alerts || [])]
+  };
+}
+
+/**
+ * Normalize a VoiceResponse
+ * @param {Object} response - Raw voice response
+ * @returns {Object} { spokenText, actions, shouldEndCall, transferNumber }
+ */
+function normalizeVoiceResponse(response) {
+  return {
+    spokenText: response.spokenText,
+    actions: [...(response.actions || [])],
+    shouldEndCall: Boolean(response.shouldEndCall),
+    transferNumber: fromOptional(response.transferNumber)
+  };
+}
+
+/**
+ * Normalize a ChatResponse
+ * @param {Object} response - Raw chat response
+ * @returns {Object} { message, quickReplies, attachments, shouldClose }
+ */
+function normalizeChatResponse(response) {
+  return {
+    message: response.message,
+    quickReplies: [...(response.quickReplies || [])],
+    attachments: [...(response.attachments || [])],
+    shouldClose: Boolean(response.shouldClose)
+  };
+}
+
+/**
+ * Get the source type of a CommandSource variant
+ * @param {Object} source - CommandSource variant
+ * @returns {string} 'Webhook' | 'Voice' | 'Chat' | 'Admin' | 'Unknown'
+ */
+function getSourceType(source) {
+  const key = source && typeof source === "object"
+    ? Object.keys(SOURCE_TYPES).find(candidate => candidate in source)
+    : null;
+  return key ? SOURCE_TYPES[key] : "Unknown";
+}
+
+/**
+ * Format a CommandSource variant for display
+ * @param {Object} source - CommandSource variant
+ * @returns {string} Display label
+ */
+function formatSource(source) {
+  if (!source || typeof source !== "object") return "Unknown";
+  if ("GHLWebhook" in source) return `Webhook: ${source.GHLWebhook.eventType}`;
+  if ("GHLVoiceAgent" in source) return `Voice: ${source.GHLVoiceAgent.sessionId}`;
+  if ("GHLChatAgent" in source) return `Chat: ${source.GHLChatAgent.conversationId}`;
+  if ("AdminInterface" in source) return `Admin: ${source.AdminInterface.userId}`;
+  return "Unknown";
+}
+
+/**
+ * Normalize a Command (canister-shaped, with a CommandSource variant)
+ * @param {Object} command - Raw command
+ * @returns {Command}
+ */
+function normalizeCommand(command) {
+  const context = command.context || {};
+
+  return {
+    id: command.id,
+    instruction: command.instruction,
+    sourceType: getSourceType(command.source),
+    source: formatSource(command.source),
+    context: {
+      locationId: context.locationId || "default",
+      sourceMetadata: fromOptional(context.sourceMetadata),
+      priority: Number(context.priority || 0),
+      retryCount: Number(context.retryCount || 0)
+    },
+    timestamp: toDate(command.timestamp)
+  };
+}
+
+export {
+  STATUS_TYPES,
+  SOURCE_TYPES,
+  toDate,
+  fromOptional,
+  normalizeStatus,
+  normalizeAction,
+  normalizeResult,
+  normalizeAdminResponse,
+  normalizeVoiceResponse,
+  normalizeChatResponse,
+  getSourceType,
+  formatSource,
+  normalizeCommand
+};
@@ -0,0 +1,214 @@
+/**
+ * FaultInjector - Configurable faults for the demo service
+ * Lets QA reproduce slow responses, timeouts, Failed and PartialSuccess results and malformed
+ * responses on demand. Profiles are presets ("flaky") or specs ("failure=0.2,latency=500-3000").
+ */
+
+/**
+ * @typedef {Object} FaultProfile
+ * @property {string} name - Preset name, or "custom"
+ * @property {Object|null} latency - { min, max, tailRate, tail } in milliseconds; null keeps the demo's own delay
+ * @property {number} failureRate - Share of commands returning a Failed status
+ * @property {number} partialRate - Share of commands returning PartialSuccess with warnings
+ * @property {number} malformedRate - Share of commands whose response cannot be read
+ */
+
+// tail is longer than the app's 60s command timeout, so tail samples surface as timeouts
+const FAULT_PROFILES = {
+  off: { latency: null, failureRate: 0, partialRate: 0, malformedRate: 0 },
+  flaky: { latency: { min: 500, max: 3000, tailRate: 0, tail: 0 }, failureRate: 0.2, partialRate: 0.2, malformedRate: 0.05 },
+  slow: { latency: { min: 4000, max: 15000, tailRate: 0.1, tail: 70000 }, failureRate: 0, partialRate: 0, malformedRate: 0 },
+  chaos: { latency: { min: 200, max: 8000, tailRate: 0.05, tail: 70000 }, failureRate: 0.25, partialRate: 0.25, malformedRate: 0.15 }
+};
+
+const FAILURE_REASONS = [
+  "GoHighLevel API returned 503 Service Unavailable",
+  "GoHighLevel rate limit exceeded",
+  "Contact record is locked by another update"
+];
+
+const PARTIAL_WARNINGS = [
+  "Confirmation email could not be sent",
+  "Custom field \"lead_score\" was not updated",
+  "Workflow trigger was delayed"
+];
+
+// Spec keys and the profile field they set
+const RATE_KEYS = {
+  failure: "failureRate",
+  partial: "partialRate",
+  malformed: "malformedRate"
+};
+
+/**
+ * Resolve a preset name, a spec string or a profile object into a validated profile
+ * Specs start from an optional preset: "flaky,malformed=0.5" or "failure=0.1,latency=200-900,tail=0.1:70000".
+ * @param {string|Object|null} value - Profile description
+ * @returns {FaultProfile}
+ */
+function parseFaultProfile(value) {
+  if (!value) {
+    return { name: "off", ...FAULT_PROFILES.off };
+  }
+  if (typeof value === "object") {
+    return validateProfile({ name: "custom", ...FAULT_PROFILES.off, ...value });
+  }
+
+  const parts = String(value).split(",").map(part => part.trim()).filter(Boolean);
+  let profile = { name: "custom", ...FAULT_PROFILES.off };
+
+  parts.forEach((part, index) => {
+    const [key, setting] = part.split("=").map(text => text.trim());
+
+    if (setting === undefined) {
+      if (index !== 0 || !FAULT_PROFILES[key]) {
+        throw new Error(`Unknown fault profile "${key}". Expected one of: ${Object.keys(FAULT_PROFILES).join(", ")}`);
+      }
+      profile = { name: key, ...FAULT_PROFILES[key] };
+      return;
+    }
+
+    if (RATE_KEYS[key]) {
+      profile[RATE_KEYS[key]] = Number(setting);
+    } else if (key === "latency") {
+      const [min, max] = setting.split("-").map(Number);
+      profile.latency = { tailRate: 0, tail: 0, ...profile.latency, min, max: max === undefined ? min : max };
+    } else if (key === "tail") {
+      const [tailRate, tail] = setting.split(":").map(Number);
+      profile.latency = { min: 0, max: 0, ...profile.latency, tailRate, tail };
+    } else {
+      throw new Error(`Unknown fault setting "${key}"`);
+    }
+    profile.name = "custom";
+  });
+
+  return validateProfile(profile);
+}
+
+function validateProfile(profile) {
+  const rates = Object.values(RATE_KEYS).map(field => profile[field]);
+  if (rates.some(rate => typeof rate !== "number" || isNaN(rate) || rate < 0 || rate > 1)) {
+    throw new Error("Fault rates must be between 0 and 1");
+  }
+  if (rates.reduce((sum, rate) => sum + rate, 0) > 1) {
+    throw new Error("Fault rates must add up to at most 1");
+  }
+
+  const latency = profile.latency;
+  if (latency) {
+    const values = [latency.min, latency.max, latency.tail];
+    if (values.some(ms => typeof ms !== "number" || isNaN(ms) || ms < 0) || latency.min > latency.max) {
+      throw new Error("Fault latency must be a non-negative min-max range");
+    }
+    if (!(latency.tailRate >= 0 && latency.tailRate <= 1)) {
+      throw new Error("Fault tail rate must be between 0 and 1");
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Describe a profile in the spec syntax parseFaultProfile accepts
+ * @param {FaultProfile} profile
+ * @returns {string}
+ */
+function formatFaultProfile(profile) {
+  if (profile.name !== "custom") {
+    return profile.name;
+  }
+
+  const parts = Object.entries(RATE_KEYS)
+    .filter(([, field]) => profile[field] > 0)
+    .map(([key, field]) => `${key}=${profile[field]}`);
+  if (profile.latency) {
+    parts.push(`latency=${profile.latency.min}-${profile.latency.max}`);
+    if (profile.latency.tailRate > 0) {
+      parts.push(`tail=${profile.latency.tailRate}:${profile.latency.tail}`);
+    }
+  }
+  return parts.join(",") || "off";
+}
+
+class FaultInjector {
+  /**
+   * @param {string|Object|null} profile - Initial profile (see parseFaultProfile)
+   * @param {Function} random - Source of numbers in [0, 1), replaceable in tests
+   */
+  constructor(profile = null, random = Math.random) {
+    this.random = random;
+    this.listeners = new Set();
+    this.profile = parseFaultProfile(profile);
+  }
+
+  /**
+   * Switch profiles at runtime; invalid profiles throw and leave the current one in place
+   * @param {string|Object|null} profile - Preset name, spec string or profile object
+   * @returns {FaultProfile} Active profile
+   */
+  setProfile(profile) {
+    this.profile = parseFaultProfile(profile);
+    this.listeners.forEach(listener => listener(this.profile));
+    return this.profile;
+  }
+
+  getProfile() {
+    return this.profile;
+  }
+
+  isActive() {
+    const { latency, failureRate, partialRate, malformedRate } = this.profile;
+    return Boolean(latency) || failureRate + partialRate + malformedRate > 0;
+  }
+
+  /**
+   * Pick the response delay for one call
+   * @param {number} baseDelay - The demo's normal delay, used when the profile sets no latency
+   * @returns {number} Milliseconds
+   */
+  sampleLatency(baseDelay) {
+    const latency = this.profile.latency;
+    if (!latency) return baseDelay;
+
+    if (latency.tailRate > 0 && this.random() < latency.tailRate) {
+      return latency.tail;
+    }
+    return Math.round(latency.min + this.random() * (latency.max - latency.min));
+  }
+
+  /**
+   * Decide the fault, if any, for one command
+   * @returns {Object|null} { type: 'failed', reason } | { type: 'partial', warnings } | { type: 'malformed' } | null
+   */
+  pickFault() {
+    const { failureRate, partialRate, malformedRate } = this.profile;
+    const roll = this.random();
+
+    if (roll < failureRate) {
+      return { type: "failed", reason: this.pick(FAILURE_REASONS) };
+    }
+    if (roll < failureRate + partialRate) {
+      return { type: "partial", warnings: [this.pick(PARTIAL_WARNINGS)] };
+    }
+    if (roll < failureRate + partialRate + malformedRate) {
+      return { type: "malformed" };
+    }
+    return null;
+  }
+
+  pick(options) {
+    return options[Math.floor(this.random() * options.length) % options.length];
+  }
+
+  /**
+   * Subscribe to profile changes
+   * @param {Function} listener - Called with the new profile
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export { FaultInjector, FAULT_PROFILES, parseFaultProfile, formatFaultProfile };
@@ -0,0 +1,110 @@
+/**
+ * HealthMonitor - Polls the live canister in the background
+ * Runs in both live and demo mode, so the app can offer to switch modes when the canister
+ * goes down or comes back. It never switches on its own.
+ */
+
+import icpService from "./ICPService.js";
+
+const DEFAULT_OPTIONS = {
+  interval: 30000,
+  timeout: 10000,
+  degradedLatency: 2000
+};
+
+class HealthMonitor {
+  /**
+   * @param {ICPService} service - Live service exposing checkHealth()
+   * @param {Object} options - { interval, timeout, degradedLatency } in milliseconds
+   */
+  constructor(service = icpService, options = {}) {
+    this.service = service;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.checking = null;
+    this.listeners = new Set();
+    this.state = {
+      state: "unknown",
+      latency: null,
+      message: null,
+      checkedAt: null
+    };
+  }
+
+  /**
+   * Start polling, checking once right away
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.check();
+    }, this.options.interval);
+    this.check();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Probe the canister once; overlapping calls share the probe in flight
+   * @returns {Promise<Object>} { state: 'online'|'degraded'|'offline', latency, message, checkedAt }
+   */
+  check() {
+    if (!this.checking) {
+      this.checking = this.probe().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async probe() {
+    let next;
+
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      next = { state: "offline", latency: null, message: "Browser is offline" };
+    } else {
+      try {
+        const { status, latency } = await this.service.checkHealth({ timeout: this.options.timeout });
+        next = {
+          state: latency > this.options.degradedLatency ? "degraded" : "online",
+          latency,
+          message: status
+        };
+      } catch (error) {
+        next = { state: "offline", latency: null, message: error.message };
+      }
+    }
+
+    const previous = this.state.state;
+    this.state = { ...next, checkedAt: new Date() };
+    this.listeners.forEach(listener => listener(this.state, previous));
+    return this.state;
+  }
+
+  /**
+   * @returns {Object} Result of the last check
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Subscribe to check results
+   * @param {Function} listener - Called with (state, previousStateName) after every check
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Create and export singleton instance watching the live canister
+const healthMonitor = new HealthMonitor();
+
+export { HealthMonitor };
+export default healthMonitor;
@@ -0,0 +1,154 @@
+/**
+ * HistoryQuery - Filters and cursors for paginated command history
+ * Shared by every backend adapter so history pages behave the same live and in demo mode.
+ */
+
+import { SOURCE_TYPES } from "./DomainModel.js";
+
+const SOURCE_KINDS = Object.values(SOURCE_TYPES);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {number} [limit=20] - Page size, at most 100
+ * @property {string|null} [cursor] - `nextCursor` of the previous page
+ * @property {Array<string>} [sources] - Source types to include ('Webhook'|'Voice'|'Chat'|'Admin'); empty means all
+ * @property {string|null} [locationId] - Only commands for this GHL location
+ * @property {Date|number|string|null} [from] - Earliest timestamp, inclusive
+ * @property {Date|number|string|null} [to] - Latest timestamp, inclusive
+ */
+
+/**
+ * @typedef {Object} HistoryPage
+ * @property {Array<Object>} commands - Normalized Commands, newest first
+ * @property {string|null} nextCursor - Cursor for the next page, or null on the last page
+ */
+
+/**
+ * Validate a history query and fill in defaults
+ * @param {HistoryQuery} query - Caller options
+ * @returns {Object} { limit, cursor, sources, locationId, from: Date|null, to: Date|null }
+ */
+function normalizeHistoryQuery(query = {}) {
+  const sources = [...(query.sources || [])];
+  const unknown = sources.filter(source => !SOURCE_KINDS.includes(source));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown history source: ${unknown.join(", ")}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid history page size: ${query.limit}`);
+  }
+
+  if (query.cursor) {
+    decodeCursor(query.cursor);
+  }
+
+  return {
+    limit: Math.min(limit, MAX_PAGE_SIZE),
+    cursor: query.cursor || null,
+    sources,
+    locationId: query.locationId || null,
+    from: toOptionalDate(query.from),
+    to: toOptionalDate(query.to)
+  };
+}
+
+function toOptionalDate(value) {
+  if (value === undefined || value === null) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid history date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Encode the position of the last command on a page
+ * @param {bigint|number} timestamp - Command timestamp in the adapter's own unit
+ * @param {string} id - Command ID
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(timestamp, id) {
+  return `${timestamp}:${id}`;
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} { timestamp: string, id }
+ */
+function decodeCursor(cursor) {
+  const match = /^(-?\d+):(.+)$/s.exec(String(cursor));
+  if (!match) {
+    throw new Error(`Invalid history cursor: ${cursor}`);
+  }
+  return { timestamp: match[1], id: match[2] };
+}
+
+/**
+ * Order commands newest first, breaking timestamp ties by ID so pages never overlap
+ */
+function compareNewestFirst(a, b) {
+  if (a.timestamp.getTime() !== b.timestamp.getTime()) {
+    return b.timestamp - a.timestamp;
+  }
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+/**
+ * Check a normalized command against the query filters
+ * @param {Object} command - Normalized Command
+ * @param {Object} query - Result of normalizeHistoryQuery
+ * @returns {boolean}
+ */
+function matchesHistoryQuery(command, query) {
+  if (query.sources.length > 0 && !query.sources.includes(command.sourceType)) return false;
+  if (query.locationId && command.context.locationId !== query.locationId) return false;
+  if (query.from && command.timestamp < query.from) return false;
+  if (query.to && command.timestamp > query.to) return false;
+  return true;
+}
+
+/**
+ * Page through normalized commands held in memory
+ * Cursors carry millisecond timestamps.
+ * @param {Array<Object>} commands - Normalized Commands, in any order
+ * @param {Object} query - Result of normalizeHistoryQuery
+ * @returns {HistoryPage}
+ */
+function paginateCommands(commands, query) {
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const after = cursor
+    ? { timestamp: new Date(Number(cursor.timestamp)), id: cursor.id }
+    : null;
+
+  const matching = commands
+    .filter(command => matchesHistoryQuery(command, query))
+    .filter(command => !after || compareNewestFirst(after, command) < 0)
+    .sort(compareNewestFirst);
+
+  const page = matching.slice(0, query.limit);
+  const last = page[page.length - 1];
+
+  return {
+    commands: page,
+    nextCursor: matching.length > page.length ? encodeCursor(last.timestamp.getTime(), last.id) : null
+  };
+}
+
+export {
+  SOURCE_KINDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  normalizeHistoryQuery,
+  encodeCursor,
+  decodeCursor,
+  compareNewestFirst,
+  matchesHistoryQuery,
+  paginateCommands
+};
@@ -3,107 +3,166 @@
  * Handles all ICP blockchain interactions and canister communication
  */
 
-import { Actor, HttpAgent } from "@dfinity/agent";
+import { Actor, HttpAgent, fetchCandid } from "@dfinity/agent";
 import { Principal } from "@dfinity/principal";
+import configLoader from "./ConfigLoader.js";
+import identityService from "./IdentityService.js";
+import {
+  ErrorCategory,
+  classifyError,
+  isAvailabilityFailure,
+  isFetchFailure,
+  RetryPolicy,
+  CircuitBreaker
+} from "./RetryPolicy.js";
+import { CanisterError, RetryExhaustedError, InterfaceMismatchError } from "./ServiceErrors.js";
+import { describeIdlService, parseCandidService, compareInterfaces } from "./InterfaceCheck.js";
+import { QueryCache } from "./QueryCache.js";
+import { runCancellable, throwIfAborted, abortableDelay } from "./Cancellation.js";
+import metricsRegistry from "./MetricsRegistry.js";
+import { normalizeHistoryQuery, encodeCursor, decodeCursor } from "./HistoryQuery.js";
+import { idlFactory } from "../../declarations/AgentAdam/AgentAdam.did.js";
+import BackendAdapter from "./BackendAdapter.js";
+import {
+  normalizeResult,
+  normalizeAdminResponse,
+  normalizeVoiceResponse,
+  normalizeChatResponse,
+  normalizeCommand,
+  formatSource,
+  fromOptional
+} from "./DomainModel.js";
+
+// Retry settings per method; "default" applies to methods without their own entry
+const DEFAULT_RETRY_POLICIES = {
+  default: { maxAttempts: 3, baseDelay: 500, maxDelay: 8000, jitter: 0.5 },
+  getStatus: { maxAttempts: 2, baseDelay: 250, maxDelay: 1000, jitter: 0.5 },
+  getHistory: { maxAttempts: 2, baseDelay: 250, maxDelay: 1000, jitter: 0.5 },
+  getHistoryPage: { maxAttempts: 2, baseDelay: 250, maxDelay: 1000, jitter: 0.5 }
+};
+
+// How long query results stay fresh, in milliseconds
+const DEFAULT_CACHE_TTLS = {
+  default: 10000,
+  getStatus: 15000,
+  getHistory: 30000,
+  getHistoryPage: 30000
+};
 
-// Development canister ID (will be replaced with actual ID after deployment)
-const CANISTER_ID = "rrkah-fqaaa-aaaah-qcuwa-cai";
-
-// Candid interface definition for the Agent Adam canister
-const idlFactory = ({ IDL }) => {
-  const Time = IDL.Int;
-  
-  const CommandSource = IDL.Variant({
-    'GHLWebhook': IDL.Record({ 'webhookId': IDL.Text, 'eventType': IDL.Text }),
-    'GHLVoiceAgent': IDL.Record({ 'sessionId': IDL.Text, 'callerId': IDL.Text }),
-    'GHLChatAgent': IDL.Record({ 'conversationId': IDL.Text, 'contactId': IDL.Text }),
-    'AdminInterface': IDL.Record({ 'userId': IDL.Text, 'locationId': IDL.Text })
-  });
-
-  const CommandContext = IDL.Record({
-    'locationId': IDL.Text,
-    'sourceMetadata': IDL.Opt(IDL.Text),
-    'priority': IDL.Nat,
-    'retryCount': IDL.Nat
-  });
-
-  const Command = IDL.Record({
-    'id': IDL.Text,
-    'source': CommandSource,
-    'instruction': IDL.Text,
-    'context': CommandContext,
-    'timestamp': Time
-  });
-
-  const ExecutionStatus = IDL.Variant({
-    'Pending': IDL.Null,
-    'Processing': IDL.Null,
-    'Completed': IDL.Null,
-    'Failed': IDL.Record({ 'reason': IDL.Text }),
-    'PartialSuccess': IDL.Record({ 'warnings': IDL.Vec(IDL.Text) })
-  });
-
-  const ExecutedAction = IDL.Record({
-    'actionType': IDL.Text,
-    'description': IDL.Text,
-    'result': IDL.Text,
-    'timestamp': Time
-  });
-
-  const ExecutionResult = IDL.Record({
-    'commandId': IDL.Text,
-    'status': ExecutionStatus,
-    'actions': IDL.Vec(ExecutedAction),
-    'insights': IDL.Vec(IDL.Text),
-    'nextSteps': IDL.Vec(IDL.Text),
-    'duration': IDL.Nat
-  });
-
-  const VoiceResponse = IDL.Record({
-    'spokenText': IDL.Text,
-    'actions': IDL.Vec(IDL.Text),
-    'shouldEndCall': IDL.Bool,
-    'transferNumber': IDL.Opt(IDL.Text)
-  });
-
-  const ChatResponse = IDL.Record({
-    'message': IDL.Text,
-    'quickReplies': IDL.Vec(IDL.Text),
-    'attachments': IDL.Vec(IDL.Text),
-    'shouldClose': IDL.Bool
-  });
-
-  const AdminResponse = IDL.Record({
-    'summary': IDL.Text,
-    'details': ExecutionResult,
-    'recommendedActions': IDL.Vec(IDL.Text),
-    'alerts': IDL.Vec(IDL.Text)
-  });
-
-  const Result = (ok, err) => IDL.Variant({ 'ok': ok, 'err': err });
-
-  return IDL.Service({
-    'processCommand': IDL.Func([Command], [Result(ExecutionResult, IDL.Text)], []),
-    'handleWebhook': IDL.Func([IDL.Text, IDL.Text, IDL.Text, IDL.Text], [Result(IDL.Text, IDL.Text)], []),
-    'processVoiceCommand': IDL.Func([IDL.Text, IDL.Text, IDL.Text, IDL.Text], [Result(VoiceResponse, IDL.Text)], []),
-    'processChatCommand': IDL.Func([IDL.Text, IDL.Text, IDL.Text, IDL.Text], [Result(ChatResponse, IDL.Text)], []),
-    'processAdminCommand': IDL.Func([IDL.Text, IDL.Text, IDL.Text], [Result(AdminResponse, IDL.Text)], []),
-    'getCommandHistory': IDL.Func([IDL.Nat], [IDL.Vec(Command)], ['query']),
-    'getExecutionResult': IDL.Func([IDL.Text], [IDL.Opt(ExecutionResult)], ['query']),
-    'getTotalCommands': IDL.Func([], [IDL.Nat], ['query']),
-    'getCanisterStatus': IDL.Func([], [IDL.Text], ['query'])
-  });
+// Service methods that change canister state; a successful call invalidates every cached query
+const UPDATE_METHODS = new Set([
+  "processCommand",
+  "processAdminCommand",
+  "handleWebhook",
+  "processVoiceCommand",
+  "processChatCommand"
+]);
+
+// Canister methods each service method calls, used to refuse calls the deployed interface can't serve
+const CANISTER_METHODS = {
+  processCommand: ["processCommand"],
+  processAdminCommand: ["processAdminCommand"],
+  getExecutionResult: ["getExecutionResult"],
+  getHistory: ["getCommandHistory"],
+  getHistoryPage: ["getCommandPage"],
+  getStatus: ["getCanisterStatus", "getTotalCommands"],
+  handleWebhook: ["handleWebhook"],
+  processVoiceCommand: ["processVoiceCommand"],
+  processChatCommand: ["processChatCommand"]
 };
 
-class ICPService {
-  constructor(canisterId = CANISTER_ID, options = {}) {
+class ICPService extends BackendAdapter {
+  /**
+   * @param {string|null} canisterId - Canister ID; falls back to the runtime config when omitted
+   * @param {Object} options - HttpAgent options plus optional `network`, `configLoader`, `identityService`,
+   *   `retryPolicies` (per-method RetryPolicy settings), `circuitBreaker` ({ failureThreshold, resetTimeout })
+   *   `cacheTtls` (per-method query cache TTLs in milliseconds) and `metrics` (a MetricsRegistry)
+   */
+  constructor(canisterId = null, options = {}) {
+    const {
+      network,
+      configLoader: loader,
+      identityService: identities,
+      retryPolicies,
+      circuitBreaker,
+      cacheTtls,
+      metrics,
+      ...agentOptions
+    } = options;
+    super("live");
     this.canisterId = canisterId;
-    this.options = options;
+    this.network = network || null;
+    this.options = agentOptions;
+    this.configLoader = loader || configLoader;
+    this.identityService = identities || identityService;
+    this.unsubscribeIdentity = null;
+    this.host = null;
     this.agent = null;
     this.actor = null;
     this.isInitialized = false;
-    this.retryAttempts = 3;
-    this.retryDelay = 1000; // 1 second
+    this.interfaceReport = null;
+    this.retryPolicies = {};
+    this.circuitBreaker = new CircuitBreaker(circuitBreaker);
+    this.queryCache = new QueryCache({ ...DEFAULT_CACHE_TTLS, ...cacheTtls });
+    this.metrics = metrics || metricsRegistry;
+    this.setRetryPolicies({ ...DEFAULT_RETRY_POLICIES, ...retryPolicies });
+  }
+
+  /**
+   * Configure retry settings per method
+   * @param {Object} policies - Map of method name (or "default") to RetryPolicy options
+   */
+  setRetryPolicies(policies) {
+    Object.entries(policies).forEach(([method, settings]) => {
+      const base = method === "default" ? {} : DEFAULT_RETRY_POLICIES.default;
+      this.retryPolicies[method] = new RetryPolicy({ ...base, ...settings });
+    });
+  }
+
+  /**
+   * Get the retry policy for a method
+   * @param {string} method - Service method name
+   * @returns {RetryPolicy}
+   */
+  getRetryPolicy(method) {
+    return this.retryPolicies[method] || this.retryPolicies.default;
+  }
+
+  /**
+   * Get the circuit breaker state for status displays
+   * @returns {Object} { state: 'closed'|'open'|'half-open', failures, openedAt, retryAt }
+   */
+  getCircuitState() {
+    return this.circuitBreaker.getState();
+  }
+
+  /**
+   * Subscribe to circuit breaker transitions
+   * @param {Function} listener - Called with the new circuit state
+   * @returns {Function} Unsubscribe function
+   */
+  onCircuitStateChange(listener) {
+    return this.circuitBreaker.subscribe(listener);
+  }
+
+  /**
+   * Subscribe to cached query results, e.g. to keep the sidebar in sync without polling
+   * Subscribed queries are refetched once after each successful update call.
+   * @param {string} method - 'getStatus', 'getHistory' or 'getHistoryPage'
+   * @param {Array} args - Arguments of the watched call, e.g. [5] for getHistory(5)
+   * @param {Function} listener - Called with each new result
+   * @returns {Function} Unsubscribe function
+   */
+  onQueryChange(method, args, listener) {
+    return this.queryCache.subscribe(method, args, listener);
+  }
+
+  /**
+   * Drop cached query results so the next read goes to the canister
+   * @param {string} [method] - Only invalidate this method's results
+   */
+  invalidateQueries(method) {
+    this.queryCache.invalidate(method);
   }
 
   /**
@@ -112,15 +171,28 @@ class ICPService {
    */
   async init() {
     try {
-      // Create HTTP agent
-      const host = this.options.host || "https://ic0.app";
+      // Resolve canister ID, host and network from runtime config
+      await this.configure();
+
+      // Create HTTP agent signed by the current identity
+      const identity = await this.identityService.getIdentity();
       this.agent = new HttpAgent({ 
-        host,
-        ...this.options 
+        ...this.options,
+        host: this.host,
+        identity
       });
 
+      // Re-sign subsequent calls when the user logs in or out
+      if (!this.unsubscribeIdentity) {
+        this.unsubscribeIdentity = this.identityService.subscribe(({ identity: nextIdentity }) => {
+          if (this.agent) {
+            this.agent.replaceIdentity(nextIdentity);
+          }
+        });
+      }
+
       // Fetch root key for local development
-      if (host.includes("localhost") || host.includes("127.0.0.1")) {
+      if (this.network === "local" || this.host.includes("localhost") || this.host.includes("127.0.0.1")) {
         await this.agent.fetchRootKey();
       }
 
@@ -130,6 +202,11 @@ class ICPService {
         canisterId: this.canisterId,
       });
 
+      // Compare the bundled IDL with the deployed interface once per canister
+      if (!this.interfaceReport) {
+        await this.checkInterface();
+      }
+
       this.isInitialized = true;
       console.log("ICP Service initialized successfully");
       return true;
@@ -140,20 +217,135 @@ class ICPService {
     }
   }
 
+  /**
+   * Resolve connection settings, letting constructor arguments override the runtime config
+   * @returns {Promise<Object>} Connection info
+   */
+  async configure() {
+    const config = await this.configLoader.load();
+
+    this.canisterId = this.canisterId || config.canisterId;
+    this.network = this.network || config.network;
+    this.host = this.options.host || config.host;
+
+    if (!this.canisterId) {
+      throw new Error(`No canister ID configured for network "${this.network}"`);
+    }
+
+    return this.getConnectionInfo();
+  }
+
+  /**
+   * Describe the network and canister this service talks to
+   * @returns {Object} Connection info ({ network, host, canisterId })
+   */
+  getConnectionInfo() {
+    return {
+      network: this.network,
+      host: this.host,
+      canisterId: this.canisterId
+    };
+  }
+
+  /**
+   * Compare the bundled IDL with the canister's candid:service metadata
+   * When the metadata can't be read the check is skipped and all methods stay callable
+   * @returns {Promise<Object>} Interface report ({ checked, compatible, incompatibleMethods, missing, changed })
+   */
+  async checkInterface() {
+    let deployedCandid;
+    try {
+      deployedCandid = await fetchCandid(this.canisterId, this.agent);
+    } catch (error) {
+      console.warn("Could not read candid:service metadata, skipping interface check:", error.message);
+    }
+
+    if (!deployedCandid) {
+      this.interfaceReport = { checked: false, compatible: true, incompatibleMethods: [], missing: [], changed: [] };
+      return this.interfaceReport;
+    }
+
+    try {
+      const report = compareInterfaces(describeIdlService(idlFactory), parseCandidService(deployedCandid));
+      this.interfaceReport = { checked: true, ...report };
+    } catch (error) {
+      console.warn("Could not parse the deployed Candid interface:", error.message);
+      this.interfaceReport = { checked: false, compatible: true, incompatibleMethods: [], missing: [], changed: [] };
+    }
+
+    if (!this.interfaceReport.compatible) {
+      console.warn("Canister interface mismatch:", this.interfaceReport);
+    }
+    return this.interfaceReport;
+  }
+
+  /**
+   * Get the result of the last interface check
+   * @returns {Object|null} Interface report, or null before init()
+   */
+  getInterfaceReport() {
+    return this.interfaceReport;
+  }
+
+  /**
+   * Refuse service methods whose canister methods changed or disappeared
+   * @param {string} method - Service method name
+   * @throws {InterfaceMismatchError}
+   */
+  ensureCompatible(method) {
+    if (!this.interfaceReport || this.interfaceReport.compatible) {
+      return;
+    }
+
+    const incompatible = (CANISTER_METHODS[method] || [])
+      .filter(canisterMethod => this.interfaceReport.incompatibleMethods.includes(canisterMethod));
+
+    if (incompatible.length > 0) {
+      throw new InterfaceMismatchError(incompatible);
+    }
+  }
+
+  /**
+   * Probe the canister with a single getCanisterStatus query, without cache or retries
+   * Initializes the service first if an earlier init() failed. A healthy probe closes the circuit breaker.
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @returns {Promise<Object>} { status, latency } where latency is the round trip in milliseconds
+   */
+  async checkHealth(options = {}) {
+    if (!this.isInitialized && !(await this.init())) {
+      throw new Error("Agent Adam canister could not be initialized");
+    }
+
+    const startedAt = Date.now();
+    const status = await runCancellable(() => this.actor.getCanisterStatus(), options, "checkHealth");
+    this.circuitBreaker.recordSuccess();
+
+    return { status, latency: Date.now() - startedAt };
+  }
+
+  /**
+   * Get the user ID sent with commands - the principal of the signing identity
+   * @returns {string} Principal text
+   */
+  getUserId() {
+    return this.identityService.getPrincipal() || "anonymous";
+  }
+
   /**
    * Process a natural language command
    * @param {string} instruction - The natural language instruction
-   * @param {Object} context - Command context
+   * @param {Object} context - Command context (locationId, source, priority, optional commandId)
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
    * @returns {Promise<Object>} Execution result or error
    */
-  async processCommand(instruction, context = {}) {
+  async processCommand(instruction, context = {}, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
     const command = {
-      id: this.generateCommandId(),
-      source: { AdminInterface: { userId: "web-user", locationId: context.locationId || "default" } },
+      id: context.commandId || this.generateCommandId(),
+      source: { AdminInterface: { userId: this.getUserId(), locationId: context.locationId || "default" } },
       instruction: instruction,
       context: {
         locationId: context.locationId || "default",
@@ -166,36 +358,133 @@ class ICPService {
 
     return this.withRetry(async () => {
       const result = await this.actor.processCommand(command);
-      return this.handleResult(result, "Failed to process command");
-    });
+      return normalizeResult(this.handleResult(result, "Failed to process command"));
+    }, "processCommand", options);
+  }
+
+  /**
+   * Process a command issued from the admin interface
+   * @param {string} instruction - The natural language instruction
+   * @param {Object} context - Command context (locationId, optional commandId the canister deduplicates on)
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @returns {Promise<Object>} Admin response with summary, details, recommended actions and alerts
+   */
+  async processAdminCommand(instruction, context = {}, options = {}) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const userId = this.getUserId();
+    const locationId = context.locationId || "default";
+    const commandId = context.commandId ? [context.commandId] : [];
+
+    return this.withRetry(async () => {
+      const result = await this.actor.processAdminCommand(userId, locationId, instruction, commandId);
+      return normalizeAdminResponse(this.handleResult(result, "Failed to process admin command"));
+    }, "processAdminCommand", options);
+  }
+
+  /**
+   * Get the stored execution result for a command
+   * @param {string} commandId - Command identifier
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @returns {Promise<Object|null>} Execution result, or null if not found
+   */
+  async getExecutionResult(commandId, options = {}) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.withRetry(async () => {
+      const result = fromOptional(await this.actor.getExecutionResult(commandId));
+      return result ? normalizeResult(result) : null;
+    }, "getExecutionResult", options);
   }
 
   /**
    * Get command history
    * @param {number} limit - Maximum number of commands to retrieve
-   * @returns {Promise<Array>} Array of commands
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @returns {Promise<Array>} Array of commands, newest first
    */
-  async getHistory(limit = 10) {
+  async getHistory(limit = 10, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
-    return this.withRetry(async () => {
+    return this.withQueryCache("getHistory", [limit], options, () => this.withRetry(async () => {
       const commands = await this.actor.getCommandHistory(limit);
-      return commands.map(this.formatCommand);
-    });
+      return commands
+        .map(command => this.formatCommand(command))
+        .sort((a, b) => b.timestamp - a.timestamp);
+    }, "getHistory"));
+  }
+
+  /**
+   * Get one page of command history; filtering and paging happen in the canister
+   * @param {Object} query - { limit, cursor, sources, locationId, from, to } (see HistoryQuery.js)
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @returns {Promise<Object>} { commands, nextCursor } with commands newest first
+   */
+  async getHistoryPage(query = {}, options = {}) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const historyQuery = normalizeHistoryQuery(query);
+
+    return this.withQueryCache("getHistoryPage", [historyQuery], options, () => this.withRetry(async () => {
+      const page = await this.actor.getCommandPage(
+        this.toHistoryFilter(historyQuery),
+        historyQuery.cursor ? [this.toHistoryCursor(historyQuery.cursor)] : [],
+        historyQuery.limit
+      );
+      const nextCursor = fromOptional(page.nextCursor);
+
+      return {
+        commands: page.commands.map(command => this.formatCommand(command)),
+        nextCursor: nextCursor ? encodeCursor(nextCursor.timestamp, nextCursor.id) : null
+      };
+    }, "getHistoryPage"));
+  }
+
+  /**
+   * Convert a normalized history query to a Candid HistoryFilter
+   * @param {Object} options - Result of normalizeHistoryQuery
+   * @returns {Object} HistoryFilter
+   */
+  toHistoryFilter(options) {
+    const toTime = (date) => (date ? [BigInt(date.getTime()) * 1000000n] : []);
+
+    return {
+      sources: options.sources.map(source => ({ [source]: null })),
+      locationId: options.locationId ? [options.locationId] : [],
+      fromTime: toTime(options.from),
+      toTime: toTime(options.to)
+    };
+  }
+
+  /**
+   * Convert an opaque cursor to a Candid HistoryCursor (nanosecond timestamp)
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {Object} HistoryCursor
+   */
+  toHistoryCursor(cursor) {
+    const { timestamp, id } = decodeCursor(cursor);
+    return { timestamp: BigInt(timestamp), id };
   }
 
   /**
    * Check canister status
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
    * @returns {Promise<Object>} Status information
    */
-  async getStatus() {
+  async getStatus(options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
-    return this.withRetry(async () => {
+    return this.withQueryCache("getStatus", [], options, () => this.withRetry(async () => {
       const [status, totalCommands] = await Promise.all([
         this.actor.getCanisterStatus(),
         this.actor.getTotalCommands()
@@ -205,9 +494,10 @@ class ICPService {
         status: status,
         totalCommands: Number(totalCommands),
         isOnline: true,
+        mode: this.mode,
         lastCheck: new Date().toISOString()
       };
-    });
+    }, "getStatus"));
   }
 
   /**
@@ -216,9 +506,10 @@ class ICPService {
    * @param {string} eventType - Type of webhook event
    * @param {string} payload - Webhook payload
    * @param {string} locationId - GHL location ID
-   * @returns {Promise<Object>} Processing result
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @returns {Promise<string>} Confirmation message
    */
-  async handleWebhook(webhookId, eventType, payload, locationId) {
+  async handleWebhook(webhookId, eventType, payload, locationId, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
@@ -226,7 +517,7 @@ class ICPService {
     return this.withRetry(async () => {
       const result = await this.actor.handleWebhook(webhookId, eventType, payload, locationId);
       return this.handleResult(result, "Failed to handle webhook");
-    });
+    }, "handleWebhook", options);
   }
 
   /**
@@ -235,17 +526,18 @@ class ICPService {
    * @param {string} callerId - Caller identifier
    * @param {string} transcript - Voice transcript
    * @param {string} locationId - GHL location ID
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
    * @returns {Promise<Object>} Voice response
    */
-  async processVoiceCommand(sessionId, callerId, transcript, locationId) {
+  async processVoiceCommand(sessionId, callerId, transcript, locationId, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
     return this.withRetry(async () => {
       const result = await this.actor.processVoiceCommand(sessionId, callerId, transcript, locationId);
-      return this.handleResult(result, "Failed to process voice command");
-    });
+      return normalizeVoiceResponse(this.handleResult(result, "Failed to process voice command"));
+    }, "processVoiceCommand", options);
   }
 
   /**
@@ -254,46 +546,138 @@ class ICPService {
    * @param {string} contactId - Contact identifier
    * @param {string} message - Chat message
    * @param {string} locationId - GHL location ID
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
    * @returns {Promise<Object>} Chat response
    */
-  async processChatCommand(conversationId, contactId, message, locationId) {
+  async processChatCommand(conversationId, contactId, message, locationId, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
     return this.withRetry(async () => {
       const result = await this.actor.processChatCommand(conversationId, contactId, message, locationId);
-      return this.handleResult(result, "Failed to process chat command");
-    });
+      return normalizeChatResponse(this.handleResult(result, "Failed to process chat command"));
+    }, "processChatCommand", options);
   }
 
   /**
-   * Execute function with retry logic
+   * Execute function with the method's retry policy and the shared circuit breaker
+   * Canister `err` Results are rethrown immediately; they mean the canister is reachable.
+   * Methods the deployed interface can't serve are refused before any call is made.
+   * Successful update calls invalidate the query cache.
+   * Aborting `options.signal` or passing `options.timeout` stops waiting and skips further retries.
+   * Only transport failures and transient rejects count as failures for the circuit breaker.
+   * Every call is recorded in the metrics registry: latency, attempts, outcome and error category.
    * @param {Function} fn - Function to execute
+   * @param {string} method - Service method name, used to pick the retry policy
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
    * @returns {Promise<any>} Function result
    */
-  async withRetry(fn) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
-        console.warn(`Attempt ${attempt} failed:`, error.message);
-        
-        if (attempt < this.retryAttempts) {
-          await this.delay(this.retryDelay * attempt);
-          
-          // Re-initialize if connection seems lost
-          if (error.message.includes("fetch") || error.message.includes("network")) {
-            await this.init();
+  async withRetry(fn, method = "default", options = {}) {
+    const startedAt = Date.now();
+    const call = { attempts: 0 };
+
+    try {
+      const result = await this.executeWithRetry(fn, method, options, call);
+      this.metrics.record(method, {
+        latency: Date.now() - startedAt,
+        outcome: "success",
+        attempts: call.attempts,
+        canisterDuration: getCanisterDuration(result)
+      });
+      return result;
+    } catch (error) {
+      const classification = classifyError(error);
+      this.metrics.record(method, {
+        latency: Date.now() - startedAt,
+        outcome: classification.category === ErrorCategory.CANCELLED ? "cancelled" : "error",
+        attempts: call.attempts,
+        category: error instanceof RetryExhaustedError ? error.category : classification.category
+      });
+      throw error;
+    }
+  }
+
+  async executeWithRetry(fn, method, options, call) {
+    this.ensureCompatible(method);
+
+    const policy = this.getRetryPolicy(method);
+    this.circuitBreaker.ensureCanRequest();
+
+    return runCancellable(async (signal) => {
+      let lastError;
+      let classification;
+      let attempt = 0;
+      // Stays true while every attempt failed before its request was sent
+      let unsent = true;
+
+      while (attempt < policy.maxAttempts) {
+        throwIfAborted(signal);
+        attempt++;
+        call.attempts = attempt;
+        try {
+          const result = await fn();
+          this.circuitBreaker.recordSuccess();
+          if (UPDATE_METHODS.has(method)) {
+            this.queryCache.invalidate();
+          }
+          return result;
+        } catch (error) {
+          lastError = error;
+          classification = classifyError(error);
+          unsent = unsent && isFetchFailure(error);
+
+          if (classification.category === ErrorCategory.CANISTER_ERROR) {
+            this.circuitBreaker.recordSuccess();
+            throw error;
+          }
+
+          console.warn(`${method} attempt ${attempt} failed (${classification.category}):`, error.message);
+
+          if (!policy.shouldRetry(classification, attempt)) {
+            break;
           }
+
+          await this.delay(policy.getDelay(attempt), signal);
+          await this.recover(classification);
         }
       }
+
+      if (isAvailabilityFailure(classification)) {
+        this.circuitBreaker.recordFailure();
+      }
+      throw new RetryExhaustedError(method, attempt, classification.category, lastError, unsent);
+    }, options, method);
+  }
+
+  /**
+   * Read through the query cache; the caller's signal and timeout only end its own wait,
+   * so a shared request keeps running for other callers and still fills the cache
+   * @param {string} method - Service method name
+   * @param {Array} args - Cache key arguments
+   * @param {Object} options - Call options: { signal: AbortSignal, timeout: ms }
+   * @param {Function} loader - Fetches the value on a cache miss
+   * @returns {Promise<any>}
+   */
+  withQueryCache(method, args, options, loader) {
+    return runCancellable(() => this.queryCache.get(method, args, loader), options, method);
+  }
+
+  /**
+   * Prepare the agent for the next attempt based on what went wrong
+   * @param {Object} classification - Result of classifyError
+   */
+  async recover(classification) {
+    try {
+      if (classification.category === ErrorCategory.CERTIFICATE && this.agent) {
+        // Expired ingress or certificate time checks usually mean the local clock drifted
+        await this.agent.syncTime();
+      } else if (classification.category === ErrorCategory.TRANSPORT) {
+        await this.init();
+      }
+    } catch (error) {
+      console.warn("Recovery before retry failed:", error.message);
     }
-    
-    throw new Error(`Failed after ${this.retryAttempts} attempts: ${lastError.message}`);
   }
 
   /**
@@ -306,7 +690,7 @@ class ICPService {
     if ('ok' in result) {
       return result.ok;
     } else if ('err' in result) {
-      throw new Error(result.err);
+      throw new CanisterError(result.err);
     } else {
       throw new Error(errorMessage);
     }
@@ -315,16 +699,10 @@ class ICPService {
   /**
    * Format command for frontend consumption
    * @param {Object} command - Raw command from canister
-   * @returns {Object} Formatted command
+   * @returns {Object} Normalized command (see DomainModel.js)
    */
   formatCommand(command) {
-    return {
-      id: command.id,
-      instruction: command.instruction,
-      source: this.formatSource(command.source),
-      context: command.context,
-      timestamp: new Date(Number(command.timestamp) / 1000000), // Convert from nanoseconds
-    };
+    return normalizeCommand(command);
   }
 
   /**
@@ -333,11 +711,7 @@ class ICPService {
    * @returns {string} Formatted source
    */
   formatSource(source) {
-    if ('GHLWebhook' in source) return `Webhook: ${source.GHLWebhook.eventType}`;
-    if ('GHLVoiceAgent' in source) return `Voice: ${source.GHLVoiceAgent.sessionId}`;
-    if ('GHLChatAgent' in source) return `Chat: ${source.GHLChatAgent.conversationId}`;
-    if ('AdminInterface' in source) return `Admin: ${source.AdminInterface.userId}`;
-    return 'Unknown';
+    return formatSource(source);
   }
 
   /**
@@ -351,14 +725,27 @@ class ICPService {
   /**
    * Utility function for delays
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} [signal] - Ends the delay early by rejecting with the abort reason
    * @returns {Promise<void>}
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return abortableDelay(ms, signal);
   }
 }
 
-// Create and export singleton instance
+/**
+ * Canister processing time reported in an ExecutionResult (directly or in AdminResponse.details)
+ * @param {any} result - Normalized call result
+ * @returns {number|undefined} Milliseconds
+ */
+function getCanisterDuration(result) {
+  if (result && typeof result.duration === "number") return result.duration;
+  if (result && result.details && typeof result.details.duration === "number") return result.details.duration;
+  return undefined;
+}
+
+// Create and export singleton instance, configured from the runtime config on init()
 const icpService = new ICPService();
 
+export { ICPService, CanisterError };
 export default icpService;
\ No newline at end of file
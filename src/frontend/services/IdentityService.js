@@ -0,0 +1,252 @@
+/**
+ * IdentityService - Manages the identity that signs canister calls
+ * Keeps a persisted local Ed25519 identity and supports pluggable login providers (e.g. Internet Identity)
+ */
+
+import { Ed25519KeyIdentity } from "@dfinity/identity";
+import { AuthClient } from "@dfinity/auth-client";
+
+const STORAGE_PREFIX = "adam-identity";
+const DEFAULT_USER = "default";
+const II_URL = "https://identity.ic0.app";
+
+/**
+ * Local identity provider - generates an Ed25519 key pair per GHL user and keeps it in localStorage
+ */
+class LocalIdentityProvider {
+  constructor(storage = null) {
+    this.storage = storage || (typeof localStorage !== "undefined" ? localStorage : null);
+    this.name = "local";
+    this.userKey = DEFAULT_USER;
+    this.identity = null;
+  }
+
+  /**
+   * Scope the local identity to an external (GHL) user
+   * @param {string} userKey - External user identifier
+   */
+  setUser(userKey) {
+    const key = userKey || DEFAULT_USER;
+    if (key !== this.userKey) {
+      this.userKey = key;
+      this.identity = null;
+    }
+  }
+
+  async getIdentity() {
+    if (this.identity) {
+      return this.identity;
+    }
+
+    const storageKey = `${STORAGE_PREFIX}:${this.userKey}`;
+    const stored = this.storage ? this.storage.getItem(storageKey) : null;
+
+    if (stored) {
+      try {
+        this.identity = Ed25519KeyIdentity.fromJSON(stored);
+        return this.identity;
+      } catch (error) {
+        console.warn("Stored identity is invalid, generating a new one:", error.message);
+      }
+    }
+
+    this.identity = Ed25519KeyIdentity.generate();
+    if (this.storage) {
+      this.storage.setItem(storageKey, JSON.stringify(this.identity.toJSON()));
+    }
+    return this.identity;
+  }
+
+  async isAuthenticated() {
+    return false;
+  }
+}
+
+/**
+ * Internet Identity provider - delegates login to an II instance through AuthClient
+ */
+class InternetIdentityProvider {
+  constructor(options = {}) {
+    this.name = "internet-identity";
+    this.identityProviderUrl = options.identityProviderUrl || II_URL;
+    this.authClient = null;
+  }
+
+  async getClient() {
+    if (!this.authClient) {
+      this.authClient = await AuthClient.create();
+    }
+    return this.authClient;
+  }
+
+  async isAuthenticated() {
+    const client = await this.getClient();
+    return client.isAuthenticated();
+  }
+
+  async getIdentity() {
+    const client = await this.getClient();
+    return client.getIdentity();
+  }
+
+  async login() {
+    const client = await this.getClient();
+    await new Promise((resolve, reject) => {
+      client.login({
+        identityProvider: this.identityProviderUrl,
+        onSuccess: resolve,
+        onError: (error) => reject(new Error(error || "Internet Identity login failed"))
+      });
+    });
+    return client.getIdentity();
+  }
+
+  async logout() {
+    const client = await this.getClient();
+    await client.logout();
+  }
+}
+
+class IdentityService {
+  constructor(options = {}) {
+    this.localProvider = options.localProvider || new LocalIdentityProvider();
+    this.providers = new Map();
+    this.activeProvider = null;
+    this.identity = null;
+    this.listeners = new Set();
+
+    this.registerProvider(options.loginProvider || new InternetIdentityProvider());
+  }
+
+  /**
+   * Register a login provider
+   * @param {Object} provider - Object with name, login(), logout(), getIdentity() and isAuthenticated()
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Resolve the current identity, restoring an existing provider session when there is one
+   * @returns {Promise<Object>} Identity used to sign calls
+   */
+  async init() {
+    for (const provider of this.providers.values()) {
+      try {
+        if (await provider.isAuthenticated()) {
+          await this.setIdentity(await provider.getIdentity(), provider);
+          return this.identity;
+        }
+      } catch (error) {
+        console.warn(`Could not restore ${provider.name} session:`, error.message);
+      }
+    }
+
+    await this.setIdentity(await this.localProvider.getIdentity(), null);
+    return this.identity;
+  }
+
+  /**
+   * Get the current identity, initializing it if needed
+   * @returns {Promise<Object>} Identity used to sign calls
+   */
+  async getIdentity() {
+    if (!this.identity) {
+      await this.init();
+    }
+    return this.identity;
+  }
+
+  /**
+   * Get the principal of the current identity as text
+   * @returns {string|null} Principal text
+   */
+  getPrincipal() {
+    return this.identity ? this.identity.getPrincipal().toText() : null;
+  }
+
+  /**
+   * Whether the current identity comes from a login provider rather than the local key
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return this.activeProvider !== null;
+  }
+
+  /**
+   * Log in through a registered provider
+   * @param {string} providerName - Provider name (default: 'internet-identity')
+   * @returns {Promise<Object>} New identity
+   */
+  async login(providerName = "internet-identity") {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown identity provider: ${providerName}`);
+    }
+
+    await this.setIdentity(await provider.login(), provider);
+    return this.identity;
+  }
+
+  /**
+   * Log out of the active provider and fall back to the local identity
+   * @returns {Promise<Object>} Local identity
+   */
+  async logout() {
+    if (this.activeProvider) {
+      await this.activeProvider.logout();
+    }
+
+    await this.setIdentity(await this.localProvider.getIdentity(), null);
+    return this.identity;
+  }
+
+  /**
+   * Bind the local identity to the GHL user the app is embedded for
+   * Ignored while logged in through a provider, whose principal already identifies the user
+   * @param {string} ghlUserId - User ID received via ghl-context
+   * @returns {Promise<string>} Principal text the GHL user is bound to
+   */
+  async bindUser(ghlUserId) {
+    this.localProvider.setUser(ghlUserId);
+
+    if (!this.activeProvider) {
+      await this.setIdentity(await this.localProvider.getIdentity(), null);
+    }
+    return this.getPrincipal();
+  }
+
+  /**
+   * Subscribe to identity changes
+   * @param {Function} listener - Called with { identity, principal, isAuthenticated, provider }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  async setIdentity(identity, provider) {
+    const changed = identity !== this.identity;
+    this.identity = identity;
+    this.activeProvider = provider;
+
+    if (!changed) {
+      return;
+    }
+
+    const state = {
+      identity,
+      principal: this.getPrincipal(),
+      isAuthenticated: this.isAuthenticated(),
+      provider: provider ? provider.name : this.localProvider.name
+    };
+    this.listeners.forEach(listener => listener(state));
+  }
+}
+
+// Create and export singleton instance
+const identityService = new IdentityService();
+
+export { IdentityService, LocalIdentityProvider, InternetIdentityProvider };
+export default identityService;
@@ -0,0 +1,149 @@
+/**
+ * IndexedDBStore - Minimal promise-based wrapper around a single IndexedDB object store
+ * Falls back to an in-memory Map when IndexedDB is unavailable (private mode, tests)
+ */
+
+class IndexedDBStore {
+  /**
+   * @param {string} dbName - Database name (one database per store keeps upgrades independent)
+   * @param {string} storeName - Object store name
+   * @param {Object} options - { keyPath, indexedDB }
+   */
+  constructor(dbName, storeName, options = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.keyPath = options.keyPath || "id";
+    this.indexedDB = options.indexedDB !== undefined
+      ? options.indexedDB
+      : (typeof indexedDB !== "undefined" ? indexedDB : null);
+    this.dbPromise = null;
+    this.memory = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase|null>} Database, or null when using the in-memory fallback
+   */
+  async open() {
+    if (!this.indexedDB) {
+      this.memory = this.memory || new Map();
+      return null;
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        console.warn(`IndexedDB unavailable for ${this.dbName}, using memory:`, error);
+        this.indexedDB = null;
+        this.memory = new Map();
+        return null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Get a record by key
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async get(key) {
+    const db = await this.open();
+    if (!db) {
+      return this.memory.has(key) ? this.memory.get(key) : null;
+    }
+    const result = await this.request(db, "readonly", store => store.get(key));
+    return result === undefined ? null : result;
+  }
+
+  /**
+   * Get all records
+   * @returns {Promise<Array>} Records in key order
+   */
+  async getAll() {
+    const db = await this.open();
+    if (!db) {
+      return Array.from(this.memory.values());
+    }
+    return this.request(db, "readonly", store => store.getAll());
+  }
+
+  /**
+   * Get the records whose string keys start with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array>} Records in key order
+   */
+  async getAllWithPrefix(prefix) {
+    const db = await this.open();
+    if (!db) {
+      return Array.from(this.memory.entries())
+        .filter(([key]) => typeof key === "string" && key.startsWith(prefix))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, value]) => value);
+    }
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    return this.request(db, "readonly", store => store.getAll(range));
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {Object} value - Record containing the key path
+   * @returns {Promise<Object>} Stored record
+   */
+  async put(value) {
+    const db = await this.open();
+    if (!db) {
+      this.memory.set(value[this.keyPath], value);
+      return value;
+    }
+    await this.request(db, "readwrite", store => store.put(value));
+    return value;
+  }
+
+  /**
+   * Delete a record by key
+   * @param {string} key - Record key
+   */
+  async delete(key) {
+    const db = await this.open();
+    if (!db) {
+      this.memory.delete(key);
+      return;
+    }
+    await this.request(db, "readwrite", store => store.delete(key));
+  }
+
+  /**
+   * Delete all records
+   */
+  async clear() {
+    const db = await this.open();
+    if (!db) {
+      this.memory.clear();
+      return;
+    }
+    await this.request(db, "readwrite", store => store.clear());
+  }
+
+  request(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+export default IndexedDBStore;
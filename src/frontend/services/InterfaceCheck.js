@@ -0,0 +1,322 @@
+/**
+ * InterfaceCheck - Compares the frontend's Candid IDL with the deployed canister's `candid:service` metadata
+ * Both sides are reduced to canonical per-method signatures (aliases inlined, fields sorted) before comparing.
+ */
+
+import { IDL } from "@dfinity/candid";
+
+const PRIMITIVES = new Set([
+  "null", "bool", "nat", "int", "nat8", "nat16", "nat32", "nat64",
+  "int8", "int16", "int32", "int64", "float32", "float64", "text",
+  "reserved", "empty", "principal"
+]);
+
+// ---------------------------------------------------------------------------
+// Canonical form
+
+function canonicalLabel(name) {
+  const tupleIndex = /^_(\d+)_$/.exec(name);
+  return tupleIndex ? tupleIndex[1] : String(name);
+}
+
+function canonicalFields(keyword, fields) {
+  const parts = fields
+    .map(([name, type]) => `${canonicalLabel(name)}:${type}`)
+    .sort();
+  return `${keyword} {${parts.join("; ")}}`;
+}
+
+function canonicalFunc(args, rets, annotations) {
+  const suffix = annotations.length > 0 ? ` ${[...annotations].sort().join(" ")}` : "";
+  return `(${args.join(", ")}) -> (${rets.join(", ")})${suffix}`;
+}
+
+// ---------------------------------------------------------------------------
+// IDL objects (from an idlFactory)
+
+function describeIdlType(type, seen = new Set()) {
+  if (type instanceof IDL.RecClass) {
+    if (seen.has(type)) return `rec ${type.name}`;
+    return describeIdlType(type._type, new Set([...seen, type]));
+  }
+  if (type instanceof IDL.OptClass) return `opt ${describeIdlType(type._type, seen)}`;
+  if (type instanceof IDL.VecClass) return `vec ${describeIdlType(type._type, seen)}`;
+  if (type instanceof IDL.RecordClass) {
+    return canonicalFields("record", type._fields.map(([name, field]) => [name, describeIdlType(field, seen)]));
+  }
+  if (type instanceof IDL.VariantClass) {
+    return canonicalFields("variant", type._fields.map(([name, field]) => [name, describeIdlType(field, seen)]));
+  }
+  if (type instanceof IDL.FuncClass) {
+    return `func ${describeIdlFunc(type, seen)}`;
+  }
+  if (type instanceof IDL.ServiceClass) return "service";
+  return type.name;
+}
+
+function describeIdlFunc(func, seen = new Set()) {
+  return canonicalFunc(
+    func.argTypes.map(arg => describeIdlType(arg, seen)),
+    func.retTypes.map(ret => describeIdlType(ret, seen)),
+    func.annotations
+  );
+}
+
+/**
+ * Build canonical method signatures from an idlFactory
+ * @param {Function} idlFactory - ({ IDL }) => IDL.Service
+ * @returns {Map<string, string>} Method name -> canonical signature
+ */
+function describeIdlService(idlFactory) {
+  const service = idlFactory({ IDL });
+  return new Map(service._fields.map(([name, func]) => [name, describeIdlFunc(func)]));
+}
+
+// ---------------------------------------------------------------------------
+// Candid text (from candid:service metadata)
+
+function tokenize(text) {
+  const source = text
+    .replace(/\/\*[\s\S]*?\*\//g, " ")
+    .replace(/\/\/[^\n]*/g, " ");
+  const pattern = /\s*(->|"(?:[^"\\]|\\.)*"|[A-Za-z_][A-Za-z0-9_]*|\d+|[:;,(){}=])/y;
+  const tokens = [];
+  let position = 0;
+
+  while (source.slice(position).trim() !== "") {
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected Candid input near "${source.slice(position, position + 20).trim()}"`);
+    }
+    tokens.push(match[1]);
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+class CandidParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.position = 0;
+    this.definitions = new Map();
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual !== token) {
+      throw new Error(`Expected "${token}" in Candid but found "${actual}"`);
+    }
+  }
+
+  parseName() {
+    const token = this.next();
+    return token && token.startsWith('"') ? JSON.parse(token) : token;
+  }
+
+  parseProgram() {
+    let service = null;
+
+    while (this.position < this.tokens.length) {
+      const token = this.next();
+      if (token === "type") {
+        const name = this.parseName();
+        this.expect("=");
+        this.definitions.set(name, this.parseType());
+        if (this.peek() === ";") this.next();
+      } else if (token === "import") {
+        this.next();
+        if (this.peek() === ";") this.next();
+      } else if (token === "service") {
+        if (this.peek() !== ":") this.next(); // optional service name
+        this.expect(":");
+        if (this.peek() === "(") {
+          this.parseTuple(); // init args
+          this.expect("->");
+        }
+        service = this.peek() === "{" ? this.parseServiceBody() : { ref: this.next() };
+        if (this.peek() === ";") this.next();
+      } else if (token !== ";") {
+        throw new Error(`Unexpected token "${token}" in Candid`);
+      }
+    }
+
+    if (!service) {
+      throw new Error("Candid text has no service definition");
+    }
+    return service;
+  }
+
+  parseServiceBody() {
+    const methods = [];
+    this.expect("{");
+    while (this.peek() !== "}") {
+      const name = this.parseName();
+      this.expect(":");
+      const type = this.peek() === "(" ? this.parseFuncSignature() : { ref: this.next() };
+      methods.push([name, type]);
+      if (this.peek() === ";") this.next();
+    }
+    this.expect("}");
+    return { kind: "service", methods };
+  }
+
+  parseFuncSignature() {
+    const args = this.parseTuple();
+    this.expect("->");
+    const rets = this.parseTuple();
+    const annotations = [];
+    while (["query", "oneway", "composite_query"].includes(this.peek())) {
+      annotations.push(this.next());
+    }
+    return { kind: "func", args, rets, annotations };
+  }
+
+  parseTuple() {
+    const types = [];
+    this.expect("(");
+    while (this.peek() !== ")") {
+      // Argument names are documentation only
+      if (this.peek(1) === ":") {
+        this.next();
+        this.next();
+      }
+      types.push(this.parseType());
+      if (this.peek() === ",") this.next();
+    }
+    this.expect(")");
+    return types;
+  }
+
+  parseType() {
+    const token = this.next();
+
+    if (token === "opt" || token === "vec") {
+      return { kind: token, type: this.parseType() };
+    }
+    if (token === "blob") {
+      return { kind: "vec", type: { kind: "prim", name: "nat8" } };
+    }
+    if (token === "record" || token === "variant") {
+      return { kind: token, fields: this.parseFields(token) };
+    }
+    if (token === "func") {
+      return this.parseFuncSignature();
+    }
+    if (token === "service") {
+      return this.parseServiceBody();
+    }
+    if (PRIMITIVES.has(token)) {
+      return { kind: "prim", name: token };
+    }
+    return { ref: token.startsWith('"') ? JSON.parse(token) : token };
+  }
+
+  parseFields(kind) {
+    const fields = [];
+    let index = 0;
+    this.expect("{");
+
+    while (this.peek() !== "}") {
+      if (this.peek(1) === ":") {
+        const name = this.parseName();
+        this.next();
+        fields.push([name, this.parseType()]);
+      } else if (kind === "variant") {
+        fields.push([this.parseName(), { kind: "prim", name: "null" }]);
+      } else {
+        fields.push([String(index), this.parseType()]);
+      }
+      index++;
+      if (this.peek() === ";") this.next();
+    }
+
+    this.expect("}");
+    return fields;
+  }
+
+  describe(type, seen = new Set()) {
+    if (type.ref !== undefined) {
+      if (seen.has(type.ref)) return `rec ${type.ref}`;
+      const definition = this.definitions.get(type.ref);
+      if (!definition) throw new Error(`Unknown Candid type "${type.ref}"`);
+      return this.describe(definition, new Set([...seen, type.ref]));
+    }
+
+    switch (type.kind) {
+      case "prim": return type.name;
+      case "opt":
+      case "vec": return `${type.kind} ${this.describe(type.type, seen)}`;
+      case "record":
+      case "variant":
+        return canonicalFields(type.kind, type.fields.map(([name, field]) => [name, this.describe(field, seen)]));
+      case "func": return `func ${this.describeFunc(type, seen)}`;
+      case "service": return "service";
+      default: throw new Error(`Unsupported Candid type ${JSON.stringify(type)}`);
+    }
+  }
+
+  describeFunc(func, seen = new Set()) {
+    return canonicalFunc(
+      func.args.map(arg => this.describe(arg, seen)),
+      func.rets.map(ret => this.describe(ret, seen)),
+      func.annotations
+    );
+  }
+}
+
+/**
+ * Build canonical method signatures from Candid service text
+ * @param {string} text - Candid (.did) text
+ * @returns {Map<string, string>} Method name -> canonical signature
+ */
+function parseCandidService(text) {
+  const parser = new CandidParser(text);
+  let service = parser.parseProgram();
+
+  while (service.ref !== undefined) {
+    service = parser.definitions.get(service.ref);
+  }
+
+  return new Map(service.methods.map(([name, type]) => {
+    const func = type.ref !== undefined ? parser.definitions.get(type.ref) : type;
+    return [name, parser.describeFunc(func)];
+  }));
+}
+
+/**
+ * Compare the expected interface with the deployed one
+ * @param {Map<string, string>} expected - Signatures the frontend was built against
+ * @param {Map<string, string>} deployed - Signatures the canister reports
+ * @returns {Object} { compatible, incompatibleMethods, missing, changed: [{ method, expected, deployed }] }
+ */
+function compareInterfaces(expected, deployed) {
+  const missing = [];
+  const changed = [];
+
+  expected.forEach((signature, method) => {
+    if (!deployed.has(method)) {
+      missing.push(method);
+    } else if (deployed.get(method) !== signature) {
+      changed.push({ method, expected: signature, deployed: deployed.get(method) });
+    }
+  });
+
+  const incompatibleMethods = [...missing, ...changed.map(change => change.method)];
+  return {
+    compatible: incompatibleMethods.length === 0,
+    incompatibleMethods,
+    missing,
+    changed
+  };
+}
+
+export { describeIdlService, parseCandidService, compareInterfaces };
@@ -0,0 +1,597 @@
+/**
+ * MarkdownRenderer - Turns chat message Markdown into safe HTML
+ * Message text comes from the canister, webhook payloads and the user, so nothing in it is trusted:
+ * raw HTML is escaped and shown as text, and links are only made for http(s) and mailto URLs.
+ * Supports headings, paragraphs (single newlines become line breaks), nested lists, blockquotes,
+ * GFM tables, fenced code with a language label, rules, nested emphasis, strikethrough, inline code,
+ * links and bare URL/email autolinks. "•" also starts a list item, as result messages use it.
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;"
+};
+
+// Characters a backslash turns back into literal text
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!|~<>"'&]/;
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( *)([-*+•]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+const URL_START = /^(?:https?:\/\/|www\.)[^\s<]+/i;
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const EMAIL_ONLY = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+// Deeper lists, quotes and emphasis are rendered as text, so hostile input cannot exhaust the stack
+const MAX_DEPTH = 16;
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Return a URL if it is safe to link to, otherwise null
+ * Relative URLs, javascript:, data: and every other scheme are refused.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function sanitizeUrl(url) {
+  const trimmed = String(url).trim();
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const compact = trimmed.replace(/[\u0000- \u007f]/g, "");
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (!match || !SAFE_PROTOCOLS.includes(match[1].toLowerCase() + ":")) {
+    return null;
+  }
+  return compact;
+}
+
+/**
+ * Render Markdown to HTML in which only whitelisted tags and attributes appear
+ * @param {string} markdown
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown) {
+  if (markdown === null || markdown === undefined) return "";
+
+  const lines = String(markdown).replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n");
+  return renderBlocks(lines, 0).map(block => block.html).join("");
+}
+
+/**
+ * Render lines as block elements
+ * @param {Array<string>} lines
+ * @param {number} depth - Nesting depth of lists and quotes
+ * @returns {Array<Object>} [{ type, html, inner }] where `inner` is set for paragraphs
+ */
+function renderBlocks(lines, depth) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const body = [];
+      i++;
+      while (i < lines.length && !isClosingFence(lines[i], marker)) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: "code", html: renderCodeBlock(body.join("\n"), fence[2]) });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push({ type: "heading", html: `<h${level}>${renderInline(heading[2] || "")}</h${level}>` });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule", html: "<hr>" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line) && depth < MAX_DEPTH) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(QUOTE.exec(lines[i])[1]);
+        i++;
+      }
+      const inner = renderBlocks(quoted, depth + 1).map(block => block.html).join("");
+      blocks.push({ type: "quote", html: `<blockquote>${inner}</blockquote>` });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        rows.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: "table", html: renderTable(rows) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line) && depth < MAX_DEPTH) {
+      const list = readList(lines, i, depth);
+      blocks.push({ type: "list", html: list.html });
+      i = list.end;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines, i))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const inner = paragraph.map(text => renderInline(text)).join("<br>");
+    blocks.push({ type: "paragraph", html: `<p>${inner}</p>`, inner });
+  }
+
+  return blocks;
+}
+
+/**
+ * Whether a line interrupts a paragraph
+ */
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+    LIST_ITEM.test(line) || isTableStart(lines, index);
+}
+
+function isClosingFence(line, marker) {
+  const trimmed = line.trim();
+  return trimmed.length >= marker.length && trimmed === marker[0].repeat(trimmed.length);
+}
+
+function renderCodeBlock(code, language) {
+  const label = language.replace(/[^\w+#.-]/g, "");
+  const escaped = escapeHtml(code);
+  if (!label) {
+    return `<pre><code>${escaped}</code></pre>`;
+  }
+  return `<div class="code-block"><div class="code-language">${escapeHtml(label)}</div>` +
+    `<pre><code class="language-${escapeHtml(label)}">${escaped}</code></pre></div>`;
+}
+
+/**
+ * Read a list starting at `start`, with nested lists for more deeply indented items
+ * @returns {Object} { html, end } where `end` is the index of the first line after the list
+ */
+function readList(lines, start, depth) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = LIST_ITEM.exec(lines[i]);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered || RULE.test(lines[i])) {
+      break;
+    }
+
+    // Continuation lines are those indented past the marker; a blank line only continues the item
+    // when an indented line follows it
+    const contentIndent = indent + match[2].length + 1;
+    const itemLines = [match[3] || ""];
+    i++;
+    while (i < lines.length) {
+      const next = lines[i];
+      const nextIndent = next.length - next.trimStart().length;
+      if (next.trim() && nextIndent > indent) {
+        itemLines.push(next.slice(Math.min(nextIndent, contentIndent)));
+        i++;
+      } else if (!next.trim() && i + 1 < lines.length && lines[i + 1].trim() &&
+        lines[i + 1].length - lines[i + 1].trimStart().length > indent) {
+        itemLines.push("");
+        i++;
+      } else {
+        break;
+      }
+    }
+    items.push({ lines: itemLines, number: parseInt(match[2], 10) });
+
+    // A blank line between items keeps the list going
+    if (i + 1 < lines.length && !lines[i].trim() && isSibling(lines[i + 1], indent, ordered)) {
+      i++;
+    }
+  }
+
+  const html = items.map(item => {
+    const blocks = renderBlocks(item.lines, depth + 1);
+    // Items are rendered tight: a leading paragraph is not wrapped in <p>
+    const content = blocks.map((block, index) => (index === 0 && block.type === "paragraph" ? block.inner : block.html));
+    return `<li>${content.join("")}</li>`;
+  }).join("");
+
+  const startNumber = items[0].number;
+  const tag = ordered ? (startNumber !== 1 ? `<ol start="${startNumber}">` : "<ol>") : "<ul>";
+  return { html: `${tag}${html}</${ordered ? "ol" : "ul"}>`, end: i };
+}
+
+function isSibling(line, indent, ordered) {
+  const match = LIST_ITEM.exec(line);
+  return Boolean(match) && match[1].length === indent && /\d/.test(match[2]) === ordered;
+}
+
+function isTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  if (!header.includes("|") || delimiter === undefined || !TABLE_DELIMITER.test(delimiter) || !delimiter.includes("-")) {
+    return false;
+  }
+  // A single-column table needs pipes, otherwise "text\n---" would be read as one
+  if (!delimiter.includes("|")) return false;
+  return splitRow(header).length === splitRow(delimiter).length;
+}
+
+/**
+ * Split a table row into cells on pipes outside code spans and escapes
+ */
+function splitRow(row) {
+  let text = row.trim();
+  if (text.startsWith("|")) text = text.slice(1);
+  if (text.endsWith("|") && !text.endsWith("\\|")) text = text.slice(0, -1);
+
+  const cells = [];
+  let cell = "";
+  let inCode = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\" && text[i + 1] === "|") {
+      cell += "|";
+      i++;
+    } else if (char === "`") {
+      inCode = !inCode;
+      cell += char;
+    } else if (char === "|" && !inCode) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function renderTable(rows) {
+  const header = splitRow(rows[0]);
+  const alignments = splitRow(rows[1]).map(cell => {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    return left ? "left" : null;
+  });
+
+  const cell = (tag, text, index) => {
+    const align = alignments[index] ? ` class="align-${alignments[index]}"` : "";
+    return `<${tag}${align}>${renderInline(text || "")}</${tag}>`;
+  };
+
+  const head = `<thead><tr>${header.map((text, index) => cell("th", text, index)).join("")}</tr></thead>`;
+  const body = rows.slice(2).map(row => {
+    const cells = splitRow(row);
+    return `<tr>${header.map((_, index) => cell("td", cells[index], index)).join("")}</tr>`;
+  }).join("");
+
+  return `<table>${head}${body ? `<tbody>${body}</tbody>` : ""}</table>`;
+}
+
+/**
+ * Render inline Markdown
+ * Code spans, links and autolinks are read in one pass over the text; emphasis delimiters are
+ * matched on the way with a delimiter stack, so the cost stays linear in the length of the text.
+ * @param {string} text
+ * @param {Object} options - { links: false inside link text, so links never nest }
+ * @returns {string} HTML
+ */
+function renderInline(text, options = {}) {
+  const links = options.links !== false;
+  // HTML strings and emphasis delimiter runs, in text order
+  const tokens = [];
+  // Delimiter runs that may still open emphasis, innermost last
+  const openers = [];
+  // Per delimiter character, the stack height below which no opener can match
+  const openersBottom = {};
+  // Per backtick run length, the position from which the text holds no closing run
+  const codeCloseMissing = {};
+  let plain = "";
+  let i = 0;
+
+  const flush = () => {
+    if (!plain) return;
+    tokens.push(links ? autolinkEmails(plain) : escapeHtml(plain));
+    plain = "";
+  };
+  const emit = (markup) => {
+    flush();
+    tokens.push(markup);
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "\\" && ESCAPABLE.test(text[i + 1] || "")) {
+      plain += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === "`") {
+      const run = runLength(text, i, "`");
+      const close = i >= (codeCloseMissing[run] ?? Infinity) ? -1 : findCodeClose(text, i + run, run);
+      if (close === -1) {
+        codeCloseMissing[run] = Math.min(codeCloseMissing[run] ?? Infinity, i);
+        plain += "`".repeat(run);
+        i += run;
+        continue;
+      }
+      let code = text.slice(i + run, close);
+      if (code.length > 2 && code.startsWith(" ") && code.endsWith(" ")) {
+        code = code.slice(1, -1);
+      }
+      emit(`<code>${escapeHtml(code)}</code>`);
+      i = close + run;
+      continue;
+    }
+
+    if (links && char === "[") {
+      const link = readLink(text, i);
+      if (link) {
+        const label = renderInline(link.label, { links: false });
+        const href = sanitizeUrl(link.url);
+        emit(href ? anchor(href, label) : label);
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (links && char === "<") {
+      const match = /^<([^\s<>]+)>/.exec(text.slice(i));
+      const target = match && (EMAIL_ONLY.test(match[1]) ? `mailto:${match[1]}` : match[1]);
+      const href = target && sanitizeUrl(target);
+      if (href) {
+        emit(anchor(href, escapeHtml(match[1])));
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (links && /[hHwW]/.test(char) && !/[A-Za-z0-9]/.test(text[i - 1] || "")) {
+      const url = readBareUrl(text.slice(i));
+      if (url) {
+        emit(anchor(sanitizeUrl(/^www\./i.test(url) ? `http://${url}` : url), escapeHtml(url)));
+        i += url.length;
+        continue;
+      }
+    }
+
+    if (char === "*" || char === "_" || char === "~") {
+      const run = runLength(text, i, char);
+      const delimiter = readDelimiter(text, i, run);
+      if (delimiter) {
+        flush();
+        tokens.push(delimiter);
+        matchEmphasis(delimiter, openers, openersBottom);
+      } else {
+        plain += char.repeat(run);
+      }
+      i += run;
+      continue;
+    }
+
+    plain += char;
+    i++;
+  }
+
+  flush();
+  return renderTokens(tokens);
+}
+
+function anchor(href, label) {
+  return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+function autolinkEmails(text) {
+  let html = "";
+  let last = 0;
+  text.replace(EMAIL, (email, offset) => {
+    html += escapeHtml(text.slice(last, offset)) + anchor(`mailto:${email}`, escapeHtml(email));
+    last = offset + email.length;
+    return email;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Read a bare URL, leaving out trailing punctuation and unbalanced closing parentheses
+ */
+function readBareUrl(text) {
+  const match = URL_START.exec(text);
+  if (!match) return null;
+
+  let url = match[0].replace(/[.,;:!?'"*_~]+$/, "");
+  while (url.endsWith(")") && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+    url = url.slice(0, -1).replace(/[.,;:!?'"*_~]+$/, "");
+  }
+  return /^(?:https?:\/\/|www\.)./i.test(url) ? url : null;
+}
+
+/**
+ * Read `[label](url)` or `[label](url "title")` at `start`
+ */
+function readLink(text, start) {
+  let depth = 0;
+  let i = start;
+  for (; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === "[") {
+      depth++;
+    } else if (text[i] === "]" && --depth === 0) {
+      break;
+    }
+  }
+  if (i >= text.length || text[i + 1] !== "(") return null;
+
+  const match = /^\(\s*<?([^\s()<>]*(?:\([^\s()<>]*\)[^\s()<>]*)*)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/.exec(text.slice(i + 1));
+  if (!match) return null;
+
+  return { label: text.slice(start + 1, i), url: match[1], end: i + 1 + match[0].length };
+}
+
+function runLength(text, start, char) {
+  let end = start;
+  while (text[end] === char) end++;
+  return end - start;
+}
+
+function findCodeClose(text, from, length) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "`") {
+      const run = runLength(text, i, "`");
+      if (run === length) return i;
+      i += run - 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read an emphasis delimiter run of `length` characters at `start`
+ * `*`/`_` runs open and close <em> and <strong> (`***` nests both) and `~~` opens and closes <del>.
+ * A run opens when text follows it and closes when text precedes it. Underscores do not emphasize
+ * inside words, so IDs such as cmd_1_abc stay intact.
+ * @returns {Object|null} { char, count, canOpen, canClose, opens, closes }, or null for literal text
+ */
+function readDelimiter(text, start, length) {
+  const char = text[start];
+  if (char === "~" && length !== 2) return null;
+
+  const before = text[start - 1] || "";
+  const after = text[start + length] || "";
+  const underscore = char === "_";
+  const canOpen = after !== "" && !/\s/.test(after) && !(underscore && /[A-Za-z0-9]/.test(before));
+  const canClose = before !== "" && !/\s/.test(before) && !(underscore && /[A-Za-z0-9]/.test(after));
+  if (!canOpen && !canClose) return null;
+
+  // `count` is what is left of the run once matches take characters from it
+  return { char, count: length, canOpen, canClose, opens: [], closes: [] };
+}
+
+/**
+ * Match a delimiter run with the open runs before it, then keep it open if it can open
+ * Runs between a matched pair are dropped from the stack and stay literal. When no opener of a
+ * character is found, later runs of that character do not search below the same point again.
+ * @param {Object} delimiter - From readDelimiter
+ * @param {Array<Object>} openers - Stack of open runs
+ * @param {Object} openersBottom - Lowest stack index worth searching, by character
+ */
+function matchEmphasis(delimiter, openers, openersBottom) {
+  const { char } = delimiter;
+
+  while (delimiter.canClose && delimiter.count > 0) {
+    const bottom = openersBottom[char] || 0;
+    let index = openers.length - 1;
+    while (index >= bottom && openers[index].char !== char) index--;
+    if (index < bottom) {
+      openersBottom[char] = openers.length;
+      break;
+    }
+
+    const opener = openers[index];
+    let size = Math.min(opener.count, delimiter.count, 2);
+    // `***both***` is <strong><em>, so the inner match takes one character
+    if (opener.count >= 3 && delimiter.count >= 3) size = 1;
+
+    const match = {
+      tag: char === "~" ? "del" : size === 2 ? "strong" : "em",
+      marker: char.repeat(size)
+    };
+    // Later matches of the same runs enclose the earlier ones
+    opener.opens.unshift(match);
+    delimiter.closes.push(match);
+    opener.count -= size;
+    delimiter.count -= size;
+
+    openers.length = opener.count > 0 ? index + 1 : index;
+    Object.keys(openersBottom).forEach(key => {
+      openersBottom[key] = Math.min(openersBottom[key], openers.length);
+    });
+  }
+
+  if (delimiter.canOpen && delimiter.count > 0) {
+    openers.push(delimiter);
+  }
+}
+
+/**
+ * Join inline tokens into HTML
+ * Emphasis nested deeper than MAX_DEPTH keeps its delimiters as text.
+ */
+function renderTokens(tokens) {
+  let html = "";
+  let depth = 0;
+
+  tokens.forEach(token => {
+    if (typeof token === "string") {
+      html += token;
+      return;
+    }
+
+    // Characters a run used to close come first, its unmatched ones next and those it used to open last
+    token.closes.forEach(match => {
+      if (match.literal) {
+        html += match.marker;
+      } else {
+        html += `</${match.tag}>`;
+        depth--;
+      }
+    });
+    html += token.char.repeat(token.count);
+    token.opens.forEach(match => {
+      if (depth >= MAX_DEPTH) {
+        match.literal = true;
+        html += match.marker;
+      } else {
+        html += `<${match.tag}>`;
+        depth++;
+      }
+    });
+  });
+
+  return html;
+}
+
+export { escapeHtml, sanitizeUrl, renderMarkdown, renderInline };
@@ -0,0 +1,195 @@
+/**
+ * MetricsRegistry - In-memory telemetry for backend calls
+ * Records per-method latency histograms, retries, outcomes and error categories.
+ * Client latency covers the network round trip plus canister processing; `canisterDuration`
+ * is the canister's own ExecutionResult.duration, so the two can be told apart.
+ */
+
+// Upper bounds of the histogram buckets, in milliseconds; the last bucket is unbounded
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Fixed-bucket histogram with count, sum, min and max
+ */
+class Histogram {
+  constructor(bounds = LATENCY_BUCKETS) {
+    this.bounds = bounds;
+    this.counts = new Array(bounds.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+  }
+
+  observe(value) {
+    const index = this.bounds.findIndex(bound => value <= bound);
+    this.counts[index === -1 ? this.bounds.length : index]++;
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+
+  /**
+   * Estimate a percentile from the buckets (upper bound of the bucket holding it)
+   * @param {number} p - Percentile between 0 and 1
+   * @returns {number|null} Milliseconds, or null without observations
+   */
+  percentile(p) {
+    if (this.count === 0) return null;
+
+    const target = Math.ceil(p * this.count);
+    let seen = 0;
+    for (let i = 0; i < this.counts.length; i++) {
+      seen += this.counts[i];
+      if (seen >= target) {
+        return i < this.bounds.length ? Math.min(this.bounds[i], this.max) : this.max;
+      }
+    }
+    return this.max;
+  }
+
+  toJSON() {
+    return {
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+      mean: this.count > 0 ? this.sum / this.count : null,
+      p50: this.percentile(0.5),
+      p95: this.percentile(0.95),
+      buckets: this.bounds
+        .map((bound, i) => ({ le: bound, count: this.counts[i] }))
+        .concat([{ le: "+Inf", count: this.counts[this.bounds.length] }])
+    };
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.methods = new Map();
+    this.listeners = new Set();
+    this.startedAt = new Date();
+  }
+
+  /**
+   * Record one finished call
+   * @param {string} method - Service method name
+   * @param {Object} sample - { latency, outcome: 'success'|'error'|'cancelled', attempts, category, canisterDuration }
+   */
+  record(method, sample) {
+    const metrics = this.getMethodMetrics(method);
+    const attempts = sample.attempts || 0;
+
+    metrics.calls++;
+    metrics[outcomeKey(sample.outcome)]++;
+    metrics.attempts += attempts;
+    metrics.retries += Math.max(0, attempts - 1);
+    if (attempts > 1) {
+      metrics.retriedCalls++;
+    }
+
+    if (sample.category) {
+      metrics.errorCategories[sample.category] = (metrics.errorCategories[sample.category] || 0) + 1;
+    }
+
+    if (typeof sample.latency === "number") {
+      metrics.latency.observe(sample.latency);
+    }
+    if (typeof sample.canisterDuration === "number") {
+      metrics.canisterDuration.observe(sample.canisterDuration);
+    }
+
+    metrics.lastCallAt = new Date();
+    this.notify();
+  }
+
+  /**
+   * Plain-object view of every method's metrics
+   * @returns {Object} { startedAt, generatedAt, methods: { [method]: {...} } }
+   */
+  snapshot() {
+    const methods = {};
+    this.methods.forEach((metrics, method) => {
+      methods[method] = {
+        calls: metrics.calls,
+        successes: metrics.successes,
+        errors: metrics.errors,
+        cancellations: metrics.cancellations,
+        errorRate: metrics.calls > 0 ? metrics.errors / metrics.calls : 0,
+        attempts: metrics.attempts,
+        retries: metrics.retries,
+        retriedCalls: metrics.retriedCalls,
+        errorCategories: { ...metrics.errorCategories },
+        latency: metrics.latency.toJSON(),
+        canisterDuration: metrics.canisterDuration.toJSON(),
+        lastCallAt: metrics.lastCallAt ? metrics.lastCallAt.toISOString() : null
+      };
+    });
+
+    return {
+      startedAt: this.startedAt.toISOString(),
+      generatedAt: new Date().toISOString(),
+      methods
+    };
+  }
+
+  /**
+   * Serialize the snapshot for download or bug reports
+   * @returns {string} JSON text
+   */
+  exportJSON() {
+    return JSON.stringify(this.snapshot(), null, 2);
+  }
+
+  reset() {
+    this.methods.clear();
+    this.startedAt = new Date();
+    this.notify();
+  }
+
+  /**
+   * Subscribe to metric updates
+   * @param {Function} listener - Called with the registry after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getMethodMetrics(method) {
+    if (!this.methods.has(method)) {
+      this.methods.set(method, {
+        calls: 0,
+        successes: 0,
+        errors: 0,
+        cancellations: 0,
+        attempts: 0,
+        retries: 0,
+        retriedCalls: 0,
+        errorCategories: {},
+        latency: new Histogram(),
+        canisterDuration: new Histogram(),
+        lastCallAt: null
+      });
+    }
+    return this.methods.get(method);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+function outcomeKey(outcome) {
+  if (outcome === "success") return "successes";
+  if (outcome === "cancelled") return "cancellations";
+  return "errors";
+}
+
+// Create and export singleton instance shared by the services and the diagnostics panel
+const metricsRegistry = new MetricsRegistry();
+
+export { MetricsRegistry, Histogram, LATENCY_BUCKETS };
+export default metricsRegistry;
@@ -0,0 +1,594 @@
+/**
+ * MockCRM - Small in-memory GoHighLevel model behind the demo service
+ * Holds contacts, appointments, workflows, tags and campaigns so demo commands change and read
+ * real state. Lookups by name or email are case-insensitive; every method is synchronous.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ID_PREFIXES = {
+  contact: "ct",
+  appointment: "appt",
+  workflow: "wf",
+  campaign: "cmp"
+};
+
+/**
+ * @typedef {Object} Contact
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} email
+ * @property {string|null} phone
+ * @property {Array<string>} tags
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+/**
+ * @typedef {Object} Appointment
+ * @property {string} id
+ * @property {string|null} contactId
+ * @property {string} title
+ * @property {Date} startTime
+ * @property {'scheduled'|'cancelled'} status
+ */
+
+/**
+ * @typedef {Object} Workflow
+ * @property {string} id
+ * @property {string} name
+ * @property {string} trigger
+ * @property {'active'|'paused'} status
+ */
+
+/**
+ * @typedef {Object} Campaign
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<string>} contactIds
+ * @property {Date} createdAt
+ */
+
+/**
+ * Records a fresh demo starts with
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Object} { contacts, appointments, workflows, campaigns }
+ */
+function createSeedData(now = new Date()) {
+  const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+  const tomorrowMorning = new Date(now.getTime() + DAY_MS);
+  tomorrowMorning.setHours(10, 0, 0, 0);
+
+  return {
+    contacts: [
+      { name: "Sarah Johnson", email: "sarah.johnson@example.com", phone: "555-201-3344", tags: ["Customer"], createdAt: daysAgo(30) },
+      { name: "Mike Chen", email: "mike.chen@example.com", phone: "555-867-1200", tags: ["Lead", "AI Consultation Interest"], createdAt: daysAgo(7) },
+      { name: "Emma Davis", email: "emma.davis@example.com", phone: null, tags: ["Lead"], createdAt: daysAgo(2) }
+    ],
+    appointments: [
+      { contactEmail: "mike.chen@example.com", title: "Discovery call", startTime: tomorrowMorning }
+    ],
+    workflows: [
+      { name: "AI Consultation Pipeline", trigger: "tag", status: "active" },
+      { name: "New Lead Welcome", trigger: "form", status: "paused" }
+    ],
+    campaigns: [
+      { name: "Spring Newsletter", contactEmails: ["sarah.johnson@example.com"] }
+    ]
+  };
+}
+
+class MockCRM {
+  /**
+   * @param {Object} options - { seed: boolean (default true), now: Function returning the current Date }
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+    this.seed = options.seed !== false;
+    this.reset();
+  }
+
+  /**
+   * Drop all records and reload the seed data, if enabled
+   */
+  reset() {
+    this.contacts = new Map();
+    this.appointments = new Map();
+    this.workflows = new Map();
+    this.campaigns = new Map();
+    this.counters = { contact: 0, appointment: 0, workflow: 0, campaign: 0 };
+
+    if (this.seed) {
+      this.loadSeed(createSeedData(this.now()));
+    }
+  }
+
+  /**
+   * Plain, JSON-safe copy of every record, with dates as ISO strings
+   * @returns {Object} { counters, contacts, appointments, workflows, campaigns }
+   */
+  toJSON() {
+    return {
+      counters: { ...this.counters },
+      contacts: Array.from(this.contacts.values(), contact => ({
+        ...contact,
+        tags: [...contact.tags],
+        createdAt: contact.createdAt.toISOString(),
+        updatedAt: contact.updatedAt.toISOString()
+      })),
+      appointments: Array.from(this.appointments.values(), appointment => ({
+        ...appointment,
+        startTime: appointment.startTime.toISOString()
+      })),
+      workflows: Array.from(this.workflows.values(), workflow => ({ ...workflow })),
+      campaigns: Array.from(this.campaigns.values(), campaign => ({
+        ...campaign,
+        contactIds: [...campaign.contactIds],
+        createdAt: campaign.createdAt.toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Replace every record with the contents of a toJSON() copy
+   * @param {Object} data - Result of toJSON()
+   */
+  load(data) {
+    const records = (list, name) => {
+      if (!Array.isArray(list)) {
+        throw new Error(`Invalid CRM data: ${name} must be a list`);
+      }
+      return list;
+    };
+    const byId = (list, name, revive) => new Map(records(list, name).map(record => [record.id, revive(record)]));
+
+    const contacts = byId(data.contacts, "contacts", contact => ({
+      ...contact,
+      tags: [...(contact.tags || [])],
+      createdAt: new Date(contact.createdAt),
+      updatedAt: new Date(contact.updatedAt || contact.createdAt)
+    }));
+    const appointments = byId(data.appointments, "appointments", appointment => ({
+      ...appointment,
+      startTime: new Date(appointment.startTime)
+    }));
+    const workflows = byId(data.workflows, "workflows", workflow => ({ ...workflow }));
+    const campaigns = byId(data.campaigns, "campaigns", campaign => ({
+      ...campaign,
+      contactIds: [...(campaign.contactIds || [])],
+      createdAt: new Date(campaign.createdAt)
+    }));
+
+    this.contacts = contacts;
+    this.appointments = appointments;
+    this.workflows = workflows;
+    this.campaigns = campaigns;
+    this.counters = {
+      contact: highestId(contacts, data.counters && data.counters.contact),
+      appointment: highestId(appointments, data.counters && data.counters.appointment),
+      workflow: highestId(workflows, data.counters && data.counters.workflow),
+      campaign: highestId(campaigns, data.counters && data.counters.campaign)
+    };
+  }
+
+  loadSeed(data) {
+    data.contacts.forEach(contact => {
+      const created = this.createContact(contact);
+      created.createdAt = contact.createdAt;
+      created.updatedAt = contact.createdAt;
+    });
+    data.workflows.forEach(workflow => this.createWorkflow(workflow));
+    data.appointments.forEach(appointment => {
+      const contact = this.findContact(appointment.contactEmail);
+      this.createAppointment({ ...appointment, contactId: contact ? contact.id : null });
+    });
+    data.campaigns.forEach(campaign => {
+      const created = this.createCampaign(campaign);
+      campaign.contactEmails.forEach(email => this.addToCampaign(created.id, email));
+    });
+  }
+
+  nextId(kind) {
+    return `${ID_PREFIXES[kind]}_${++this.counters[kind]}`;
+  }
+
+  // Contacts
+
+  /**
+   * @param {Object} fields - { name, email, phone, tags }
+   * @returns {Contact}
+   */
+  createContact(fields) {
+    const now = this.now();
+    const contact = {
+      id: this.nextId("contact"),
+      name: fields.name || "New Contact",
+      email: fields.email || null,
+      phone: fields.phone || null,
+      tags: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    (fields.tags || []).forEach(tag => addUnique(contact.tags, tag));
+
+    this.contacts.set(contact.id, contact);
+    return contact;
+  }
+
+  /**
+   * Find a contact by ID, email or full name
+   * @param {string} reference - ID, email or name
+   * @returns {Contact|null}
+   */
+  findContact(reference) {
+    if (!reference) return null;
+    if (this.contacts.has(reference)) return this.contacts.get(reference);
+
+    const wanted = reference.trim().toLowerCase();
+    for (const contact of this.contacts.values()) {
+      if (contact.name.toLowerCase() === wanted || (contact.email && contact.email.toLowerCase() === wanted)) {
+        return contact;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the first contact whose name or email appears in free text
+   * @param {string} text - Instruction text
+   * @returns {Contact|null}
+   */
+  findContactIn(text) {
+    const lower = text.toLowerCase();
+    return this.listContacts().find(contact =>
+      lower.includes(contact.name.toLowerCase()) || (contact.email && lower.includes(contact.email.toLowerCase()))
+    ) || null;
+  }
+
+  /**
+   * @param {string} reference - ID, email or name
+   * @param {Object} changes - Any of { name, email, phone }
+   * @returns {Contact|null} Updated contact, or null if not found
+   */
+  updateContact(reference, changes) {
+    const contact = this.findContact(reference);
+    if (!contact) return null;
+
+    ["name", "email", "phone"].forEach(field => {
+      if (changes[field]) {
+        contact[field] = changes[field];
+      }
+    });
+    contact.updatedAt = this.now();
+    return contact;
+  }
+
+  /**
+   * Delete a contact with its appointments and campaign memberships
+   * @param {string} reference - ID, email or name
+   * @returns {Contact|null} Deleted contact, or null if not found
+   */
+  deleteContact(reference) {
+    const contact = this.findContact(reference);
+    if (!contact) return null;
+
+    this.contacts.delete(contact.id);
+    this.appointments.forEach((appointment, id) => {
+      if (appointment.contactId === contact.id) {
+        this.appointments.delete(id);
+      }
+    });
+    this.campaigns.forEach(campaign => {
+      campaign.contactIds = campaign.contactIds.filter(id => id !== contact.id);
+    });
+    return contact;
+  }
+
+  /**
+   * List contacts, most recently created first
+   * @param {Object} filters - { tag, limit }
+   * @returns {Array<Contact>}
+   */
+  listContacts(filters = {}) {
+    const tag = filters.tag ? filters.tag.toLowerCase() : null;
+    const contacts = Array.from(this.contacts.values())
+      .filter(contact => !tag || contact.tags.some(candidate => candidate.toLowerCase() === tag))
+      .sort((a, b) => b.createdAt - a.createdAt || compareIds(b.id, a.id));
+
+    return filters.limit ? contacts.slice(0, filters.limit) : contacts;
+  }
+
+  // Tags
+
+  /**
+   * @returns {Contact|null} Tagged contact, or null if not found
+   */
+  addTag(reference, tag) {
+    const contact = this.findContact(reference);
+    if (!contact) return null;
+
+    addUnique(contact.tags, tag);
+    contact.updatedAt = this.now();
+    return contact;
+  }
+
+  /**
+   * @returns {Contact|null} Contact, or null if not found
+   */
+  removeTag(reference, tag) {
+    const contact = this.findContact(reference);
+    if (!contact) return null;
+
+    contact.tags = contact.tags.filter(candidate => candidate.toLowerCase() !== tag.toLowerCase());
+    contact.updatedAt = this.now();
+    return contact;
+  }
+
+  /**
+   * Every tag in use with the number of contacts carrying it
+   * Tags differing only in case are counted together under the first spelling seen.
+   * @returns {Array<Object>} [{ name, count }] sorted by name
+   */
+  listTags() {
+    const tags = new Map();
+    this.contacts.forEach(contact => {
+      contact.tags.forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = tags.get(key) || { name: tag, count: 0 };
+        entry.count++;
+        tags.set(key, entry);
+      });
+    });
+
+    return Array.from(tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Appointments
+
+  /**
+   * @param {Object} fields - { contactId, title, startTime }
+   * @returns {Appointment}
+   */
+  createAppointment(fields) {
+    const appointment = {
+      id: this.nextId("appointment"),
+      contactId: fields.contactId || null,
+      title: fields.title || "Appointment",
+      startTime: fields.startTime,
+      status: "scheduled"
+    };
+
+    this.appointments.set(appointment.id, appointment);
+    return appointment;
+  }
+
+  /**
+   * Cancel an appointment by ID, or the next scheduled one for a contact
+   * @param {Object} reference - { id } or { contactId }
+   * @returns {Appointment|null} Cancelled appointment, or null if none matched
+   */
+  cancelAppointment(reference) {
+    const appointment = reference.id
+      ? this.appointments.get(reference.id)
+      : this.listAppointments({ upcoming: true }).find(candidate => candidate.contactId === reference.contactId);
+    if (!appointment || appointment.status === "cancelled") return null;
+
+    appointment.status = "cancelled";
+    return appointment;
+  }
+
+  /**
+   * List appointments by start time
+   * @param {Object} filters - { upcoming: only scheduled appointments in the future, contactId }
+   * @returns {Array<Appointment>}
+   */
+  listAppointments(filters = {}) {
+    const now = this.now();
+    return Array.from(this.appointments.values())
+      .filter(appointment => !filters.contactId || appointment.contactId === filters.contactId)
+      .filter(appointment => !filters.upcoming || (appointment.status === "scheduled" && appointment.startTime >= now))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Workflows
+
+  /**
+   * @param {Object} fields - { name, trigger, status }
+   * @returns {Workflow}
+   */
+  createWorkflow(fields) {
+    const workflow = {
+      id: this.nextId("workflow"),
+      name: fields.name,
+      trigger: fields.trigger || "manual",
+      status: fields.status || "active"
+    };
+
+    this.workflows.set(workflow.id, workflow);
+    return workflow;
+  }
+
+  /**
+   * Find a workflow by ID or name
+   * @returns {Workflow|null}
+   */
+  findWorkflow(reference) {
+    return findByName(this.workflows, reference);
+  }
+
+  /**
+   * Find the first workflow whose name appears in free text
+   * @returns {Workflow|null}
+   */
+  findWorkflowIn(text) {
+    return findNamedIn(this.workflows, text);
+  }
+
+  /**
+   * @param {string} reference - ID or name
+   * @param {'active'|'paused'} status - New status
+   * @returns {Workflow|null} Updated workflow, or null if not found
+   */
+  setWorkflowStatus(reference, status) {
+    const workflow = this.findWorkflow(reference);
+    if (!workflow) return null;
+
+    workflow.status = status;
+    return workflow;
+  }
+
+  /**
+   * @returns {Workflow|null} Deleted workflow, or null if not found
+   */
+  deleteWorkflow(reference) {
+    const workflow = this.findWorkflow(reference);
+    if (workflow) {
+      this.workflows.delete(workflow.id);
+    }
+    return workflow;
+  }
+
+  /**
+   * @param {Object} filters - { status }
+   * @returns {Array<Workflow>}
+   */
+  listWorkflows(filters = {}) {
+    return Array.from(this.workflows.values())
+      .filter(workflow => !filters.status || workflow.status === filters.status);
+  }
+
+  // Campaigns
+
+  /**
+   * @param {Object} fields - { name }
+   * @returns {Campaign}
+   */
+  createCampaign(fields) {
+    const campaign = {
+      id: this.nextId("campaign"),
+      name: fields.name,
+      contactIds: [],
+      createdAt: this.now()
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    return campaign;
+  }
+
+  /**
+   * Find a campaign by ID or name
+   * @returns {Campaign|null}
+   */
+  findCampaign(reference) {
+    return findByName(this.campaigns, reference);
+  }
+
+  /**
+   * Find the first campaign whose name appears in free text
+   * @returns {Campaign|null}
+   */
+  findCampaignIn(text) {
+    return findNamedIn(this.campaigns, text);
+  }
+
+  /**
+   * Enroll a contact in a campaign
+   * @param {string} campaignReference - Campaign ID or name
+   * @param {string} contactReference - Contact ID, email or name
+   * @returns {Object|null} { campaign, contact }, or null if either was not found
+   */
+  addToCampaign(campaignReference, contactReference) {
+    const campaign = this.findCampaign(campaignReference);
+    const contact = this.findContact(contactReference);
+    if (!campaign || !contact) return null;
+
+    addUnique(campaign.contactIds, contact.id);
+    return { campaign, contact };
+  }
+
+  /**
+   * Remove a contact from a campaign
+   * @returns {Object|null} { campaign, contact }, or null if either was not found
+   */
+  removeFromCampaign(campaignReference, contactReference) {
+    const campaign = this.findCampaign(campaignReference);
+    const contact = this.findContact(contactReference);
+    if (!campaign || !contact) return null;
+
+    campaign.contactIds = campaign.contactIds.filter(id => id !== contact.id);
+    return { campaign, contact };
+  }
+
+  /**
+   * @returns {Campaign|null} Deleted campaign, or null if not found
+   */
+  deleteCampaign(reference) {
+    const campaign = this.findCampaign(reference);
+    if (campaign) {
+      this.campaigns.delete(campaign.id);
+    }
+    return campaign;
+  }
+
+  /**
+   * @returns {Array<Campaign>}
+   */
+  listCampaigns() {
+    return Array.from(this.campaigns.values());
+  }
+
+  /**
+   * Counts shown in the sidebar
+   * @returns {Object} { totalContacts, activeWorkflows, upcomingAppointments, totalCampaigns, totalTags }
+   */
+  getStats() {
+    return {
+      totalContacts: this.contacts.size,
+      activeWorkflows: this.listWorkflows({ status: "active" }).length,
+      upcomingAppointments: this.listAppointments({ upcoming: true }).length,
+      totalCampaigns: this.campaigns.size,
+      totalTags: this.listTags().length
+    };
+  }
+}
+
+function addUnique(list, value) {
+  if (!list.some(candidate => String(candidate).toLowerCase() === String(value).toLowerCase())) {
+    list.push(value);
+  }
+}
+
+function findByName(records, reference) {
+  if (!reference) return null;
+  if (records.has(reference)) return records.get(reference);
+
+  const wanted = reference.trim().toLowerCase();
+  for (const record of records.values()) {
+    if (record.name.toLowerCase() === wanted) return record;
+  }
+  return null;
+}
+
+function findNamedIn(records, text) {
+  const lower = text.toLowerCase();
+  // Longest names first so "Spring Newsletter 2" wins over "Spring Newsletter"
+  return Array.from(records.values())
+    .sort((a, b) => b.name.length - a.name.length)
+    .find(record => lower.includes(record.name.toLowerCase())) || null;
+}
+
+// Never hand out an ID that an imported record already uses
+function highestId(records, counter = 0) {
+  let highest = Number(counter) || 0;
+  records.forEach((record, id) => {
+    highest = Math.max(highest, Number(String(id).split("_").pop()) || 0);
+  });
+  return highest;
+}
+
+// IDs carry a numeric counter; compare it numerically so ct_10 sorts after ct_9
+function compareIds(a, b) {
+  return Number(a.split("_").pop()) - Number(b.split("_").pop());
+}
+
+export { MockCRM, createSeedData };
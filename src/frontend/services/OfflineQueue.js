@@ -0,0 +1,126 @@
+/**
+ * OfflineQueue - Durable outbox for commands that could not reach the canister
+ * Entries are kept in IndexedDB and replayed in the order they were queued
+ */
+
+import IndexedDBStore from "./IndexedDBStore.js";
+
+// Replays an entry may fail with a retryable error before it is dropped, so it cannot block the outbox
+const MAX_ATTEMPTS = 5;
+
+class OfflineQueue {
+  /**
+   * @param {IndexedDBStore} store - Store for the entries
+   * @param {Object} options - { maxAttempts }
+   */
+  constructor(store = null, options = {}) {
+    this.store = store || new IndexedDBStore("agent-adam-outbox", "commands");
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.isReplaying = false;
+    this.sequence = 0;
+  }
+
+  /**
+   * Queue a command for later delivery
+   * @param {Object} entry - { id, method, instruction, context, messageId }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async enqueue(entry) {
+    if (!entry.id) {
+      throw new Error("Queued commands need a command ID");
+    }
+
+    const record = {
+      ...entry,
+      queuedAt: Date.now(),
+      sequence: Date.now() * 1000 + (this.sequence++ % 1000),
+      attempts: 0
+    };
+
+    await this.store.put(record);
+    return record;
+  }
+
+  /**
+   * Get queued entries in delivery order
+   * @returns {Promise<Array>} Queued entries
+   */
+  async getAll() {
+    const entries = await this.store.getAll();
+    return entries.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Get the number of queued entries
+   * @returns {Promise<number>} Queue size
+   */
+  async size() {
+    const entries = await this.store.getAll();
+    return entries.length;
+  }
+
+  /**
+   * Remove a delivered entry
+   * @param {string} id - Command ID
+   */
+  async remove(id) {
+    await this.store.delete(id);
+  }
+
+  /**
+   * Replay queued entries in order, stopping at the first retryable failure to keep ordering intact
+   * Entries failing with a non-retryable error, or with retryable errors on maxAttempts replays, are
+   * dropped so they cannot block the queue. The store is read again after every entry, so commands
+   * queued while a replay runs are delivered by it too.
+   * @param {Function} send - async (entry) => result
+   * @param {Object} handlers - { onSending(entry), onDelivered(entry, result), onFailed(entry, error, dropped), isRetryable(error) }
+   * @returns {Promise<Object>} { delivered, remaining }
+   */
+  async replay(send, handlers = {}) {
+    if (this.isReplaying) {
+      return { delivered: 0, remaining: await this.size() };
+    }
+
+    this.isReplaying = true;
+    let delivered = 0;
+
+    try {
+      for (;;) {
+        const [entry] = await this.getAll();
+        if (!entry) break;
+
+        if (handlers.onSending) handlers.onSending(entry);
+
+        try {
+          const result = await send(entry);
+          await this.remove(entry.id);
+          delivered++;
+          if (handlers.onDelivered) handlers.onDelivered(entry, result);
+        } catch (error) {
+          const retryable = handlers.isRetryable ? handlers.isRetryable(error) : true;
+
+          const attempts = entry.attempts + 1;
+          if (!retryable || attempts >= this.maxAttempts) {
+            await this.remove(entry.id);
+            if (handlers.onFailed) handlers.onFailed(entry, error, true);
+            continue;
+          }
+
+          await this.store.put({ ...entry, attempts, lastError: error.message });
+          if (handlers.onFailed) handlers.onFailed(entry, error, false);
+          break;
+        }
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+
+    return { delivered, remaining: await this.size() };
+  }
+}
+
+// Create and export singleton instance
+const offlineQueue = new OfflineQueue();
+
+export { OfflineQueue };
+export default offlineQueue;
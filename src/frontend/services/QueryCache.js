@@ -0,0 +1,154 @@
+/**
+ * QueryCache - Short-lived cache for read-only backend calls
+ * Entries are keyed by method and arguments, expire after a per-method TTL, and concurrent
+ * identical calls share one request. Subscribers are notified whenever an entry gets a new value.
+ */
+
+const DEFAULT_TTL = 10000;
+
+class QueryCache {
+  /**
+   * @param {Object} ttls - Map of method name (or "default") to time-to-live in milliseconds
+   */
+  constructor(ttls = {}) {
+    this.ttls = { default: DEFAULT_TTL, ...ttls };
+    this.entries = new Map();
+  }
+
+  /**
+   * Build the cache key for a call
+   * @param {string} method - Method name
+   * @param {Array} args - Call arguments (JSON-serializable)
+   * @returns {string}
+   */
+  static key(method, args = []) {
+    return `${method}:${JSON.stringify(args)}`;
+  }
+
+  /**
+   * Get the time-to-live for a method
+   * @param {string} method - Method name
+   * @returns {number} Milliseconds
+   */
+  getTtl(method) {
+    return this.ttls[method] !== undefined ? this.ttls[method] : this.ttls.default;
+  }
+
+  /**
+   * Return a fresh cached value, join a request already in flight, or call the loader
+   * @param {string} method - Method name
+   * @param {Array} args - Call arguments
+   * @param {Function} loader - Async function fetching the value
+   * @returns {Promise<any>}
+   */
+  get(method, args, loader) {
+    const entry = this.getEntry(method, args);
+    entry.loader = loader;
+
+    if (entry.hasValue && Date.now() < entry.expiresAt) {
+      return Promise.resolve(entry.value);
+    }
+    if (entry.pending) {
+      return entry.pending;
+    }
+    return this.load(entry);
+  }
+
+  /**
+   * Read a cached value without fetching, even if it has expired
+   * @param {string} method - Method name
+   * @param {Array} args - Call arguments
+   * @returns {any|undefined}
+   */
+  peek(method, args = []) {
+    const entry = this.entries.get(QueryCache.key(method, args));
+    return entry && entry.hasValue ? entry.value : undefined;
+  }
+
+  /**
+   * Subscribe to values for one call; the listener runs immediately if a value is cached
+   * @param {string} method - Method name
+   * @param {Array} args - Call arguments
+   * @param {Function} listener - Called with each new value
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(method, args, listener) {
+    const entry = this.getEntry(method, args);
+    entry.listeners.add(listener);
+
+    if (entry.hasValue) {
+      listener(entry.value);
+    }
+    return () => entry.listeners.delete(listener);
+  }
+
+  /**
+   * Mark entries stale; entries with subscribers are refetched once, the rest are dropped
+   * Results of requests already in flight are still returned to their callers but not cached.
+   * @param {string} [method] - Only invalidate this method's entries
+   */
+  invalidate(method) {
+    this.entries.forEach((entry, key) => {
+      if (method && entry.method !== method) return;
+
+      entry.generation++;
+      entry.expiresAt = 0;
+      entry.pending = null;
+
+      if (entry.listeners.size === 0) {
+        this.entries.delete(key);
+      } else if (entry.loader) {
+        this.load(entry).catch(error => {
+          console.warn(`Failed to refresh ${entry.method}:`, error.message);
+        });
+      }
+    });
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getEntry(method, args = []) {
+    const key = QueryCache.key(method, args);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        method,
+        value: undefined,
+        hasValue: false,
+        expiresAt: 0,
+        pending: null,
+        loader: null,
+        generation: 0,
+        listeners: new Set()
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  load(entry) {
+    const generation = entry.generation;
+
+    const pending = Promise.resolve()
+      .then(() => entry.loader())
+      .then(value => {
+        if (entry.generation === generation) {
+          entry.value = value;
+          entry.hasValue = true;
+          entry.expiresAt = Date.now() + this.getTtl(entry.method);
+          entry.listeners.forEach(listener => listener(value));
+        }
+        return value;
+      })
+      .finally(() => {
+        if (entry.pending === pending) {
+          entry.pending = null;
+        }
+      });
+
+    entry.pending = pending;
+    return pending;
+  }
+}
+
+export { QueryCache };
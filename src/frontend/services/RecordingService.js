@@ -0,0 +1,212 @@
+/**
+ * RecordingService - Backend adapter that records every call made through another adapter
+ * Requests, normalized responses, errors and timings are kept in memory and can be downloaded
+ * as a session file, which ReplayService plays back without a canister.
+ */
+
+import BackendAdapter from "./BackendAdapter.js";
+import icpService from "./ICPService.js";
+import {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  encodeValue,
+  serializeError
+} from "./SessionFile.js";
+
+// Calls kept per session; the oldest are dropped beyond this
+const MAX_ENTRIES = 5000;
+
+class RecordingService extends BackendAdapter {
+  /**
+   * @param {BackendAdapter} service - Adapter whose calls are recorded
+   * @param {Object} options - { maxEntries }
+   */
+  constructor(service = icpService, options = {}) {
+    super(service.mode);
+    this.service = service;
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.listeners = new Set();
+    this.clear();
+  }
+
+  get isInitialized() {
+    return this.service.isInitialized;
+  }
+
+  init() {
+    return this.service.init();
+  }
+
+  getConnectionInfo() {
+    return this.service.getConnectionInfo();
+  }
+
+  generateCommandId() {
+    const commandId = this.service.generateCommandId();
+    this.addEntry({
+      method: "generateCommandId",
+      args: [],
+      startedAt: new Date().toISOString(),
+      duration: 0,
+      outcome: "success",
+      result: commandId
+    });
+    return commandId;
+  }
+
+  processCommand(instruction, context, options) {
+    return this.record("processCommand", [instruction, context], options);
+  }
+
+  processAdminCommand(instruction, context, options) {
+    return this.record("processAdminCommand", [instruction, context], options);
+  }
+
+  getExecutionResult(commandId, options) {
+    return this.record("getExecutionResult", [commandId], options);
+  }
+
+  getHistory(limit, options) {
+    return this.record("getHistory", [limit], options);
+  }
+
+  getHistoryPage(query, options) {
+    return this.record("getHistoryPage", [query], options);
+  }
+
+  getStatus(options) {
+    return this.record("getStatus", [], options);
+  }
+
+  handleWebhook(webhookId, eventType, payload, locationId, options) {
+    return this.record("handleWebhook", [webhookId, eventType, payload, locationId], options);
+  }
+
+  processVoiceCommand(sessionId, callerId, transcript, locationId, options) {
+    return this.record("processVoiceCommand", [sessionId, callerId, transcript, locationId], options);
+  }
+
+  processChatCommand(conversationId, contactId, message, locationId, options) {
+    return this.record("processChatCommand", [conversationId, contactId, message, locationId], options);
+  }
+
+  /**
+   * Subscribe through the wrapped adapter, recording each delivered value
+   * Cached reads refreshed after a command reach only subscribers, so this is how a replay sees them.
+   */
+  onQueryChange(method, args, listener) {
+    return this.service.onQueryChange(method, args, (value) => {
+      this.addEntry({
+        method,
+        args: encodeValue(args),
+        startedAt: new Date().toISOString(),
+        duration: 0,
+        outcome: "success",
+        result: encodeValue(value)
+      });
+      listener(value);
+    });
+  }
+
+  invalidateQueries(method) {
+    this.service.invalidateQueries(method);
+  }
+
+  /**
+   * Forward a call to the wrapped adapter and record how it settled
+   * @param {string} method - Adapter method
+   * @param {Array} args - Arguments without the call options
+   * @param {Object} [options] - Call options, passed through but not recorded
+   * @returns {Promise<any>} The wrapped adapter's result
+   */
+  async record(method, args, options) {
+    const entry = this.addEntry({
+      method,
+      args: encodeValue(args),
+      startedAt: new Date().toISOString()
+    });
+    const started = Date.now();
+
+    try {
+      const result = await this.service[method](...args, options);
+      this.settle(entry, { outcome: "success", result: encodeValue(result) }, started);
+      return result;
+    } catch (error) {
+      this.settle(entry, { outcome: "error", error: serializeError(error) }, started);
+      throw error;
+    }
+  }
+
+  addEntry(entry) {
+    const recorded = { seq: this.nextSeq++, ...entry };
+    this.entries.push(recorded);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+      this.dropped++;
+    }
+    this.notify();
+    return recorded;
+  }
+
+  settle(entry, outcome, started) {
+    Object.assign(entry, { duration: Date.now() - started }, outcome);
+    this.notify();
+  }
+
+  /**
+   * The recording so far as a session object
+   * Calls still in flight are left out.
+   * @returns {Object} { format, version, recordedAt, exportedAt, mode, connection, dropped, entries }
+   */
+  getSession() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: this.recordedAt.toISOString(),
+      exportedAt: new Date().toISOString(),
+      mode: this.service.mode,
+      connection: encodeValue(this.service.getConnectionInfo()),
+      dropped: this.dropped,
+      entries: this.entries.filter(entry => entry.outcome).map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Serialize the session for download
+   * @returns {string} JSON text
+   */
+  exportSession() {
+    return JSON.stringify(this.getSession(), null, 2);
+  }
+
+  /**
+   * Start a new recording
+   */
+  clear() {
+    this.entries = [];
+    this.nextSeq = 1;
+    this.dropped = 0;
+    this.recordedAt = new Date();
+    this.notify();
+  }
+
+  /**
+   * Subscribe to recording changes
+   * @param {Function} listener - Called with the recorder after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+// Create and export singleton instance recording the live canister
+const recordingService = new RecordingService();
+
+export { RecordingService, MAX_ENTRIES };
+export default recordingService;
@@ -0,0 +1,182 @@
+/**
+ * ReplayService - Backend adapter that answers calls from a recorded session file
+ * Commands must arrive in the recorded order and get the recorded result or error back, so a
+ * conversation replays the same way every time, in the UI or in Jest, without a canister.
+ * Reads (status, history) return what they returned at that point of the recording.
+ */
+
+import BackendAdapter from "./BackendAdapter.js";
+import { QueryCache } from "./QueryCache.js";
+import { runCancellable, abortableDelay } from "./Cancellation.js";
+import { ReplayMismatchError } from "./ServiceErrors.js";
+import { COMMAND_KEYS, decodeValue, restoreError, parseSession } from "./SessionFile.js";
+
+class ReplayService extends BackendAdapter {
+  /**
+   * @param {string|Object} session - Session file text or parsed session from RecordingService
+   * @param {Object} options - { speed: 0 answers at once (default), 1 waits as long as the recorded calls took }
+   */
+  constructor(session, options = {}) {
+    super("replay");
+    this.session = parseSession(session);
+    this.speed = options.speed || 0;
+    this.isInitialized = false;
+    // Every read goes back to the session, so subscribers see each recorded value
+    this.queryCache = new QueryCache({ default: 0 });
+    this.reset();
+  }
+
+  /**
+   * Rewind to the start of the session
+   */
+  reset() {
+    this.commands = this.session.entries.filter(entry => COMMAND_KEYS[entry.method]);
+    this.commandIds = this.session.entries.filter(entry => entry.method === "generateCommandId");
+    this.position = 0;
+    this.idPosition = 0;
+    this.queryCache.invalidate();
+  }
+
+  async init() {
+    this.isInitialized = true;
+    return true;
+  }
+
+  getConnectionInfo() {
+    const connection = this.session.connection || {};
+    return {
+      network: "replay",
+      host: connection.host || null,
+      canisterId: connection.canisterId || null
+    };
+  }
+
+  /**
+   * Recorded command IDs in order, so results carry the IDs they were recorded with
+   */
+  generateCommandId() {
+    const entry = this.commandIds[this.idPosition++];
+    return entry ? entry.result : `replay_cmd_${this.idPosition}`;
+  }
+
+  /**
+   * Calls that changed state, in the order they were recorded
+   * @returns {Array<Object>} { method, args } with decoded arguments
+   */
+  getRecordedCommands() {
+    return this.commands.map(entry => ({ method: entry.method, args: decodeValue(entry.args) }));
+  }
+
+  /**
+   * @returns {Object} { played, total } commands
+   */
+  getProgress() {
+    return { played: this.position, total: this.commands.length };
+  }
+
+  processCommand(instruction, context, options) {
+    return this.replayCommand("processCommand", [instruction, context], options);
+  }
+
+  processAdminCommand(instruction, context, options) {
+    return this.replayCommand("processAdminCommand", [instruction, context], options);
+  }
+
+  handleWebhook(webhookId, eventType, payload, locationId, options) {
+    return this.replayCommand("handleWebhook", [webhookId, eventType, payload, locationId], options);
+  }
+
+  processVoiceCommand(sessionId, callerId, transcript, locationId, options) {
+    return this.replayCommand("processVoiceCommand", [sessionId, callerId, transcript, locationId], options);
+  }
+
+  processChatCommand(conversationId, contactId, message, locationId, options) {
+    return this.replayCommand("processChatCommand", [conversationId, contactId, message, locationId], options);
+  }
+
+  getExecutionResult(commandId, options) {
+    return this.replayRead("getExecutionResult", [commandId], options);
+  }
+
+  getHistory(limit = 10, options = {}) {
+    return runCancellable(() => this.queryCache.get("getHistory", [limit], () => this.replayRead("getHistory", [limit])),
+      options, "getHistory");
+  }
+
+  getHistoryPage(query = {}, options = {}) {
+    return runCancellable(() => this.queryCache.get("getHistoryPage", [query], () => this.replayRead("getHistoryPage", [query])),
+      options, "getHistoryPage");
+  }
+
+  getStatus(options = {}) {
+    return runCancellable(() => this.queryCache.get("getStatus", [], () => this.replayRead("getStatus", [])),
+      options, "getStatus");
+  }
+
+  onQueryChange(method, args, listener) {
+    return this.queryCache.subscribe(method, args, listener);
+  }
+
+  invalidateQueries(method) {
+    this.queryCache.invalidate(method);
+  }
+
+  /**
+   * Answer a command with the next recorded one, which must be the same call
+   */
+  replayCommand(method, args, options = {}) {
+    const entry = this.commands[this.position];
+    if (!entry) {
+      return Promise.reject(new ReplayMismatchError(method, "the session has no more recorded commands"));
+    }
+
+    const recorded = decodeValue(entry.args);
+    const differs = entry.method !== method
+      || COMMAND_KEYS[method].some(index => recorded[index] !== args[index]);
+    if (differs) {
+      return Promise.reject(new ReplayMismatchError(method,
+        `expected ${entry.method}(${JSON.stringify(recorded[COMMAND_KEYS[entry.method][0]])}) next`));
+    }
+
+    this.position++;
+    this.queryCache.invalidate();
+    return this.settle(entry, options);
+  }
+
+  /**
+   * Answer a read with the latest matching call recorded before the next command, falling back
+   * to the first one after it, then to any call of the same method
+   */
+  replayRead(method, args, options = {}) {
+    const next = this.commands[this.position];
+    const boundary = next ? next.seq : Infinity;
+    const key = JSON.stringify(args);
+
+    const calls = this.session.entries.filter(entry => entry.method === method);
+    const matching = calls.filter(entry => JSON.stringify(decodeValue(entry.args)) === key);
+    const before = (entries) => entries.filter(entry => entry.seq < boundary).pop();
+
+    const entry = before(matching) || matching[0] || before(calls) || calls[0];
+    if (!entry) {
+      return Promise.reject(new ReplayMismatchError(method, "the session has no recorded calls to it"));
+    }
+    return this.settle(entry, options);
+  }
+
+  /**
+   * Resolve or reject as the recorded call did, after its recorded duration scaled by `speed`
+   */
+  settle(entry, options) {
+    return runCancellable(async (signal) => {
+      if (this.speed > 0) {
+        await abortableDelay(entry.duration * this.speed, signal);
+      }
+      if (entry.outcome === "error") {
+        throw restoreError(entry.error);
+      }
+      return decodeValue(entry.result);
+    }, options, entry.method);
+  }
+}
+
+export { ReplayService };
@@ -0,0 +1,231 @@
+/**
+ * RetryPolicy - Error classification, exponential backoff and circuit breaking for canister calls
+ */
+
+import {
+  CanisterError,
+  CircuitOpenError,
+  InterfaceMismatchError,
+  CancelledError,
+  TimeoutError
+} from "./ServiceErrors.js";
+
+const ErrorCategory = {
+  TRANSPORT: "transport",
+  REPLICA_REJECT: "replica_reject",
+  CANISTER_ERROR: "canister_error",
+  CERTIFICATE: "certificate",
+  CIRCUIT_OPEN: "circuit_open",
+  INTERFACE_MISMATCH: "interface_mismatch",
+  CANCELLED: "cancelled",
+  TIMEOUT: "timeout",
+  UNKNOWN: "unknown"
+};
+
+// IC reject code 2 (SYS_TRANSIENT) is the only replica reject worth retrying
+const SYS_TRANSIENT = 2;
+
+/**
+ * Classify an error raised by a canister call
+ * @param {Error} error - Error thrown by the agent, actor or Result unwrapping
+ * @returns {Object} { category, retryable, rejectCode }
+ */
+function classifyError(error) {
+  if (error instanceof CanisterError) {
+    return { category: ErrorCategory.CANISTER_ERROR, retryable: false, rejectCode: null };
+  }
+
+  if (error instanceof InterfaceMismatchError) {
+    return { category: ErrorCategory.INTERFACE_MISMATCH, retryable: false, rejectCode: null };
+  }
+
+  if (error instanceof CancelledError) {
+    return { category: ErrorCategory.CANCELLED, retryable: false, rejectCode: null };
+  }
+
+  if (error instanceof TimeoutError) {
+    return { category: ErrorCategory.TIMEOUT, retryable: false, rejectCode: null };
+  }
+
+  if (error instanceof CircuitOpenError) {
+    return { category: ErrorCategory.CIRCUIT_OPEN, retryable: false, rejectCode: null };
+  }
+
+  const name = (error && error.name) || "";
+  const message = ((error && error.message) || "").toLowerCase();
+
+  if (
+    name === "CertificateVerificationError" ||
+    message.includes("certificate") ||
+    message.includes("ingress_expiry") ||
+    message.includes("time sync")
+  ) {
+    return { category: ErrorCategory.CERTIFICATE, retryable: true, rejectCode: null };
+  }
+
+  const rejectCode = getRejectCode(error);
+  if (rejectCode !== null || name === "QueryCallRejectedError" || name === "UpdateCallRejectedError") {
+    return { category: ErrorCategory.REPLICA_REJECT, retryable: rejectCode === SYS_TRANSIENT, rejectCode };
+  }
+
+  if (
+    name === "AgentHTTPResponseError" ||
+    message.includes("fetch") ||
+    message.includes("network") ||
+    message.includes("timeout") ||
+    message.includes("econnrefused")
+  ) {
+    return { category: ErrorCategory.TRANSPORT, retryable: true, rejectCode: null };
+  }
+
+  // The call may have reached the canister, so it is not sent again
+  return { category: ErrorCategory.UNKNOWN, retryable: false, rejectCode: null };
+}
+
+/**
+ * Whether a failure says the canister is unreachable or overloaded: transport failures and transient
+ * replica rejects. Only these count towards opening the circuit breaker; a trap caused by bad input
+ * says nothing about whether other calls can get through.
+ * @param {Object} classification - Result of classifyError
+ * @returns {boolean}
+ */
+function isAvailabilityFailure(classification) {
+  return classification.category === ErrorCategory.TRANSPORT ||
+    (classification.category === ErrorCategory.REPLICA_REJECT && classification.rejectCode === SYS_TRANSIENT);
+}
+
+/**
+ * Whether a call failed in fetch itself (offline, DNS, refused connection), before any response came
+ * back, so the replica never received it
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFetchFailure(error) {
+  return error instanceof TypeError && /fetch/i.test(error.message || "");
+}
+
+function getRejectCode(error) {
+  if (!error) return null;
+
+  if (error.result && error.result.reject_code !== undefined) {
+    return Number(error.result.reject_code);
+  }
+  if (error.props && error.props["Reject code"] !== undefined) {
+    return Number(error.props["Reject code"]);
+  }
+
+  const match = /reject code:\s*(\d+)/i.exec(error.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Backoff settings for one method
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - { maxAttempts, baseDelay, maxDelay, jitter }
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 3;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 8000;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.5;
+  }
+
+  /**
+   * Whether another attempt should be made
+   * @param {Object} classification - Result of classifyError
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {boolean}
+   */
+  shouldRetry(classification, attempt) {
+    return classification.retryable && attempt < this.maxAttempts;
+  }
+
+  /**
+   * Exponential backoff with jitter; `jitter` is the fraction of the delay that is randomized
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    const randomized = exponential * this.jitter * Math.random();
+    return Math.round(exponential * (1 - this.jitter) + randomized);
+  }
+}
+
+/**
+ * Circuit breaker shared by all calls to one canister
+ * closed -> open after `failureThreshold` consecutive failed calls; open -> half-open after `resetTimeout`
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Check whether a call may go through, moving open -> half-open once the reset timeout has passed
+   * @throws {CircuitOpenError} While the breaker is open
+   */
+  ensureCanRequest() {
+    if (this.state === "open") {
+      const retryAt = this.openedAt + this.resetTimeout;
+      if (Date.now() < retryAt) {
+        throw new CircuitOpenError(new Date(retryAt));
+      }
+      this.transition("half-open");
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== "closed") {
+      this.openedAt = null;
+      this.transition("closed");
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition("open");
+    }
+  }
+
+  /**
+   * @returns {Object} { state, failures, openedAt, retryAt }
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout) : null
+    };
+  }
+
+  /**
+   * Subscribe to state transitions
+   * @param {Function} listener - Called with getState()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  transition(state) {
+    if (state === this.state) return;
+    this.state = state;
+    const snapshot = this.getState();
+    this.listeners.forEach(listener => listener(snapshot));
+  }
+}
+
+export { ErrorCategory, classifyError, isAvailabilityFailure, isFetchFailure, RetryPolicy, CircuitBreaker };
@@ -0,0 +1,95 @@
+/**
+ * ServiceErrors - Error types raised by the Agent Adam backend services
+ */
+
+/**
+ * Raised when the canister returns an `err` Result - a business rejection, not a transport failure
+ */
+class CanisterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CanisterError";
+  }
+}
+
+/**
+ * Raised without calling the canister while the circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super("Agent Adam canister is temporarily unavailable");
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Raised when a call still fails after the retry policy gives up
+ * `unsent` is true when every attempt failed before reaching the replica, so sending it again is safe.
+ */
+class RetryExhaustedError extends Error {
+  constructor(method, attempts, category, cause, unsent = false) {
+    super(`${method} failed after ${attempts} attempt${attempts === 1 ? "" : "s"}: ${cause.message}`);
+    this.name = "RetryExhaustedError";
+    this.method = method;
+    this.attempts = attempts;
+    this.category = category;
+    this.cause = cause;
+    this.unsent = unsent;
+  }
+}
+
+/**
+ * Raised instead of calling canister methods whose deployed signature differs from the bundled IDL
+ */
+class InterfaceMismatchError extends Error {
+  constructor(methods) {
+    super(`Agent Adam canister version mismatch: ${methods.join(", ")} changed on the canister. Update the frontend before using this feature.`);
+    this.name = "InterfaceMismatchError";
+    this.methods = methods;
+  }
+}
+
+/**
+ * Raised when the caller aborts a call through its AbortSignal
+ * The canister may still complete an update call that was already sent.
+ */
+class CancelledError extends Error {
+  constructor(message = "Command cancelled") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+/**
+ * Raised when a call, including its retries, takes longer than its timeout
+ */
+class TimeoutError extends Error {
+  constructor(method, timeout) {
+    super(`${method} timed out after ${timeout}ms`);
+    this.name = "TimeoutError";
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised by the replay backend when a call has no recorded counterpart at this point of the session
+ */
+class ReplayMismatchError extends Error {
+  constructor(method, message) {
+    super(`Cannot replay ${method}: ${message}`);
+    this.name = "ReplayMismatchError";
+    this.method = method;
+  }
+}
+
+export {
+  CanisterError,
+  CircuitOpenError,
+  RetryExhaustedError,
+  InterfaceMismatchError,
+  CancelledError,
+  TimeoutError,
+  ReplayMismatchError
+};
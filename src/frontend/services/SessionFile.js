@@ -0,0 +1,181 @@
+/**
+ * SessionFile - Format of recorded backend sessions
+ * RecordingService writes these files and ReplayService reads them. Values are stored as JSON with
+ * Dates and BigInts tagged, and errors keep their type so a replay rejects with the same error classes.
+ */
+
+import {
+  CanisterError,
+  CircuitOpenError,
+  RetryExhaustedError,
+  InterfaceMismatchError,
+  CancelledError,
+  TimeoutError,
+  ReplayMismatchError
+} from "./ServiceErrors.js";
+
+// Identifies session files; bump the version when the layout changes
+const SESSION_FORMAT = "agent-adam-session";
+const SESSION_VERSION = 1;
+
+// Methods that change state; a replay must receive them in the recorded order.
+// Each entry lists the arguments that identify the call (IDs and context may differ between runs).
+const COMMAND_KEYS = {
+  processCommand: [0],
+  processAdminCommand: [0],
+  handleWebhook: [1, 2],
+  processVoiceCommand: [2],
+  processChatCommand: [2]
+};
+
+const ERROR_TYPES = {
+  CanisterError,
+  CircuitOpenError,
+  RetryExhaustedError,
+  InterfaceMismatchError,
+  CancelledError,
+  TimeoutError,
+  ReplayMismatchError
+};
+
+/**
+ * @typedef {Object} SessionEntry
+ * @property {number} seq - Position in the session, in call order
+ * @property {string} method - Adapter method, or 'generateCommandId'
+ * @property {Array} args - Encoded arguments, without the call options
+ * @property {string} startedAt - ISO timestamp of the call
+ * @property {number} duration - Milliseconds until the call settled
+ * @property {'success'|'error'} outcome
+ * @property {any} [result] - Encoded result (success)
+ * @property {Object} [error] - Serialized error (error)
+ */
+
+/**
+ * Convert a value to plain JSON, tagging Dates and BigInts
+ * @param {any} value
+ * @returns {any}
+ */
+function encodeValue(value) {
+  if (value instanceof Date) {
+    return { $date: isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+  if (typeof value === "bigint") {
+    return { $bigint: value.toString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => item === undefined ? null : encodeValue(item));
+  }
+  if (value && typeof value === "object") {
+    const encoded = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item !== undefined && typeof item !== "function") {
+        encoded[key] = encodeValue(item);
+      }
+    });
+    return encoded;
+  }
+  return value;
+}
+
+/**
+ * Reverse encodeValue
+ * @param {any} value
+ * @returns {any}
+ */
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === "$date") {
+      return new Date(value.$date === null ? NaN : value.$date);
+    }
+    if (keys.length === 1 && keys[0] === "$bigint") {
+      return BigInt(value.$bigint);
+    }
+
+    const decoded = {};
+    keys.forEach(key => {
+      decoded[key] = decodeValue(value[key]);
+    });
+    return decoded;
+  }
+  return value;
+}
+
+/**
+ * Capture an error's type, message and extra fields (method, timeout, category, ...)
+ * @param {Error} error
+ * @returns {Object} { name, message, ...fields, cause }
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: "Error", message: String(error) };
+  }
+
+  const { cause, ...fields } = error;
+  return {
+    ...encodeValue(fields),
+    name: error.name,
+    message: error.message,
+    ...(cause ? { cause: serializeError(cause) } : {})
+  };
+}
+
+/**
+ * Rebuild an error captured by serializeError as an instance of its original class
+ * @param {Object} data
+ * @returns {Error}
+ */
+function restoreError(data) {
+  const { name, message, cause, ...fields } = data;
+  const Type = ERROR_TYPES[name] || Error;
+
+  // Skip the constructor: each error class takes different arguments
+  const error = Object.create(Type.prototype);
+  Object.assign(error, decodeValue(fields), { name, message });
+  if (cause) {
+    error.cause = restoreError(cause);
+  }
+  return error;
+}
+
+/**
+ * Read a session file, checking its format
+ * @param {string|Object} session - JSON text or parsed session
+ * @returns {Object} Session with `entries` sorted by `seq`
+ */
+function parseSession(session) {
+  let parsed = session;
+  if (typeof session === "string") {
+    try {
+      parsed = JSON.parse(session);
+    } catch (error) {
+      throw new Error(`Session file is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!parsed || parsed.format !== SESSION_FORMAT) {
+    throw new Error("Not an Agent Adam session file");
+  }
+  if (parsed.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session file version: ${parsed.version}`);
+  }
+  if (!Array.isArray(parsed.entries)) {
+    throw new Error("Session file has no recorded calls");
+  }
+
+  return { ...parsed, entries: [...parsed.entries].sort((a, b) => a.seq - b.seq) };
+}
+
+export {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  COMMAND_KEYS,
+  encodeValue,
+  decodeValue,
+  serializeError,
+  restoreError,
+  parseSession
+};
@@ -0,0 +1,297 @@
+/**
+ * TranscriptExporter - Chat transcripts as Markdown, JSON or CSV
+ * A transcript is built from Chat.getTranscript (or saved ConversationStore messages) and keeps the
+ * ExecutionResult of every command with its actions, statuses and timestamps, so it can be attached
+ * to GHL contact notes and audit reports. Times are written in UTC.
+ */
+
+// Identifies JSON transcripts; bump the version when the layout changes
+const TRANSCRIPT_FORMAT = "agent-adam-transcript";
+const TRANSCRIPT_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  markdown: { extension: "md", mimeType: "text/markdown" },
+  json: { extension: "json", mimeType: "application/json" },
+  csv: { extension: "csv", mimeType: "text/csv" }
+};
+
+const SENDER_NAMES = {
+  user: "User",
+  adam: "Agent Adam",
+  system: "System"
+};
+
+// One CSV row per message, batch item, command result and executed action
+const CSV_COLUMNS = [
+  "record",
+  "message_id",
+  "timestamp",
+  "sender",
+  "status",
+  "command_id",
+  "text",
+  "action_type",
+  "action_result",
+  "duration_ms"
+];
+
+/**
+ * @typedef {Object} TranscriptResult
+ * @property {string} commandId
+ * @property {string} status - ExecutionStatus type ('Completed', 'PartialSuccess', 'Failed', ...)
+ * @property {string|null} reason - Why the command failed
+ * @property {Array<string>} warnings - Warnings of a partial success
+ * @property {Array<Object>} actions - [{ actionType, description, result, timestamp }]
+ * @property {Array<string>} insights
+ * @property {Array<string>} nextSteps
+ * @property {number} duration - Canister processing time in milliseconds
+ */
+
+/**
+ * Convert a Date or date string to an ISO timestamp
+ * @param {Date|string|number} value
+ * @returns {string|null}
+ */
+function toIsoString(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Copy the parts of a normalized ExecutionResult that belong in a transcript
+ * @param {Object|null} result - Normalized ExecutionResult
+ * @returns {TranscriptResult|null}
+ */
+function describeResult(result) {
+  if (!result) return null;
+
+  const status = result.status || {};
+  return {
+    commandId: result.commandId || null,
+    status: status.type || "Unknown",
+    reason: status.reason || null,
+    warnings: [...(status.warnings || [])],
+    actions: (result.actions || []).map(action => ({
+      actionType: action.actionType,
+      description: action.description,
+      result: action.result,
+      timestamp: toIsoString(action.timestamp)
+    })),
+    insights: [...(result.insights || [])],
+    nextSteps: [...(result.nextSteps || [])],
+    duration: Number(result.duration || 0)
+  };
+}
+
+/**
+ * Build a transcript of a conversation
+ * @param {Array<Object>} messages - Chat.getTranscript() entries or ConversationMessage records
+ * @param {Object} details - { title, locationId, userId, exportedAt }
+ * @returns {Object} { format, version, title, locationId, userId, exportedAt, messages }
+ */
+function createTranscript(messages, details = {}) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    title: details.title || "Agent Adam conversation",
+    locationId: details.locationId || null,
+    userId: details.userId || null,
+    exportedAt: toIsoString(details.exportedAt || new Date()),
+    messages: messages.map(message => {
+      const entry = {
+        id: message.id,
+        sender: message.sender,
+        text: message.text || "",
+        timestamp: toIsoString(message.timestamp),
+        status: message.status || null,
+        simulated: Boolean(message.simulated),
+        commandId: message.commandId || null,
+        result: describeResult(message.result)
+      };
+      if (message.items) {
+        entry.items = message.items.map(item => ({
+          instruction: item.instruction,
+          status: item.status || null,
+          detail: item.detail || "",
+          commandId: item.commandId || null,
+          result: describeResult(item.result)
+        }));
+      }
+      return entry;
+    })
+  };
+}
+
+/**
+ * Serialize a transcript
+ * @param {Object} transcript - From createTranscript
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ * @returns {Object} { format, fileName, mimeType, content }
+ */
+function exportTranscript(transcript, format) {
+  const type = EXPORT_FORMATS[format];
+  if (!type) {
+    throw new Error(`Unknown transcript format: ${format}`);
+  }
+
+  const serializers = { markdown: toMarkdown, json: toJson, csv: toCsv };
+  const stamp = (transcript.exportedAt || new Date().toISOString()).replace(/[:.]/g, "-");
+
+  return {
+    format,
+    fileName: `agent-adam-transcript-${stamp}.${type.extension}`,
+    mimeType: type.mimeType,
+    content: serializers[format](transcript)
+  };
+}
+
+/**
+ * @param {Object} transcript - From createTranscript
+ * @returns {string}
+ */
+function toJson(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+/**
+ * Render a transcript as Markdown; message text is Markdown already and is kept as written
+ * @param {Object} transcript - From createTranscript
+ * @returns {string}
+ */
+function toMarkdown(transcript) {
+  const lines = [`# ${transcript.title}`, ""];
+
+  const about = [`Exported ${formatTime(transcript.exportedAt)}`];
+  if (transcript.locationId) about.push(`Location ${transcript.locationId}`);
+  if (transcript.userId) about.push(`User ${transcript.userId}`);
+  lines.push(about.join(" · "), "");
+
+  transcript.messages.forEach(message => {
+    const heading = [SENDER_NAMES[message.sender] || message.sender, formatTime(message.timestamp)];
+    if (message.status) heading.push(formatStatus(message.status));
+    if (message.simulated) heading.push("Simulated");
+    lines.push("---", "", `### ${heading.join(" · ")}`, "");
+
+    if (message.items) {
+      message.items.forEach((item, index) => {
+        const detail = item.detail ? ` (${item.detail})` : "";
+        lines.push(`${index + 1}. ${item.instruction} · ${formatStatus(item.status || "pending")}${detail}`);
+      });
+      lines.push("");
+      message.items.forEach((item, index) => {
+        if (item.result) {
+          lines.push(...resultToMarkdown(item.result, `Item ${index + 1}`));
+        }
+      });
+    } else if (message.text) {
+      lines.push(message.text.trim(), "");
+    }
+
+    if (message.result) {
+      lines.push(...resultToMarkdown(message.result, "Result"));
+    }
+  });
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+/**
+ * Markdown lines for a command result: status line, then a table of its actions
+ */
+function resultToMarkdown(result, label) {
+  let status = `**${label}** \`${result.commandId}\`: ${result.status}`;
+  if (result.reason) status += ` (${result.reason})`;
+  status += ` · ${result.duration} ms`;
+
+  const lines = [status, ""];
+  result.warnings.forEach(warning => lines.push(`- Warning: ${warning}`));
+  if (result.warnings.length > 0) lines.push("");
+
+  if (result.actions.length > 0) {
+    lines.push("| Time | Action | Description | Result |", "| --- | --- | --- | --- |");
+    result.actions.forEach(action => {
+      const cells = [formatTime(action.timestamp), action.actionType, action.description, action.result];
+      lines.push(`| ${cells.map(toTableCell).join(" | ")} |`);
+    });
+    lines.push("");
+  }
+  return lines;
+}
+
+/**
+ * Render a transcript as CSV (RFC 4180, CRLF line endings)
+ * @param {Object} transcript - From createTranscript
+ * @returns {string}
+ */
+function toCsv(transcript) {
+  const rows = [CSV_COLUMNS];
+
+  const addResult = (message, result) => {
+    rows.push([
+      "result", message.id, message.timestamp, message.sender, result.status, result.commandId,
+      [result.reason, ...result.warnings].filter(Boolean).join("; "), "", "", result.duration
+    ]);
+    result.actions.forEach(action => {
+      rows.push([
+        "action", message.id, action.timestamp, message.sender, result.status, result.commandId,
+        action.description, action.actionType, action.result, ""
+      ]);
+    });
+  };
+
+  transcript.messages.forEach(message => {
+    rows.push([
+      "message", message.id, message.timestamp, message.sender, message.status, message.commandId,
+      message.text, "", "", ""
+    ]);
+
+    (message.items || []).forEach(item => {
+      rows.push([
+        "item", message.id, message.timestamp, message.sender, item.status, item.commandId,
+        item.detail ? `${item.instruction} (${item.detail})` : item.instruction, "", "", ""
+      ]);
+      if (item.result) addResult(message, item.result);
+    });
+
+    if (message.result) addResult(message, message.result);
+  });
+
+  return rows.map(row => row.map(toCsvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Quote a CSV cell
+ * Cells that spreadsheets would run as formulas are prefixed with a quote, since message text
+ * comes from users and webhook payloads.
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function toTableCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function formatTime(iso) {
+  return iso ? iso.replace("T", " ").replace(/\.\d+Z$/, " UTC") : "Unknown time";
+}
+
+function formatStatus(status) {
+  return status.charAt(0).toUpperCase() + status.slice(1);
+}
+
+export {
+  TRANSCRIPT_FORMAT,
+  TRANSCRIPT_VERSION,
+  EXPORT_FORMATS,
+  createTranscript,
+  exportTranscript,
+  toMarkdown,
+  toJson,
+  toCsv
+};
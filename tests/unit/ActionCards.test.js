@@ -0,0 +1,81 @@
+/**
+ * ActionCards Tests
+ */
+
+import { ACTION_RENDERERS, extractResultId } from '../../src/frontend/services/ActionCards.js';
+
+const render = (actionType, description, result = '', details = {}) =>
+  ACTION_RENDERERS[actionType]({ actionType, description, result, timestamp: new Date(), details });
+
+describe('ActionCards', () => {
+  test('should find record IDs in action results', () => {
+    expect(extractResultId('Contact ID: contact_7')).toEqual({ label: 'Contact ID', value: 'contact_7' });
+    expect(extractResultId('Appointment ID: apt_2, starts 2026-03-03T10:00:00.000Z'))
+      .toEqual({ label: 'Appointment ID', value: 'apt_2' });
+    expect(extractResultId('Email delivered successfully')).toBeNull();
+    expect(extractResultId(undefined)).toBeNull();
+  });
+
+  test('should render every action type the canister reports', () => {
+    ['create_contact', 'send_email', 'schedule_appointment', 'update_opportunity'].forEach(actionType => {
+      expect(ACTION_RENDERERS[actionType]).toEqual(expect.any(Function));
+    });
+
+    // Shaped like a canister ExecutedAction: its wording is not the demo's
+    expect(render('schedule_appointment', 'Booked consultation with Emma Davis on 2026-03-03 10:00', 'Email delivered successfully'))
+      .toEqual({
+        icon: '📅',
+        title: 'Appointment booked',
+        fields: [
+          { label: 'Details', value: 'Booked consultation with Emma Davis on 2026-03-03 10:00' },
+          { label: 'Outcome', value: 'Email delivered successfully' }
+        ]
+      });
+  });
+
+  test('should leave the record ID to the card and show the description as written', () => {
+    expect(render('create_contact', 'Created new contact: John Smith', 'Contact ID: contact_7')).toEqual({
+      icon: '👤',
+      title: 'Contact created',
+      fields: [{ label: 'Details', value: 'Created new contact: John Smith' }]
+    });
+  });
+
+  test('should show the key fields of each action type', () => {
+    expect(render('create_contact', 'Created new contact: John Smith', 'Contact ID: contact_7',
+      { name: 'John Smith', email: 'john@example.com' })).toEqual({
+      icon: '👤',
+      title: 'Contact created',
+      fields: [{ label: 'Name', value: 'John Smith' }, { label: 'Email', value: 'john@example.com' }]
+    });
+
+    expect(render('create_appointment', 'Scheduled discovery call for Tue, Mar 3, 10:00 AM', 'Appointment ID: apt_2',
+      { title: 'Discovery call', startTime: 'Tue, Mar 3, 10:00 AM', contact: 'Emma Davis' }).fields).toEqual([
+      { label: 'Title', value: 'Discovery call' },
+      { label: 'When', value: 'Tue, Mar 3, 10:00 AM' },
+      { label: 'With', value: 'Emma Davis' }
+    ]);
+
+    expect(render('send_lead_magnet', 'Sent "Free AI ROI Calculator" via email', 'Lead magnet delivered successfully',
+      { leadMagnet: 'Free AI ROI Calculator', channel: 'Email' }).fields).toEqual([
+      { label: 'Lead magnet', value: 'Free AI ROI Calculator' },
+      { label: 'Channel', value: 'Email' },
+      { label: 'Outcome', value: 'Lead magnet delivered successfully' }
+    ]);
+
+    expect(render('create_workflow', 'Created workflow: Welcome', 'Workflow ID: wf_1',
+      { workflow: 'Welcome', trigger: 'Contact created', status: 'active' }).fields.map(field => field.label))
+      .toEqual(['Workflow', 'Trigger', 'Status']);
+  });
+
+  test('should ignore key fields of other types and fall back to the description', () => {
+    expect(render('add_tag', 'Tagged John Smith: VIP', 'Tag added successfully', { campaign: 'Spring' }).fields).toEqual([
+      { label: 'Details', value: 'Tagged John Smith: VIP' },
+      { label: 'Outcome', value: 'Tag added successfully' }
+    ]);
+  });
+
+  test('should leave out empty fields', () => {
+    expect(render('send_email', '', '').fields).toEqual([]);
+  });
+});
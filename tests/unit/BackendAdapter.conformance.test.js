@@ -0,0 +1,353 @@
+/**
+ * Backend adapter conformance suite
+ * Every adapter AgentAdamApp can switch to must pass the same contract tests.
+ */
+
+jest.mock('@dfinity/agent', () => ({
+  ...jest.requireActual('@dfinity/agent'),
+  HttpAgent: jest.fn().mockImplementation(() => ({
+    fetchRootKey: jest.fn()
+  })),
+  Actor: {
+    createActor: jest.fn()
+  }
+}));
+
+import { Actor } from '@dfinity/agent';
+import BackendAdapter, { ADAPTER_METHODS } from '../../src/frontend/services/BackendAdapter.js';
+import { ICPService } from '../../src/frontend/services/ICPService.js';
+import { DemoICPService } from '../../src/frontend/services/DemoICPService.js';
+import { RecordingService } from '../../src/frontend/services/RecordingService.js';
+import { CancelledError } from '../../src/frontend/services/ServiceErrors.js';
+
+const NS_PER_MS = 1000000n;
+
+const SOURCE_KINDS = {
+  GHLWebhook: 'Webhook',
+  GHLVoiceAgent: 'Voice',
+  GHLChatAgent: 'Chat',
+  AdminInterface: 'Admin'
+};
+
+const newestFirst = (a, b) => {
+  if (a.timestamp !== b.timestamp) return a.timestamp > b.timestamp ? -1 : 1;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+};
+
+/**
+ * In-memory stand-in for the canister actor, returning Candid-shaped values
+ */
+const createCanisterActor = () => {
+  const commands = new Map();
+  const results = new Map();
+
+  const executionResult = (commandId) => ({
+    commandId,
+    status: { Completed: null },
+    actions: [{
+      actionType: 'create_contact',
+      description: 'Created new contact',
+      result: 'Contact ID: GHL_1',
+      timestamp: BigInt(Date.now()) * NS_PER_MS
+    }],
+    insights: ['Command processed successfully'],
+    nextSteps: ['Review execution result'],
+    duration: 100n
+  });
+
+  const store = (command) => {
+    commands.set(command.id, command);
+    const result = executionResult(command.id);
+    results.set(command.id, result);
+    return result;
+  };
+
+  const sourced = (id, source, instruction, locationId) => store({
+    id,
+    source,
+    instruction,
+    context: { locationId, sourceMetadata: [], priority: 2n, retryCount: 0n },
+    timestamp: BigInt(Date.now()) * NS_PER_MS
+  });
+
+  return {
+    processCommand: jest.fn(async (command) => ({ ok: store(command) })),
+    processAdminCommand: jest.fn(async (userId, locationId, instruction, commandId) => ({
+      ok: {
+        summary: 'Command executed successfully',
+        details: sourced(commandId[0] || `${userId}_${Date.now()}`, { AdminInterface: { userId, locationId } }, instruction, locationId),
+        recommendedActions: ['Review results'],
+        alerts: []
+      }
+    })),
+    handleWebhook: jest.fn(async (webhookId, eventType, payload, locationId) => {
+      sourced(`${webhookId}_${Date.now()}`, { GHLWebhook: { webhookId, eventType } }, payload, locationId);
+      return { ok: 'Webhook processed successfully' };
+    }),
+    processVoiceCommand: jest.fn(async (sessionId, callerId, transcript, locationId) => {
+      sourced(`${sessionId}_${Date.now()}`, { GHLVoiceAgent: { sessionId, callerId } }, transcript, locationId);
+      return { ok: { spokenText: 'Done.', actions: ['confirm_action'], shouldEndCall: false, transferNumber: [] } };
+    }),
+    processChatCommand: jest.fn(async (conversationId, contactId, message, locationId) => {
+      sourced(`${conversationId}_${Date.now()}`, { GHLChatAgent: { conversationId, contactId } }, message, locationId);
+      return { ok: { message: 'Done.', quickReplies: ['Got it'], attachments: [], shouldClose: false } };
+    }),
+    getCommandHistory: jest.fn(async (limit) => Array.from(commands.values()).slice(0, Number(limit))),
+    getCommandPage: jest.fn(async (filter, cursor, limit) => {
+      const sources = filter.sources.map(source => Object.keys(source)[0]);
+      const [locationId] = filter.locationId;
+      const [fromTime] = filter.fromTime;
+      const [toTime] = filter.toTime;
+      const [after] = cursor;
+
+      const matching = Array.from(commands.values())
+        .filter(command => sources.length === 0 || sources.includes(SOURCE_KINDS[Object.keys(command.source)[0]]))
+        .filter(command => locationId === undefined || command.context.locationId === locationId)
+        .filter(command => fromTime === undefined || command.timestamp >= fromTime)
+        .filter(command => toTime === undefined || command.timestamp <= toTime)
+        .filter(command => !after || newestFirst(after, command) < 0)
+        .sort(newestFirst);
+
+      const page = matching.slice(0, Number(limit));
+      const last = page[page.length - 1];
+      return {
+        commands: page,
+        nextCursor: matching.length > page.length ? [{ timestamp: last.timestamp, id: last.id }] : []
+      };
+    }),
+    getExecutionResult: jest.fn(async (commandId) => (results.has(commandId) ? [results.get(commandId)] : [])),
+    getTotalCommands: jest.fn(async () => BigInt(commands.size)),
+    getCanisterStatus: jest.fn(async () => 'Agent Adam is online and ready to process commands')
+  };
+};
+
+const adapters = [
+  ['ICPService', () => {
+    Actor.createActor.mockReturnValue(createCanisterActor());
+    return new ICPService('rrkah-fqaaa-aaaah-qcuwa-cai', {
+      network: 'local',
+      identityService: {
+        getIdentity: async () => ({}),
+        getPrincipal: () => 'conformance-user',
+        subscribe: () => () => {}
+      }
+    });
+  }],
+  ['DemoICPService', () => {
+    const service = new DemoICPService();
+    service.delay = () => Promise.resolve();
+    return service;
+  }],
+  ['RecordingService', () => {
+    const service = new DemoICPService();
+    service.delay = () => Promise.resolve();
+    return new RecordingService(service);
+  }]
+];
+
+const expectResult = (result) => {
+  expect(typeof result.commandId).toBe('string');
+  expect(['Pending', 'Processing', 'Completed', 'Failed', 'PartialSuccess']).toContain(result.status.type);
+  expect(Array.isArray(result.actions)).toBe(true);
+  result.actions.forEach(action => {
+    expect(typeof action.actionType).toBe('string');
+    expect(typeof action.description).toBe('string');
+    expect(typeof action.result).toBe('string');
+    expect(action.timestamp).toBeInstanceOf(Date);
+  });
+  expect(Array.isArray(result.insights)).toBe(true);
+  expect(Array.isArray(result.nextSteps)).toBe(true);
+  expect(typeof result.duration).toBe('number');
+};
+
+describe('BackendAdapter', () => {
+  test('should not be instantiable directly', () => {
+    expect(() => new BackendAdapter('live')).toThrow('abstract');
+  });
+});
+
+describe.each(adapters)('%s adapter conformance', (name, createAdapter) => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = createAdapter();
+    await adapter.init();
+  });
+
+  test('implements every adapter method', () => {
+    expect(adapter).toBeInstanceOf(BackendAdapter);
+    expect(BackendAdapter.missingMethods(adapter)).toEqual([]);
+    expect(ADAPTER_METHODS.length).toBeGreaterThan(0);
+  });
+
+  test('describes its connection', () => {
+    const info = adapter.getConnectionInfo();
+
+    expect(typeof info.network).toBe('string');
+    expect(info).toHaveProperty('host');
+    expect(info).toHaveProperty('canisterId');
+    expect(['live', 'demo']).toContain(adapter.mode);
+  });
+
+  test('processCommand returns a normalized result for the given command ID', async () => {
+    const commandId = adapter.generateCommandId();
+    const result = await adapter.processCommand('Create contact John Smith', {
+      locationId: 'loc-1',
+      commandId
+    });
+
+    expectResult(result);
+    expect(result.commandId).toBe(commandId);
+  });
+
+  test('processCommands runs every instruction and aggregates the results', async () => {
+    const progress = jest.fn();
+    const commandId = adapter.generateCommandId();
+
+    const batch = await adapter.processCommands(
+      ['Create contact Jane Doe', { instruction: 'Create workflow', commandId }, 'Show contacts'],
+      { locationId: 'loc-1' },
+      { concurrency: 2, onProgress: progress }
+    );
+
+    expect(batch).toMatchObject({ succeeded: 3, failed: 0, cancelled: 0 });
+    expect(batch.items.map(item => item.instruction)).toEqual(['Create contact Jane Doe', 'Create workflow', 'Show contacts']);
+    batch.items.forEach(item => {
+      expectResult(item.result);
+      expect(item.result.commandId).toBe(item.commandId);
+    });
+    expect(batch.items[1].commandId).toBe(commandId);
+    expect(progress).toHaveBeenCalledWith(expect.objectContaining({ index: 0, status: 'succeeded' }));
+    expect((await adapter.getHistory(10)).length).toBe(3);
+  });
+
+  test('processCommands sends admin batches through processAdminCommand', async () => {
+    const spy = jest.spyOn(adapter, 'processAdminCommand');
+    const commandId = adapter.generateCommandId();
+
+    const batch = await adapter.processCommands(
+      [{ instruction: 'Create contact Jane Doe', commandId }, 'Show contacts'],
+      { locationId: 'loc-1', source: 'web-interface' },
+      { admin: true }
+    );
+
+    expect(batch).toMatchObject({ succeeded: 2, failed: 0 });
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenCalledWith('Create contact Jane Doe', expect.objectContaining({ commandId }), expect.any(Object));
+    batch.items.forEach(item => {
+      expectResult(item.result);
+      expect(item.result.commandId).toBe(item.commandId);
+    });
+  });
+
+  test('processAdminCommand returns a summary with normalized details', async () => {
+    const response = await adapter.processAdminCommand('Show recent contacts', { locationId: 'loc-1' });
+
+    expect(typeof response.summary).toBe('string');
+    expectResult(response.details);
+    expect(Array.isArray(response.recommendedActions)).toBe(true);
+    expect(Array.isArray(response.alerts)).toBe(true);
+  });
+
+  test('getExecutionResult returns stored results and null for unknown IDs', async () => {
+    const commandId = adapter.generateCommandId();
+    await adapter.processCommand('Create workflow', { commandId });
+
+    expectResult(await adapter.getExecutionResult(commandId));
+    expect(await adapter.getExecutionResult('missing')).toBeNull();
+  });
+
+  test('getHistory returns normalized commands', async () => {
+    await adapter.processCommand('Create contact Jane Doe', { locationId: 'loc-1' });
+    await adapter.handleWebhook('wh_1', 'contact.created', '{"id":"c1"}', 'loc-1');
+
+    const history = await adapter.getHistory(10);
+
+    expect(history.length).toBe(2);
+    history.forEach(command => {
+      expect(typeof command.id).toBe('string');
+      expect(typeof command.instruction).toBe('string');
+      expect(['Webhook', 'Voice', 'Chat', 'Admin']).toContain(command.sourceType);
+      expect(typeof command.source).toBe('string');
+      expect(command.context.locationId).toBe('loc-1');
+      expect(command.timestamp).toBeInstanceOf(Date);
+    });
+    expect(history.map(command => command.sourceType).sort()).toEqual(['Admin', 'Webhook']);
+  });
+
+  test('getHistoryPage pages through history without overlap', async () => {
+    for (let i = 0; i < 5; i++) {
+      await adapter.processCommand(`Create contact ${i}`, { locationId: 'loc-1' });
+    }
+
+    const ids = [];
+    const pageSizes = [];
+    let cursor = null;
+    do {
+      const page = await adapter.getHistoryPage({ limit: 2, cursor });
+      pageSizes.push(page.commands.length);
+      ids.push(...page.commands.map(command => command.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(pageSizes).toEqual([2, 2, 1]);
+    expect(new Set(ids).size).toBe(5);
+  });
+
+  test('getHistoryPage filters by source, location and time range', async () => {
+    await adapter.processCommand('Create contact Jane Doe', { locationId: 'loc-1' });
+    await adapter.handleWebhook('wh_1', 'contact.created', '{"id":"c1"}', 'loc-2');
+    await adapter.processChatCommand('conv-1', 'contact-1', 'Send pricing', 'loc-1');
+
+    const webhooks = await adapter.getHistoryPage({ sources: ['Webhook'] });
+    const location = await adapter.getHistoryPage({ locationId: 'loc-1' });
+    const future = await adapter.getHistoryPage({ from: new Date(Date.now() + 60000) });
+
+    expect(webhooks.commands.map(command => command.sourceType)).toEqual(['Webhook']);
+    expect(location.commands.map(command => command.sourceType).sort()).toEqual(['Admin', 'Chat']);
+    expect(future).toEqual({ commands: [], nextCursor: null });
+  });
+
+  test('getStatus reports the command count and mode', async () => {
+    await adapter.processCommand('Show contacts');
+
+    const status = await adapter.getStatus();
+
+    expect(typeof status.status).toBe('string');
+    expect(status.totalCommands).toBe(1);
+    expect(status.isOnline).toBe(true);
+    expect(status.mode).toBe(adapter.mode);
+  });
+
+  test('calls with an aborted signal reject as cancelled without recording anything', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(adapter.processCommand('Create contact', { locationId: 'loc-1' }, { signal: controller.signal }))
+      .rejects.toBeInstanceOf(CancelledError);
+    await expect(adapter.getStatus({ signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+    expect((await adapter.getStatus()).totalCommands).toBe(0);
+  });
+
+  test('handleWebhook returns a confirmation message', async () => {
+    await expect(adapter.handleWebhook('wh_1', 'contact.created', '{}', 'loc-1')).resolves.toEqual(expect.any(String));
+  });
+
+  test('processVoiceCommand returns a normalized voice response', async () => {
+    const response = await adapter.processVoiceCommand('session-1', '+15550000000', 'Book a call', 'loc-1');
+
+    expect(typeof response.spokenText).toBe('string');
+    expect(Array.isArray(response.actions)).toBe(true);
+    expect(typeof response.shouldEndCall).toBe('boolean');
+    expect(response.transferNumber).toBeNull();
+  });
+
+  test('processChatCommand returns a normalized chat response', async () => {
+    const response = await adapter.processChatCommand('conv-1', 'contact-1', 'Send pricing', 'loc-1');
+
+    expect(typeof response.message).toBe('string');
+    expect(Array.isArray(response.quickReplies)).toBe(true);
+    expect(Array.isArray(response.attachments)).toBe(true);
+    expect(typeof response.shouldClose).toBe('boolean');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * BatchRunner Tests
+ */
+
+import { runBatch, summarizeBatch } from '../../src/frontend/services/BatchRunner.js';
+import { CancelledError } from '../../src/frontend/services/ServiceErrors.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('BatchRunner', () => {
+  test('should keep at most `concurrency` items in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const worker = async (item) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return item * 2;
+    };
+
+    const outcomes = await runBatch([1, 2, 3, 4, 5, 6, 7], worker, { concurrency: 3 });
+
+    expect(peak).toBe(3);
+    expect(outcomes.map(outcome => outcome.value)).toEqual([2, 4, 6, 8, 10, 12, 14]);
+  });
+
+  test('should report failures per item without stopping the batch', async () => {
+    const outcomes = await runBatch(['ok', 'bad', 'ok'], async (item) => {
+      if (item === 'bad') throw new Error('Contact not found');
+      return item;
+    });
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['succeeded', 'failed', 'succeeded']);
+    expect(outcomes[1].error.message).toBe('Contact not found');
+    expect(summarizeBatch(outcomes)).toEqual({ succeeded: 2, failed: 1, cancelled: 0 });
+  });
+
+  test('should cancel items not started when the signal aborts', async () => {
+    const controller = new AbortController();
+    const first = deferred();
+    const progress = [];
+
+    const batch = runBatch(['a', 'b', 'c'], async (item) => {
+      if (item === 'a') return first.promise;
+      return item;
+    }, {
+      concurrency: 1,
+      signal: controller.signal,
+      onProgress: (outcome) => progress.push(`${outcome.index}:${outcome.status}`)
+    });
+
+    controller.abort();
+    first.resolve('a');
+    const outcomes = await batch;
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['succeeded', 'cancelled', 'cancelled']);
+    expect(outcomes[1].error).toBeInstanceOf(CancelledError);
+    expect(progress).toEqual(['0:running', '0:succeeded', '1:cancelled', '2:cancelled']);
+  });
+});
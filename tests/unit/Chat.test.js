@@ -70,13 +70,391 @@ describe('Chat Component', () => {
     chat.renderMessage('Message 2', 'adam');
     
     // Verify messages exist
-    expect(chat.messagesContainer.children.length).toBe(2);
+    expect(chat.messagesContainer.querySelectorAll('.message').length).toBe(2);
     
     // Clear messages
     chat.clearMessages();
     
     // Verify messages are cleared
-    expect(chat.messagesContainer.children.length).toBe(0);
+    expect(chat.messagesContainer.querySelectorAll('.message').length).toBe(0);
+  });
+
+  test('should dispatch stopRequested from a stoppable typing indicator', () => {
+    const listener = jest.fn();
+    chatContainer.addEventListener('stopRequested', listener);
+
+    chat.showTypingIndicator('adam', { stoppable: true });
+    const stopButton = chat.messagesContainer.querySelector('.typing-stop');
+    stopButton.click();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(stopButton.disabled).toBe(true);
+  });
+
+  test('should mark cancelled messages', () => {
+    const messageEl = chat.renderMessage('Create contact', 'user', new Date(), { status: 'sending' });
+
+    chat.updateMessageStatus(messageEl.id, 'cancelled');
+
+    expect(messageEl.querySelector('.message-status').textContent).toBe('Cancelled');
+  });
+
+  test('should render a batch with a status per item and a summary', () => {
+    const batchEl = chat.renderBatch(['Create contact', 'Send email', 'Show report']);
+
+    chat.updateBatchItem(batchEl.id, 0, 'delivered', 'Completed');
+    chat.updateBatchItem(batchEl.id, 1, 'error', 'Contact not found');
+    chat.updateMessageStatus(chat.getBatchItemId(batchEl.id, 2), 'queued');
+
+    const items = batchEl.querySelectorAll('.batch-item');
+    expect(items.length).toBe(3);
+    expect(items[1].querySelector('.batch-detail').textContent).toBe('Contact not found');
+    expect(batchEl.querySelector('.batch-summary').textContent).toBe('Batch: 2 of 3 done · 1 failed · 1 queued');
+  });
+
+  test('should dispatch promptAction once from an action prompt', () => {
+    const listener = jest.fn();
+    chatContainer.addEventListener('promptAction', listener);
+
+    const promptEl = chat.addActionPrompt('Canister is back', [{ label: 'Switch to live mode', action: 'switch-live' }]);
+    const button = promptEl.querySelector('.prompt-action-button');
+    button.click();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail.action).toBe('switch-live');
+    expect(button.disabled).toBe(true);
+  });
+
+  test('should label simulated responses', () => {
+    const messageEl = chat.renderMessage('Created new contact', 'adam', new Date(), { simulated: true });
+
+    expect(messageEl.classList.contains('message-simulated')).toBe(true);
+    expect(messageEl.querySelector('.simulated-badge').textContent).toBe('Simulated - not sent to GoHighLevel');
+  });
+
+  test('should render message HTML as text', () => {
+    const messageEl = chat.renderMessage('**Insight:** <img src=x onerror="window.hacked = true">', 'adam');
+    const content = messageEl.querySelector('.message-content');
+
+    expect(content.querySelector('img')).toBeNull();
+    expect(content.querySelector('strong').textContent).toBe('Insight:');
+    expect(content.textContent).toBe('Insight: <img src=x onerror="window.hacked = true">');
+  });
+
+  describe('windowed message list', () => {
+    const setScroll = (scrollTop, scrollHeight = 100000) => {
+      Object.defineProperty(chat.messagesContainer, 'clientHeight', { configurable: true, value: 600 });
+      Object.defineProperty(chat.messagesContainer, 'scrollTop', { configurable: true, value: scrollTop });
+      Object.defineProperty(chat.messagesContainer, 'scrollHeight', { configurable: true, value: scrollHeight });
+    };
+
+    const renderMany = (count) => Array.from({ length: count }, (_, i) => chat.renderMessage(`Message ${i}`, 'adam'));
+
+    test('should attach only the newest messages while at the bottom', () => {
+      const messages = renderMany(500);
+
+      expect(chat.getMessageCount()).toBe(500);
+      expect(chat.getRenderedMessageCount()).toBeLessThan(30);
+      expect(chat.getLastMessage()).toBe(messages[499]);
+      expect(messages[499].isConnected).toBe(true);
+      expect(messages[0].isConnected).toBe(false);
+      expect(chat.messagesContainer.querySelector('.message-spacer').hidden).toBe(false);
+    });
+
+    test('should render older messages when scrolled up', () => {
+      const messages = renderMany(500);
+
+      setScroll(0);
+      chat.updateScrollPosition();
+      chat.updateWindow();
+
+      expect(chat.isAtBottom).toBe(false);
+      expect(messages[0].isConnected).toBe(true);
+      expect(messages[499].isConnected).toBe(false);
+      expect(chat.getRenderedMessageCount()).toBeLessThan(30);
+    });
+
+    test('should not follow new messages while scrolled up', () => {
+      renderMany(100);
+      setScroll(0);
+      chat.updateScrollPosition();
+
+      const latest = chat.renderMessage('New message', 'adam');
+
+      expect(latest.isConnected).toBe(false);
+      expect(chat.getLastMessage()).toBe(latest);
+      expect(chat.getMessageCount()).toBe(101);
+    });
+
+    test('should keep updates to messages outside the window', () => {
+      const first = chat.renderMessage('Create contact', 'user', new Date(), { status: 'sending' });
+      const batch = chat.renderBatch(['Send email', 'Show report']);
+      renderMany(200);
+
+      chat.updateMessageStatus(first.id, 'delivered');
+      chat.updateBatchItem(batch.id, 1, 'error', 'Report failed');
+
+      expect(first.isConnected).toBe(false);
+      expect(first.querySelector('.message-status').textContent).toBe('Delivered');
+      expect(batch.querySelector('.batch-summary').textContent).toBe('Batch: 1 of 2 done · 1 failed');
+
+      setScroll(0);
+      chat.updateScrollPosition();
+      chat.updateWindow();
+      expect(chat.messagesContainer.querySelector(`#${first.id} .message-status`).textContent).toBe('Delivered');
+    });
+
+    test('should window quick replies with their message', () => {
+      const message = chat.renderMessage('Pick one', 'adam', new Date(), { quickReplies: ['Yes', 'No'] });
+      renderMany(200);
+
+      expect(message.parentNode.querySelector('.quick-replies')).not.toBeNull();
+      expect(message.isConnected).toBe(false);
+      expect(chat.messagesContainer.querySelector('.quick-replies')).toBeNull();
+    });
+
+    test('should drop the measured height of a message when it changes', () => {
+      const first = chat.renderMessage('Create contact', 'user', new Date(), { status: 'sending' });
+      Object.defineProperty(first.parentNode, 'offsetHeight', { configurable: true, value: 500 });
+      chat.updateWindow();
+      renderMany(200);
+
+      const topSpacer = chat.messagesContainer.querySelector('.message-spacer');
+      const measured = parseFloat(topSpacer.style.height);
+
+      chat.updateMessageStatus(first.id, 'delivered');
+      chat.updateWindow();
+
+      // The detached row falls back to the estimated height until it is shown again
+      expect(first.isConnected).toBe(false);
+      expect(parseFloat(topSpacer.style.height)).toBe(measured - 500 + 96);
+    });
+
+    test('should re-measure attached rows that resize', () => {
+      const observers = [];
+      window.ResizeObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+          this.targets = new Set();
+          observers.push(this);
+        }
+        observe(target) { this.targets.add(target); }
+        unobserve(target) { this.targets.delete(target); }
+      };
+
+      try {
+        document.body.innerHTML = '<div id="app"><div id="messages"></div></div>';
+        chat = new Chat(document.getElementById('app'));
+        const rowObserver = observers[1];
+
+        const message = chat.renderMessage('Here is your report', 'adam');
+        const row = message.parentNode;
+        expect(rowObserver.targets.has(row)).toBe(true);
+
+        Object.defineProperty(row, 'offsetHeight', { configurable: true, value: 400 });
+        rowObserver.callback([{ target: row }]);
+        renderMany(200);
+
+        const topSpacer = chat.messagesContainer.querySelector('.message-spacer');
+        expect(rowObserver.targets.has(row)).toBe(false);
+        expect(parseFloat(topSpacer.style.height)).toBe(400 + 96 * (201 - chat.getRenderedMessageCount() - 1));
+      } finally {
+        delete window.ResizeObserver;
+      }
+    });
+
+    test('should count markup messages and reset on clear', () => {
+      document.body.innerHTML = '<div id="app"><div id="messages"><div class="message message-adam">Welcome</div></div></div>';
+      chat = new Chat(document.getElementById('app'));
+
+      expect(chat.getMessageCount()).toBe(1);
+      expect(chat.getLastMessage().textContent).toBe('Welcome');
+
+      renderMany(3);
+      expect(chat.getMessageCount()).toBe(4);
+
+      chat.clearMessages();
+      expect(chat.getMessageCount()).toBe(0);
+      expect(chat.getLastMessage()).toBeNull();
+      renderMany(1);
+      expect(chat.getRenderedMessageCount()).toBe(1);
+    });
+  });
+
+  describe('action cards', () => {
+    const result = {
+      commandId: 'cmd_1',
+      status: { type: 'PartialSuccess', warnings: ['Email bounced'] },
+      actions: [
+        { actionType: 'create_contact', description: 'Created new contact: John Smith', result: 'Contact ID: contact_7', timestamp: new Date('2026-03-02T10:00:00Z') },
+        { actionType: 'list_tags', description: 'Listed 3 tags', result: '3 tags in use', timestamp: new Date('2026-03-02T10:00:01Z') },
+        { actionType: 'mystery_action', description: 'Did **something**', result: 'ok', timestamp: new Date('2026-03-02T10:00:02Z') },
+        { actionType: 'create_workflow', description: 'Created workflow: <img src=x onerror=alert(1)>', result: 'Workflow ID: wf_1', timestamp: new Date('2026-03-02T10:00:03Z') }
+      ],
+      insights: [],
+      nextSteps: [],
+      duration: 100
+    };
+
+    test('should render a card per known action type and text for the rest', () => {
+      const messageEl = chat.renderMessage('Done', 'adam', new Date(), { result });
+
+      const cards = messageEl.querySelectorAll('.action-card');
+      expect(Array.from(cards).map(card => card.getAttribute('data-action-type'))).toEqual(['create_contact', 'create_workflow']);
+
+      const contactCard = cards[0];
+      expect(contactCard.querySelector('.action-card-title').textContent).toBe('Contact created');
+      expect(contactCard.querySelector('.action-card-status').textContent).toBe('Partial success');
+      expect(Array.from(contactCard.querySelectorAll('dt')).map(dt => dt.textContent)).toEqual(['Details', 'Contact ID']);
+      expect(contactCard.querySelector('dd code').textContent).toBe('contact_7');
+      expect(contactCard.querySelector('time').getAttribute('datetime')).toBe('2026-03-02T10:00:00.000Z');
+
+      const fallback = messageEl.querySelector('.action-fallback');
+      expect(Array.from(fallback.querySelectorAll('li')).map(li => li.textContent)).toEqual(['Listed 3 tags', 'Did something']);
+      expect(fallback.querySelector('strong').textContent).toBe('something');
+    });
+
+    test('should set card values as text', () => {
+      const messageEl = chat.renderMessage('Done', 'adam', new Date(), { result });
+
+      expect(messageEl.querySelector('img')).toBeNull();
+      expect(messageEl.querySelectorAll('.action-card dd')[2].textContent).toBe('Created workflow: <img src=x onerror=alert(1)>');
+    });
+
+    test('should use registered renderers and fall back when a renderer returns nothing', () => {
+      chat.registerActionRenderer('mystery_action', (action) => ({
+        icon: '🔮',
+        title: 'Mystery solved',
+        fields: [{ label: 'Outcome', value: action.result }]
+      }));
+      chat.registerActionRenderer('create_contact', () => null);
+
+      const messageEl = chat.renderMessage('Done', 'adam', new Date(), { result });
+
+      const types = Array.from(messageEl.querySelectorAll('.action-card')).map(card => card.getAttribute('data-action-type'));
+      expect(types).toEqual(['mystery_action', 'create_workflow']);
+      expect(messageEl.querySelector('.action-fallback').textContent).toContain('Created new contact: John Smith');
+    });
+
+    test('should show the status of a result still processing', () => {
+      const messageEl = chat.renderMessage('Working on it', 'adam', new Date(), {
+        result: { ...result, status: { type: 'Processing' } }
+      });
+
+      const statusEl = messageEl.querySelector('.action-card-status');
+      expect(statusEl.textContent).toBe('Processing');
+      expect(statusEl.classList.contains('action-status-processing')).toBe(true);
+    });
+
+    test('should not render an actions section without actions', () => {
+      const messageEl = chat.renderMessage('Done', 'adam', new Date(), { result: { ...result, actions: [] } });
+
+      expect(messageEl.querySelector('.message-actions')).toBeNull();
+    });
+  });
+
+  describe('conversation events', () => {
+    test('should report new messages and status changes', () => {
+      const added = jest.fn();
+      const updated = jest.fn();
+      chatContainer.addEventListener('messageAdded', (e) => added(e.detail));
+      chatContainer.addEventListener('messageUpdated', (e) => updated(e.detail));
+
+      const messageEl = chat.renderMessage('Create contact', 'user', new Date(), { status: 'sending', commandId: 'cmd_1' });
+      chat.updateMessageStatus(messageEl.id, 'delivered');
+      chat.renderMessage('Done', 'adam', new Date(), { quickReplies: ['Thanks'], simulated: true });
+
+      expect(added).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        id: messageEl.id,
+        sender: 'user',
+        text: 'Create contact',
+        status: 'sending',
+        commandId: 'cmd_1'
+      }));
+      expect(added).toHaveBeenNthCalledWith(2, expect.objectContaining({ quickReplies: ['Thanks'], simulated: true }));
+      expect(updated).toHaveBeenCalledTimes(1);
+      expect(updated).toHaveBeenCalledWith({ id: messageEl.id, status: 'delivered' });
+    });
+
+    test('should report batches with their items', () => {
+      const added = jest.fn();
+      const updated = jest.fn();
+      chatContainer.addEventListener('messageAdded', (e) => added(e.detail));
+      chatContainer.addEventListener('messageUpdated', (e) => updated(e.detail));
+
+      const batchEl = chat.renderBatch(['Send email', 'Show report'], new Date(), { commandIds: ['cmd_1', 'cmd_2'] });
+      chat.updateBatchItem(batchEl.id, 1, 'error', 'Report failed');
+
+      expect(added).toHaveBeenCalledTimes(1);
+      expect(added.mock.calls[0][0].items).toEqual([
+        { instruction: 'Send email', status: 'pending', detail: '', commandId: 'cmd_1', result: null },
+        { instruction: 'Show report', status: 'pending', detail: '', commandId: 'cmd_2', result: null }
+      ]);
+      expect(updated).toHaveBeenCalledWith({ id: chat.getBatchItemId(batchEl.id, 1), status: 'error', detail: 'Report failed' });
+    });
+
+    test('should restore saved messages without reporting them', () => {
+      const listener = jest.fn();
+      chatContainer.addEventListener('messageAdded', listener);
+      chatContainer.addEventListener('messageUpdated', listener);
+
+      chat.restoreMessages([
+        { id: 'msg-old-1', sender: 'user', text: 'Create contact', timestamp: '2026-03-02T10:00:00.000Z', status: 'delivered', quickReplies: [] },
+        { id: 'msg-old-2', sender: 'adam', text: '**Created**', timestamp: '2026-03-02T10:00:01.000Z', quickReplies: ['Show contacts'], simulated: true },
+        {
+          id: 'msg-old-3',
+          sender: 'user',
+          timestamp: '2026-03-02T10:01:00.000Z',
+          items: [
+            { instruction: 'Send email', status: 'delivered', detail: 'Completed' },
+            { instruction: 'Show report', status: 'queued', detail: '' }
+          ]
+        }
+      ]);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(chat.getMessageCount()).toBe(3);
+      expect(chat.findElement('msg-old-1').querySelector('.message-status').textContent).toBe('Delivered');
+      expect(chat.findElement('msg-old-2').querySelector('strong').textContent).toBe('Created');
+      expect(chat.findElement('msg-old-2').classList.contains('message-simulated')).toBe(true);
+      expect(chat.findElement('msg-old-3').querySelector('.batch-summary').textContent).toBe('Batch: 1 of 2 done · 1 queued');
+
+      const next = chat.renderMessage('New message', 'user');
+      expect(['msg-old-1', 'msg-old-2', 'msg-old-3']).not.toContain(next.id);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return the conversation as data for exports', () => {
+      const result = { commandId: 'cmd_1', status: { type: 'Completed' }, actions: [] };
+      const userEl = chat.renderMessage('Create contact', 'user', new Date(), { status: 'sending', commandId: 'cmd_1' });
+      chat.updateMessageStatus(userEl.id, 'delivered');
+      chat.renderMessage('Done', 'adam', new Date(), { commandId: 'cmd_1', result });
+      const batchEl = chat.renderBatch(['Send email'], new Date(), { commandIds: ['cmd_2'] });
+      chat.updateBatchItem(batchEl.id, 0, 'delivered', 'Completed', { ...result, commandId: 'cmd_2' });
+
+      const transcript = chat.getTranscript();
+
+      expect(transcript.map(message => message.sender)).toEqual(['user', 'adam', 'user']);
+      expect(transcript[0]).toMatchObject({ status: 'delivered', commandId: 'cmd_1', result: null });
+      expect(transcript[1].result).toBe(result);
+      expect(transcript[2].items).toEqual([
+        { instruction: 'Send email', status: 'delivered', detail: 'Completed', commandId: 'cmd_2', result: { ...result, commandId: 'cmd_2' } }
+      ]);
+
+      transcript[2].items[0].status = 'error';
+      expect(chat.getTranscript()[2].items[0].status).toBe('delivered');
+    });
+
+    test('should keep the welcome message when asked', () => {
+      document.body.innerHTML = '<div id="app"><div id="messages"><div class="message message-adam">Welcome</div></div></div>';
+      chat = new Chat(document.getElementById('app'));
+      chat.renderMessage('Hello', 'user');
+
+      chat.clearMessages({ keepStatic: true });
+
+      expect(chat.getMessageCount()).toBe(1);
+      expect(chat.messagesContainer.querySelector('.message').textContent).toBe('Welcome');
+    });
   });
 
   test('should handle different sender types', () => {
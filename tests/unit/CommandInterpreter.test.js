@@ -0,0 +1,39 @@
+/**
+ * CommandInterpreter Tests
+ * Cases come from tests/fixtures/intents.json, shared with the canister's CommandProcessor.
+ */
+
+import {
+  interpretCommand,
+  extractKeywords,
+  shouldRequireApproval
+} from '../../src/frontend/services/CommandInterpreter.js';
+import fixtures from '../fixtures/intents.json';
+
+describe('CommandInterpreter', () => {
+  describe.each(fixtures.cases.map(fixture => [fixture.instruction || '(empty)', fixture]))('%s', (name, fixture) => {
+    const interpretation = interpretCommand(fixture.instruction, fixture.context || { priority: 1 });
+
+    test('should detect the expected intent', () => {
+      expect(interpretation.intent).toEqual(fixture.expected.intent);
+    });
+
+    test('should extract the expected entities', () => {
+      expect(interpretation.entities).toEqual(fixture.expected.entities);
+    });
+
+    test('should score confidence and approval like the canister', () => {
+      expect(interpretation.confidence).toBeCloseTo(fixture.expected.confidence, 10);
+      expect(interpretation.requiresApproval).toBe(fixture.expected.requiresApproval);
+    });
+  });
+
+  test('should keep punctuation attached and drop short and stop words', () => {
+    expect(extractKeywords('Add  the VIP tag to Mike, please.')).toEqual(['add', 'vip', 'tag', 'mike,', 'please.']);
+  });
+
+  test('should require approval for high-priority commands of any intent', () => {
+    expect(shouldRequireApproval({ type: 'Query', objectType: 'contact', filters: [] }, { priority: 3 })).toBe(true);
+    expect(shouldRequireApproval({ type: 'Unknown' }, {})).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * ConfigLoader Tests
+ */
+
+import { ConfigLoader } from '../../src/frontend/services/ConfigLoader.js';
+
+describe('ConfigLoader', () => {
+  let loader;
+
+  beforeEach(() => {
+    loader = new ConfigLoader();
+    delete window.__ADAM_CONFIG__;
+    window.history.replaceState({}, '', '/');
+    global.fetch = jest.fn().mockResolvedValue({ ok: false });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should default to the ic network', async () => {
+    const config = await loader.load();
+
+    expect(config).toEqual({ network: 'ic', host: 'https://ic0.app', canisterId: null, mode: 'live', faults: null });
+  });
+
+  test('should read config.json', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ network: 'local', canisterId: 'aaaaa-aa', unrelated: true })
+    });
+
+    const config = await loader.load();
+
+    expect(global.fetch).toHaveBeenCalledWith('config.json', { cache: 'no-store' });
+    expect(config).toEqual({ network: 'local', host: 'http://127.0.0.1:4943', canisterId: 'aaaaa-aa', mode: 'live', faults: null });
+  });
+
+  test('should let window config and URL parameters override config.json', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ network: 'local', canisterId: 'from-file' })
+    });
+    window.__ADAM_CONFIG__ = { network: 'staging', canisterId: 'from-window' };
+    window.history.replaceState({}, '', '/?canisterId=from-url&mode=auto');
+
+    const config = await loader.load();
+
+    expect(config).toEqual({ network: 'staging', host: 'https://icp-api.io', canisterId: 'from-url', mode: 'auto', faults: null });
+  });
+
+  test('should take a network and a local host from URL parameters', async () => {
+    window.history.replaceState({}, '', '/?network=local&host=http://localhost:8080&canisterId=from-url');
+
+    const config = await loader.load();
+
+    expect(config).toEqual({ network: 'local', host: 'http://localhost:8080', canisterId: 'from-url', mode: 'live', faults: null });
+    expect(loader.warnings).toEqual([]);
+  });
+
+  test('should not take a remote host from URL parameters', async () => {
+    window.history.replaceState({}, '', '/?host=https://evil.example.com&network=local&canisterId=from-url');
+
+    const config = await loader.load();
+
+    expect(config).toEqual({ network: 'local', host: 'http://127.0.0.1:4943', canisterId: 'from-url', mode: 'live', faults: null });
+    expect(loader.warnings).toEqual([expect.stringContaining('The "host" URL parameter must be a local address')]);
+  });
+
+  test('should not mistake hosts that only look local', async () => {
+    window.history.replaceState({}, '', '/?host=http://localhost.evil.example.com');
+    await loader.load();
+    expect(loader.config.host).toBe('https://ic0.app');
+
+    loader.reset();
+    window.history.replaceState({}, '', '/?host=http://127.0.0.1@evil.example.com');
+    await loader.load();
+    expect(loader.config.host).toBe('https://ic0.app');
+  });
+
+  test('should ignore an unreadable config.json', async () => {
+    global.fetch.mockRejectedValue(new Error('Unexpected token <'));
+
+    await expect(loader.load()).resolves.toMatchObject({ network: 'ic' });
+  });
+
+  test('should fall back to the default network with a warning', () => {
+    expect(loader.resolve({ network: 'mainnet' })).toMatchObject({ network: 'ic', host: 'https://ic0.app' });
+    expect(loader.warnings).toEqual([expect.stringContaining('Unknown network "mainnet"')]);
+  });
+
+  test('should fall back to the default mode with a warning', async () => {
+    window.history.replaceState({}, '', '/?mode=fallback');
+
+    await expect(loader.load()).resolves.toMatchObject({ mode: 'live' });
+    expect(loader.warnings).toEqual([expect.stringContaining('Unknown mode "fallback"')]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * ConversationStore Tests
+ */
+
+import { ConversationStore, getScopeKey, DEFAULT_TITLE } from '../../src/frontend/services/ConversationStore.js';
+import IndexedDBStore from '../../src/frontend/services/IndexedDBStore.js';
+
+describe('ConversationStore', () => {
+  let store;
+
+  const createStore = (options = {}) => new ConversationStore({
+    threads: new IndexedDBStore('test-threads', 'threads', { indexedDB: null }),
+    messages: new IndexedDBStore('test-messages', 'messages', { keyPath: 'key', indexedDB: null }),
+    ...options
+  });
+
+  const scope = { locationId: 'loc-1', userId: 'user-1' };
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  test('should save structured messages in order', async () => {
+    const thread = store.startThread(scope);
+
+    await store.addMessage(thread.id, {
+      id: 'msg-a-1',
+      sender: 'user',
+      text: 'Create contact John Smith',
+      timestamp: new Date('2026-03-02T10:00:00Z'),
+      status: 'sending',
+      commandId: 'cmd_1'
+    });
+    await store.addMessage(thread.id, {
+      id: 'msg-a-2',
+      sender: 'adam',
+      text: 'Created **John Smith**',
+      quickReplies: ['Show contacts'],
+      simulated: true,
+      commandId: 'cmd_1'
+    });
+
+    const messages = await store.getMessages(thread.id);
+
+    expect(messages.map(message => message.id)).toEqual(['msg-a-1', 'msg-a-2']);
+    expect(messages[0]).toMatchObject({
+      sender: 'user',
+      text: 'Create contact John Smith',
+      timestamp: '2026-03-02T10:00:00.000Z',
+      status: 'sending',
+      quickReplies: [],
+      commandId: 'cmd_1'
+    });
+    expect(messages[1]).toMatchObject({ quickReplies: ['Show contacts'], simulated: true, status: null });
+  });
+
+  test('should name a thread after its first user message', async () => {
+    const thread = store.startThread(scope);
+    expect(thread.title).toBe(DEFAULT_TITLE);
+
+    await store.addMessage(thread.id, { id: 'msg-a-1', sender: 'system', text: 'Switched to demo mode' });
+    await store.addMessage(thread.id, { id: 'msg-a-2', sender: 'user', text: 'Schedule a demo with Emma Davis\nnext Tuesday' });
+    await store.addMessage(thread.id, { id: 'msg-a-3', sender: 'user', text: 'Show contacts' });
+
+    expect(await store.getThread(thread.id)).toMatchObject({
+      title: 'Schedule a demo with Emma Davis',
+      messageCount: 3
+    });
+  });
+
+  test('should update message and batch item statuses', async () => {
+    const thread = store.startThread(scope);
+    await store.addMessage(thread.id, { id: 'msg-a-1', sender: 'user', text: 'Create workflow', status: 'sending' });
+    await store.addMessage(thread.id, {
+      id: 'msg-a-2',
+      sender: 'user',
+      items: [
+        { instruction: 'Send email', status: 'pending', detail: '', commandId: 'cmd_2' },
+        { instruction: 'Show report', status: 'pending', detail: '', commandId: 'cmd_3' }
+      ]
+    });
+
+    await store.updateMessage(thread.id, 'msg-a-1', { status: 'delivered' });
+    await store.updateMessage(thread.id, 'msg-a-2-item-1', { status: 'error', detail: 'Report failed' });
+
+    const [single, batch] = await store.getMessages(thread.id);
+    expect(single.status).toBe('delivered');
+    expect(batch.items).toEqual([
+      { instruction: 'Send email', status: 'pending', detail: '', commandId: 'cmd_2' },
+      { instruction: 'Show report', status: 'error', detail: 'Report failed', commandId: 'cmd_3' }
+    ]);
+    expect(await store.updateMessage(thread.id, 'msg-missing', { status: 'delivered' })).toBeNull();
+  });
+
+  test('should apply an update made before the message finished saving', async () => {
+    const thread = store.startThread(scope);
+
+    store.addMessage(thread.id, { id: 'msg-a-1', sender: 'user', text: 'Create workflow', status: 'sending' });
+    await store.updateMessage(thread.id, 'msg-a-1', { status: 'delivered' });
+
+    const [message] = await store.getMessages(thread.id);
+    expect(message.status).toBe('delivered');
+  });
+
+  test('should list only the threads of a location and user, most recent first', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T10:00:00Z') });
+    const older = store.startThread(scope);
+    store.startThread({ locationId: 'loc-2', userId: 'user-1' });
+    store.startThread({ locationId: 'loc-1', userId: 'user-2' });
+    jest.setSystemTime(new Date('2026-03-02T11:00:00Z'));
+    const newer = store.startThread(scope);
+    jest.useRealTimers();
+
+    await store.addMessage(older.id, { id: 'msg-a-1', sender: 'user', text: 'Hello', timestamp: new Date('2026-03-02T12:00:00Z') });
+
+    const threads = await store.listThreads(scope);
+    expect(threads.map(thread => thread.id)).toEqual([older.id, newer.id]);
+    expect(threads.every(thread => thread.scope === getScopeKey(scope))).toBe(true);
+  });
+
+  test('should keep messages of different threads apart', async () => {
+    const first = store.startThread(scope);
+    const second = store.startThread(scope);
+
+    await store.addMessage(first.id, { id: 'msg-a-1', sender: 'user', text: 'First' });
+    await store.addMessage(second.id, { id: 'msg-a-1', sender: 'user', text: 'Second' });
+
+    expect((await store.getMessages(first.id)).map(message => message.text)).toEqual(['First']);
+    expect((await store.getMessages(second.id)).map(message => message.text)).toEqual(['Second']);
+  });
+
+  test('should delete the least recently used threads beyond the limit', async () => {
+    store = createStore({ maxThreads: 2 });
+    jest.useFakeTimers({ now: new Date('2026-03-02T10:00:00Z') });
+    const oldest = store.startThread(scope);
+    await store.addMessage(oldest.id, { id: 'msg-a-1', sender: 'user', text: 'Old', timestamp: new Date('2026-03-02T10:00:00Z') });
+    jest.setSystemTime(new Date('2026-03-02T11:00:00Z'));
+    const middle = store.startThread(scope);
+    jest.setSystemTime(new Date('2026-03-02T12:00:00Z'));
+    const newest = store.startThread(scope);
+    jest.useRealTimers();
+
+    const threads = await store.listThreads(scope);
+    expect(threads.map(thread => thread.id)).toEqual([newest.id, middle.id]);
+    expect(await store.getMessages(oldest.id)).toEqual([]);
+  });
+
+  test('should scope anonymous users to the default location', () => {
+    expect(getScopeKey({})).toBe('default|anonymous');
+    expect(getScopeKey(scope)).toBe('loc-1|user-1');
+  });
+});
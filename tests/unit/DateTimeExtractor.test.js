@@ -0,0 +1,97 @@
+/**
+ * DateTimeExtractor Tests
+ */
+
+import { extractDateTime, resolveTimeZone, formatDateTime } from '../../src/frontend/services/DateTimeExtractor.js';
+
+describe('DateTimeExtractor', () => {
+  // Monday, October 19 2026, 10:00 in New York
+  const now = new Date('2026-10-19T14:00:00Z');
+  const timeZone = 'America/New_York';
+
+  const extract = (text, options = {}) => extractDateTime(text, { now, timeZone, ...options });
+
+  test.each([
+    ['tomorrow at 3pm', '2026-10-20T19:00:00.000Z'],
+    ['next Tuesday morning', '2026-10-27T13:00:00.000Z'],
+    ['on Tuesday at 9:30 a.m.', '2026-10-20T13:30:00.000Z'],
+    ['in two hours', '2026-10-19T16:00:00.000Z'],
+    ['in half an hour', '2026-10-19T14:30:00.000Z'],
+    ['in 3 days at 15:30', '2026-10-22T19:30:00.000Z'],
+    ['day after tomorrow at noon', '2026-10-21T16:00:00.000Z'],
+    ['tonight at 6', '2026-10-19T22:00:00.000Z'],
+    ['Dec 25th at 9am', '2026-12-25T14:00:00.000Z'],
+    ['12/1 at 9am', '2026-12-01T14:00:00.000Z'],
+    ['2027-01-05 at 08:15', '2027-01-05T13:15:00.000Z']
+  ])('should resolve "%s"', (text, expected) => {
+    const result = extract(text);
+
+    expect(result.status).toBe('resolved');
+    expect(result.date.toISOString()).toBe(expected);
+  });
+
+  test('should read wall-clock time in the location time zone, across daylight saving changes', () => {
+    expect(extract('tomorrow at 3pm', { timeZone: 'Asia/Tokyo' }).date.toISOString()).toBe('2026-10-20T06:00:00.000Z');
+    // New York has left daylight saving time by November 2
+    expect(extract('Nov 2 at 9am').date.toISOString()).toBe('2026-11-02T14:00:00.000Z');
+  });
+
+  test('should roll a month and day that has passed into next year', () => {
+    expect(extract('March 3rd at 9am').date.toISOString()).toBe('2027-03-03T14:00:00.000Z');
+  });
+
+  test('should fill in the default time when only a date is given', () => {
+    const result = extract('Friday');
+
+    expect(result.date.toISOString()).toBe('2026-10-23T14:00:00.000Z');
+    expect(result.assumed).toEqual(['time']);
+  });
+
+  test('should ask whether a bare hour means morning or afternoon', () => {
+    const result = extract('call Mike tomorrow at 3');
+
+    expect(result.status).toBe('ambiguous');
+    expect(result.question).toBe('Did you mean 3:00 AM or 3:00 PM?');
+    expect(result.match).toBe('at 3');
+    expect(result.candidates.map(candidate => [candidate.phrase, candidate.date.toISOString()])).toEqual([
+      ['at 3am', '2026-10-20T07:00:00.000Z'],
+      ['at 3pm', '2026-10-20T19:00:00.000Z']
+    ]);
+  });
+
+  test('should use the part of the day to read a bare hour', () => {
+    expect(extract('Thursday evening at 7').date.toISOString()).toBe('2026-10-22T23:00:00.000Z');
+  });
+
+  test('should offer tomorrow for a time that has already passed today', () => {
+    const result = extract('today at 9am');
+
+    expect(result.status).toBe('ambiguous');
+    expect(result.question).toMatch(/has already passed\. Did you mean tomorrow\?$/);
+    expect(result.candidates[0].date.toISOString()).toBe('2026-10-20T13:00:00.000Z');
+  });
+
+  test('should ask which day for a week without a day', () => {
+    expect(extract('sometime next week')).toEqual(expect.objectContaining({
+      status: 'ambiguous',
+      question: 'Which day next week?',
+      candidates: []
+    }));
+  });
+
+  test('should report when there is no date or time at all', () => {
+    expect(extract('Schedule a call with Mike Chen 555-123-4567')).toEqual({ status: 'missing', timeZone });
+  });
+
+  test('should fall back to the browser time zone for unknown zones', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(resolveTimeZone('Not/AZone')).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+
+    console.warn.mockRestore();
+  });
+
+  test('should format times with the zone abbreviation', () => {
+    expect(formatDateTime(new Date('2026-10-20T19:00:00Z'), timeZone)).toBe('Tue, Oct 20, 3:00 PM EDT');
+  });
+});
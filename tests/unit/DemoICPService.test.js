@@ -0,0 +1,236 @@
+/**
+ * DemoICPService Tests
+ */
+
+import { DemoICPService } from '../../src/frontend/services/DemoICPService.js';
+import IndexedDBStore from '../../src/frontend/services/IndexedDBStore.js';
+import { TimeoutError } from '../../src/frontend/services/ServiceErrors.js';
+import { abortableDelay } from '../../src/frontend/services/Cancellation.js';
+
+describe('DemoICPService', () => {
+  let service;
+
+  const run = (instruction) => service.processCommand(instruction);
+
+  let store;
+
+  const createService = () => {
+    const demo = new DemoICPService({ store });
+    demo.delay = () => Promise.resolve();
+    return demo;
+  };
+
+  beforeEach(() => {
+    store = new IndexedDBStore('test-demo', 'state', { indexedDB: null });
+    service = createService();
+  });
+
+  test('should list a contact created earlier in the session', async () => {
+    await run('Create contact John Smith john@acme.com 555-123-4567 tagged VIP');
+
+    const result = await run('Show recent contacts');
+
+    expect(result.status.type).toBe('Completed');
+    expect(result.insights[1]).toBe('• John Smith - john@acme.com [VIP]');
+  });
+
+  test('should report the key fields of created contacts', async () => {
+    const result = await run('Create contact John Smith john@acme.com');
+
+    expect(result.actions[0].details).toEqual({ name: 'John Smith', email: 'john@acme.com' });
+  });
+
+  test('should update, tag and delete contacts in the CRM', async () => {
+    await run('Create contact John Smith john@acme.com');
+
+    await run('Change John Smith email to js@acme.io');
+    await run('Tag John Smith as Hot Lead');
+    expect(service.crm.findContact('js@acme.io').tags).toEqual(['Hot Lead']);
+
+    await run('Delete John Smith');
+    expect(service.crm.findContact('John Smith')).toBeNull();
+  });
+
+  test('should schedule and cancel appointments for known contacts', async () => {
+    const scheduled = await run('Schedule discovery call with Emma Davis on Friday at 2pm');
+    const appointment = service.crm.listAppointments({ contactId: service.crm.findContact('Emma Davis').id })[0];
+
+    expect(scheduled.actions[0].actionType).toBe('create_appointment');
+    expect(scheduled.actions[0].details).toEqual(expect.objectContaining({ title: 'Discovery call', contact: 'Emma Davis' }));
+    expect(appointment.startTime.getDay()).toBe(5);
+    expect(appointment.startTime.getHours()).toBe(14);
+
+    await run('Cancel the appointment with Emma Davis');
+    expect(appointment.status).toBe('cancelled');
+  });
+
+  test('should manage workflows and campaigns', async () => {
+    await run('Create workflow "Lead Nurture" triggered by form');
+    await run('Pause workflow Lead Nurture');
+    await run('Create campaign "Summer Promo"');
+    await run('Add Mike Chen to campaign Summer Promo');
+
+    expect(service.crm.findWorkflow('Lead Nurture')).toEqual(expect.objectContaining({ trigger: 'form', status: 'paused' }));
+    expect(service.crm.findCampaign('Summer Promo').contactIds).toEqual([service.crm.findContact('Mike Chen').id]);
+  });
+
+  test('should schedule in the location time zone and report the time in the actions', async () => {
+    const result = await service.processCommand('Schedule a meeting with Mike Chen tomorrow at 3pm', { timeZone: 'Asia/Tokyo' });
+    const appointment = service.crm.listAppointments({ contactId: service.crm.findContact('Mike Chen').id })
+      .find(candidate => candidate.title === 'Meeting');
+    const tokyoHour = new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Tokyo', hour: 'numeric', hourCycle: 'h23' })
+      .format(appointment.startTime);
+
+    expect(tokyoHour).toBe('15');
+    expect(result.actions[0].result).toContain(appointment.startTime.toISOString());
+    expect(result.actions[0].description).toMatch(/3:00 PM GMT\+9$/);
+  });
+
+  test('should ask for clarification instead of guessing an ambiguous time', async () => {
+    const before = service.crm.listAppointments().length;
+
+    const result = await run('Schedule a meeting with Mike Chen tomorrow at 3');
+
+    expect(result.actions).toEqual([]);
+    expect(result.insights[0]).toBe('❓ **When?** Did you mean 3:00 AM or 3:00 PM?');
+    expect(result.nextSteps).toEqual([
+      'Schedule a meeting with Mike Chen tomorrow at 3am',
+      'Schedule a meeting with Mike Chen tomorrow at 3pm'
+    ]);
+    expect(service.crm.listAppointments()).toHaveLength(before);
+  });
+
+  test('should act only on intents the canister recognizes', async () => {
+    const mike = service.crm.findContact('Mike Chen');
+    const before = service.crm.listAppointments({ contactId: mike.id }).length;
+
+    // "book" is not an intent keyword, so the canister would leave this as Unknown
+    await run('Book a meeting with Mike Chen');
+    expect(service.crm.listAppointments({ contactId: mike.id })).toHaveLength(before);
+
+    await run('Set up a meeting with Mike Chen');
+    expect(service.crm.listAppointments({ contactId: mike.id })).toHaveLength(before + 1);
+  });
+
+  test('should fail commands about unknown records instead of pretending', async () => {
+    const result = await run('Delete contact Nobody Here');
+    const admin = await service.processAdminCommand('Pause workflow Does Not Exist');
+
+    expect(result.status.type).toBe('Failed');
+    expect(admin.summary).toBe('Command could not be completed');
+    expect(admin.details.status.reason).toMatch(/Workflow not found/);
+  });
+
+  test('should report CRM counts in the status', async () => {
+    await run('Create contact Jane Doe jane@example.com');
+
+    const status = await service.getStatus();
+
+    expect(status).toEqual(expect.objectContaining({ totalContacts: 4, activeWorkflows: 1 }));
+  });
+
+  describe('saved state', () => {
+    test('should restore history and CRM records after a reload', async () => {
+      await run('Create contact John Smith john@acme.com');
+      await service.saveState();
+
+      const reloaded = createService();
+      await reloaded.init();
+
+      const [command] = await reloaded.getHistory(1);
+      expect(command.instruction).toBe('Create contact John Smith john@acme.com');
+      expect(command.timestamp).toBeInstanceOf(Date);
+      expect(reloaded.crm.findContact('john@acme.com').name).toBe('John Smith');
+      expect((await reloaded.getExecutionResult(command.id)).status.type).toBe('Completed');
+    });
+
+    test('should import an exported snapshot into another service', async () => {
+      await run('Create contact John Smith john@acme.com');
+      await run('Create workflow "Lead Nurture"');
+
+      const other = new DemoICPService({ store: new IndexedDBStore('other-demo', 'state', { indexedDB: null }) });
+      const status = await other.importState(service.exportState());
+
+      expect(status).toEqual(expect.objectContaining({ totalCommands: 2, totalContacts: 4, activeWorkflows: 2 }));
+      expect(other.crm.createContact({ name: 'Next Contact' }).id).toBe('ct_5');
+    });
+
+    test('should reject invalid snapshots without changing state', async () => {
+      await run('Create contact John Smith john@acme.com');
+
+      await expect(service.importState('{"format":"something-else"}')).rejects.toThrow('Not an Agent Adam demo snapshot');
+      await expect(service.importState('not json')).rejects.toThrow('Demo snapshot is not valid JSON');
+      const broken = { ...service.createSnapshot(), crm: { contacts: 'none' } };
+      await expect(service.importState(broken)).rejects.toThrow('contacts must be a list');
+
+      expect(service.crm.findContact('John Smith')).not.toBeNull();
+      expect(service.commandHistory.length).toBe(1);
+    });
+
+    test('should keep results only for commands still in history', async () => {
+      await run('Show workflows');
+      const snapshot = service.createSnapshot();
+      const [first] = snapshot.commandHistory;
+      const [result] = snapshot.executionResults;
+      const ids = Array.from({ length: 1000 }, (_, index) => `cmd_${index}`);
+      service.applySnapshot({
+        ...snapshot,
+        commandHistory: ids.map(id => ({ ...first, id })),
+        executionResults: [...ids, 'cmd_gone'].map(commandId => ({ ...result, commandId }))
+      });
+      expect(service.executionResults.size).toBe(1000);
+
+      const latest = await run('Show workflows');
+
+      expect(service.commandHistory).toHaveLength(1000);
+      expect(service.executionResults.size).toBe(1000);
+      expect(await service.getExecutionResult('cmd_999')).toBeNull();
+      expect(await service.getExecutionResult(latest.commandId)).toEqual(latest);
+    });
+
+    test('should reset to the seed data and clear the saved state', async () => {
+      await run('Create contact John Smith john@acme.com');
+
+      await service.resetState();
+
+      expect(await service.getHistory(10)).toEqual([]);
+      expect(service.crm.findContact('John Smith')).toBeNull();
+      expect(service.crm.getStats().totalContacts).toBe(3);
+      expect(await store.get('current')).toBeNull();
+    });
+  });
+
+  describe('fault injection', () => {
+    test('should return Failed without touching the CRM', async () => {
+      service.faults.setProfile('failure=1');
+
+      const result = await run('Create contact John Smith john@acme.com');
+
+      expect(result.status).toEqual({ type: 'Failed', reason: expect.any(String) });
+      expect(service.crm.findContact('John Smith')).toBeNull();
+    });
+
+    test('should return PartialSuccess with warnings', async () => {
+      service.faults.setProfile('partial=1');
+
+      const result = await run('Create contact John Smith john@acme.com');
+
+      expect(result.status.type).toBe('PartialSuccess');
+      expect(result.status.warnings.length).toBe(1);
+      expect(service.crm.findContact('John Smith')).not.toBeNull();
+    });
+
+    test('should reject malformed responses', async () => {
+      service.faults.setProfile('malformed=1');
+
+      await expect(run('Show recent contacts')).rejects.toThrow('Failed to process command');
+    });
+
+    test('should time out when the injected latency exceeds the call timeout', async () => {
+      service.delay = abortableDelay;
+      service.faults.setProfile('latency=1000');
+
+      await expect(service.processCommand('Show recent contacts', {}, { timeout: 10 })).rejects.toThrow(TimeoutError);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * FaultInjector Tests
+ */
+
+import { FaultInjector, parseFaultProfile, formatFaultProfile } from '../../src/frontend/services/FaultInjector.js';
+
+// Returns the given numbers in order, then repeats the last one
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[Math.min(index++, values.length - 1)];
+};
+
+describe('parseFaultProfile', () => {
+  test('should resolve presets and default to off', () => {
+    expect(parseFaultProfile(null)).toEqual(expect.objectContaining({ name: 'off', latency: null, failureRate: 0 }));
+    expect(parseFaultProfile('flaky')).toEqual(expect.objectContaining({ name: 'flaky', failureRate: 0.2 }));
+  });
+
+  test('should apply spec settings on top of an optional preset', () => {
+    const profile = parseFaultProfile('flaky,malformed=0.3,latency=100-200,tail=0.1:70000');
+
+    expect(profile).toEqual({
+      name: 'custom',
+      latency: { min: 100, max: 200, tailRate: 0.1, tail: 70000 },
+      failureRate: 0.2,
+      partialRate: 0.2,
+      malformedRate: 0.3
+    });
+    expect(parseFaultProfile(formatFaultProfile(profile))).toEqual(profile);
+  });
+
+  test('should reject unknown settings and impossible rates', () => {
+    expect(() => parseFaultProfile('sometimes')).toThrow('Unknown fault profile "sometimes"');
+    expect(() => parseFaultProfile('jitter=5')).toThrow('Unknown fault setting "jitter"');
+    expect(() => parseFaultProfile('failure=1.5')).toThrow('between 0 and 1');
+    expect(() => parseFaultProfile('failure=0.6,partial=0.6')).toThrow('add up to at most 1');
+    expect(() => parseFaultProfile('latency=900-100')).toThrow('min-max range');
+  });
+});
+
+describe('FaultInjector', () => {
+  test('should keep the base delay without a latency setting', () => {
+    expect(new FaultInjector().sampleLatency(1500)).toBe(1500);
+  });
+
+  test('should sample latency within the range, with tail outliers', () => {
+    const injector = new FaultInjector('latency=100-300,tail=0.1:70000', sequence(0.5, 0.5, 0.05));
+
+    expect(injector.sampleLatency(1500)).toBe(200);
+    expect(injector.sampleLatency(1500)).toBe(70000);
+  });
+
+  test('should pick faults by cumulative rate', () => {
+    const injector = new FaultInjector('failure=0.2,partial=0.3,malformed=0.1', sequence(0.1, 0, 0.3, 0, 0.55, 0.9));
+
+    expect(injector.pickFault()).toEqual({ type: 'failed', reason: expect.any(String) });
+    expect(injector.pickFault()).toEqual({ type: 'partial', warnings: [expect.any(String)] });
+    expect(injector.pickFault()).toEqual({ type: 'malformed' });
+    expect(injector.pickFault()).toBeNull();
+  });
+
+  test('should notify subscribers and keep the old profile when a new one is invalid', () => {
+    const injector = new FaultInjector();
+    const listener = jest.fn();
+    injector.subscribe(listener);
+
+    injector.setProfile('chaos');
+    expect(() => injector.setProfile('failure=2')).toThrow();
+
+    expect(injector.getProfile().name).toBe('chaos');
+    expect(injector.isActive()).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * HealthMonitor Tests
+ */
+
+import { HealthMonitor } from '../../src/frontend/services/HealthMonitor.js';
+
+describe('HealthMonitor', () => {
+  let service;
+  let monitor;
+
+  beforeEach(() => {
+    service = { checkHealth: jest.fn() };
+    monitor = new HealthMonitor(service, { interval: 1000, timeout: 500, degradedLatency: 200 });
+  });
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  test('should report online for a fast probe', async () => {
+    service.checkHealth.mockResolvedValue({ status: 'running', latency: 50 });
+
+    const state = await monitor.check();
+
+    expect(state).toEqual(expect.objectContaining({ state: 'online', latency: 50, message: 'running' }));
+    expect(service.checkHealth).toHaveBeenCalledWith({ timeout: 500 });
+  });
+
+  test('should report degraded for a slow probe', async () => {
+    service.checkHealth.mockResolvedValue({ status: 'running', latency: 800 });
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ state: 'degraded' }));
+  });
+
+  test('should report offline when the probe fails', async () => {
+    service.checkHealth.mockRejectedValue(new Error('checkHealth timed out after 500ms'));
+
+    const state = await monitor.check();
+
+    expect(state.state).toBe('offline');
+    expect(state.message).toBe('checkHealth timed out after 500ms');
+  });
+
+  test('should pass the previous state to listeners', async () => {
+    const listener = jest.fn();
+    monitor.subscribe(listener);
+    service.checkHealth
+      .mockRejectedValueOnce(new Error('down'))
+      .mockResolvedValueOnce({ status: 'running', latency: 10 });
+
+    await monitor.check();
+    await monitor.check();
+
+    expect(listener.mock.calls.map(([state, previous]) => [state.state, previous])).toEqual([
+      ['offline', 'unknown'],
+      ['online', 'offline']
+    ]);
+  });
+
+  test('should share a probe already in flight', async () => {
+    service.checkHealth.mockResolvedValue({ status: 'running', latency: 10 });
+
+    await Promise.all([monitor.check(), monitor.check()]);
+
+    expect(service.checkHealth).toHaveBeenCalledTimes(1);
+  });
+
+  test('should poll on an interval once started', async () => {
+    jest.useFakeTimers();
+    service.checkHealth.mockResolvedValue({ status: 'running', latency: 10 });
+
+    monitor.start();
+    await monitor.check();
+    jest.advanceTimersByTime(1000);
+    monitor.stop();
+    jest.advanceTimersByTime(5000);
+    jest.useRealTimers();
+
+    expect(service.checkHealth).toHaveBeenCalledTimes(2);
+  });
+});
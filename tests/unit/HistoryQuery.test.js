@@ -0,0 +1,72 @@
+/**
+ * HistoryQuery Tests
+ */
+
+import {
+  normalizeHistoryQuery,
+  encodeCursor,
+  decodeCursor,
+  paginateCommands
+} from '../../src/frontend/services/HistoryQuery.js';
+
+const command = (id, time, sourceType = 'Admin', locationId = 'loc-1') => ({
+  id,
+  instruction: `Instruction ${id}`,
+  sourceType,
+  source: `${sourceType}: test`,
+  context: { locationId, sourceMetadata: null, priority: 1, retryCount: 0 },
+  timestamp: new Date(time)
+});
+
+describe('HistoryQuery', () => {
+  describe('normalizeHistoryQuery', () => {
+    test('should apply defaults and cap the page size', () => {
+      expect(normalizeHistoryQuery()).toEqual({
+        limit: 20, cursor: null, sources: [], locationId: null, from: null, to: null
+      });
+      expect(normalizeHistoryQuery({ limit: 500 }).limit).toBe(100);
+    });
+
+    test('should reject unknown sources, bad dates and malformed cursors', () => {
+      expect(() => normalizeHistoryQuery({ sources: ['Email'] })).toThrow('Unknown history source: Email');
+      expect(() => normalizeHistoryQuery({ from: 'yesterday' })).toThrow('Invalid history date');
+      expect(() => normalizeHistoryQuery({ cursor: 'abc' })).toThrow('Invalid history cursor');
+    });
+  });
+
+  test('cursors should round-trip IDs containing separators', () => {
+    expect(decodeCursor(encodeCursor(1700000000000000000n, 'wh:1_2'))).toEqual({
+      timestamp: '1700000000000000000',
+      id: 'wh:1_2'
+    });
+  });
+
+  describe('paginateCommands', () => {
+    const commands = [
+      command('a', 1000),
+      command('b', 3000, 'Webhook', 'loc-2'),
+      command('c', 2000, 'Chat'),
+      command('d', 2000, 'Chat')
+    ];
+
+    test('should page newest first, breaking timestamp ties by ID', () => {
+      const first = paginateCommands(commands, normalizeHistoryQuery({ limit: 2 }));
+      const second = paginateCommands(commands, normalizeHistoryQuery({ limit: 2, cursor: first.nextCursor }));
+
+      expect(first.commands.map(c => c.id)).toEqual(['b', 'd']);
+      expect(second.commands.map(c => c.id)).toEqual(['c', 'a']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should combine source, location and inclusive time filters', () => {
+      const page = paginateCommands(commands, normalizeHistoryQuery({
+        sources: ['Chat', 'Webhook'],
+        locationId: 'loc-1',
+        from: 2000,
+        to: new Date(3000)
+      }));
+
+      expect(page.commands.map(c => c.id)).toEqual(['d', 'c']);
+    });
+  });
+});
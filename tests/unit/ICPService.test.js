@@ -0,0 +1,333 @@
+/**
+ * ICPService Tests
+ */
+
+jest.mock('@dfinity/agent', () => ({
+  ...jest.requireActual('@dfinity/agent'),
+  HttpAgent: jest.fn().mockImplementation(() => ({
+    fetchRootKey: jest.fn()
+  })),
+  Actor: {
+    createActor: jest.fn()
+  }
+}));
+
+import { Actor } from '@dfinity/agent';
+import { ICPService, CanisterError } from '../../src/frontend/services/ICPService.js';
+import { MetricsRegistry } from '../../src/frontend/services/MetricsRegistry.js';
+import {
+  RetryExhaustedError,
+  CircuitOpenError,
+  CancelledError,
+  TimeoutError
+} from '../../src/frontend/services/ServiceErrors.js';
+
+const identityService = {
+  getIdentity: jest.fn(async () => ({})),
+  getPrincipal: jest.fn(() => 'user-principal'),
+  subscribe: jest.fn(() => () => {})
+};
+
+describe('ICPService', () => {
+  let actor;
+  let icpService;
+
+  beforeEach(async () => {
+    actor = {
+      processAdminCommand: jest.fn(),
+      getExecutionResult: jest.fn()
+    };
+    Actor.createActor.mockReturnValue(actor);
+    icpService = new ICPService('rrkah-fqaaa-aaaah-qcuwa-cai', {
+      network: 'local',
+      identityService,
+      retryPolicies: { default: { baseDelay: 0 }, getExecutionResult: { baseDelay: 0 } },
+      circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 },
+      metrics: new MetricsRegistry()
+    });
+    await icpService.init();
+  });
+
+  describe('init', () => {
+    test('should resolve connection info from the runtime config', async () => {
+      const service = new ICPService(null, {
+        identityService,
+        configLoader: { load: async () => ({ network: 'staging', host: 'https://icp-api.io', canisterId: 'aaaaa-aa' }) }
+      });
+
+      await expect(service.init()).resolves.toBe(true);
+      expect(service.getConnectionInfo()).toEqual({
+        network: 'staging',
+        host: 'https://icp-api.io',
+        canisterId: 'aaaaa-aa'
+      });
+    });
+
+    test('should fail when no canister ID is configured', async () => {
+      const service = new ICPService(null, {
+        identityService,
+        configLoader: { load: async () => ({ network: 'ic', host: 'https://ic0.app', canisterId: null }) }
+      });
+
+      await expect(service.init()).resolves.toBe(false);
+    });
+  });
+
+  describe('processCommand', () => {
+    test('should send the signing principal as the user ID', async () => {
+      actor.processCommand = jest.fn().mockResolvedValue({ ok: { commandId: 'cmd_1' } });
+
+      await icpService.processCommand('Show contacts', { locationId: 'loc-1' });
+
+      const [command] = actor.processCommand.mock.calls[0];
+      expect(command.source).toEqual({
+        AdminInterface: { userId: 'user-principal', locationId: 'loc-1' }
+      });
+    });
+  });
+
+  describe('processAdminCommand', () => {
+    test('should unwrap and normalize an ok AdminResponse', async () => {
+      const response = {
+        summary: 'Command executed successfully',
+        details: { commandId: 'cmd_1', status: { Completed: null }, actions: [], insights: [], nextSteps: [], duration: 100n },
+        recommendedActions: ['Review results'],
+        alerts: ['Quota almost reached']
+      };
+      actor.processAdminCommand.mockResolvedValue({ ok: response });
+
+      const result = await icpService.processAdminCommand('Show contacts', {
+        locationId: 'loc-1'
+      });
+
+      expect(actor.processAdminCommand).toHaveBeenCalledWith('user-principal', 'loc-1', 'Show contacts', []);
+      expect(result).toEqual({
+        summary: 'Command executed successfully',
+        details: { commandId: 'cmd_1', status: { type: 'Completed' }, actions: [], insights: [], nextSteps: [], duration: 100 },
+        recommendedActions: ['Review results'],
+        alerts: ['Quota almost reached']
+      });
+    });
+
+    test('should send the command ID so the canister can skip a command it already ran', async () => {
+      actor.processAdminCommand.mockResolvedValue({
+        ok: {
+          summary: 'Command executed successfully',
+          details: { commandId: 'cmd_7', status: { Completed: null }, actions: [], insights: [], nextSteps: [], duration: 100n },
+          recommendedActions: [],
+          alerts: []
+        }
+      });
+
+      await icpService.processAdminCommand('Create contact Jane Doe', { locationId: 'loc-1', commandId: 'cmd_7' });
+
+      expect(actor.processAdminCommand).toHaveBeenCalledWith('user-principal', 'loc-1', 'Create contact Jane Doe', ['cmd_7']);
+    });
+
+    test('should reject with the canister error without retrying', async () => {
+      actor.processAdminCommand.mockResolvedValue({ err: 'Not authorized' });
+
+      await expect(icpService.processAdminCommand('Delete workflow')).rejects.toThrow(CanisterError);
+      expect(actor.processAdminCommand).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getExecutionResult', () => {
+    test('should unwrap an optional result', async () => {
+      const executionResult = {
+        commandId: 'cmd_1',
+        status: { Failed: { reason: 'Contact not found' } },
+        actions: [],
+        insights: [],
+        nextSteps: [],
+        duration: 12n
+      };
+      actor.getExecutionResult.mockResolvedValue([executionResult]);
+
+      await expect(icpService.getExecutionResult('cmd_1')).resolves.toMatchObject({
+        commandId: 'cmd_1',
+        status: { type: 'Failed', reason: 'Contact not found' },
+        duration: 12
+      });
+    });
+
+    test('should return null for an unknown command', async () => {
+      actor.getExecutionResult.mockResolvedValue([]);
+
+      await expect(icpService.getExecutionResult('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('query cache', () => {
+    beforeEach(() => {
+      actor.getCanisterStatus = jest.fn().mockResolvedValue('online');
+      actor.getTotalCommands = jest.fn().mockResolvedValue(1n);
+      actor.processCommand = jest.fn().mockResolvedValue({ ok: { commandId: 'cmd_1' } });
+    });
+
+    test('should coalesce concurrent getStatus calls into one round trip', async () => {
+      const [first, second] = await Promise.all([icpService.getStatus(), icpService.getStatus()]);
+
+      expect(first).toBe(second);
+      expect(actor.getCanisterStatus).toHaveBeenCalledTimes(1);
+      expect(actor.getTotalCommands).toHaveBeenCalledTimes(1);
+    });
+
+    test('should invalidate cached queries after a successful update call', async () => {
+      await icpService.getStatus();
+      await icpService.getStatus();
+      expect(actor.getCanisterStatus).toHaveBeenCalledTimes(1);
+
+      actor.getTotalCommands.mockResolvedValue(2n);
+      await icpService.processCommand('Show contacts');
+
+      await expect(icpService.getStatus()).resolves.toMatchObject({ totalCommands: 2 });
+      expect(actor.getCanisterStatus).toHaveBeenCalledTimes(2);
+    });
+
+    test('should push refreshed values to subscribers after an update call', async () => {
+      const listener = jest.fn();
+      icpService.onQueryChange('getStatus', [], listener);
+      await icpService.getStatus();
+
+      actor.getTotalCommands.mockResolvedValue(2n);
+      await icpService.processCommand('Show contacts');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ totalCommands: 2 }));
+    });
+  });
+
+  describe('metrics', () => {
+    test('should record latency, retries and canister duration for successful calls', async () => {
+      actor.getExecutionResult
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce([{ commandId: 'cmd_1', status: { Completed: null }, actions: [], insights: [], nextSteps: [], duration: 42n }]);
+
+      await icpService.getExecutionResult('cmd_1');
+
+      const metrics = icpService.metrics.snapshot().methods.getExecutionResult;
+      expect(metrics).toMatchObject({ calls: 1, successes: 1, attempts: 2, retries: 1 });
+      expect(metrics.latency.count).toBe(1);
+      expect(metrics.canisterDuration.mean).toBe(42);
+    });
+
+    test('should record the error category of failed calls', async () => {
+      actor.processAdminCommand.mockResolvedValue({ err: 'Not authorized' });
+
+      await icpService.processAdminCommand('Delete workflow').catch(() => {});
+
+      expect(icpService.metrics.snapshot().methods.processAdminCommand).toMatchObject({
+        calls: 1,
+        errors: 1,
+        errorCategories: { canister_error: 1 }
+      });
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry transport failures and report the category', async () => {
+      actor.getExecutionResult.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const error = await icpService.getExecutionResult('cmd_1').catch(e => e);
+
+      expect(error).toBeInstanceOf(RetryExhaustedError);
+      expect(error.category).toBe('transport');
+      expect(error.unsent).toBe(true);
+      expect(actor.getExecutionResult).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not report a call as unsent once an attempt got a response', async () => {
+      actor.getExecutionResult
+        .mockRejectedValueOnce(Object.assign(new Error('Server returned an error: Code: 503'), { name: 'AgentHTTPResponseError' }))
+        .mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const error = await icpService.getExecutionResult('cmd_1').catch(e => e);
+
+      expect(error.category).toBe('transport');
+      expect(error.unsent).toBe(false);
+    });
+
+    test('should not retry permanent replica rejects', async () => {
+      actor.getExecutionResult.mockRejectedValue(new Error('Call was rejected:\n  Reject code: 5\n  Reject text: trapped'));
+
+      const error = await icpService.getExecutionResult('cmd_1').catch(e => e);
+
+      expect(error.category).toBe('replica_reject');
+      expect(actor.getExecutionResult).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop retrying when the signal aborts during backoff', async () => {
+      const controller = new AbortController();
+      icpService.setRetryPolicies({ getExecutionResult: { maxAttempts: 5, baseDelay: 10000, jitter: 0 } });
+      actor.getExecutionResult.mockImplementation(async () => {
+        setTimeout(() => controller.abort(), 0);
+        throw new TypeError('Failed to fetch');
+      });
+
+      const error = await icpService.getExecutionResult('cmd_1', { signal: controller.signal }).catch(e => e);
+
+      expect(error).toBeInstanceOf(CancelledError);
+      expect(actor.getExecutionResult).toHaveBeenCalledTimes(1);
+      expect(icpService.getCircuitState().failures).toBe(0);
+    });
+
+    test('should keep the circuit closed when the canister traps', async () => {
+      actor.getExecutionResult.mockRejectedValue(new Error('Call was rejected:\n  Reject code: 5\n  Reject text: trapped'));
+
+      for (let i = 0; i < 4; i++) {
+        await icpService.getExecutionResult(`cmd_${i}`).catch(() => {});
+      }
+
+      expect(icpService.getCircuitState()).toMatchObject({ state: 'closed', failures: 0 });
+      actor.getExecutionResult.mockResolvedValue([]);
+      await expect(icpService.getExecutionResult('cmd_ok')).resolves.toBeNull();
+    });
+
+    test('should reject with a timeout when the call takes too long', async () => {
+      actor.getExecutionResult.mockImplementation(() => new Promise(() => {}));
+
+      const error = await icpService.getExecutionResult('cmd_1', { timeout: 10 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.message).toBe('getExecutionResult timed out after 10ms');
+    });
+
+    test('should open the circuit after repeated failures', async () => {
+      const listener = jest.fn();
+      icpService.onCircuitStateChange(listener);
+      actor.getExecutionResult.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await icpService.getExecutionResult('cmd_1').catch(() => {});
+      await icpService.getExecutionResult('cmd_1').catch(() => {});
+      actor.getExecutionResult.mockClear();
+
+      await expect(icpService.getExecutionResult('cmd_1')).rejects.toThrow(CircuitOpenError);
+      expect(actor.getExecutionResult).not.toHaveBeenCalled();
+      expect(icpService.getCircuitState().state).toBe('open');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ state: 'open' }));
+    });
+  });
+
+  describe('checkHealth', () => {
+    test('should probe the canister directly and close an open circuit', async () => {
+      actor.getExecutionResult.mockRejectedValue(new TypeError('Failed to fetch'));
+      await icpService.getExecutionResult('cmd_1').catch(() => {});
+      await icpService.getExecutionResult('cmd_1').catch(() => {});
+      actor.getCanisterStatus = jest.fn().mockResolvedValue('Agent Adam is running');
+
+      const health = await icpService.checkHealth();
+
+      expect(health.status).toBe('Agent Adam is running');
+      expect(typeof health.latency).toBe('number');
+      expect(icpService.getCircuitState().state).toBe('closed');
+    });
+
+    test('should reject when the canister does not answer in time', async () => {
+      actor.getCanisterStatus = jest.fn(() => new Promise(() => {}));
+
+      await expect(icpService.checkHealth({ timeout: 10 })).rejects.toThrow(TimeoutError);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * IdentityService Tests
+ */
+
+import { IdentityService, LocalIdentityProvider } from '../../src/frontend/services/IdentityService.js';
+
+const createLoginProvider = (identity) => ({
+  name: 'internet-identity',
+  authenticated: false,
+  isAuthenticated: jest.fn(async function () { return this.authenticated; }),
+  getIdentity: jest.fn(async () => identity),
+  login: jest.fn(async function () { this.authenticated = true; return identity; }),
+  logout: jest.fn(async function () { this.authenticated = false; })
+});
+
+describe('IdentityService', () => {
+  let loginIdentity;
+  let loginProvider;
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    loginIdentity = {
+      getPrincipal: () => ({ toText: () => 'ii-principal' })
+    };
+    loginProvider = createLoginProvider(loginIdentity);
+    service = new IdentityService({
+      localProvider: new LocalIdentityProvider(localStorage),
+      loginProvider
+    });
+  });
+
+  test('should generate and persist a local identity', async () => {
+    await service.init();
+    const principal = service.getPrincipal();
+
+    expect(principal).toMatch(/^[a-z0-9-]+$/);
+    expect(service.isAuthenticated()).toBe(false);
+
+    const restored = new IdentityService({
+      localProvider: new LocalIdentityProvider(localStorage),
+      loginProvider: createLoginProvider(loginIdentity)
+    });
+    await restored.init();
+
+    expect(restored.getPrincipal()).toBe(principal);
+  });
+
+  test('should restore an existing provider session', async () => {
+    loginProvider.authenticated = true;
+
+    await service.init();
+
+    expect(service.getPrincipal()).toBe('ii-principal');
+    expect(service.isAuthenticated()).toBe(true);
+  });
+
+  test('should notify subscribers on login and logout', async () => {
+    await service.init();
+    const localPrincipal = service.getPrincipal();
+    const listener = jest.fn();
+    service.subscribe(listener);
+
+    await service.login();
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+      principal: 'ii-principal',
+      isAuthenticated: true,
+      provider: 'internet-identity'
+    }));
+
+    await service.logout();
+    expect(loginProvider.logout).toHaveBeenCalled();
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+      principal: localPrincipal,
+      isAuthenticated: false,
+      provider: 'local'
+    }));
+  });
+
+  test('should bind each GHL user to their own local principal', async () => {
+    await service.init();
+
+    const alice = await service.bindUser('ghl-alice');
+    const bob = await service.bindUser('ghl-bob');
+    const aliceAgain = await service.bindUser('ghl-alice');
+
+    expect(alice).not.toBe(bob);
+    expect(aliceAgain).toBe(alice);
+  });
+
+  test('should reject unknown providers', async () => {
+    await expect(service.login('github')).rejects.toThrow('Unknown identity provider: github');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * InterfaceCheck Tests
+ */
+
+import { describeIdlService, parseCandidService, compareInterfaces } from '../../src/frontend/services/InterfaceCheck.js';
+import { idlFactory } from '../../src/declarations/AgentAdam/AgentAdam.did.js';
+
+// candid:service metadata as emitted by moc for src/AgentAdam/main.mo
+const DEPLOYED_CANDID = `
+type VoiceResponse =
+ record {
+   actions: vec text;
+   shouldEndCall: bool;
+   spokenText: text;
+   transferNumber: opt text;
+ };
+type Time = int;
+type SourceKind =
+ variant {
+   Admin;
+   Chat;
+   Voice;
+   Webhook;
+ };
+type Result_4 =
+ variant {
+   err: text;
+   ok: AdminResponse;
+ };
+type Result_3 =
+ variant {
+   err: text;
+   ok: ChatResponse;
+ };
+type Result_2 =
+ variant {
+   err: text;
+   ok: ExecutionResult;
+ };
+type Result_1 =
+ variant {
+   err: text;
+   ok: VoiceResponse;
+ };
+type Result =
+ variant {
+   err: text;
+   ok: text;
+ };
+type HistoryPage =
+ record {
+   commands: vec Command;
+   nextCursor: opt HistoryCursor;
+ };
+type HistoryFilter =
+ record {
+   fromTime: opt Time;
+   locationId: opt text;
+   sources: vec SourceKind;
+   toTime: opt Time;
+ };
+type HistoryCursor =
+ record {
+   id: text;
+   timestamp: Time;
+ };
+type ExecutionStatus =
+ variant {
+   Completed;
+   Failed: record {reason: text;};
+   PartialSuccess: record {warnings: vec text;};
+   Pending;
+   Processing;
+ };
+type ExecutionResult =
+ record {
+   actions: vec ExecutedAction;
+   commandId: text;
+   duration: nat;
+   insights: vec text;
+   nextSteps: vec text;
+   status: ExecutionStatus;
+ };
+type ExecutedAction =
+ record {
+   actionType: text;
+   description: text;
+   result: text;
+   timestamp: Time;
+ };
+type CommandSource =
+ variant {
+   AdminInterface: record {
+                     locationId: text;
+                     userId: text;
+                   };
+   GHLChatAgent: record {
+                   contactId: text;
+                   conversationId: text;
+                 };
+   GHLVoiceAgent: record {
+                    callerId: text;
+                    sessionId: text;
+                  };
+   GHLWebhook: record {
+                 eventType: text;
+                 webhookId: text;
+               };
+ };
+type CommandContext =
+ record {
+   locationId: text;
+   priority: nat;
+   retryCount: nat;
+   sourceMetadata: opt text;
+ };
+type Command =
+ record {
+   context: CommandContext;
+   id: text;
+   instruction: text;
+   source: CommandSource;
+   timestamp: Time;
+ };
+type ChatResponse =
+ record {
+   attachments: vec text;
+   message: text;
+   quickReplies: vec text;
+   shouldClose: bool;
+ };
+type AdminResponse =
+ record {
+   alerts: vec text;
+   details: ExecutionResult;
+   recommendedActions: vec text;
+   summary: text;
+ };
+service : {
+  getCanisterStatus: () -> (text) query;
+  getCommandHistory: (limit: nat) -> (vec Command) query;
+  getCommandPage: (filter: HistoryFilter, cursor: opt HistoryCursor, limit: nat)
+   -> (HistoryPage) query;
+  getExecutionResult: (commandId: text) -> (opt ExecutionResult) query;
+  getTotalCommands: () -> (nat) query;
+  handleWebhook: (webhookId: text, eventType: text, payload: text,
+   locationId: text) -> (Result);
+  processAdminCommand: (userId: text, locationId: text, instruction: text,
+   commandId: opt text) -> (Result_4);
+  processChatCommand: (conversationId: text, contactId: text, message: text,
+   locationId: text) -> (Result_3);
+  processCommand: (cmd: Command) -> (Result_2);
+  processVoiceCommand: (sessionId: text, callerId: text, transcript: text,
+   locationId: text) -> (Result_1);
+}
+`;
+
+describe('InterfaceCheck', () => {
+  test('bundled declarations match the canister interface', () => {
+    const report = compareInterfaces(describeIdlService(idlFactory), parseCandidService(DEPLOYED_CANDID));
+
+    expect(report).toEqual({ compatible: true, incompatibleMethods: [], missing: [], changed: [] });
+  });
+
+  test('should detect a renamed record field', () => {
+    const drifted = DEPLOYED_CANDID.replace('quickReplies: vec text;', 'suggestions: vec text;');
+
+    const report = compareInterfaces(describeIdlService(idlFactory), parseCandidService(drifted));
+
+    expect(report.compatible).toBe(false);
+    expect(report.incompatibleMethods).toEqual(['processChatCommand']);
+    expect(report.changed[0].deployed).toContain('suggestions:vec text');
+  });
+
+  test('should detect removed methods and changed annotations', () => {
+    const drifted = DEPLOYED_CANDID
+      .replace(/  getTotalCommands:[^\n]*\n/, '')
+      .replace('getCanisterStatus: () -> (text) query;', 'getCanisterStatus: () -> (text);');
+
+    const report = compareInterfaces(describeIdlService(idlFactory), parseCandidService(drifted));
+
+    expect(report.missing).toEqual(['getTotalCommands']);
+    expect(report.changed.map(change => change.method)).toEqual(['getCanisterStatus']);
+  });
+
+  test('should parse blobs, tuples, comments and service references', () => {
+    const signatures = parseCandidService(`
+      // comment
+      type Pair = record { text; nat };
+      type Api = service { put: (blob, Pair) -> () oneway; /* inline */ };
+      service : (nat) -> Api
+    `);
+
+    expect(signatures.get('put')).toBe('(vec nat8, record {0:text; 1:nat}) -> () oneway');
+  });
+});
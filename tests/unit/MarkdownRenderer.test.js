@@ -0,0 +1,229 @@
+/**
+ * MarkdownRenderer Tests
+ */
+
+import { renderMarkdown, sanitizeUrl, escapeHtml } from '../../src/frontend/services/MarkdownRenderer.js';
+
+const ALLOWED_TAGS = [
+  'P', 'BR', 'STRONG', 'EM', 'DEL', 'CODE', 'PRE', 'A', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'HR',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'DIV'
+];
+const ALLOWED_ATTRIBUTES = ['href', 'target', 'rel', 'class', 'start'];
+
+const render = (markdown) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdown(markdown);
+  return container;
+};
+
+/**
+ * Assert the rendered HTML holds nothing but whitelisted elements, attributes and link targets
+ */
+const expectSafe = (container) => {
+  container.querySelectorAll('*').forEach(element => {
+    expect(ALLOWED_TAGS).toContain(element.tagName);
+    Array.from(element.attributes).forEach(attribute => {
+      expect(ALLOWED_ATTRIBUTES).toContain(attribute.name);
+    });
+    if (element.hasAttribute('href')) {
+      expect(element.getAttribute('href')).toMatch(/^(https?:|mailto:)/);
+    }
+  });
+};
+
+describe('MarkdownRenderer', () => {
+  describe('XSS payloads', () => {
+    const payloads = [
+      '<script>alert(1)</script>',
+      '<img src=x onerror=alert(1)>',
+      '<svg/onload=alert(1)>',
+      '<iframe src="javascript:alert(1)"></iframe>',
+      '"><img src=x onerror=alert(1)>',
+      '**<img src=x onerror=alert(1)>**',
+      '`</code><script>alert(1)</script>`',
+      '```html\n<script>alert(1)</script>\n```',
+      '```"><img src=x onerror=alert(1)>\ncode\n```',
+      '[click](javascript:alert(1))',
+      '[click](JaVaScRiPt:alert(1))',
+      '[click](java\tscript:alert(1))',
+      '[click](javascript&#58;alert(1))',
+      '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+      '[click](vbscript:msgbox(1))',
+      '[x](https://example.com" onmouseover="alert(1))',
+      '[<img src=x onerror=alert(1)>](https://example.com)',
+      '<javascript:alert(1)>',
+      'https://example.com/"><script>alert(1)</script>',
+      'https://example.com/?q=<img src=x onerror=alert(1)>',
+      '| a | b |\n| - | - |\n| <script>alert(1)</script> | <b onclick=x>y</b> |',
+      '# <script>alert(1)</script>',
+      '> <img src=x onerror=alert(1)>',
+      '- <img src=x onerror=alert(1)>\n  - <svg onload=alert(1)>',
+      '<a href="javascript:alert(1)">link</a>',
+      '<style>body{display:none}</style>',
+      'john@acme.com<script>alert(1)</script>'
+    ];
+
+    test.each(payloads)('renders %j as inert text', (payload) => {
+      const container = render(payload);
+
+      expectSafe(container);
+      expect(container.querySelector('script, img, svg, iframe, style')).toBeNull();
+    });
+
+    test('should show escaped HTML as the original text', () => {
+      const container = render('Payload: <img src=x onerror=alert(1)>');
+
+      expect(container.textContent).toBe('Payload: <img src=x onerror=alert(1)>');
+    });
+
+    test('should render an unsafe link as its text only', () => {
+      const container = render('[click me](javascript:alert(1))');
+
+      expect(container.querySelector('a')).toBeNull();
+      expect(container.textContent).toBe('click me');
+    });
+
+    test('should keep quotes inside an href attribute', () => {
+      const container = render('https://example.com/a"onmouseover="alert(1)');
+
+      const link = container.querySelector('a');
+      expect(link.getAttributeNames().sort()).toEqual(['href', 'rel', 'target']);
+      expect(link.getAttribute('href')).toBe('https://example.com/a"onmouseover="alert(1)');
+    });
+
+    test('should survive deeply nested input', () => {
+      expect(() => render('>'.repeat(5000) + ' deep')).not.toThrow();
+      expect(() => render(Array.from({ length: 200 }, (_, i) => `${' '.repeat(i * 2)}- item`).join('\n'))).not.toThrow();
+    });
+
+    test('should render emphasis nested too deeply as text', () => {
+      const container = render('**'.repeat(20000) + 'a' + '**'.repeat(20000));
+
+      expect(container.querySelectorAll('strong, em')).toHaveLength(16);
+      expect(container.textContent).toContain('a');
+      expect(renderMarkdown('*a '.repeat(3) + '**' + '_b '.repeat(20).trim() + '**'))
+        .toBe(`<p>*a *a *a <strong>${'_b '.repeat(20).trim()}</strong></p>`);
+    });
+
+    test('should render many unmatched delimiters in linear time', () => {
+      const markdown = '*a '.repeat(20000);
+
+      expect(renderMarkdown(markdown)).toBe(`<p>${markdown.trim()}</p>`);
+    });
+  });
+
+  describe('sanitizeUrl', () => {
+    test('should allow http, https and mailto only', () => {
+      expect(sanitizeUrl('https://example.com/a?b=1')).toBe('https://example.com/a?b=1');
+      expect(sanitizeUrl('mailto:john@acme.com')).toBe('mailto:john@acme.com');
+      expect(sanitizeUrl(' javascript:alert(1)')).toBeNull();
+      expect(sanitizeUrl('\u0001javascript:alert(1)')).toBeNull();
+      expect(sanitizeUrl('/relative/path')).toBeNull();
+      expect(sanitizeUrl('//evil.example.com')).toBeNull();
+    });
+  });
+
+  test('escapeHtml should escape every markup character', () => {
+    expect(escapeHtml('<a href="x" title=\'y\'>&</a>')).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  });
+
+  describe('inline formatting', () => {
+    test('should nest bold and italic', () => {
+      expect(renderMarkdown('**bold *and italic* text**')).toBe('<p><strong>bold <em>and italic</em> text</strong></p>');
+      expect(renderMarkdown('***both***')).toBe('<p><strong><em>both</em></strong></p>');
+      expect(renderMarkdown('*italic **and bold***')).toBe('<p><em>italic <strong>and bold</strong></em></p>');
+    });
+
+    test('should not emphasize inside words with underscores', () => {
+      expect(renderMarkdown('Command cmd_1_abc done, _really_')).toBe('<p>Command cmd_1_abc done, <em>really</em></p>');
+    });
+
+    test('should leave unmatched and spaced delimiters alone', () => {
+      expect(renderMarkdown('2 * 3 * 4 and **open')).toBe('<p>2 * 3 * 4 and **open</p>');
+    });
+
+    test('should render strikethrough, inline code and escapes', () => {
+      expect(renderMarkdown('~~old~~ `a *b* <c>` \\*literal\\*'))
+        .toBe('<p><del>old</del> <code>a *b* &lt;c&gt;</code> *literal*</p>');
+    });
+
+    test('should render links and autolinks', () => {
+      const container = render('See [the docs](https://example.com/docs), https://acme.com/a_(b). and www.acme.com or mail john@acme.com');
+      const links = Array.from(container.querySelectorAll('a'));
+
+      expect(links.map(link => link.getAttribute('href'))).toEqual([
+        'https://example.com/docs',
+        'https://acme.com/a_(b)',
+        'http://www.acme.com',
+        'mailto:john@acme.com'
+      ]);
+      expect(links[0].textContent).toBe('the docs');
+      expect(links[0].getAttribute('rel')).toBe('noopener noreferrer');
+      expect(container.textContent).toContain('https://acme.com/a_(b).');
+    });
+
+    test('should keep underscores in bare URLs', () => {
+      const link = render('Open https://acme.com/_private_/page now').querySelector('a');
+
+      expect(link.getAttribute('href')).toBe('https://acme.com/_private_/page');
+    });
+  });
+
+  describe('blocks', () => {
+    test('should split paragraphs on blank lines and break single newlines', () => {
+      expect(renderMarkdown('one\ntwo\n\nthree')).toBe('<p>one<br>two</p><p>three</p>');
+    });
+
+    test('should render headings', () => {
+      expect(renderMarkdown('# Title\n### Sub *title* ###\n#hashtag')).toBe('<h1>Title</h1><h3>Sub <em>title</em></h3><p>#hashtag</p>');
+    });
+
+    test('should render nested lists', () => {
+      expect(renderMarkdown('- one\n- two\n  1. first\n  2. second\n- three')).toBe(
+        '<ul><li>one</li><li>two<ol><li>first</li><li>second</li></ol></li><li>three</li></ul>'
+      );
+    });
+
+    test('should keep the start number of ordered lists', () => {
+      expect(renderMarkdown('3. third\n4. fourth')).toBe('<ol start="3"><li>third</li><li>fourth</li></ol>');
+    });
+
+    test('should read result bullets after a heading line as a list', () => {
+      expect(renderMarkdown('**Actions taken:**\n• Created contact\n• Sent email\n')).toBe(
+        '<p><strong>Actions taken:</strong></p><ul><li>Created contact</li><li>Sent email</li></ul>'
+      );
+    });
+
+    test('should render tables with alignment', () => {
+      const container = render('| Name | Deals |\n|:-----|------:|\n| **Jane** | 3 |\n| John \\| Co |');
+
+      expect(Array.from(container.querySelectorAll('th')).map(cell => cell.textContent)).toEqual(['Name', 'Deals']);
+      expect(container.querySelector('th').className).toBe('align-left');
+      expect(container.querySelectorAll('td')[1].className).toBe('align-right');
+      expect(container.querySelector('td strong').textContent).toBe('Jane');
+      expect(container.querySelectorAll('tbody tr')[1].textContent).toBe('John | Co');
+    });
+
+    test('should render fenced code with a language label', () => {
+      const container = render('```json\n{ "a": "<b>" }\n```');
+
+      expect(container.querySelector('.code-language').textContent).toBe('json');
+      expect(container.querySelector('pre code').className).toBe('language-json');
+      expect(container.querySelector('pre code').textContent).toBe('{ "a": "<b>" }');
+    });
+
+    test('should render code without a language and unclosed fences', () => {
+      expect(renderMarkdown('~~~\n**not bold**\n~~~')).toBe('<pre><code>**not bold**</code></pre>');
+      expect(renderMarkdown('```\nrest')).toBe('<pre><code>rest</code></pre>');
+    });
+
+    test('should render blockquotes and rules', () => {
+      expect(renderMarkdown('> quoted\n> **text**\n\n---')).toBe('<blockquote><p>quoted<br><strong>text</strong></p></blockquote><hr>');
+    });
+  });
+
+  test('should render nothing for empty input', () => {
+    expect(renderMarkdown('')).toBe('');
+    expect(renderMarkdown(null)).toBe('');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * MetricsRegistry Tests
+ */
+
+import { MetricsRegistry, Histogram } from '../../src/frontend/services/MetricsRegistry.js';
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('should aggregate calls, retries and error categories per method', () => {
+    registry.record('processCommand', { latency: 120, outcome: 'success', attempts: 1, canisterDuration: 100 });
+    registry.record('processCommand', { latency: 900, outcome: 'success', attempts: 3, canisterDuration: 100 });
+    registry.record('processCommand', { latency: 4000, outcome: 'error', attempts: 3, category: 'transport' });
+    registry.record('processCommand', { latency: 30, outcome: 'cancelled', attempts: 1, category: 'cancelled' });
+
+    const metrics = registry.snapshot().methods.processCommand;
+
+    expect(metrics).toMatchObject({
+      calls: 4,
+      successes: 2,
+      errors: 1,
+      cancellations: 1,
+      errorRate: 0.25,
+      attempts: 8,
+      retries: 4,
+      retriedCalls: 2,
+      errorCategories: { transport: 1, cancelled: 1 }
+    });
+    expect(metrics.latency.count).toBe(4);
+    expect(metrics.canisterDuration).toMatchObject({ count: 2, mean: 100 });
+  });
+
+  test('should export a JSON snapshot and notify subscribers', () => {
+    const listener = jest.fn();
+    registry.subscribe(listener);
+
+    registry.record('getStatus', { latency: 40, outcome: 'success', attempts: 1 });
+    const exported = JSON.parse(registry.exportJSON());
+
+    expect(listener).toHaveBeenCalledWith(registry);
+    expect(exported.methods.getStatus.calls).toBe(1);
+    expect(exported.methods.getStatus.latency.buckets[0]).toEqual({ le: 50, count: 1 });
+  });
+
+  test('should clear all methods on reset', () => {
+    registry.record('getStatus', { latency: 40, outcome: 'success', attempts: 1 });
+
+    registry.reset();
+
+    expect(registry.snapshot().methods).toEqual({});
+  });
+});
+
+describe('Histogram', () => {
+  test('should estimate percentiles from bucket bounds', () => {
+    const histogram = new Histogram([100, 1000]);
+    [10, 20, 30, 40, 50, 60, 70, 80, 90, 5000].forEach(value => histogram.observe(value));
+
+    expect(histogram.percentile(0.5)).toBe(100);
+    expect(histogram.percentile(0.95)).toBe(5000);
+    expect(histogram.toJSON()).toMatchObject({ count: 10, min: 10, max: 5000 });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * MockCRM Tests
+ */
+
+import { MockCRM } from '../../src/frontend/services/MockCRM.js';
+
+describe('MockCRM', () => {
+  let crm;
+
+  beforeEach(() => {
+    crm = new MockCRM({ seed: false });
+  });
+
+  test('should start with seed records unless disabled', () => {
+    const seeded = new MockCRM();
+
+    expect(seeded.getStats()).toEqual({
+      totalContacts: 3,
+      activeWorkflows: 1,
+      upcomingAppointments: 1,
+      totalCampaigns: 1,
+      totalTags: 3
+    });
+    expect(crm.getStats().totalContacts).toBe(0);
+  });
+
+  test('should find contacts by ID, name or email regardless of case', () => {
+    const contact = crm.createContact({ name: 'John Smith', email: 'John@Acme.com' });
+
+    expect(crm.findContact(contact.id)).toBe(contact);
+    expect(crm.findContact('john smith')).toBe(contact);
+    expect(crm.findContact('john@acme.com')).toBe(contact);
+    expect(crm.findContactIn('Schedule a call with JOHN SMITH tomorrow')).toBe(contact);
+    expect(crm.findContact('Jane Doe')).toBeNull();
+  });
+
+  test('should list contacts newest first and filter by tag', () => {
+    crm.createContact({ name: 'First Contact', tags: ['VIP'] });
+    crm.createContact({ name: 'Second Contact' });
+    crm.addTag('Second Contact', 'vip');
+    crm.createContact({ name: 'Third Contact' });
+
+    expect(crm.listContacts().map(contact => contact.name)).toEqual(['Third Contact', 'Second Contact', 'First Contact']);
+    expect(crm.listContacts({ tag: 'VIP' }).map(contact => contact.name)).toEqual(['Second Contact', 'First Contact']);
+    expect(crm.listTags()).toEqual([{ name: 'VIP', count: 2 }]);
+  });
+
+  test('should remove appointments and campaign memberships with a deleted contact', () => {
+    const contact = crm.createContact({ name: 'John Smith' });
+    crm.createAppointment({ contactId: contact.id, title: 'Discovery call', startTime: new Date(Date.now() + 60000) });
+    const campaign = crm.createCampaign({ name: 'Summer Promo' });
+    crm.addToCampaign('Summer Promo', 'John Smith');
+
+    crm.deleteContact('John Smith');
+
+    expect(crm.listAppointments()).toEqual([]);
+    expect(campaign.contactIds).toEqual([]);
+  });
+
+  test('should cancel the next upcoming appointment for a contact', () => {
+    const contact = crm.createContact({ name: 'John Smith' });
+    const later = crm.createAppointment({ contactId: contact.id, startTime: new Date(Date.now() + 120000) });
+    const sooner = crm.createAppointment({ contactId: contact.id, startTime: new Date(Date.now() + 60000) });
+
+    expect(crm.cancelAppointment({ contactId: contact.id })).toBe(sooner);
+    expect(crm.listAppointments({ upcoming: true })).toEqual([later]);
+  });
+
+  test('should pause and find workflows by name', () => {
+    crm.createWorkflow({ name: 'Lead Nurture', trigger: 'form' });
+
+    crm.setWorkflowStatus('lead nurture', 'paused');
+
+    expect(crm.findWorkflowIn('resume the Lead Nurture workflow').status).toBe('paused');
+    expect(crm.getStats().activeWorkflows).toBe(0);
+  });
+});
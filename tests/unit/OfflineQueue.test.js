@@ -0,0 +1,101 @@
+/**
+ * OfflineQueue Tests
+ */
+
+import { OfflineQueue } from '../../src/frontend/services/OfflineQueue.js';
+import IndexedDBStore from '../../src/frontend/services/IndexedDBStore.js';
+
+describe('OfflineQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new OfflineQueue(new IndexedDBStore('test-outbox', 'commands', { indexedDB: null }));
+  });
+
+  test('should require a command ID', async () => {
+    await expect(queue.enqueue({ instruction: 'Show contacts' })).rejects.toThrow('command ID');
+  });
+
+  test('should replay entries in the order they were queued', async () => {
+    await queue.enqueue({ id: 'cmd_1', instruction: 'first' });
+    await queue.enqueue({ id: 'cmd_2', instruction: 'second' });
+    await queue.enqueue({ id: 'cmd_3', instruction: 'third' });
+
+    const sent = [];
+    const onDelivered = jest.fn();
+    const result = await queue.replay(async (entry) => {
+      sent.push(entry.instruction);
+      return { commandId: entry.id };
+    }, { onDelivered });
+
+    expect(sent).toEqual(['first', 'second', 'third']);
+    expect(onDelivered).toHaveBeenCalledTimes(3);
+    expect(result).toEqual({ delivered: 3, remaining: 0 });
+  });
+
+  test('should stop at a retryable failure and keep the remaining entries', async () => {
+    await queue.enqueue({ id: 'cmd_1', instruction: 'first' });
+    await queue.enqueue({ id: 'cmd_2', instruction: 'second' });
+
+    const send = jest.fn().mockRejectedValue(new Error('Failed to fetch'));
+    const onFailed = jest.fn();
+    const result = await queue.replay(send, { onFailed });
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ id: 'cmd_1' }), expect.any(Error), false);
+    expect(result).toEqual({ delivered: 0, remaining: 2 });
+
+    const [first] = await queue.getAll();
+    expect(first.attempts).toBe(1);
+    expect(first.lastError).toBe('Failed to fetch');
+  });
+
+  test('should drop entries that fail with a non-retryable error', async () => {
+    await queue.enqueue({ id: 'cmd_1', instruction: 'rejected' });
+    await queue.enqueue({ id: 'cmd_2', instruction: 'accepted' });
+
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('Not authorized'))
+      .mockResolvedValueOnce({});
+    const onFailed = jest.fn();
+    const result = await queue.replay(send, { onFailed, isRetryable: () => false });
+
+    expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ id: 'cmd_1' }), expect.any(Error), true);
+    expect(result).toEqual({ delivered: 1, remaining: 0 });
+  });
+
+  test('should drop an entry that keeps failing so it cannot block the queue', async () => {
+    queue = new OfflineQueue(new IndexedDBStore('test-outbox', 'commands', { indexedDB: null }), { maxAttempts: 2 });
+    await queue.enqueue({ id: 'cmd_1', instruction: 'poisoned' });
+    await queue.enqueue({ id: 'cmd_2', instruction: 'fine' });
+
+    const send = jest.fn(async (entry) => {
+      if (entry.id === 'cmd_1') throw new Error('Failed to fetch');
+      return {};
+    });
+    const onFailed = jest.fn();
+
+    expect(await queue.replay(send, { onFailed })).toEqual({ delivered: 0, remaining: 2 });
+    expect(await queue.replay(send, { onFailed })).toEqual({ delivered: 1, remaining: 0 });
+    expect(onFailed).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'cmd_1' }), expect.any(Error), true);
+  });
+
+  test('should deliver commands queued while a replay is running', async () => {
+    await queue.enqueue({ id: 'cmd_1', instruction: 'first' });
+
+    const sent = [];
+    const send = async (entry) => {
+      sent.push(entry.id);
+      if (entry.id === 'cmd_1') {
+        await queue.enqueue({ id: 'cmd_2', instruction: 'second' });
+        expect(await queue.replay(send)).toEqual({ delivered: 0, remaining: 2 });
+      }
+      return {};
+    };
+
+    const result = await queue.replay(send);
+
+    expect(sent).toEqual(['cmd_1', 'cmd_2']);
+    expect(result).toEqual({ delivered: 2, remaining: 0 });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * QueryCache Tests
+ */
+
+import { QueryCache } from '../../src/frontend/services/QueryCache.js';
+
+describe('QueryCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new QueryCache({ getStatus: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve fresh values from the cache', async () => {
+    const loader = jest.fn().mockResolvedValue({ totalCommands: 1 });
+
+    await cache.get('getStatus', [], loader);
+    const value = await cache.get('getStatus', [], loader);
+
+    expect(value).toEqual({ totalCommands: 1 });
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  test('should refetch after the method TTL expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const loader = jest.fn().mockResolvedValue('ok');
+
+    await cache.get('getStatus', [], loader);
+    now.mockReturnValue(1001);
+    await cache.get('getStatus', [], loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('should coalesce concurrent identical calls', async () => {
+    const loader = jest.fn().mockResolvedValue(['cmd_1']);
+
+    const [first, second] = await Promise.all([
+      cache.get('getHistory', [5], loader),
+      cache.get('getHistory', [5], loader)
+    ]);
+
+    expect(first).toBe(second);
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  test('should key entries by arguments', async () => {
+    const loader = jest.fn(async () => []);
+
+    await cache.get('getHistory', [5], loader);
+    await cache.get('getHistory', [10], loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not cache failures', async () => {
+    const loader = jest.fn()
+      .mockRejectedValueOnce(new Error('Failed to fetch'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(cache.get('getStatus', [], loader)).rejects.toThrow('Failed to fetch');
+    await expect(cache.get('getStatus', [], loader)).resolves.toBe('ok');
+  });
+
+  test('should refetch subscribed entries once on invalidation', async () => {
+    const loader = jest.fn()
+      .mockResolvedValueOnce({ totalCommands: 1 })
+      .mockResolvedValueOnce({ totalCommands: 2 });
+    const listener = jest.fn();
+
+    cache.subscribe('getStatus', [], listener);
+    await cache.get('getStatus', [], loader);
+    cache.invalidate();
+    await cache.get('getStatus', [], loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenNthCalledWith(1, { totalCommands: 1 });
+    expect(listener).toHaveBeenNthCalledWith(2, { totalCommands: 2 });
+  });
+
+  test('should not cache results of requests started before an invalidation', async () => {
+    let resolveStale;
+    const loader = jest.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { resolveStale = resolve; }))
+      .mockResolvedValueOnce('fresh');
+
+    const stale = cache.get('getStatus', [], loader);
+    await Promise.resolve();
+    cache.invalidate('getStatus');
+    resolveStale('stale');
+
+    await expect(stale).resolves.toBe('stale');
+    await expect(cache.get('getStatus', [], loader)).resolves.toBe('fresh');
+  });
+
+  test('should replay the cached value to new subscribers and stop after unsubscribe', async () => {
+    await cache.get('getStatus', [], async () => 'online');
+    const listener = jest.fn();
+
+    const unsubscribe = cache.subscribe('getStatus', [], listener);
+    unsubscribe();
+    cache.invalidate();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('online');
+  });
+});
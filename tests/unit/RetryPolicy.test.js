@@ -0,0 +1,91 @@
+/**
+ * RetryPolicy Tests
+ */
+
+import { classifyError, RetryPolicy, CircuitBreaker } from '../../src/frontend/services/RetryPolicy.js';
+import { CanisterError, CircuitOpenError } from '../../src/frontend/services/ServiceErrors.js';
+
+describe('classifyError', () => {
+  test.each([
+    [new CanisterError('Contact not found'), 'canister_error', false],
+    [new TypeError('Failed to fetch'), 'transport', true],
+    [Object.assign(new Error('Server returned an error: Code: 503'), { name: 'AgentHTTPResponseError' }), 'transport', true],
+    [new Error('Call was rejected:\n  Reject code: 2\n  Reject text: queue full'), 'replica_reject', true],
+    [Object.assign(new Error('Query failed'), { name: 'QueryCallRejectedError', result: { reject_code: 4 } }), 'replica_reject', false],
+    [new Error('Specified ingress_expiry not within expected range'), 'certificate', true],
+    [Object.assign(new Error('Invalid signature'), { name: 'CertificateVerificationError' }), 'certificate', true],
+    [new Error('Something odd happened'), 'unknown', false]
+  ])('%s -> %s', (error, category, retryable) => {
+    expect(classifyError(error)).toMatchObject({ category, retryable });
+  });
+});
+
+describe('RetryPolicy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should back off exponentially up to maxDelay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 500, jitter: 0.5 });
+
+    expect([1, 2, 3, 4].map(attempt => policy.getDelay(attempt))).toEqual([100, 200, 400, 500]);
+  });
+
+  test('should randomize the jittered part of the delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const policy = new RetryPolicy({ baseDelay: 100, jitter: 0.5 });
+
+    expect(policy.getDelay(2)).toBe(100);
+  });
+
+  test('should stop retrying after maxAttempts or for non-retryable errors', () => {
+    const policy = new RetryPolicy({ maxAttempts: 2 });
+
+    expect(policy.shouldRetry({ retryable: true }, 1)).toBe(true);
+    expect(policy.shouldRetry({ retryable: true }, 2)).toBe(false);
+    expect(policy.shouldRetry({ retryable: false }, 1)).toBe(false);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should open after the failure threshold and half-open after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 5000 });
+
+    breaker.recordFailure();
+    expect(breaker.getState().state).toBe('closed');
+    breaker.recordFailure();
+    expect(breaker.getState().state).toBe('open');
+    expect(() => breaker.ensureCanRequest()).toThrow(CircuitOpenError);
+
+    now += 5000;
+    breaker.ensureCanRequest();
+    expect(breaker.getState().state).toBe('half-open');
+  });
+
+  test('should reopen when the half-open trial fails and close when it succeeds', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+
+    breaker.recordFailure();
+    now += 1000;
+    breaker.ensureCanRequest();
+    breaker.recordFailure();
+    expect(breaker.getState().state).toBe('open');
+
+    now += 1000;
+    breaker.ensureCanRequest();
+    breaker.recordSuccess();
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
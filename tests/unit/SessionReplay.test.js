@@ -0,0 +1,163 @@
+/**
+ * RecordingService and ReplayService Tests
+ * A session recorded against one adapter must replay with the same results and errors.
+ */
+
+import { RecordingService } from '../../src/frontend/services/RecordingService.js';
+import { ReplayService } from '../../src/frontend/services/ReplayService.js';
+import { DemoICPService } from '../../src/frontend/services/DemoICPService.js';
+import IndexedDBStore from '../../src/frontend/services/IndexedDBStore.js';
+import { parseSession, SESSION_FORMAT } from '../../src/frontend/services/SessionFile.js';
+import {
+  TimeoutError,
+  RetryExhaustedError,
+  CancelledError,
+  ReplayMismatchError
+} from '../../src/frontend/services/ServiceErrors.js';
+
+describe('Session recording and replay', () => {
+  let demo;
+  let recorder;
+
+  beforeEach(() => {
+    demo = new DemoICPService({ store: new IndexedDBStore('test-session', 'state', { indexedDB: null }) });
+    demo.delay = () => Promise.resolve();
+    recorder = new RecordingService(demo);
+  });
+
+  const recordConversation = async () => {
+    const commandId = recorder.generateCommandId();
+    const created = await recorder.processCommand('Create contact John Smith john@acme.com', { locationId: 'loc-1', commandId });
+    const history = await recorder.getHistory(10);
+    const listed = await recorder.processCommand('Show recent contacts', { locationId: 'loc-1' });
+    const status = await recorder.getStatus();
+    return { commandId, created, history, listed, status };
+  };
+
+  test('should record requests, results and timings', async () => {
+    await recordConversation();
+
+    const session = recorder.getSession();
+
+    expect(session.format).toBe(SESSION_FORMAT);
+    expect(session.mode).toBe('demo');
+    expect(session.entries.map(entry => entry.method))
+      .toEqual(['generateCommandId', 'processCommand', 'getHistory', 'processCommand', 'getStatus']);
+    expect(session.entries[1]).toMatchObject({
+      seq: 2,
+      args: ['Create contact John Smith john@acme.com', { locationId: 'loc-1' }],
+      outcome: 'success',
+      duration: expect.any(Number)
+    });
+    expect(session.entries[1].result.actions[0].timestamp).toEqual({ $date: expect.any(String) });
+  });
+
+  test('should replay a session with the recorded results', async () => {
+    const recorded = await recordConversation();
+    const replay = new ReplayService(recorder.exportSession());
+    await replay.init();
+
+    const commandId = replay.generateCommandId();
+    const created = await replay.processCommand('Create contact John Smith john@acme.com', { locationId: 'loc-1', commandId });
+    const history = await replay.getHistory(10);
+    const listed = await replay.processCommand('Show recent contacts', { locationId: 'loc-1' });
+    const status = await replay.getStatus();
+
+    expect({ commandId, created, history, listed, status }).toEqual(recorded);
+    expect(created.actions[0].timestamp).toBeInstanceOf(Date);
+    expect(replay.getProgress()).toEqual({ played: 2, total: 2 });
+  });
+
+  test('should answer reads with the value recorded at that point', async () => {
+    await recorder.getStatus();
+    await recorder.processCommand('Create workflow');
+    await recorder.getStatus();
+
+    const replay = new ReplayService(recorder.getSession());
+
+    expect((await replay.getStatus()).totalCommands).toBe(0);
+    await replay.processCommand('Create workflow');
+    expect((await replay.getStatus()).totalCommands).toBe(1);
+  });
+
+  test('should record values pushed to query subscribers', async () => {
+    const listener = jest.fn();
+    recorder.onQueryChange('getStatus', [], listener);
+    await recorder.getStatus();
+
+    await recorder.processCommand('Create workflow');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const statuses = recorder.getSession().entries.filter(entry => entry.method === 'getStatus');
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ totalCommands: 1 }));
+    expect(statuses[statuses.length - 1].result.totalCommands).toBe(1);
+  });
+
+  test('should replay errors with their original class and fields', async () => {
+    const timeout = new TimeoutError('processCommand', 60000);
+    jest.spyOn(demo, 'processCommand').mockRejectedValueOnce(
+      new RetryExhaustedError('processCommand', 3, 'transient', timeout)
+    );
+
+    await expect(recorder.processCommand('Create workflow')).rejects.toBeInstanceOf(RetryExhaustedError);
+
+    const replay = new ReplayService(recorder.exportSession());
+    const error = await replay.processCommand('Create workflow').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(RetryExhaustedError);
+    expect(error).toMatchObject({ attempts: 3, category: 'transient', message: expect.stringContaining('timed out') });
+    expect(error.cause).toBeInstanceOf(TimeoutError);
+    expect(error.cause.timeout).toBe(60000);
+  });
+
+  test('should reject commands that differ from the recording', async () => {
+    await recorder.processCommand('Create workflow');
+    await recorder.processCommand('Show contacts');
+
+    const replay = new ReplayService(recorder.getSession());
+
+    await expect(replay.processCommand('Show contacts')).rejects.toBeInstanceOf(ReplayMismatchError);
+    await expect(replay.processCommand('Create workflow')).resolves.toBeDefined();
+    await expect(replay.processCommand('Show contacts')).resolves.toBeDefined();
+    await expect(replay.processCommand('Show contacts')).rejects.toThrow('no more recorded commands');
+  });
+
+  test('should list recorded commands for playback', async () => {
+    await recorder.processCommand('Create workflow', { locationId: 'loc-1' });
+    await recorder.handleWebhook('wh_1', 'contact.created', '{"id":"c1"}', 'loc-1');
+
+    const replay = new ReplayService(recorder.getSession());
+
+    expect(replay.getRecordedCommands()).toEqual([
+      { method: 'processCommand', args: ['Create workflow', { locationId: 'loc-1' }] },
+      { method: 'handleWebhook', args: ['wh_1', 'contact.created', '{"id":"c1"}', 'loc-1'] }
+    ]);
+  });
+
+  test('should cancel replayed calls through their signal', async () => {
+    await recorder.processCommand('Create workflow');
+    const controller = new AbortController();
+    controller.abort();
+
+    const replay = new ReplayService(recorder.getSession());
+
+    await expect(replay.processCommand('Create workflow', {}, { signal: controller.signal }))
+      .rejects.toBeInstanceOf(CancelledError);
+  });
+
+  test('should drop the oldest calls beyond the entry limit', async () => {
+    recorder = new RecordingService(demo, { maxEntries: 2 });
+
+    await recorder.getStatus();
+    await recorder.getStatus();
+    await recorder.getStatus();
+
+    expect(recorder.getSession()).toMatchObject({ dropped: 1, entries: [{ seq: 2 }, { seq: 3 }] });
+  });
+
+  test('should reject files that are not sessions', () => {
+    expect(() => parseSession('not json')).toThrow('not valid JSON');
+    expect(() => parseSession({ format: 'other' })).toThrow('Not an Agent Adam session file');
+    expect(() => parseSession({ format: SESSION_FORMAT, version: 99, entries: [] })).toThrow('Unsupported');
+  });
+});
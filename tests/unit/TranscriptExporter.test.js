@@ -0,0 +1,216 @@
+/**
+ * TranscriptExporter Tests
+ */
+
+import {
+  createTranscript,
+  exportTranscript,
+  toMarkdown,
+  toCsv,
+  TRANSCRIPT_FORMAT
+} from '../../src/frontend/services/TranscriptExporter.js';
+
+const result = {
+  commandId: 'cmd_1',
+  status: { type: 'PartialSuccess', warnings: ['Email bounced'] },
+  actions: [
+    {
+      actionType: 'CreateContact',
+      description: 'Created contact John Smith',
+      result: 'contact_42',
+      timestamp: new Date('2026-03-02T10:00:01Z')
+    },
+    {
+      actionType: 'SendEmail',
+      description: 'Sent "welcome", email | retry',
+      result: 'bounced',
+      timestamp: new Date('2026-03-02T10:00:02Z')
+    }
+  ],
+  insights: ['New lead'],
+  nextSteps: ['Call John'],
+  duration: 120
+};
+
+const messages = [
+  {
+    id: 'msg-a-1',
+    sender: 'user',
+    text: 'Create contact John Smith and email him',
+    timestamp: new Date('2026-03-02T10:00:00Z'),
+    status: 'delivered',
+    quickReplies: [],
+    simulated: false,
+    commandId: 'cmd_1',
+    result: null
+  },
+  {
+    id: 'msg-a-2',
+    sender: 'adam',
+    text: '**Done.**\n\n• Created contact',
+    timestamp: '2026-03-02T10:00:03.000Z',
+    status: null,
+    quickReplies: ['Call John'],
+    simulated: true,
+    commandId: 'cmd_1',
+    result
+  },
+  {
+    id: 'msg-a-3',
+    sender: 'user',
+    text: '',
+    timestamp: new Date('2026-03-02T10:05:00Z'),
+    status: null,
+    simulated: false,
+    commandId: null,
+    result: null,
+    items: [
+      { instruction: 'Show report', status: 'delivered', detail: 'Completed', commandId: 'cmd_2', result: { ...result, commandId: 'cmd_2', status: { type: 'Completed' }, actions: [] } },
+      { instruction: '=HYPERLINK("http://evil")', status: 'error', detail: 'Failed', commandId: 'cmd_3', result: null }
+    ]
+  }
+];
+
+const details = {
+  title: 'Create contact John Smith',
+  locationId: 'loc-1',
+  userId: 'user-1',
+  exportedAt: new Date('2026-03-02T11:00:00Z')
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      i++;
+    } else {
+      cell += char;
+    }
+  }
+  return rows;
+};
+
+describe('TranscriptExporter', () => {
+  let transcript;
+
+  beforeEach(() => {
+    transcript = createTranscript(messages, details);
+  });
+
+  test('should build a transcript with linked results and ISO timestamps', () => {
+    expect(transcript).toMatchObject({
+      format: TRANSCRIPT_FORMAT,
+      version: 1,
+      title: 'Create contact John Smith',
+      locationId: 'loc-1',
+      userId: 'user-1',
+      exportedAt: '2026-03-02T11:00:00.000Z'
+    });
+    expect(transcript.messages[0]).toEqual({
+      id: 'msg-a-1',
+      sender: 'user',
+      text: 'Create contact John Smith and email him',
+      timestamp: '2026-03-02T10:00:00.000Z',
+      status: 'delivered',
+      simulated: false,
+      commandId: 'cmd_1',
+      result: null
+    });
+    expect(transcript.messages[1].result).toEqual({
+      commandId: 'cmd_1',
+      status: 'PartialSuccess',
+      reason: null,
+      warnings: ['Email bounced'],
+      actions: [
+        { actionType: 'CreateContact', description: 'Created contact John Smith', result: 'contact_42', timestamp: '2026-03-02T10:00:01.000Z' },
+        { actionType: 'SendEmail', description: 'Sent "welcome", email | retry', result: 'bounced', timestamp: '2026-03-02T10:00:02.000Z' }
+      ],
+      insights: ['New lead'],
+      nextSteps: ['Call John'],
+      duration: 120
+    });
+    expect(transcript.messages[2].items[0].result.status).toBe('Completed');
+    expect(transcript.messages[2].items[1].result).toBeNull();
+  });
+
+  test('should export JSON that parses back to the transcript', () => {
+    const file = exportTranscript(transcript, 'json');
+
+    expect(file.mimeType).toBe('application/json');
+    expect(file.fileName).toBe('agent-adam-transcript-2026-03-02T11-00-00-000Z.json');
+    expect(JSON.parse(file.content)).toEqual(transcript);
+  });
+
+  test('should export Markdown with message headings and action tables', () => {
+    const markdown = toMarkdown(transcript);
+
+    expect(markdown).toContain('# Create contact John Smith');
+    expect(markdown).toContain('Exported 2026-03-02 11:00:00 UTC · Location loc-1 · User user-1');
+    expect(markdown).toContain('### User · 2026-03-02 10:00:00 UTC · Delivered');
+    expect(markdown).toContain('### Agent Adam · 2026-03-02 10:00:03 UTC · Simulated\n\n**Done.**\n\n• Created contact');
+    expect(markdown).toContain('**Result** `cmd_1`: PartialSuccess · 120 ms');
+    expect(markdown).toContain('- Warning: Email bounced');
+    expect(markdown).toContain('| 2026-03-02 10:00:02 UTC | SendEmail | Sent "welcome", email \\| retry | bounced |');
+    expect(markdown).toContain('1. Show report · Delivered (Completed)');
+    expect(markdown).toContain('**Item 1** `cmd_2`: Completed · 120 ms');
+    expect(exportTranscript(transcript, 'markdown').mimeType).toBe('text/markdown');
+  });
+
+  test('should export CSV rows for messages, items, results and actions', () => {
+    const content = toCsv(transcript);
+    const rows = parseCsv(content);
+
+    expect(content.endsWith('\r\n')).toBe(true);
+    expect(rows[0]).toEqual([
+      'record', 'message_id', 'timestamp', 'sender', 'status', 'command_id', 'text', 'action_type', 'action_result', 'duration_ms'
+    ]);
+    expect(rows.map(row => row[0])).toEqual([
+      'record', 'message', 'message', 'result', 'action', 'action', 'message', 'item', 'result', 'item'
+    ]);
+    expect(rows.every(row => row.length === 10)).toBe(true);
+    expect(rows[2][6]).toBe('**Done.**\n\n• Created contact');
+    expect(rows[3]).toEqual([
+      'result', 'msg-a-2', '2026-03-02T10:00:03.000Z', 'adam', 'PartialSuccess', 'cmd_1', 'Email bounced', '', '', '120'
+    ]);
+    expect(rows[5]).toEqual([
+      'action', 'msg-a-2', '2026-03-02T10:00:02.000Z', 'adam', 'PartialSuccess', 'cmd_1',
+      'Sent "welcome", email | retry', 'SendEmail', 'bounced', ''
+    ]);
+  });
+
+  test('should keep spreadsheet formulas in CSV cells as text', () => {
+    const rows = parseCsv(toCsv(transcript));
+
+    expect(rows[9][6]).toBe('\'=HYPERLINK("http://evil") (Failed)');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => exportTranscript(transcript, 'pdf')).toThrow('Unknown transcript format: pdf');
+  });
+});